@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "OrderEventType" AS ENUM ('CREATED', 'STATUS_CHANGED', 'TRACKING_UPDATED', 'PAYMENT_UPDATED', 'NOTE');
+
+-- CreateTable
+CREATE TABLE "OrderEvent" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "type" "OrderEventType" NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT,
+    "actorId" TEXT,
+    "actorType" TEXT NOT NULL DEFAULT 'SYSTEM',
+    "note" TEXT,
+    "data" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderEvent_orderId_createdAt_idx" ON "OrderEvent"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "OrderEvent" ADD CONSTRAINT "OrderEvent_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderEvent" ADD CONSTRAINT "OrderEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
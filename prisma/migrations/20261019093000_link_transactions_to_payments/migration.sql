@@ -0,0 +1,11 @@
+-- DropIndex
+DROP INDEX "Transaction_paymentId_key";
+
+-- CreateIndex
+CREATE INDEX "Transaction_paymentId_idx" ON "Transaction"("paymentId");
+
+-- Backfill: link existing transactions to their order's payment
+UPDATE "Transaction" t
+SET "paymentId" = p."id"
+FROM "Payment" p
+WHERE t."paymentId" IS NULL AND p."orderId" = t."orderId";
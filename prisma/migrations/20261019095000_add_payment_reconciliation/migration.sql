@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "lastReconciledAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ReconciliationRun" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'SCHEDULED',
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "checked" INTEGER NOT NULL DEFAULT 0,
+    "fixed" INTEGER NOT NULL DEFAULT 0,
+    "flagged" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "triggeredById" TEXT,
+
+    CONSTRAINT "ReconciliationRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReconciliationMismatch" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "transactionId" TEXT,
+    "paymentId" TEXT,
+    "orderId" TEXT,
+    "ourStatus" TEXT NOT NULL,
+    "providerStatus" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReconciliationMismatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Transaction_lastReconciledAt_idx" ON "Transaction"("lastReconciledAt");
+
+-- CreateIndex
+CREATE INDEX "ReconciliationRun_startedAt_idx" ON "ReconciliationRun"("startedAt");
+
+-- CreateIndex
+CREATE INDEX "ReconciliationMismatch_runId_idx" ON "ReconciliationMismatch"("runId");
+
+-- CreateIndex
+CREATE INDEX "ReconciliationMismatch_paymentId_idx" ON "ReconciliationMismatch"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "ReconciliationMismatch" ADD CONSTRAINT "ReconciliationMismatch_runId_fkey" FOREIGN KEY ("runId") REFERENCES "ReconciliationRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- AlterEnum
+ALTER TYPE "OrderStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- CreateEnum
+CREATE TYPE "RefundStatus" AS ENUM ('PENDING', 'PROCESSED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "Refund" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "reason" TEXT,
+    "status" "RefundStatus" NOT NULL DEFAULT 'PENDING',
+    "provider" TEXT NOT NULL,
+    "providerRefundId" TEXT,
+    "rawResponse" JSONB,
+    "failureReason" TEXT,
+    "returnRequestId" TEXT,
+    "initiatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RefundItem" (
+    "id" TEXT NOT NULL,
+    "refundId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "RefundItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Refund_providerRefundId_key" ON "Refund"("providerRefundId");
+
+-- CreateIndex
+CREATE INDEX "Refund_paymentId_idx" ON "Refund"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Refund_returnRequestId_idx" ON "Refund"("returnRequestId");
+
+-- CreateIndex
+CREATE INDEX "RefundItem_refundId_idx" ON "RefundItem"("refundId");
+
+-- CreateIndex
+CREATE INDEX "RefundItem_orderItemId_idx" ON "RefundItem"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "Refund" ADD CONSTRAINT "Refund_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundItem" ADD CONSTRAINT "RefundItem_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "Refund"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundItem" ADD CONSTRAINT "RefundItem_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: one ledger row for each payment refunded before the ledger existed
+INSERT INTO "Refund" ("id", "paymentId", "amount", "currency", "reason", "status", "provider", "providerRefundId", "createdAt", "updatedAt")
+SELECT
+    'legacy_' || p."id",
+    p."id",
+    COALESCE(p."refundAmount", p."amount"),
+    p."currency",
+    p."refundReason",
+    'PROCESSED',
+    UPPER(COALESCE(p."provider", p."method"::TEXT)),
+    p."refundId",
+    COALESCE(p."refundedAt", p."updatedAt"),
+    COALESCE(p."refundedAt", p."updatedAt")
+FROM "Payment" p
+WHERE p."refundId" IS NOT NULL;
@@ -0,0 +1,11 @@
+-- DropIndex
+DROP INDEX "Review_productId_idx";
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN     "moderatedAt" TIMESTAMP(3),
+ADD COLUMN     "moderatedById" TEXT,
+ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "Review_productId_approved_idx" ON "Review"("productId", "approved");
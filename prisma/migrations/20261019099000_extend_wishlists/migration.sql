@@ -0,0 +1,38 @@
+-- DropForeignKey
+ALTER TABLE "WishlistItem" DROP CONSTRAINT "WishlistItem_wishlistId_fkey";
+
+-- AlterTable
+ALTER TABLE "Wishlist" ADD COLUMN     "isDefault" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "name" TEXT NOT NULL DEFAULT 'My Wishlist',
+ADD COLUMN     "shareToken" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "WishlistItem" ADD COLUMN     "priceAmount" DECIMAL(10,2),
+ADD COLUMN     "priceCurrency" TEXT,
+ADD COLUMN     "variantId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Wishlist_shareToken_key" ON "Wishlist"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "Wishlist_userId_idx" ON "Wishlist"("userId");
+
+-- CreateIndex
+CREATE INDEX "WishlistItem_wishlistId_idx" ON "WishlistItem"("wishlistId");
+
+-- AddForeignKey
+ALTER TABLE "WishlistItem" ADD CONSTRAINT "WishlistItem_wishlistId_fkey" FOREIGN KEY ("wishlistId") REFERENCES "Wishlist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WishlistItem" ADD CONSTRAINT "WishlistItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: each user's oldest wishlist becomes their default
+UPDATE "Wishlist" w
+SET "isDefault" = true
+WHERE w."id" = (
+    SELECT w2."id" FROM "Wishlist" w2
+    WHERE w2."userId" = w."userId"
+    ORDER BY w2."createdAt" ASC
+    LIMIT 1
+);
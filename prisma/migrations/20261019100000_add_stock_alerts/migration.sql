@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "StockAlertType" AS ENUM ('BACK_IN_STOCK', 'PRICE_DROP');
+
+-- CreateTable
+CREATE TABLE "StockAlert" (
+    "id" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT NOT NULL,
+    "type" "StockAlertType" NOT NULL,
+    "priceAmount" DECIMAL(10,2),
+    "unsubscribeToken" TEXT NOT NULL,
+    "notifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockAlert_unsubscribeToken_key" ON "StockAlert"("unsubscribeToken");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_variantId_type_notifiedAt_idx" ON "StockAlert"("variantId", "type", "notifiedAt");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_userId_idx" ON "StockAlert"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockAlert_variantId_email_type_key" ON "StockAlert"("variantId", "email", "type");
+
+-- AddForeignKey
+ALTER TABLE "StockAlert" ADD CONSTRAINT "StockAlert_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockAlert" ADD CONSTRAINT "StockAlert_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "InventoryMovementReason" AS ENUM ('SALE', 'CANCEL', 'RETURN', 'EXCHANGE', 'MANUAL', 'IMPORT');
+
+-- CreateTable
+CREATE TABLE "InventoryMovement" (
+    "id" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "quantityAfter" INTEGER NOT NULL,
+    "reason" "InventoryMovementReason" NOT NULL,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "actorId" TEXT,
+    "actorType" TEXT NOT NULL DEFAULT 'SYSTEM',
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_variantId_createdAt_idx" ON "InventoryMovement"("variantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_referenceType_referenceId_idx" ON "InventoryMovement"("referenceType", "referenceId");
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,174 @@
+-- AlterEnum
+ALTER TYPE "InventoryMovementReason" ADD VALUE 'TRANSFER';
+
+-- CreateEnum
+CREATE TYPE "LocationType" AS ENUM ('WAREHOUSE', 'STORE');
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('IN_TRANSIT', 'RECEIVED', 'CANCELED');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "fulfillmentLocationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "InventoryMovement" ADD COLUMN     "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Location" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "LocationType" NOT NULL DEFAULT 'WAREHOUSE',
+    "address" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "zip" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InventoryLevel" (
+    "id" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryLevel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LocationPincodeRule" (
+    "id" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "LocationPincodeRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderAllocation" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InventoryTransfer" (
+    "id" TEXT NOT NULL,
+    "fromLocationId" TEXT NOT NULL,
+    "toLocationId" TEXT NOT NULL,
+    "status" "TransferStatus" NOT NULL DEFAULT 'IN_TRANSIT',
+    "note" TEXT,
+    "createdById" TEXT,
+    "receivedAt" TIMESTAMP(3),
+    "canceledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryTransfer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InventoryTransferItem" (
+    "id" TEXT NOT NULL,
+    "transferId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "InventoryTransferItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Location_code_key" ON "Location"("code");
+
+-- CreateIndex
+CREATE INDEX "InventoryLevel_locationId_idx" ON "InventoryLevel"("locationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryLevel_variantId_locationId_key" ON "InventoryLevel"("variantId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "LocationPincodeRule_prefix_idx" ON "LocationPincodeRule"("prefix");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LocationPincodeRule_locationId_prefix_key" ON "LocationPincodeRule"("locationId", "prefix");
+
+-- CreateIndex
+CREATE INDEX "OrderAllocation_orderId_idx" ON "OrderAllocation"("orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderAllocation_locationId_idx" ON "OrderAllocation"("locationId");
+
+-- CreateIndex
+CREATE INDEX "InventoryTransfer_status_idx" ON "InventoryTransfer"("status");
+
+-- CreateIndex
+CREATE INDEX "InventoryTransfer_fromLocationId_idx" ON "InventoryTransfer"("fromLocationId");
+
+-- CreateIndex
+CREATE INDEX "InventoryTransfer_toLocationId_idx" ON "InventoryTransfer"("toLocationId");
+
+-- CreateIndex
+CREATE INDEX "InventoryTransferItem_transferId_idx" ON "InventoryTransferItem"("transferId");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_locationId_idx" ON "InventoryMovement"("locationId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_fulfillmentLocationId_fkey" FOREIGN KEY ("fulfillmentLocationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryMovement" ADD CONSTRAINT "InventoryMovement_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryLevel" ADD CONSTRAINT "InventoryLevel_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryLevel" ADD CONSTRAINT "InventoryLevel_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LocationPincodeRule" ADD CONSTRAINT "LocationPincodeRule_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderAllocation" ADD CONSTRAINT "OrderAllocation_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderAllocation" ADD CONSTRAINT "OrderAllocation_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderAllocation" ADD CONSTRAINT "OrderAllocation_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransfer" ADD CONSTRAINT "InventoryTransfer_fromLocationId_fkey" FOREIGN KEY ("fromLocationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransfer" ADD CONSTRAINT "InventoryTransfer_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransfer" ADD CONSTRAINT "InventoryTransfer_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransferItem" ADD CONSTRAINT "InventoryTransferItem_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "InventoryTransfer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransferItem" ADD CONSTRAINT "InventoryTransferItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing stock moves to a primary warehouse so levels sum to inventoryQuantity
+INSERT INTO "Location" ("id", "name", "code", "type", "priority", "updatedAt")
+VALUES ('loc_primary', 'Primary warehouse', 'PRIMARY', 'WAREHOUSE', 0, CURRENT_TIMESTAMP);
+
+INSERT INTO "InventoryLevel" ("id", "variantId", "locationId", "quantity", "updatedAt")
+SELECT 'lvl_' || "id", "id", 'loc_primary', "inventoryQuantity", CURRENT_TIMESTAMP
+FROM "ProductVariant";
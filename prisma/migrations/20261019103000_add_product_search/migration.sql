@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "searchVector" tsvector;
+
+-- CreateIndex
+CREATE INDEX "Product_searchVector_idx" ON "Product" USING GIN ("searchVector");
+
+-- Backfill search documents (same expression as refreshSearchVector in src/lib/search.js)
+UPDATE "Product" p SET "searchVector" =
+  setweight(to_tsvector('english', coalesce(p."title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce((
+    SELECT string_agg(t."name", ' ')
+    FROM "ProductTag" pt JOIN "Tag" t ON t."id" = pt."tagId"
+    WHERE pt."productId" = p."id"
+  ), '')), 'B') ||
+  setweight(to_tsvector('english', coalesce((
+    SELECT string_agg(v."name", ' ')
+    FROM "ProductOptionValue" v JOIN "ProductOption" o ON o."id" = v."optionId"
+    WHERE o."productId" = p."id"
+  ), '') || ' ' || replace(coalesce(p."metafields"->>'color', ''), ';', ' ')), 'B') ||
+  setweight(to_tsvector('english', coalesce(p."vendor", '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(p."description", '')), 'D');
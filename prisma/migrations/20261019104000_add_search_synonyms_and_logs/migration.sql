@@ -0,0 +1,45 @@
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateTable
+CREATE TABLE "SearchQuery" (
+    "id" TEXT NOT NULL,
+    "query" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "resultCount" INTEGER NOT NULL,
+    "fuzzy" BOOLEAN NOT NULL DEFAULT false,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SearchQuery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SearchSynonym" (
+    "id" TEXT NOT NULL,
+    "term" TEXT NOT NULL,
+    "synonyms" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SearchSynonym_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SearchQuery_createdAt_idx" ON "SearchQuery"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "SearchQuery_query_idx" ON "SearchQuery"("query");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SearchSynonym_term_key" ON "SearchSynonym"("term");
+
+-- Trigram indexes for fuzzy title and tag matching (not managed by Prisma)
+CREATE INDEX "Product_title_trgm_idx" ON "Product" USING GIN (lower("title") gin_trgm_ops);
+CREATE INDEX "Tag_name_trgm_idx" ON "Tag" USING GIN (lower("name") gin_trgm_ops);
+
+-- Common spellings seen in search logs
+INSERT INTO "SearchSynonym" ("id", "term", "synonyms", "updatedAt") VALUES
+    ('syn_kurti', 'kurti', ARRAY['kurthi', 'kurtis'], CURRENT_TIMESTAMP),
+    ('syn_lehenga', 'lehenga', ARRAY['lengha', 'lehnga', 'lahenga'], CURRENT_TIMESTAMP),
+    ('syn_hoodie', 'hoodie', ARRAY['hoody', 'hoodies', 'sweatshirt'], CURRENT_TIMESTAMP);
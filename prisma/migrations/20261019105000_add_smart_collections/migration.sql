@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Collection" ADD COLUMN     "rules" JSONB,
+ADD COLUMN     "rulesSyncedAt" TIMESTAMP(3);
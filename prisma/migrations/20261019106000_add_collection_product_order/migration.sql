@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "CollectionProduct" (
+    "collectionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "pinned" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CollectionProduct_pkey" PRIMARY KEY ("collectionId","productId")
+);
+
+-- CreateIndex
+CREATE INDEX "CollectionProduct_productId_idx" ON "CollectionProduct"("productId");
+
+-- CreateIndex
+CREATE INDEX "CollectionProduct_collectionId_pinned_position_idx" ON "CollectionProduct"("collectionId", "pinned", "position");
+
+-- AddForeignKey
+ALTER TABLE "CollectionProduct" ADD CONSTRAINT "CollectionProduct_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "Collection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CollectionProduct" ADD CONSTRAINT "CollectionProduct_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing memberships over, keeping the previous title order
+INSERT INTO "CollectionProduct" ("collectionId", "productId", "position")
+SELECT cp."A", cp."B", (ROW_NUMBER() OVER (PARTITION BY cp."A" ORDER BY p."title", p."id") - 1)::int
+FROM "_CollectionToProduct" cp
+JOIN "Product" p ON p."id" = cp."B";
+
+-- DropTable
+DROP TABLE "_CollectionToProduct";
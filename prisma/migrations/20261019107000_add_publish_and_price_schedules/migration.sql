@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "PriceScheduleStatus" AS ENUM ('SCHEDULED', 'ACTIVE', 'ENDED', 'CANCELED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PriceSchedule" (
+    "id" TEXT NOT NULL,
+    "name" TEXT,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "collectionId" TEXT,
+    "priceAmount" DECIMAL(10,2),
+    "discountType" "DiscountType",
+    "discountValue" DECIMAL(10,2),
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "status" "PriceScheduleStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "originalPrices" JSONB,
+    "appliedAt" TIMESTAMP(3),
+    "revertedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Product_publishAt_idx" ON "Product"("publishAt");
+
+-- CreateIndex
+CREATE INDEX "Product_unpublishAt_idx" ON "Product"("unpublishAt");
+
+-- CreateIndex
+CREATE INDEX "PriceSchedule_status_startsAt_idx" ON "PriceSchedule"("status", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "PriceSchedule_status_endsAt_idx" ON "PriceSchedule"("status", "endsAt");
+
+-- CreateIndex
+CREATE INDEX "PriceSchedule_productId_idx" ON "PriceSchedule"("productId");
+
+-- CreateIndex
+CREATE INDEX "PriceSchedule_variantId_idx" ON "PriceSchedule"("variantId");
+
+-- CreateIndex
+CREATE INDEX "PriceSchedule_collectionId_idx" ON "PriceSchedule"("collectionId");
+
+-- AddForeignKey
+ALTER TABLE "PriceSchedule" ADD CONSTRAINT "PriceSchedule_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceSchedule" ADD CONSTRAINT "PriceSchedule_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceSchedule" ADD CONSTRAINT "PriceSchedule_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "Collection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceSchedule" ADD CONSTRAINT "PriceSchedule_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
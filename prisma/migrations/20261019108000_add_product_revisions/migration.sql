@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "ProductRevisionSource" AS ENUM ('BASELINE', 'CREATE', 'UPDATE', 'BULK_UPDATE', 'IMPORT', 'ROLLBACK');
+
+-- CreateTable
+CREATE TABLE "ProductRevision" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "source" "ProductRevisionSource" NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "changedFields" TEXT[],
+    "authorId" TEXT,
+    "rolledBackTo" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductRevision_authorId_idx" ON "ProductRevision"("authorId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductRevision_productId_number_key" ON "ProductRevision"("productId", "number");
+
+-- AddForeignKey
+ALTER TABLE "ProductRevision" ADD CONSTRAINT "ProductRevision_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductRevision" ADD CONSTRAINT "ProductRevision_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,4 +1,5 @@
 import prisma from '../src/lib/prisma.js';
+import { appendToCollection } from '../src/lib/collection-products.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -19,16 +20,8 @@ async function restore() {
       if (!p.collectionId) continue;
 
       try {
-        // Connect the product to the collection using the new many-to-many relation
-        // implicitly provided by Prisma when we change 'collection' to 'collections'
-        await prisma.product.update({
-          where: { id: p.id },
-          data: {
-            collections: {
-              connect: { id: p.collectionId }
-            }
-          }
-        });
+        // Add the product to the end of the collection's order
+        await appendToCollection(prisma, p.collectionId, [p.id]);
         successCount++;
       } catch (err) {
         console.error(`❌ Failed to restore product ${p.title} (${p.id}):`, err.message);
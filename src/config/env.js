@@ -172,6 +172,14 @@ export function isProductionMode() {
   return isProd;
 }
 
+/**
+ * Whether offline payment mocks (the MOCK provider and the keyless Stripe /
+ * Razorpay mock modes) may take payments: opt-in, and never in production
+ */
+export function arePaymentMocksAllowed() {
+  return !isProd && process.env.PAYMENT_MOCK_ENABLED === "true";
+}
+
 /**
  * Helper: Validate URL format
  */
@@ -229,6 +237,7 @@ export default {
   getEnv,
   isDevMode,
   isProductionMode,
+  arePaymentMocksAllowed,
   printSensitiveVars,
   ENV,
   isDev,
@@ -25,11 +25,22 @@ import authRouter from "./routes/auth.js";
 import cartRouter from "./routes/cart.js";
 import addressesRouter from "./routes/addresses.js";
 import ordersRouter from "./routes/orders.js";
+import returnsRouter from "./routes/returns.js";
+import reviewsRouter from "./routes/reviews.js";
+import wishlistsRouter from "./routes/wishlists.js";
+import stockAlertsRouter from "./routes/stock-alerts.js";
+import inventoryRouter from "./routes/inventory.js";
+import importsRouter from "./routes/imports.js";
+import exportsRouter from "./routes/exports.js";
+import priceSchedulesRouter from "./routes/price-schedules.js";
+import trashRouter from "./routes/trash.js";
 import discountRouter from "./routes/discount.js";
 import tagsRouter from "./routes/tags.js";
 import userRouter from "./routes/users.js";
 import subscriptionsRouter from "./routes/subscriptions.js";
 import paymentRouter from "./routes/payment.js";
+import webhooksRouter from "./routes/webhooks.js";
+import { listEnabledProviders } from "./lib/payment-providers/index.js";
 import customizerRouter from "./routes/customizer.js";
 import adminCustomizerRouter from "./routes/admin-customizer.js";
 import downloadAssetsRouter from "./routes/download-assets.js";
@@ -37,6 +48,9 @@ import variantGroupsRouter from "./routes/variantGroups.js";
 import catalogRouter from "./routes/catalog.js"; // 🆕 Variant Groups
 import orderWorker from "./workers/order-processor.js"; // 🆕 Order Worker
 import emailWorker from "./workers/email-processor.js"; // 🆕 Email Worker
+import importWorker from "./workers/import-processor.js";
+import catalogWorker from "./workers/catalog-processor.js";
+import { scheduleMaintenanceJobs, stopMaintenance } from "./workers/maintenance-processor.js";
 import { isQueueReady } from "./lib/redis.js";
 
 // Order worker auto-starts when imported (BullMQ worker)
@@ -84,6 +98,9 @@ app.use(compression());
 // ✅ Cookie Parser
 app.use(cookieParser());
 
+// ✅ Provider Webhooks (need the raw body for signature checks, so mounted before the JSON parser)
+app.use("/payment/webhooks", express.raw({ type: "*/*", limit: "1mb" }), webhooksRouter);
+
 // ✅ JSON Parser with size limit
 app.use(express.json({ limit: "1mb" }));
 
@@ -133,6 +150,15 @@ app.use("/variant-groups", variantGroupsRouter); // 🆕 Variant Groups
 // ✅ Protected Routes (require authentication)
 app.use("/addresses", addressesRouter);
 app.use("/orders", ordersRouter);
+app.use("/returns", returnsRouter);
+app.use("/reviews", reviewsRouter);
+app.use("/wishlists", wishlistsRouter);
+app.use("/stock-alerts", stockAlertsRouter);
+app.use("/inventory", inventoryRouter);
+app.use("/imports", importsRouter);
+app.use("/exports", exportsRouter);
+app.use("/price-schedules", priceSchedulesRouter);
+app.use("/trash", trashRouter);
 app.use("/discounts", discountRouter);
 app.use("/tags", tagsRouter);
 app.use("/users", userRouter);
@@ -192,9 +218,15 @@ const server = app.listen(port, () => {
   console.log(`✅ API running on http://localhost:${port}`);
   console.log(`📝 Environment: ${isProductionMode() ? "PRODUCTION" : "DEVELOPMENT"}`);
   console.log(`🔐 PHONEPE_MOCK: ${process.env.PHONEPE_MOCK === "true" ? "ENABLED (Mock Mode)" : "DISABLED (Real Mode)"}`);
+  console.log(`💳 Payment providers: ${listEnabledProviders().join(", ")}`);
   console.log("\n");
 });
 
+// Reservation sweeper and other housekeeping jobs
+scheduleMaintenanceJobs().catch((err) => {
+  console.error("❌ Failed to schedule maintenance jobs:", err.message);
+});
+
 // ✅ Graceful Shutdown
 process.on("SIGTERM", async () => {
   console.log("\n⚠️  SIGTERM received. Shutting down gracefully...");
@@ -202,6 +234,9 @@ process.on("SIGTERM", async () => {
     await orderWorker.close();
     console.log("✅ Order worker closed");
   }
+  if (importWorker) await importWorker.close();
+  if (catalogWorker) await catalogWorker.close();
+  await stopMaintenance();
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
@@ -214,6 +249,9 @@ process.on("SIGINT", async () => {
     await orderWorker.close();
     console.log("✅ Order worker closed");
   }
+  if (importWorker) await importWorker.close();
+  if (catalogWorker) await catalogWorker.close();
+  await stopMaintenance();
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
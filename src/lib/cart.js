@@ -0,0 +1,231 @@
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+
+/** Utility to include full cart with related models */
+export const cartInclude = {
+  lines: {
+    include: {
+      product: { include: { images: true } },
+      variant: true,
+      customProduct: {
+        include: {
+          design: true,
+        },
+      },
+    },
+  },
+};
+
+/** 🧮 Utility: format cart response */
+export const formatCart = (cart) => {
+  const subtotal = cart.lines.reduce(
+    (sum, l) => sum + parseFloat(l.priceAmount) * l.quantity,
+    0
+  );
+  const currency =
+    cart.lines.length > 0 ? cart.lines[0].priceCurrency : 'INR';
+
+  return {
+    id: cart.id,
+    totalQuantity: cart.totalQuantity,
+    subtotal: { amount: subtotal.toFixed(2), currencyCode: currency },
+    lines: cart.lines.map((l) => ({
+      id: l.id,
+      quantity: l.quantity,
+      product: l.product ? {
+        id: l.product.id,
+        title: l.product.title,
+        handle: l.product.handle,
+        featuredImage: l.product.featuredImageUrl
+          ? {
+            url: l.product.featuredImageUrl,
+            altText: l.product.featuredImageAlt,
+          }
+          : l.product.images[0]
+            ? {
+              url: l.product.images[0].url,
+              altText: l.product.images[0].altText,
+            }
+            : null,
+      } : null,
+      variant: l.variant
+        ? {
+          id: l.variant.id,
+          selectedOptions: l.variant.selectedOptions,
+        }
+        : null,
+      customProduct: l.customProduct
+        ? {
+          id: l.customProduct.id,
+          title: l.customProduct.title,
+          color: l.customProduct.color,
+          size: l.customProduct.size,
+          previewUrl: l.customProduct.previewUrl,
+          description: l.customProduct.description,
+        }
+        : null,
+      price: {
+        amount: l.priceAmount,
+        currencyCode: l.priceCurrency,
+      },
+      subtotal: {
+        amount: (parseFloat(l.priceAmount) * l.quantity).toFixed(2),
+        currencyCode: l.priceCurrency,
+      },
+    })),
+  };
+};
+
+/** 🧩 Helper: get or create cart (guest or user) */
+export const getOrCreateCart = async (userId = null) => {
+  if (userId) {
+    let cart = await prisma.cart.findFirst({
+      where: { userId },
+      include: cartInclude,
+    });
+    if (!cart) {
+      cart = await prisma.cart.create({
+        data: { userId },
+        include: cartInclude,
+      });
+    }
+    return cart;
+  }
+
+  return await prisma.cart.create({ data: {}, include: cartInclude });
+};
+
+// Lines whose product (directly or through the variant) is in the trash
+const trashedLineWhere = {
+  OR: [{ product: { deletedAt: { not: null } } }, { variant: { product: { deletedAt: { not: null } } } }],
+};
+
+/**
+ * Remove lines for trashed products from a cart. Call before showing it.
+ * @param {string} cartId - Cart id
+ * @returns {Promise<number>} Lines removed
+ */
+export const removeTrashedLines = async (cartId) => {
+  const { count } = await prisma.cartLine.deleteMany({ where: { cartId, ...trashedLineWhere } });
+  if (count) await refreshCartTotals(prisma, cartId);
+  return count;
+};
+
+/**
+ * Reject checkout lines (cart lines or a client snapshot) for trashed
+ * products. Throws 409 so a queued order is not retried.
+ * @param {Array} lines - Lines with productId and/or variantId
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+export const assertProductsAvailable = async (lines, client = prisma) => {
+  const productIds = lines.map((line) => line.productId).filter(Boolean);
+  const variantIds = lines.map((line) => line.variantId).filter(Boolean);
+  if (!productIds.length && !variantIds.length) return;
+
+  const trashed = await client.product.findMany({
+    where: {
+      deletedAt: { not: null },
+      OR: [{ id: { in: productIds } }, { variants: { some: { id: { in: variantIds } } } }],
+    },
+    select: { title: true },
+  });
+  if (trashed.length) {
+    throw httpError(409, `No longer available: ${trashed.map((p) => p.title).join(', ')}`);
+  }
+};
+
+/**
+ * Price a new cart line from the custom product, variant or product.
+ * Rows already loaded by the caller are used as-is; missing ones are looked up.
+ */
+const resolveLinePrice = async (tx, { productId, variantId, customProductId, product, variant, customProduct }) => {
+  if (customProductId) {
+    const custom = customProduct || await tx.customProduct.findUnique({ where: { id: customProductId } });
+    return { priceAmount: custom ? custom.price.toString() : '0', priceCurrency: 'INR' }; // Assuming INR for custom products
+  }
+  if (variantId) {
+    const v = variant || await tx.productVariant.findUnique({ where: { id: variantId } });
+    if (v) return { priceAmount: v.priceAmount.toString(), priceCurrency: v.priceCurrency };
+  } else if (productId) {
+    const p = product || await tx.product.findUnique({ where: { id: productId } });
+    if (p) return { priceAmount: p.minPriceAmount.toString(), priceCurrency: p.minPriceCurrency };
+  }
+  return { priceAmount: '0', priceCurrency: 'INR' };
+};
+
+/**
+ * Add a line to a cart, merging quantities when the same
+ * product + variant (or custom product) is already in it.
+ * Callers validate stock; products in the trash are refused (404).
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {string} params.cartId - Cart id
+ * @param {string} [params.productId]
+ * @param {string} [params.variantId]
+ * @param {string} [params.customProductId]
+ * @param {number} params.quantity - Quantity to add
+ * @param {Object} [params.product] - Already loaded product (price fallback)
+ * @param {Object} [params.variant] - Already loaded variant
+ * @param {Object} [params.customProduct] - Already loaded custom product
+ * @returns {Promise<Object>} Created or updated CartLine
+ */
+export const addCartLine = async (tx, { cartId, productId, variantId, customProductId, quantity, ...loaded }) => {
+  if (productId || variantId) {
+    const trashed = await tx.product.count({
+      where: {
+        deletedAt: { not: null },
+        OR: [...(productId ? [{ id: productId }] : []), ...(variantId ? [{ variants: { some: { id: variantId } } }] : [])],
+      },
+    });
+    if (trashed) throw httpError(404, 'Product not found');
+  }
+
+  const existing = await tx.cartLine.findFirst({
+    where: {
+      cartId,
+      productId: productId || null,
+      variantId: variantId || null,
+      customProductId: customProductId || null,
+    },
+  });
+
+  if (existing) {
+    return tx.cartLine.update({
+      where: { id: existing.id },
+      data: { quantity: existing.quantity + quantity },
+    });
+  }
+
+  const { priceAmount, priceCurrency } = await resolveLinePrice(tx, { productId, variantId, customProductId, ...loaded });
+
+  return tx.cartLine.create({
+    data: {
+      cartId,
+      productId: productId || null,
+      variantId: variantId || null,
+      customProductId: customProductId || null,
+      quantity,
+      priceAmount,
+      priceCurrency,
+    },
+  });
+};
+
+/**
+ * Recalculate Cart.totalQuantity from its lines.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} cartId - Cart id
+ */
+export const refreshCartTotals = async (tx, cartId) => {
+  const total = await tx.cartLine.aggregate({
+    where: { cartId },
+    _sum: { quantity: true },
+  });
+
+  await tx.cart.update({
+    where: { id: cartId },
+    data: { totalQuantity: total._sum.quantity || 0 },
+  });
+};
+
+export default { cartInclude, formatCart, getOrCreateCart, removeTrashedLines, assertProductsAvailable, addCartLine, refreshCartTotals };
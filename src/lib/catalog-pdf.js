@@ -0,0 +1,371 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import axios from 'axios';
+import sharp from 'sharp';
+import prisma from './prisma.js';
+
+// Generated catalogs are kept here until the maintenance sweep removes them
+export const CATALOG_DIR = process.env.CATALOG_DIR || path.join(os.tmpdir(), 'catalogs');
+
+const IMAGE_CONCURRENCY = Number(process.env.CATALOG_IMAGE_CONCURRENCY || 6);
+const FILE_TTL_HOURS = Number(process.env.CATALOG_FILE_TTL_HOURS || 24);
+
+// A4 in PDF points; layouts are drawn before/without a cover page
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+export const DEFAULT_COVER = { show: true, title: 'URBANIC', subtitle: 'PITARA', color: '#1a1a2e', note: null, imageUrl: null };
+
+async function fetchAndCompressImage(url, width = 200) {
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 5000,
+      maxRedirects: 5,
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+    const compressed = await sharp(Buffer.from(response.data))
+      .resize(width, width, { fit: 'cover' })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return compressed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download and shrink images a few at a time instead of one per product
+ * while the PDF is being drawn. Failed downloads map to null.
+ * @param {string[]} urls
+ * @param {number} width - Thumbnail size in px
+ * @returns {Promise<Map<string, Buffer|null>>}
+ */
+const prefetchImages = async (urls, width) => {
+  const images = new Map();
+  const queue = [...new Set(urls.filter(Boolean))];
+  const workers = Array.from({ length: Math.min(IMAGE_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      images.set(url, await fetchAndCompressImage(url, width));
+    }
+  });
+  await Promise.all(workers);
+  return images;
+};
+
+/**
+ * Prisma where clause for the catalog filters. Soft-deleted products are
+ * never included, unpublished ones only with includeUnpublished (admin only).
+ * @param {Object} filters
+ * @param {string} [filters.collection] - Collection handle
+ * @param {string} [filters.tag] - Tag handle
+ * @param {number} [filters.minPrice] - Lowest starting price
+ * @param {number} [filters.maxPrice] - Highest starting price
+ * @param {boolean} [filters.inStock] - Only products with a variant in stock
+ * @param {boolean} [filters.includeUnpublished]
+ * @returns {Object}
+ */
+export const catalogWhere = ({ collection, tag, minPrice, maxPrice, inStock, includeUnpublished } = {}) => ({
+  deletedAt: null,
+  ...(!includeUnpublished && { published: true }),
+  ...(collection && { collections: { some: { collection: { handle: collection } } } }),
+  ...(tag && { tags: { some: { tag: { handle: tag } } } }),
+  ...((minPrice !== undefined || maxPrice !== undefined) && {
+    minPriceAmount: {
+      ...(minPrice !== undefined && { gte: minPrice }),
+      ...(maxPrice !== undefined && { lte: maxPrice }),
+    },
+  }),
+  ...(inStock && { variants: { some: { inventoryQuantity: { gt: 0 } } } }),
+});
+
+export const countCatalogProducts = (filters) => prisma.product.count({ where: catalogWhere(filters) });
+
+const findCatalogProducts = (filters) =>
+  prisma.product.findMany({
+    where: catalogWhere(filters),
+    include: {
+      images: { take: 1, orderBy: { id: 'asc' } },
+      options: { include: { values: true } },
+      collections: { include: { collection: true } },
+      variants: {
+        ...(filters.inStock && { where: { inventoryQuantity: { gt: 0 } } }),
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      },
+    },
+    orderBy: { title: 'asc' },
+  });
+
+const price = (value) => `₹${Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const variantLabel = (selectedOptions) =>
+  (Array.isArray(selectedOptions)
+    ? selectedOptions.map((o) => o?.value)
+    : Object.values(selectedOptions || {})
+  )
+    .filter(Boolean)
+    .join(' / ');
+
+const drawCover = (doc, cover, productCount, coverImage) => {
+  const pw = PAGE_WIDTH;
+  const ph = PAGE_HEIGHT;
+
+  doc.rect(0, 0, pw, ph).fill(cover.color);
+  if (coverImage) {
+    doc.image(coverImage, pw / 2 - 90, ph / 2 - 260, { width: 180, height: 180 });
+  }
+  doc.fontSize(40).font('Helvetica-Bold').fillColor('#fff').text(cover.title, 0, ph / 2 - 60, { align: 'center' });
+  if (cover.subtitle) doc.fontSize(20).fillColor('#f0f0f0').text(cover.subtitle, 0, ph / 2 - 20, { align: 'center' });
+  doc.fontSize(12).fillColor('#aaa').text(`Product Catalog - ${productCount} Products`, 0, ph / 2 + 20, { align: 'center' });
+  doc.fontSize(10).fillColor('#888').text(new Date().toLocaleDateString('en-IN'), 0, ph / 2 + 40, { align: 'center' });
+  if (cover.note) doc.fontSize(10).fillColor('#ccc').text(cover.note, 60, ph / 2 + 70, { width: pw - 120, align: 'center' });
+};
+
+/**
+ * Two-column grid: image, title, price range, options and collection.
+ */
+const drawGrid = (doc, products, images) => {
+  const pw = PAGE_WIDTH;
+  const ph = PAGE_HEIGHT;
+  const margin = 20;
+  const cw = pw - margin * 2;
+
+  const cols = 2;
+  const colW = (cw - 15) / cols;
+  let y = 50;
+  let col = 0;
+
+  doc.addPage();
+  doc.fontSize(18).font('Helvetica-Bold').fillColor('#1a1a2e').text('Products', margin, 20);
+  doc.moveTo(margin, 40).lineTo(pw - margin, 40).strokeColor('#ddd').lineWidth(1).stroke();
+
+  for (const p of products) {
+    if (y + 130 > ph - 40) {
+      doc.addPage();
+      y = 30;
+      col = 0;
+    }
+
+    const x = margin + col * (colW + 15);
+
+    // Image box
+    const imgBoxSize = 80;
+    doc.rect(x, y, imgBoxSize, imgBoxSize).fill('#f5f5f5').strokeColor('#eee').lineWidth(1).stroke();
+    const imgBuf = images.get(p.images?.[0]?.url);
+    if (imgBuf) doc.image(imgBuf, x + 2, y + 2, { width: imgBoxSize - 4, height: imgBoxSize - 4 });
+
+    // Text info - to the right of image
+    const textX = x + imgBoxSize + 8;
+    const textW = colW - imgBoxSize - 15;
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#222');
+    doc.text(p.title?.substring(0, 35) || 'Untitled', textX, y, { width: textW });
+
+    const minPrice = parseFloat(p.minPriceAmount) || 0;
+    const maxPrice = parseFloat(p.maxPriceAmount) || 0;
+    const comparePrice = parseFloat(p.compareMinAmount) || 0;
+
+    if (minPrice > 0) {
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#e63946');
+      doc.text(minPrice === maxPrice ? price(minPrice) : `${price(minPrice)} - ${price(maxPrice)}`, textX, y + 26, { width: textW });
+
+      // Compare price (MRP)
+      if (comparePrice > minPrice) {
+        doc.fontSize(9).fillColor('#888').text(`MRP: ${price(comparePrice)}`, textX, y + 40, { width: textW });
+      }
+    }
+
+    if (p.options?.length) {
+      const optText = p.options.map((o) => `${o.name}: ${o.values.slice(0, 4).map((v) => v.name).join(', ')}`).join(' | ');
+      doc.fontSize(7).fillColor('#555').text(optText.substring(0, 60), textX, y + 52, { width: textW });
+    }
+
+    if (p.collections?.length) {
+      doc.fontSize(7).fillColor('#888').text(`Collection: ${p.collections[0].collection.title}`, textX, y + 64, { width: textW });
+    }
+
+    col++;
+    if (col >= cols) {
+      col = 0;
+      y += imgBoxSize + 20;
+    }
+  }
+
+  // Price summary
+  doc.addPage();
+  doc.fontSize(16).font('Helvetica-Bold').fillColor('#1a1a2e').text('Price Summary', margin, 20);
+  doc.moveTo(margin, 40).lineTo(pw - margin, 40).strokeColor('#ddd').lineWidth(1).stroke();
+
+  y = 60;
+  const ranges = [
+    ['Under ₹1000', (x) => x > 0 && x < 1000],
+    ['₹1000 - ₹2000', (x) => x >= 1000 && x < 2000],
+    ['₹2000 - ₹3000', (x) => x >= 2000 && x < 3000],
+    ['₹3000 - ₹5000', (x) => x >= 3000 && x < 5000],
+    ['Above ₹5000', (x) => x >= 5000],
+  ];
+
+  doc.fontSize(11).font('Helvetica');
+  for (const [label, fn] of ranges) {
+    const count = products.filter((p) => fn(parseFloat(p.minPriceAmount) || 0)).length;
+    doc.fillColor('#333').text(`${label}: ${count} products`, margin, y);
+    y += 18;
+  }
+};
+
+/**
+ * Line sheet for wholesale buyers: one row per variant with SKU,
+ * options, retail (MRP) and wholesale price.
+ */
+const drawLineSheet = (doc, products, images, wholesaleDiscount) => {
+  const pw = PAGE_WIDTH;
+  const ph = PAGE_HEIGHT;
+  const margin = 20;
+  const thumb = 36;
+  const columns = [
+    { label: '', width: thumb + 8 },
+    { label: 'Product', width: 170 },
+    { label: 'SKU', width: 95 },
+    { label: 'Options', width: 90 },
+    { label: 'MRP', width: 70, align: 'right' },
+    { label: `Wholesale (-${wholesaleDiscount}%)`, width: pw - margin * 2 - (thumb + 8) - 170 - 95 - 90 - 70, align: 'right' },
+  ];
+
+  let y;
+  const header = () => {
+    doc.addPage();
+    doc.fontSize(16).font('Helvetica-Bold').fillColor('#1a1a2e').text('Line Sheet', margin, 20);
+    let x = margin;
+    doc.fontSize(8).font('Helvetica-Bold').fillColor('#555');
+    for (const column of columns) {
+      doc.text(column.label, x, 46, { width: column.width - 4, align: column.align || 'left' });
+      x += column.width;
+    }
+    doc.moveTo(margin, 58).lineTo(pw - margin, 58).strokeColor('#ddd').lineWidth(1).stroke();
+    y = 64;
+  };
+
+  header();
+  for (const p of products) {
+    const variants = p.variants.length ? p.variants : [null];
+    const blockHeight = Math.max(thumb, variants.length * 14) + 10;
+    if (y + Math.min(blockHeight, thumb + 24) > ph - 40) header();
+
+    const imgBuf = images.get(p.images?.[0]?.url);
+    if (imgBuf) doc.image(imgBuf, margin, y, { width: thumb, height: thumb });
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('#222');
+    doc.text(p.title || 'Untitled', margin + columns[0].width, y, { width: columns[1].width - 4, height: 24, ellipsis: true });
+
+    let rowY = y;
+    for (const variant of variants) {
+      if (rowY + 14 > ph - 40) {
+        header();
+        rowY = y;
+      }
+      if (variant) {
+        const retail = Number(variant.priceAmount);
+        const cells = [
+          variant.sku || '-',
+          variantLabel(variant.selectedOptions) || '-',
+          price(Math.max(Number(variant.compareAmount || 0), retail)),
+          price((retail * (100 - wholesaleDiscount)) / 100),
+        ];
+        let x = margin + columns[0].width + columns[1].width;
+        doc.fontSize(8).font('Helvetica').fillColor('#333');
+        cells.forEach((value, i) => {
+          const column = columns[i + 2];
+          doc.text(value, x, rowY, { width: column.width - 4, align: column.align || 'left', lineBreak: false });
+          x += column.width;
+        });
+      }
+      rowY += 14;
+    }
+
+    y = Math.max(rowY, y + thumb) + 10;
+    doc.moveTo(margin, y - 5).lineTo(pw - margin, y - 5).strokeColor('#eee').lineWidth(0.5).stroke();
+  }
+};
+
+/**
+ * Render a catalog PDF into a writable stream (HTTP response or file).
+ * Resolves once the document has been fully written.
+ * @param {Object} filters - See catalogWhere()
+ * @param {Object} options
+ * @param {'grid'|'linesheet'} [options.layout]
+ * @param {Object} [options.cover] - Overrides for DEFAULT_COVER
+ * @param {number} [options.wholesaleDiscount] - Percent off retail for the line sheet
+ * @param {import('stream').Writable} output
+ * @returns {Promise<{ products: number }>}
+ */
+export const renderCatalogPdf = async (filters, { layout = 'grid', cover = {}, wholesaleDiscount = 0 } = {}, output) => {
+  const products = await findCatalogProducts(filters);
+  const coverOptions = { ...DEFAULT_COVER, ...cover };
+
+  const images = await prefetchImages(
+    [...products.map((p) => p.images?.[0]?.url), coverOptions.show && coverOptions.imageUrl],
+    layout === 'linesheet' ? 100 : 150
+  );
+
+  const doc = new PDFDocument({ size: 'A4', margins: { top: 30, bottom: 30, left: 20, right: 20 }, autoFirstPage: false });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+  doc.pipe(output);
+
+  if (coverOptions.show) {
+    doc.addPage();
+    drawCover(doc, coverOptions, products.length, images.get(coverOptions.imageUrl));
+  }
+  if (layout === 'linesheet') drawLineSheet(doc, products, images, wholesaleDiscount);
+  else drawGrid(doc, products, images);
+
+  doc.end();
+  await finished;
+  return { products: products.length };
+};
+
+export const catalogFilePath = (jobId) => path.join(CATALOG_DIR, `catalog-${jobId}.pdf`);
+
+/**
+ * Render a catalog to CATALOG_DIR for a background job.
+ * @returns {Promise<{ file: string, bytes: number, products: number }>}
+ */
+export const generateCatalogFile = async (jobId, filters, options) => {
+  await fs.promises.mkdir(CATALOG_DIR, { recursive: true });
+  const file = catalogFilePath(jobId);
+  const { products } = await renderCatalogPdf(filters, options, fs.createWriteStream(file));
+  const { size } = await fs.promises.stat(file);
+  return { file, bytes: size, products };
+};
+
+/**
+ * Delete generated catalogs older than CATALOG_FILE_TTL_HOURS.
+ * Run periodically by the maintenance worker.
+ * @returns {Promise<{ removed: number }>}
+ */
+export const removeExpiredCatalogs = async () => {
+  const cutoff = Date.now() - FILE_TTL_HOURS * 60 * 60 * 1000;
+  let names;
+  try {
+    names = await fs.promises.readdir(CATALOG_DIR);
+  } catch {
+    return { removed: 0 }; // Nothing generated yet
+  }
+
+  let removed = 0;
+  for (const name of names.filter((n) => n.startsWith('catalog-'))) {
+    const file = path.join(CATALOG_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(file);
+    if (mtimeMs < cutoff) {
+      await fs.promises.unlink(file);
+      removed += 1;
+    }
+  }
+  return { removed };
+};
+
+export default { catalogWhere, countCatalogProducts, renderCatalogPdf, generateCatalogFile, removeExpiredCatalogs };
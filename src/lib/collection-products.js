@@ -0,0 +1,156 @@
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+import { inIdOrder } from './search.js';
+
+// Manual order of a collection: pinned products first, then by position
+const MANUAL_ORDER = [{ pinned: 'desc' }, { position: 'asc' }, { productId: 'asc' }];
+
+/**
+ * Add products to the end of a collection's manual order. Products that are
+ * already in the collection keep their place.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} collectionId
+ * @param {string[]} productIds
+ * @returns {Promise<number>} Number of products added
+ */
+export const appendToCollection = async (client, collectionId, productIds) => {
+  const ids = [...new Set(productIds)];
+  if (!ids.length) return 0;
+
+  const { _max } = await client.collectionProduct.aggregate({ where: { collectionId }, _max: { position: true } });
+  const start = (_max.position ?? -1) + 1;
+  const { count } = await client.collectionProduct.createMany({
+    data: ids.map((productId, i) => ({ collectionId, productId, position: start + i })),
+    skipDuplicates: true,
+  });
+  return count;
+};
+
+/**
+ * Remove products from a collection.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} collectionId
+ * @param {string[]} productIds
+ * @returns {Promise<number>} Number of products removed
+ */
+export const removeFromCollection = async (client, collectionId, productIds) => {
+  if (!productIds.length) return 0;
+  const { count } = await client.collectionProduct.deleteMany({ where: { collectionId, productId: { in: productIds } } });
+  return count;
+};
+
+/**
+ * Make a product a member of exactly these collections. Collections it
+ * newly joins get it at the end of their order.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} productId
+ * @param {string[]} collectionIds
+ * @returns {Promise<void>}
+ */
+export const setProductCollections = async (client, productId, collectionIds) => {
+  const ids = [...new Set(collectionIds)];
+  const current = await client.collectionProduct.findMany({ where: { productId }, select: { collectionId: true } });
+  const currentIds = new Set(current.map((c) => c.collectionId));
+
+  await client.collectionProduct.deleteMany({ where: { productId, collectionId: { notIn: ids } } });
+  for (const collectionId of ids) {
+    if (!currentIds.has(collectionId)) await appendToCollection(client, collectionId, [productId]);
+  }
+};
+
+/**
+ * One page of a collection's products. Without `orderBy` they come in the
+ * manual order; with a field sort the pinned products still come first, in
+ * their manual order, followed by the rest sorted by the field. Trashed
+ * products are left out.
+ * @param {string} collectionId
+ * @param {Object} [options]
+ * @param {Object} [options.orderBy] - Prisma product orderBy
+ * @param {number} [options.skip]
+ * @param {number} [options.take] - Page size; every product when omitted
+ * @param {Object} [options.include] - Prisma product include
+ * @returns {Promise<Array<Object>>}
+ */
+export const listCollectionProducts = async (collectionId, { orderBy, skip = 0, take, include } = {}) => {
+  if (!orderBy) {
+    const links = await prisma.collectionProduct.findMany({
+      where: { collectionId, product: { deletedAt: null } },
+      orderBy: MANUAL_ORDER,
+      skip,
+      take,
+      include: { product: { include } },
+    });
+    return links.map((link) => link.product);
+  }
+
+  const pinned = await prisma.collectionProduct.findMany({
+    where: { collectionId, pinned: true, product: { deletedAt: null } },
+    orderBy: MANUAL_ORDER,
+    select: { productId: true },
+  });
+  const pinnedIds = pinned.slice(skip, take === undefined ? undefined : skip + take).map((link) => link.productId);
+  const restTake = take === undefined ? undefined : take - pinnedIds.length;
+
+  const [pinnedProducts, rest] = await Promise.all([
+    pinnedIds.length ? prisma.product.findMany({ where: { id: { in: pinnedIds } }, include }) : [],
+    restTake === 0
+      ? []
+      : prisma.product.findMany({
+          where: { deletedAt: null, collections: { some: { collectionId, pinned: false } } },
+          orderBy: [orderBy, { id: 'asc' }],
+          skip: Math.max(skip - pinned.length, 0),
+          take: restTake,
+          include,
+        }),
+  ]);
+  return [...inIdOrder(pinnedProducts, pinnedIds), ...rest];
+};
+
+/**
+ * Rewrite a collection's manual order. The given products come first, in
+ * that order; the others keep their relative order after them.
+ * @param {string} collectionId
+ * @param {string[]} productIds - Ordered product ids
+ * @param {string[]} [pinnedIds] - Products to pin; replaces the pinned set when given
+ * @returns {Promise<{ updated: number }>}
+ */
+export const reorderCollection = async (collectionId, productIds, pinnedIds) => {
+  const links = await prisma.collectionProduct.findMany({
+    where: { collectionId },
+    orderBy: MANUAL_ORDER,
+    select: { productId: true, position: true, pinned: true },
+  });
+  const current = new Map(links.map((link) => [link.productId, link]));
+
+  const unknown = [...new Set([...productIds, ...(pinnedIds || [])])].filter((id) => !current.has(id));
+  if (unknown.length) throw httpError(400, `Products not in this collection: ${unknown.join(', ')}`);
+
+  const listed = new Set(productIds);
+  const order = [...listed, ...links.map((link) => link.productId).filter((id) => !listed.has(id))];
+  const pinned = new Set(pinnedIds || links.filter((link) => link.pinned).map((link) => link.productId));
+
+  const updates = order
+    .map((productId, position) => ({ productId, position, pinned: pinned.has(productId) }))
+    .filter(({ productId, position, pinned }) => {
+      const link = current.get(productId);
+      return link.position !== position || link.pinned !== pinned;
+    });
+
+  await prisma.$transaction(
+    updates.map(({ productId, position, pinned }) =>
+      prisma.collectionProduct.update({
+        where: { collectionId_productId: { collectionId, productId } },
+        data: { position, pinned },
+      })
+    )
+  );
+  return { updated: updates.length };
+};
+
+export default {
+  appendToCollection,
+  removeFromCollection,
+  setProductCollections,
+  listCollectionProducts,
+  reorderCollection,
+};
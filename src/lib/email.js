@@ -241,6 +241,32 @@ export async function sendCustomEmail({ to, subject, html, text }) {
   return sendEmail({ to, subject, text, html: emailHtml });
 }
 
+/**
+ * 6. Back-in-Stock / Price-Drop Alert
+ */
+export async function sendStockAlertEmail({ to, type, productTitle, variantLabel, price, previousPrice, productUrl, unsubscribeUrl }) {
+  const name = variantLabel ? `${productTitle} (${variantLabel})` : productTitle;
+  const isPriceDrop = type === 'PRICE_DROP';
+
+  const subject = isPriceDrop ? `Price drop: ${productTitle}` : `Back in stock: ${productTitle}`;
+  const headline = isPriceDrop
+    ? `${name} is now ₹${price} (was ₹${previousPrice}).`
+    : `${name} is back in stock.`;
+  const text = `${headline}\n\nShop now: ${productUrl}\n\nThis was a one-time alert. Unsubscribe: ${unsubscribeUrl}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #333;">
+      <h2>${isPriceDrop ? 'Good news, the price dropped!' : 'It\'s back! 🎉'}</h2>
+      <p>${headline}</p>
+      <p>
+        <a href="${productUrl}" style="background: #000; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Shop Now</a>
+      </p>
+      <p style="font-size: 12px; color: #888;">This was a one-time alert. <a href="${unsubscribeUrl}">Unsubscribe</a></p>
+    </div>
+  `;
+
+  return sendEmail({ to, subject, text, html });
+}
+
 export default {
   sendWelcomeEmail,
   sendPasswordResetEmail,
@@ -248,4 +274,5 @@ export default {
   sendOwnerOrderNotification,
   sendAdminGeneratedPasswordEmail,
   sendCustomEmail,
+  sendStockAlertEmail,
 };
@@ -0,0 +1,15 @@
+/**
+ * Build an Error that carries an HTTP status code.
+ * The centralized error handler in src/index.js reads `err.status`,
+ * so library code can throw these and let routes simply call next(err).
+ * @param {number} status - HTTP status code
+ * @param {string} message - Client-facing error message
+ * @returns {Error}
+ */
+export const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export default httpError;
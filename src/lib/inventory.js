@@ -0,0 +1,439 @@
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+import { actorFor, applyPaymentStatus, transitionOrder } from './order-status.js';
+import { defaultLocationId, planAllocation, primaryLocationOf } from './locations.js';
+import { notifyVariantAlerts } from './stock-alerts.js';
+
+// Prepaid (non-COD) orders hold their stock for this long while awaiting payment
+export const RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES || 30);
+
+/**
+ * Find the variant a cart/order line draws stock from.
+ * Lines without a variantId fall back to the product's first variant;
+ * custom products have no inventory and resolve to null.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} line - Line with productId / variantId / customProductId
+ * @returns {Promise<string|null>} Variant id
+ */
+const resolveVariantId = async (client, line) => {
+  if (line.customProductId) return null;
+  if (line.variantId) return line.variantId;
+  if (!line.productId) return null;
+
+  const variant = await client.productVariant.findFirst({
+    where: { productId: line.productId },
+    select: { id: true },
+  });
+  return variant?.id || null;
+};
+
+/**
+ * Sum requested quantities per variant so two lines for the same variant
+ * are checked against stock together.
+ */
+const groupByVariant = async (client, lines) => {
+  const totals = new Map();
+  for (const line of lines) {
+    const variantId = await resolveVariantId(client, line);
+    if (!variantId) continue;
+    totals.set(variantId, (totals.get(variantId) || 0) + line.quantity);
+  }
+  return totals;
+};
+
+/**
+ * 409 describing a variant that cannot cover a requested quantity.
+ */
+const shortageError = async (client, variantId, quantity) => {
+  const variant = await client.productVariant.findUnique({
+    where: { id: variantId },
+    select: { sku: true, inventoryQuantity: true },
+  });
+  return httpError(
+    409,
+    variant
+      ? `Insufficient stock for ${variant.sku || variantId}: ${variant.inventoryQuantity} left, ${quantity} requested`
+      : `Variant ${variantId} no longer exists`
+  );
+};
+
+/**
+ * Append an entry to a variant's inventory ledger.
+ * @param {Object} tx - Transaction client
+ * @param {Object} params
+ * @param {string} params.variantId - Variant id
+ * @param {string} [params.locationId] - Location whose stock changed
+ * @param {number} params.delta - Stock change (negative = out)
+ * @param {number} params.quantityAfter - Variant stock (all locations) once the change applied
+ * @param {string} params.reason - InventoryMovementReason
+ * @param {string} [params.referenceType] - What caused it (ORDER, RETURN, PRODUCT, ...)
+ * @param {string} [params.referenceId] - Id of that record
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM)
+ * @param {string} [params.note] - Free-text note
+ */
+const recordMovement = (tx, { variantId, locationId, delta, quantityAfter, reason, referenceType, referenceId, actor = null, note }) =>
+  tx.inventoryMovement.create({
+    data: {
+      variantId,
+      locationId: locationId || null,
+      delta,
+      quantityAfter,
+      reason,
+      referenceType: referenceType || null,
+      referenceId: referenceId || null,
+      ...actorFor(actor),
+      note: note || null,
+    },
+  });
+
+/**
+ * Change a variant's stock at one location by a delta and record why.
+ * ProductVariant.inventoryQuantity (the sum over locations) moves with it.
+ * Every stock write outside reserveStock()/releaseStock() should go through
+ * here or setInventory() so the ledger explains the current quantity.
+ * @param {Object} tx - Transaction client
+ * @param {Object} params - variantId, delta, optional locationId (default
+ *   location when omitted) and the movement details (see recordMovement)
+ * @returns {Promise<number|null>} Variant stock after the change (null when delta is 0)
+ */
+export const adjustInventory = async (tx, { variantId, delta, locationId = null, ...movement }) => {
+  if (!delta) return null;
+
+  const location = locationId || (await defaultLocationId(tx));
+  await tx.inventoryLevel.upsert({
+    where: { variantId_locationId: { variantId, locationId: location } },
+    create: { variantId, locationId: location, quantity: delta },
+    update: { quantity: { increment: delta } },
+  });
+
+  const variant = await tx.productVariant.update({
+    where: { id: variantId },
+    data: { inventoryQuantity: { increment: delta } },
+    select: { inventoryQuantity: true },
+  });
+  await recordMovement(tx, { variantId, locationId: location, delta, quantityAfter: variant.inventoryQuantity, ...movement });
+  return variant.inventoryQuantity;
+};
+
+/**
+ * Atomically take stock from one location, failing with a 409 instead of
+ * going negative. Used for allocations and outgoing transfers.
+ * @param {Object} tx - Transaction client
+ * @param {Object} params - variantId, locationId, quantity and the movement details
+ * @returns {Promise<number>} Variant stock after the change
+ */
+export const takeFromLocation = async (tx, { variantId, locationId, quantity, ...movement }) => {
+  const { count } = await tx.inventoryLevel.updateMany({
+    where: { variantId, locationId, quantity: { gte: quantity } },
+    data: { quantity: { decrement: quantity } },
+  });
+  if (count === 0) throw await shortageError(tx, variantId, quantity);
+
+  const variant = await tx.productVariant.update({
+    where: { id: variantId },
+    data: { inventoryQuantity: { decrement: quantity } },
+    select: { inventoryQuantity: true },
+  });
+  await recordMovement(tx, { variantId, locationId, delta: -quantity, quantityAfter: variant.inventoryQuantity, ...movement });
+  return variant.inventoryQuantity;
+};
+
+/**
+ * Set a variant's total stock to an absolute quantity (admin edits, imports).
+ * The difference is applied as a delta at the given (or default) location
+ * so the ledger always sums up.
+ * @param {Object} tx - Transaction client
+ * @param {Object} params - variantId, quantity and the movement details (see recordMovement)
+ * @returns {Promise<number>} Stock after the change
+ */
+export const setInventory = async (tx, { variantId, quantity, ...movement }) => {
+  const current = await tx.productVariant.findUnique({
+    where: { id: variantId },
+    select: { inventoryQuantity: true },
+  });
+  if (!current) throw httpError(404, `Variant ${variantId} not found`);
+
+  const after = await adjustInventory(tx, { variantId, delta: quantity - current.inventoryQuantity, ...movement });
+  return after ?? current.inventoryQuantity;
+};
+
+/**
+ * Record the opening stock of freshly created variants, placing it at
+ * the given (or default) location.
+ * @param {Object} tx - Transaction client
+ * @param {Array<{ id: string, inventoryQuantity: number }>} variants - Created variants
+ * @param {Object} movement - locationId, reason, reference, actor and note (see recordMovement)
+ */
+export const recordInitialStock = async (tx, variants, { locationId = null, ...movement }) => {
+  const stocked = variants.filter((variant) => variant.inventoryQuantity);
+  if (!stocked.length) return;
+
+  const location = locationId || (await defaultLocationId(tx));
+  for (const variant of stocked) {
+    await tx.inventoryLevel.create({
+      data: { variantId: variant.id, locationId: location, quantity: variant.inventoryQuantity },
+    });
+    await recordMovement(tx, {
+      variantId: variant.id,
+      locationId: location,
+      delta: variant.inventoryQuantity,
+      quantityAfter: variant.inventoryQuantity,
+      ...movement,
+    });
+  }
+};
+
+// ----------------------- VARIANT REMOVAL ----------------------- //
+
+// Orders that may still be canceled or shipped from their allocations
+const OPEN_ORDER_STATUSES = ['PENDING', 'PROCESSING', 'SHIPPED'];
+
+/**
+ * Refuse to remove variants that open orders or in-transit transfers still
+ * need, with a 409.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string[]} variantIds
+ */
+export const assertVariantsRemovable = async (client, variantIds) => {
+  if (!variantIds.length) return;
+
+  const [ordered, inTransit] = await Promise.all([
+    client.orderItem.findMany({
+      where: { variantId: { in: variantIds }, order: { status: { in: OPEN_ORDER_STATUSES } } },
+      select: { variant: { select: { sku: true } } },
+      distinct: ['variantId'],
+    }),
+    client.inventoryTransferItem.findMany({
+      where: { variantId: { in: variantIds }, transfer: { status: 'IN_TRANSIT' } },
+      select: { variant: { select: { sku: true } } },
+      distinct: ['variantId'],
+    }),
+  ]);
+
+  const label = (items) => items.map((item) => item.variant.sku || 'without SKU').join(', ');
+  if (ordered.length) throw httpError(409, `Variants on open orders cannot be removed: ${label(ordered)}`);
+  if (inTransit.length) throw httpError(409, `Variants in an open transfer cannot be removed: ${label(inTransit)}`);
+};
+
+/**
+ * Take variants off sale for good. Remaining stock is written off per
+ * location so the ledger records it leaving. Variants with stock history,
+ * orders or allocations are archived (availableForSale=false) to keep that
+ * history; the rest are deleted. Cart lines for them are removed.
+ * Call assertVariantsRemovable() first.
+ * @param {Object} tx - Transaction client
+ * @param {string[]} variantIds
+ * @param {Object} movement - reason, reference, actor and note (see recordMovement)
+ * @returns {Promise<{ deleted: string[], archived: string[] }>}
+ */
+export const removeVariants = async (tx, variantIds, movement) => {
+  if (!variantIds.length) return { deleted: [], archived: [] };
+
+  const levels = await tx.inventoryLevel.findMany({ where: { variantId: { in: variantIds }, quantity: { not: 0 } } });
+  for (const level of levels) {
+    await adjustInventory(tx, { variantId: level.variantId, locationId: level.locationId, delta: -level.quantity, ...movement });
+  }
+  // Stock with no level behind it (written before locations) goes from the default location
+  const unplaced = await tx.productVariant.findMany({
+    where: { id: { in: variantIds }, inventoryQuantity: { not: 0 } },
+    select: { id: true, inventoryQuantity: true },
+  });
+  for (const variant of unplaced) {
+    await adjustInventory(tx, { variantId: variant.id, delta: -variant.inventoryQuantity, ...movement });
+  }
+
+  const withHistory = await tx.productVariant.findMany({
+    where: {
+      id: { in: variantIds },
+      OR: [{ inventoryMovements: { some: {} } }, { orderItems: { some: {} } }, { orderAllocations: { some: {} } }],
+    },
+    select: { id: true },
+  });
+  const archived = withHistory.map((v) => v.id);
+  const deleted = variantIds.filter((id) => !archived.includes(id));
+
+  await tx.cartLine.deleteMany({ where: { variantId: { in: variantIds } } });
+  if (archived.length) {
+    await tx.productVariant.updateMany({ where: { id: { in: archived } }, data: { availableForSale: false } });
+  }
+  if (deleted.length) await tx.productVariant.deleteMany({ where: { id: { in: deleted } } });
+  return { deleted, archived };
+};
+
+/**
+ * Read-only stock check, used to fail fast before an order is queued.
+ * The authoritative check happens in reserveStock().
+ * @param {Array} lines - Cart lines
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+export const assertStockAvailable = async (lines, client = prisma) => {
+  const totals = await groupByVariant(client, lines);
+  if (totals.size === 0) return;
+
+  const variants = await client.productVariant.findMany({
+    where: { id: { in: [...totals.keys()] } },
+    select: { id: true, sku: true, inventoryQuantity: true },
+  });
+
+  const short = variants.filter((variant) => variant.inventoryQuantity < totals.get(variant.id));
+  if (short.length > 0) {
+    throw httpError(409, `Insufficient stock for ${short.map((v) => v.sku || v.id).join(', ')}`);
+  }
+};
+
+/**
+ * Atomically decrement stock for every line, allocating it to fulfillment
+ * locations (see planAllocation). Each location's decrement only applies
+ * while enough stock remains there, so concurrent checkouts cannot
+ * oversell; a short variant throws a 409 and the surrounding transaction
+ * rolls back.
+ * With an orderId the allocation is stored on the order (so a cancellation
+ * returns stock where it came from) and the delivery pincode is read from
+ * its shipping address.
+ * @param {Object} tx - Transaction client
+ * @param {Array} lines - Cart or order lines
+ * @param {Object} [options] - orderId, zip and ledger details; reason defaults to SALE
+ * @returns {Promise<Array<{ variantId: string, locationId: string, quantity: number }>>} Allocation
+ */
+export const reserveStock = async (tx, lines, { reason = 'SALE', orderId = null, zip = null, ...movement } = {}) => {
+  const totals = await groupByVariant(tx, lines);
+  if (totals.size === 0) return [];
+
+  let pincode = zip;
+  if (orderId && !pincode) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      select: { shippingAddress: { select: { zip: true } } },
+    });
+    pincode = order?.shippingAddress?.zip || null;
+  }
+
+  const plan = await planAllocation(tx, totals, pincode);
+  for (const { variantId, locationId, quantity } of plan) {
+    if (!locationId) throw await shortageError(tx, variantId, totals.get(variantId));
+    await takeFromLocation(tx, {
+      variantId,
+      locationId,
+      quantity,
+      reason,
+      ...(orderId && { referenceType: 'ORDER', referenceId: orderId }),
+      ...movement,
+    });
+  }
+
+  if (orderId) {
+    await tx.orderAllocation.createMany({ data: plan.map((entry) => ({ orderId, ...entry })) });
+    await tx.order.update({ where: { id: orderId }, data: { fulfillmentLocationId: primaryLocationOf(plan) } });
+  }
+  return plan;
+};
+
+/**
+ * Put stock back for order lines (cancellation or expired reservation).
+ * With an orderId, stock returns to the locations it was allocated from;
+ * anything without an allocation (older orders) goes to the default location.
+ * @param {Object} tx - Transaction client
+ * @param {Array} lines - Order items
+ * @param {Object} [options] - orderId and ledger details; reason defaults to CANCEL
+ * @returns {Promise<string[]>} Ids of the restocked variants
+ */
+export const releaseStock = async (tx, lines, { reason = 'CANCEL', orderId = null, ...movement } = {}) => {
+  const totals = await groupByVariant(tx, lines);
+  const details = { reason, ...(orderId && { referenceType: 'ORDER', referenceId: orderId }), ...movement };
+
+  const allocations = orderId ? await tx.orderAllocation.findMany({ where: { orderId } }) : [];
+  for (const allocation of allocations) {
+    const remaining = totals.get(allocation.variantId) || 0;
+    const quantity = Math.min(remaining, allocation.quantity);
+    if (!quantity) continue;
+
+    await adjustInventory(tx, { variantId: allocation.variantId, locationId: allocation.locationId, delta: quantity, ...details });
+    totals.set(allocation.variantId, remaining - quantity);
+  }
+  if (orderId) await tx.orderAllocation.deleteMany({ where: { orderId } });
+
+  for (const [variantId, quantity] of totals) {
+    await adjustInventory(tx, { variantId, delta: quantity, ...details });
+  }
+  return [...totals.keys()];
+};
+
+/**
+ * When a new order's reservation should lapse. COD orders are not
+ * paid up front, so they keep their stock until canceled.
+ * @param {string} paymentMethod - Payment method (upper-case)
+ * @returns {Date|null}
+ */
+export const reservationExpiry = (paymentMethod) => {
+  if (!paymentMethod || paymentMethod === 'COD') return null;
+  return new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+};
+
+/**
+ * Cancel prepaid orders whose reservation lapsed without payment and
+ * return their stock. Run periodically by the maintenance worker.
+ * @returns {Promise<{ released: number }>}
+ */
+export const releaseExpiredReservations = async () => {
+  const expired = await prisma.order.findMany({
+    where: {
+      status: 'PENDING',
+      reservationExpiresAt: { lt: new Date() },
+    },
+    select: { id: true },
+    take: 100,
+  });
+
+  let released = 0;
+  const restocked = [];
+
+  for (const { id } of expired) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        // Lock the payment before the order, as settleTransaction() does, and
+        // re-read: the payment may have landed meanwhile
+        await tx.$queryRaw`SELECT id FROM "Payment" WHERE "orderId" = ${id} FOR UPDATE`;
+        await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${id} FOR UPDATE`;
+        const order = await tx.order.findUnique({ where: { id }, include: { items: true, payment: true } });
+        if (!order || order.status !== 'PENDING' || !order.reservationExpiresAt) return;
+        if (order.payment?.status === 'PAID') return;
+
+        restocked.push(...(await releaseStock(tx, order.items, { orderId: order.id, note: 'Reservation expired' })));
+        await transitionOrder(tx, {
+          order,
+          toStatus: 'CANCELED',
+          note: 'Payment not received before the reservation expired',
+          data: { cancelReason: 'Payment not received in time', reservationExpiresAt: null },
+        });
+
+        if (order.payment && order.payment.status === 'INITIATED') {
+          await applyPaymentStatus(tx, { payment: order.payment, status: 'FAILED', note: 'Reservation expired' });
+        }
+        released += 1;
+      });
+    } catch (error) {
+      console.error(`Failed to release reservation for order ${id}:`, error.message);
+    }
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} expired reservation(s)`);
+    await notifyVariantAlerts(restocked);
+  }
+  return { released };
+};
+
+export default {
+  RESERVATION_MINUTES,
+  adjustInventory,
+  takeFromLocation,
+  setInventory,
+  recordInitialStock,
+  assertVariantsRemovable,
+  removeVariants,
+  assertStockAvailable,
+  reserveStock,
+  releaseStock,
+  reservationExpiry,
+  releaseExpiredReservations,
+};
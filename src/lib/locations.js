@@ -0,0 +1,112 @@
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+
+// Rank given to locations with no pincode rule matching the delivery address
+const UNRANKED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Location that receives stock when none is specified (admin edits,
+ * legacy orders): the active location with the best priority.
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<string>} Location id
+ */
+export const defaultLocationId = async (client = prisma) => {
+  const location = await client.location.findFirst({
+    where: { active: true },
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+    select: { id: true },
+  });
+  if (!location) throw httpError(409, 'No active stock location is configured');
+  return location.id;
+};
+
+/**
+ * How close a location is to a pincode according to its rules:
+ * the lowest matching rank, longer prefixes winning ties.
+ */
+const proximityOf = (rules, pincode) => {
+  let best = null;
+  for (const rule of rules) {
+    if (!pincode.startsWith(rule.prefix)) continue;
+    if (!best || rule.rank < best.rank || (rule.rank === best.rank && rule.prefix.length > best.prefix.length)) {
+      best = rule;
+    }
+  }
+  return best ? { rank: best.rank, specificity: best.prefix.length } : { rank: UNRANKED, specificity: 0 };
+};
+
+/**
+ * Active locations in the order they should fulfil a delivery:
+ * closest by the pincode proximity table first, then by priority.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string|null} zip - Delivery pincode
+ * @returns {Promise<Array>} Locations, best first
+ */
+export const rankLocations = async (client, zip) => {
+  const pincode = (zip || '').replace(/\s/g, '');
+  const locations = await client.location.findMany({
+    where: { active: true },
+    include: { pincodeRules: true },
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  return locations
+    .map((location) => ({ location, ...proximityOf(location.pincodeRules, pincode) }))
+    .sort((a, b) => a.rank - b.rank || b.specificity - a.specificity || a.location.priority - b.location.priority)
+    .map(({ location }) => location);
+};
+
+/**
+ * Decide which locations supply an order. A single location that can ship
+ * everything is preferred (closest first); otherwise each variant is drawn
+ * from the closest locations holding it, split across several if needed.
+ * Quantities that no location can cover come back with locationId null.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Map<string, number>} totals - Quantity per variant id
+ * @param {string|null} zip - Delivery pincode
+ * @returns {Promise<Array<{ variantId: string, locationId: string|null, quantity: number }>>}
+ */
+export const planAllocation = async (client, totals, zip) => {
+  const ranked = await rankLocations(client, zip);
+  const levels = await client.inventoryLevel.findMany({
+    where: { variantId: { in: [...totals.keys()] }, locationId: { in: ranked.map((l) => l.id) } },
+  });
+  const stock = new Map(levels.map((level) => [`${level.variantId}:${level.locationId}`, level.quantity]));
+  const available = (variantId, locationId) => stock.get(`${variantId}:${locationId}`) || 0;
+
+  const single = ranked.find((location) =>
+    [...totals].every(([variantId, quantity]) => available(variantId, location.id) >= quantity)
+  );
+  if (single) {
+    return [...totals].map(([variantId, quantity]) => ({ variantId, locationId: single.id, quantity }));
+  }
+
+  const plan = [];
+  for (const [variantId, quantity] of totals) {
+    let remaining = quantity;
+    for (const location of ranked) {
+      const take = Math.min(remaining, available(variantId, location.id));
+      if (take <= 0) continue;
+      plan.push({ variantId, locationId: location.id, quantity: take });
+      remaining -= take;
+      if (remaining === 0) break;
+    }
+    if (remaining > 0) plan.push({ variantId, locationId: null, quantity: remaining });
+  }
+  return plan;
+};
+
+/**
+ * Location supplying the most units of an allocation plan; it ships the order.
+ * @param {Array<{ locationId: string, quantity: number }>} plan
+ * @returns {string|null} Location id
+ */
+export const primaryLocationOf = (plan) => {
+  const units = new Map();
+  for (const { locationId, quantity } of plan) {
+    units.set(locationId, (units.get(locationId) || 0) + quantity);
+  }
+  return [...units].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+export default { defaultLocationId, rankLocations, planAllocation, primaryLocationOf };
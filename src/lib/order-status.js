@@ -0,0 +1,207 @@
+import { OrderStatus } from '@prisma/client';
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+
+/**
+ * Order status state machine.
+ * Every status change must go through transitionOrder() so that illegal
+ * moves (e.g. DELIVERED → PENDING) are rejected and the change lands on
+ * the order timeline as an OrderEvent.
+ */
+export const ORDER_TRANSITIONS = {
+  [OrderStatus.PENDING]: [OrderStatus.PROCESSING, OrderStatus.CANCELED],
+  [OrderStatus.PROCESSING]: [OrderStatus.SHIPPED, OrderStatus.CANCELED, OrderStatus.REFUNDED],
+  [OrderStatus.SHIPPED]: [OrderStatus.DELIVERED, OrderStatus.CANCELED, OrderStatus.REFUNDED], // CANCELED = returned to origin
+  [OrderStatus.DELIVERED]: [OrderStatus.PARTIALLY_REFUNDED, OrderStatus.REFUNDED],
+  [OrderStatus.CANCELED]: [OrderStatus.PARTIALLY_REFUNDED, OrderStatus.REFUNDED], // prepaid orders canceled after payment
+  [OrderStatus.PARTIALLY_REFUNDED]: [OrderStatus.REFUNDED],
+  [OrderStatus.REFUNDED]: [],
+};
+
+/**
+ * Check whether an order may move from one status to another.
+ * Staying on the same status is always allowed (no-op).
+ * @param {string|null} from - Current status (null is treated as PENDING)
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => {
+  const current = from || OrderStatus.PENDING;
+  if (current === to) return true;
+  return (ORDER_TRANSITIONS[current] || []).includes(to);
+};
+
+/**
+ * Throw a 409 if the move is not in the transition table.
+ * @param {string|null} from - Current status
+ * @param {string} to - Requested status
+ */
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const allowed = ORDER_TRANSITIONS[from || OrderStatus.PENDING] || [];
+    throw httpError(
+      409,
+      `Cannot change order status from ${from || OrderStatus.PENDING} to ${to}. Allowed: ${allowed.length ? allowed.join(', ') : 'none'}`
+    );
+  }
+};
+
+/**
+ * Describe who performed an action for the timeline.
+ * @param {Object|null} user - req.user or null for background jobs/providers
+ * @returns {{ actorId: string|null, actorType: string }}
+ */
+export const actorFor = (user) => {
+  if (!user) return { actorId: null, actorType: 'SYSTEM' };
+  return { actorId: user.id, actorType: user.isAdmin ? 'ADMIN' : 'CUSTOMER' };
+};
+
+/**
+ * Append an entry to an order's timeline.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} params
+ * @param {string} params.orderId - Order id
+ * @param {string} params.type - OrderEventType
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM)
+ * @param {string} [params.fromStatus] - Previous status (order or payment)
+ * @param {string} [params.toStatus] - New status (order or payment)
+ * @param {string} [params.note] - Free-text note
+ * @param {Object} [params.data] - Extra structured details
+ * @returns {Promise<Object>} Created OrderEvent
+ */
+export const recordOrderEvent = (client, { orderId, type, actor = null, fromStatus, toStatus, note, data }) => {
+  return client.orderEvent.create({
+    data: {
+      orderId,
+      type,
+      ...actorFor(actor),
+      fromStatus: fromStatus || null,
+      toStatus: toStatus || null,
+      note: note || null,
+      data: data || undefined,
+    },
+  });
+};
+
+/**
+ * Move an order to a new status, validating the move and recording it.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} params
+ * @param {Object} params.order - Order row (needs id and status)
+ * @param {string} params.toStatus - Requested status
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM)
+ * @param {string} [params.note] - Note stored on the event
+ * @param {Object} [params.data] - Extra order columns to update alongside the status
+ * @returns {Promise<Object>} Updated order
+ */
+export const transitionOrder = async (client, { order, toStatus, actor = null, note, data = {} }) => {
+  assertTransition(order.status, toStatus);
+
+  if (order.status === toStatus) {
+    return Object.keys(data).length
+      ? client.order.update({ where: { id: order.id }, data })
+      : order;
+  }
+
+  const updated = await client.order.update({
+    where: { id: order.id },
+    data: {
+      ...data,
+      status: toStatus,
+      ...(toStatus === OrderStatus.DELIVERED && { deliveredAt: new Date() }),
+    },
+  });
+
+  await recordOrderEvent(client, {
+    orderId: order.id,
+    type: 'STATUS_CHANGED',
+    actor,
+    fromStatus: order.status || OrderStatus.PENDING,
+    toStatus,
+    note,
+  });
+
+  return updated;
+};
+
+/**
+ * Convenience wrapper: load the order by id and transition it.
+ * @param {string} orderId - Order id
+ * @param {string} toStatus - Requested status
+ * @param {Object} [options] - actor / note / data, see transitionOrder
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Updated order
+ */
+export const transitionOrderById = async (orderId, toStatus, options = {}, client = prisma) => {
+  const order = await client.order.findUnique({ where: { id: orderId } });
+  if (!order) throw httpError(404, 'Order not found');
+  return transitionOrder(client, { order, toStatus, ...options });
+};
+
+/**
+ * Update a payment's status and reflect it on the order timeline.
+ * A payment that becomes PAID moves a PENDING order to PROCESSING; orders
+ * in any other status are left alone.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} params
+ * @param {Object} params.payment - Payment row (needs id, orderId and status)
+ * @param {string} params.status - New PaymentStatus
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM, e.g. provider callbacks)
+ * @param {string} [params.note] - Note stored on the event
+ * @param {Object} [params.data] - Extra payment columns to update
+ * @returns {Promise<Object>} Updated payment
+ */
+export const applyPaymentStatus = async (client, { payment, status, actor = null, note, data = {} }) => {
+  const updated = await client.payment.update({
+    where: { id: payment.id },
+    data: { ...data, status, updatedAt: new Date() },
+  });
+
+  if (!payment.orderId || payment.status === status) return updated;
+
+  await recordOrderEvent(client, {
+    orderId: payment.orderId,
+    type: 'PAYMENT_UPDATED',
+    actor,
+    fromStatus: payment.status,
+    toStatus: status,
+    note,
+    data: { paymentId: payment.id, method: payment.method, provider: payment.provider },
+  });
+
+  if (status === 'PAID') {
+    const order = await client.order.findUnique({ where: { id: payment.orderId } });
+    if (order?.status === OrderStatus.CANCELED) {
+      // Captured after the reservation lapsed and the stock went back: flag for a refund
+      console.warn(`⚠️ Payment ${payment.id} captured for canceled order ${order.id}; needs a refund`);
+      await recordOrderEvent(client, {
+        orderId: order.id,
+        type: 'NOTE',
+        actor,
+        note: 'Payment captured after the order was canceled; review and refund it',
+        data: { paymentId: payment.id, needsReview: true },
+      });
+    } else if (order && (order.status || OrderStatus.PENDING) === OrderStatus.PENDING) {
+      await transitionOrder(client, {
+        order,
+        toStatus: OrderStatus.PROCESSING,
+        actor,
+        note: 'Payment received',
+        data: { reservationExpiresAt: null }, // stock is now held for good
+      });
+    }
+  }
+
+  return updated;
+};
+
+export default {
+  ORDER_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  actorFor,
+  recordOrderEvent,
+  transitionOrder,
+  transitionOrderById,
+  applyPaymentStatus,
+};
@@ -0,0 +1,55 @@
+import phonepe from './phonepe.js';
+import razorpay from './razorpay.js';
+import stripe from './stripe.js';
+import mock from './mock.js';
+
+/**
+ * Payment provider registry.
+ *
+ * Every provider implements the same interface so routes, refunds,
+ * webhooks and reconciliation never branch on provider names:
+ *
+ *   name                                   PaymentMethod value, e.g. 'RAZORPAY'
+ *   isEnabled()                            → boolean
+ *   initiate({ order, payment, amount, user, options })
+ *                                          → { transactionId, data }   (data goes to the client)
+ *   verify(body)                           → { transactionId, state, raw, amountMinor?, providerPaymentId? }
+ *   status({ transaction, payment })       → { state, raw, amountMinor?, providerPaymentId? }
+ *   refund({ payment, amountMinor, reason }) → provider refund object (needs an `id`;
+ *                                          `pending: true` if the provider settles it later)
+ *   refundStatus({ refund })               → { state: PROCESSED, FAILED or PENDING, raw } (optional,
+ *                                          required by providers that return pending refunds)
+ *   parseWebhook({ rawBody, headers })     → { eventId, type, payload } or null if the signature is invalid (optional)
+ *   webhooksEnabled()                      → boolean; false while webhooks cannot be verified (required with parseWebhook)
+ *   handleWebhook(payload)                 → false if the event was ignored (optional)
+ *
+ * `state` is normalized to CAPTURED, FAILED, PENDING, REFUNDED or UNKNOWN.
+ * Amounts passed to initiate() are in rupees; `amountMinor` values are in paise.
+ */
+const providers = new Map();
+
+/**
+ * Add a provider to the registry (later registrations replace earlier ones).
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Look up a provider by name (case-insensitive).
+ * @param {string} name - Provider / payment method name
+ * @returns {Object|null}
+ */
+export const getProvider = (name) => (name ? providers.get(String(name).toUpperCase()) || null : null);
+
+/**
+ * Names of providers that can take payments right now.
+ * @returns {string[]}
+ */
+export const listEnabledProviders = () =>
+  [...providers.values()].filter((provider) => provider.isEnabled()).map((provider) => provider.name);
+
+[phonepe, razorpay, stripe, mock].forEach(registerProvider);
+
+export default { registerProvider, getProvider, listEnabledProviders };
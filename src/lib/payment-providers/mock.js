@@ -0,0 +1,105 @@
+import { v4 as uuidv4 } from 'uuid';
+import { arePaymentMocksAllowed } from '../../config/env.js';
+import { httpError } from '../errors.js';
+import { applyCaptured, applyFailed, applyRefunded } from '../payment-webhooks.js';
+
+// Delayed payments stay PENDING for this long after initiation
+const CAPTURE_DELAY_MS = Number(process.env.MOCK_PAYMENT_CAPTURE_DELAY_MS || 30 * 1000);
+const OUTCOMES = ['success', 'failure', 'delayed'];
+
+/**
+ * The simulated outcome is encoded in the transaction id
+ * (mock_<outcome>_<uuid>), so the provider needs no state of its own
+ * and behaves the same across restarts and instances.
+ */
+const outcomeOf = (transactionId) => {
+  const [, outcome] = String(transactionId).split('_');
+  return OUTCOMES.includes(outcome) ? outcome : null;
+};
+
+const stateOf = (transaction) => {
+  switch (outcomeOf(transaction.id)) {
+    case 'success':
+      return 'CAPTURED';
+    case 'failure':
+      return 'FAILED';
+    case 'delayed':
+      return Date.now() - new Date(transaction.createdAt).getTime() >= CAPTURE_DELAY_MS ? 'CAPTURED' : 'PENDING';
+    default:
+      return 'UNKNOWN';
+  }
+};
+
+/**
+ * Offline provider for local development and tests. Pass
+ * `outcome: "success" | "failure" | "delayed"` when initiating
+ * (default MOCK_PAYMENT_OUTCOME or "success").
+ * Opt-in with PAYMENT_MOCK_ENABLED=true, and never available in production.
+ */
+export default {
+  name: 'MOCK',
+
+  isEnabled: () => arePaymentMocksAllowed(),
+
+  async initiate({ options = {} }) {
+    const outcome = options.outcome || process.env.MOCK_PAYMENT_OUTCOME || 'success';
+    if (!OUTCOMES.includes(outcome)) {
+      throw httpError(400, `Invalid mock outcome. Use one of: ${OUTCOMES.join(', ')}`);
+    }
+
+    const transactionId = `mock_${outcome}_${uuidv4().replace(/-/g, '')}`;
+    const baseUrl = options.redirectUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/status`;
+
+    return {
+      transactionId,
+      data: {
+        redirectUrl: `${baseUrl}?transactionId=${transactionId}`,
+        transactionId,
+        outcome,
+      },
+    };
+  },
+
+  async verify(body) {
+    if (!body.transactionId) throw httpError(400, 'transactionId required');
+    // Creation time is unknown here, so delayed payments are reported as pending
+    const state = outcomeOf(body.transactionId) === 'delayed'
+      ? 'PENDING'
+      : stateOf({ id: body.transactionId, createdAt: new Date() });
+    return { transactionId: body.transactionId, state, raw: state.toLowerCase(), providerPaymentId: `mockpay_${body.transactionId}` };
+  },
+
+  async status({ transaction }) {
+    const state = stateOf(transaction);
+    return { state, raw: state.toLowerCase(), providerPaymentId: `mockpay_${transaction.id}` };
+  },
+
+  async refund({ payment, amountMinor }) {
+    return { id: `mockrfnd_${uuidv4().replace(/-/g, '')}`, payment_id: payment.providerPaymentId, amount: amountMinor, status: 'processed' };
+  },
+
+  webhooksEnabled: () => arePaymentMocksAllowed(),
+
+  // Unsigned: lets developers replay provider callbacks locally. Only MOCK
+  // payments can be settled this way (the appliers check the provider)
+  parseWebhook({ rawBody }) {
+    const payload = JSON.parse(rawBody);
+    if (!payload.transactionId || !payload.type) return null;
+    return { eventId: payload.eventId || uuidv4(), type: payload.type, payload };
+  },
+
+  async handleWebhook(event) {
+    const base = { provider: 'MOCK', transactionId: event.transactionId, providerPaymentId: `mockpay_${event.transactionId}` };
+
+    switch (event.type) {
+      case 'payment.captured':
+        return applyCaptured({ ...base, amountMinor: event.amountMinor });
+      case 'payment.failed':
+        return applyFailed({ ...base, reason: event.reason });
+      case 'refund.processed':
+        return applyRefunded({ ...base, refundId: event.refundId || `mockrfnd_${uuidv4()}`, amountMinor: event.amountMinor });
+      default:
+        return false;
+    }
+  },
+};
@@ -0,0 +1,121 @@
+import { v4 as uuidv4 } from 'uuid';
+import { promises as dnsPromises } from 'dns';
+import { initiatePayment, checkPaymentStatus, initiateRefund, checkRefundStatus } from '../phonepe.js';
+import { httpError } from '../errors.js';
+
+const STATE_MAP = {
+  COMPLETED: 'CAPTURED',
+  SUCCESS: 'CAPTURED',
+  PAYMENT_SUCCESS: 'CAPTURED',
+  FAILED: 'FAILED',
+  PENDING: 'PENDING',
+};
+
+// PhonePe refund states → Refund ledger status
+const REFUND_STATE_MAP = {
+  COMPLETED: 'PROCESSED',
+  FAILED: 'FAILED',
+  PENDING: 'PENDING',
+  CONFIRMED: 'PENDING',
+};
+
+const fetchState = async (merchantTransactionId) => {
+  const response = await checkPaymentStatus(merchantTransactionId);
+  const raw = response?.data?.state;
+  return { state: STATE_MAP[raw] || 'UNKNOWN', raw, amountMinor: response?.data?.amount };
+};
+
+/**
+ * PhonePe provider (see ./index.js for the interface).
+ * PhonePe reports back through POST /payment/callback rather than webhooks.
+ */
+export default {
+  name: 'PHONEPE',
+
+  isEnabled: () => true,
+
+  async initiate({ order, amount, options = {} }) {
+    const merchantTransactionId = `${order.id}_${uuidv4().replace(/-/g, '')}`;
+    const callbackUrl = options.callbackUrl || `${process.env.BACKEND_URL || 'http://localhost:4000'}/payment/callback`;
+
+    // Ensure redirectUrl has the transaction ID for the frontend to derive status
+    const baseUrl = options.redirectUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/status`;
+    const redirectUrl = `${baseUrl}?transactionId=${merchantTransactionId}`;
+
+    const response = await initiatePayment({
+      amount,
+      merchantTransactionId,
+      callbackUrl,
+      redirectUrl,
+    });
+
+    if (!response || !response.success) {
+      console.error('PhonePe initiation failed:', response);
+      throw httpError(500, response?.error || 'Payment initiation failed with provider');
+    }
+
+    let providerRedirectUrl =
+      response?.data?.instrumentResponse?.redirectInfo?.url ||
+      response?.data?.redirectUrl ||
+      response?.redirectUrl ||
+      redirectUrl || null;
+
+    if (!providerRedirectUrl) {
+      console.error('PhonePe initiate response unexpected:', response);
+      throw httpError(500, 'Payment initiation failed: unexpected provider response');
+    }
+
+    try {
+      const url = new URL(providerRedirectUrl);
+      await dnsPromises.lookup(url.hostname);
+    } catch (dnsErr) {
+      console.warn('Provider redirect host not resolvable, falling back to frontend redirectUrl:', dnsErr?.message || dnsErr);
+      providerRedirectUrl = redirectUrl || providerRedirectUrl;
+    }
+
+    return {
+      transactionId: merchantTransactionId,
+      data: {
+        redirectUrl: providerRedirectUrl,
+        transactionId: merchantTransactionId,
+      },
+    };
+  },
+
+  async verify(body) {
+    const transactionId = body.transactionId || body.merchantTransactionId;
+    if (!transactionId) throw httpError(400, 'transactionId required');
+    return { transactionId, ...(await fetchState(transactionId)) };
+  },
+
+  status: ({ transaction }) => fetchState(transaction.id),
+
+  // PhonePe refunds settle asynchronously; pending ones are polled through refundStatus()
+  async refund({ payment, amountMinor }) {
+    // Refund against the attempt that was actually paid, not just the latest one
+    const originalMerchantOrderId = payment.transactions?.[0]?.id || payment.providerOrderId;
+    if (!originalMerchantOrderId) {
+      throw httpError(400, 'PhonePe transaction id not found for this payment');
+    }
+
+    const merchantRefundId = `RF${uuidv4().replace(/-/g, '')}`;
+    const response = await initiateRefund({
+      merchantRefundId,
+      originalMerchantOrderId,
+      amount: amountMinor,
+    });
+
+    const state = REFUND_STATE_MAP[response.data.state] || 'PENDING';
+    if (state === 'FAILED') {
+      throw httpError(502, 'PhonePe rejected the refund');
+    }
+
+    return { id: merchantRefundId, ...response.data, pending: state === 'PENDING' };
+  },
+
+  async refundStatus({ refund }) {
+    const response = await checkRefundStatus(refund.providerRefundId);
+    const raw = response?.data?.state;
+    return { state: REFUND_STATE_MAP[raw] || 'PENDING', raw: response?.data };
+  },
+};
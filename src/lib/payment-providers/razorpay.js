@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import * as razorpay from '../razorpay.js';
+import { arePaymentMocksAllowed } from '../../config/env.js';
+import { httpError } from '../errors.js';
+import { applyCaptured, applyFailed, applyRefunded } from '../payment-webhooks.js';
+
+const STATE_MAP = { captured: 'CAPTURED', failed: 'FAILED', refunded: 'REFUNDED', created: 'PENDING', authorized: 'PENDING' };
+
+/**
+ * Razorpay provider (see ./index.js for the interface).
+ */
+export default {
+  name: 'RAZORPAY',
+
+  // Without keys the client runs a keyless mock, held to the same gate as MOCK
+  isEnabled: () => (razorpay.useMockMode() ? arePaymentMocksAllowed() : razorpay.isConfigured()),
+
+  async initiate({ order, amount }) {
+    const razorpayOrder = await razorpay.createOrder({
+      amount,
+      orderId: order.id,
+      currency: order.totalCurrency || 'INR',
+    });
+
+    return {
+      transactionId: razorpayOrder.id,
+      data: {
+        orderId: razorpayOrder.id,
+        amount: razorpayOrder.amount,
+        currency: razorpayOrder.currency,
+        keyId: razorpay.getKeyId(),
+        transactionId: razorpayOrder.id,
+      },
+    };
+  },
+
+  async verify(body) {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = body;
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      throw httpError(400, 'Missing required fields');
+    }
+
+    const isValid = razorpay.verifyPaymentSignature({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature,
+    });
+    if (!isValid) throw httpError(400, 'Invalid signature');
+
+    // A valid checkout signature means Razorpay captured the payment
+    return {
+      transactionId: razorpay_order_id,
+      state: 'CAPTURED',
+      raw: 'captured',
+      providerPaymentId: razorpay_payment_id,
+    };
+  },
+
+  async status({ transaction, payment }) {
+    // Transactions are keyed by the Razorpay order id; the payment id arrives on verify
+    const razorpayPaymentId = payment?.providerPaymentId || transaction.responseCode;
+    if (!razorpayPaymentId || !razorpayPaymentId.startsWith('pay_')) {
+      return { state: 'UNKNOWN', raw: transaction.status };
+    }
+
+    const rp = await razorpay.fetchPayment(razorpayPaymentId);
+    return { state: STATE_MAP[rp.status] || 'UNKNOWN', raw: rp.status, amountMinor: rp.amount, providerPaymentId: rp.id };
+  },
+
+  async refund({ payment, amountMinor, reason }) {
+    if (!payment.providerPaymentId) throw httpError(400, 'Missing Razorpay payment ID');
+    return razorpay.createRefund(payment.providerPaymentId, amountMinor, reason);
+  },
+
+  webhooksEnabled: () => !razorpay.useMockMode() && Boolean(process.env.RAZORPAY_WEBHOOK_SECRET),
+
+  parseWebhook({ rawBody, headers }) {
+    if (!razorpay.verifyWebhookSignature(rawBody, headers['x-razorpay-signature'])) return null;
+
+    const payload = JSON.parse(rawBody);
+    return {
+      // Razorpay sends a unique id per event in this header; fall back to a body hash
+      eventId: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+      type: payload.event || 'unknown',
+      payload,
+    };
+  },
+
+  async handleWebhook(event) {
+    const entity = event.payload?.payment?.entity;
+
+    switch (event.event) {
+      case 'payment.captured':
+        return applyCaptured({
+          provider: 'RAZORPAY',
+          transactionId: entity?.order_id,
+          providerPaymentId: entity?.id,
+          amountMinor: entity?.amount,
+        });
+
+      case 'payment.failed':
+        return applyFailed({
+          provider: 'RAZORPAY',
+          transactionId: entity?.order_id,
+          providerPaymentId: entity?.id,
+          reason: entity?.error_description,
+        });
+
+      case 'refund.processed': {
+        const refund = event.payload?.refund?.entity;
+        return applyRefunded({
+          provider: 'RAZORPAY',
+          transactionId: entity?.order_id,
+          providerPaymentId: refund?.payment_id,
+          refundId: refund?.id,
+          amountMinor: refund?.amount,
+        });
+      }
+
+      default:
+        return false;
+    }
+  },
+};
@@ -0,0 +1,131 @@
+import * as stripe from '../stripe.js';
+import { arePaymentMocksAllowed } from '../../config/env.js';
+import { httpError } from '../errors.js';
+import { applyCaptured, applyFailed, applyRefunded } from '../payment-webhooks.js';
+
+// Stripe refund statuses → Refund ledger status
+const REFUND_STATE_MAP = { succeeded: 'PROCESSED', failed: 'FAILED', canceled: 'FAILED' };
+
+const STATE_MAP = {
+  succeeded: 'CAPTURED',
+  canceled: 'FAILED',
+  processing: 'PENDING',
+  requires_payment_method: 'PENDING',
+  requires_confirmation: 'PENDING',
+  requires_action: 'PENDING',
+};
+
+/**
+ * Stripe provider (see ./index.js for the interface).
+ */
+export default {
+  name: 'STRIPE',
+
+  // Without keys the client runs a keyless mock, held to the same gate as MOCK
+  isEnabled: () => (stripe.useMockMode() ? arePaymentMocksAllowed() : stripe.isConfigured()),
+
+  async initiate({ order, amount, user }) {
+    const paymentIntent = await stripe.createPaymentIntent({
+      amount,
+      orderId: order.id,
+      currency: (order.totalCurrency || 'INR').toLowerCase(),
+      customerEmail: user.email,
+    });
+
+    return {
+      transactionId: paymentIntent.id,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        publishableKey: stripe.getPublishableKey(),
+        transactionId: paymentIntent.id,
+      },
+    };
+  },
+
+  async verify(body) {
+    const { payment_intent_id } = body;
+    if (!payment_intent_id) throw httpError(400, 'Missing payment intent ID');
+
+    const paymentIntent = await stripe.retrievePaymentIntent(payment_intent_id);
+    return {
+      transactionId: payment_intent_id,
+      state: STATE_MAP[paymentIntent.status] || 'PENDING',
+      raw: paymentIntent.status,
+      amountMinor: paymentIntent.amount_received || undefined,
+      providerPaymentId: payment_intent_id,
+    };
+  },
+
+  async status({ transaction }) {
+    const intent = await stripe.retrievePaymentIntent(transaction.id);
+    return {
+      state: STATE_MAP[intent.status] || 'UNKNOWN',
+      raw: intent.status,
+      amountMinor: intent.amount_received || undefined,
+      providerPaymentId: intent.id,
+    };
+  },
+
+  // Some payment methods refund asynchronously; pending ones are polled through refundStatus()
+  async refund({ payment, amountMinor, reason }) {
+    if (!payment.providerPaymentId) throw httpError(400, 'Missing Stripe payment intent ID');
+    const refund = await stripe.createRefund(payment.providerPaymentId, amountMinor, reason);
+    if (REFUND_STATE_MAP[refund.status] === 'FAILED') throw httpError(502, 'Stripe rejected the refund');
+    return { ...refund, pending: !REFUND_STATE_MAP[refund.status] };
+  },
+
+  async refundStatus({ refund }) {
+    const current = await stripe.retrieveRefund(refund.providerRefundId);
+    return { state: REFUND_STATE_MAP[current.status] || 'PENDING', raw: current };
+  },
+
+  webhooksEnabled: () => !stripe.useMockMode() && Boolean(process.env.STRIPE_WEBHOOK_SECRET),
+
+  parseWebhook({ rawBody, headers }) {
+    // Returns the parsed event only when the signature checks out
+    const event = stripe.verifyWebhookSignature(rawBody, headers['stripe-signature']);
+    if (!event || !event.id) return null;
+    return { eventId: event.id, type: event.type, payload: event };
+  },
+
+  async handleWebhook(event) {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return applyCaptured({
+          provider: 'STRIPE',
+          transactionId: object.id,
+          providerPaymentId: object.id,
+          amountMinor: object.amount_received ?? object.amount,
+        });
+
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        return applyFailed({
+          provider: 'STRIPE',
+          transactionId: object.id,
+          providerPaymentId: object.id,
+          reason: object.last_payment_error?.message || object.cancellation_reason,
+        });
+
+      // One event per refund, carrying that refund's own id and amount
+      // (charge.refunded only has the charge's cumulative amount_refunded).
+      // Pending refunds are picked up by a later update or syncPendingRefunds()
+      case 'refund.created':
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        if (object.status !== 'succeeded') return false;
+        return applyRefunded({
+          provider: 'STRIPE',
+          transactionId: object.payment_intent,
+          providerPaymentId: object.payment_intent,
+          refundId: object.id,
+          amountMinor: object.amount,
+        });
+
+      default:
+        return false;
+    }
+  },
+};
@@ -0,0 +1,168 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { findProviderPayment, settleTransaction } from './payments.js';
+import { applyRefundTotals, refundTotals, settleReturnRefund, toMinor } from './refund-ledger.js';
+
+// A RECEIVED event untouched for this long was abandoned mid-handler (crash, deploy)
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+/**
+ * Store a webhook delivery before processing it. Providers retry and may
+ * deliver the same event more than once; the unique (provider, eventId)
+ * index makes the second insert fail, which marks it as a replay.
+ * A delivery that previously FAILED, or was left RECEIVED by a handler that
+ * never finished, is claimed and handed back for another attempt.
+ * @returns {Promise<{ event: Object, duplicate: boolean }>}
+ */
+export const recordWebhookEvent = async ({ provider, eventId, type, payload }) => {
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: { provider, eventId, type, payload },
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError) || error.code !== 'P2002') throw error;
+
+    // Conditional update: of two concurrent retries only one claims the event
+    const where = { provider_eventId: { provider, eventId } };
+    const { count } = await prisma.webhookEvent.updateMany({
+      where: {
+        provider,
+        eventId,
+        OR: [{ status: 'FAILED' }, { status: 'RECEIVED', updatedAt: { lt: new Date(Date.now() - STALE_EVENT_MS) } }],
+      },
+      data: { status: 'RECEIVED', updatedAt: new Date() },
+    });
+    return { event: await prisma.webhookEvent.findUnique({ where }), duplicate: count === 0 };
+  }
+};
+
+/**
+ * Run a handler for a stored webhook event and record the outcome.
+ * Handlers return false when the event did not apply to anything.
+ */
+export const processWebhookEvent = async (event, handler) => {
+  try {
+    const applied = await handler();
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: applied === false ? 'IGNORED' : 'PROCESSED', error: null, processedAt: new Date() },
+    });
+  } catch (error) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'FAILED', error: error.message },
+    });
+    throw error;
+  }
+};
+
+// ----------------------- APPLIERS (used by payment-providers) ----------------------- //
+
+/**
+ * Locate the payment a webhook refers to. Records made through another
+ * provider are ignored, so one provider's webhook can never settle another's
+ * payment.
+ * @returns {Promise<{ payment: Object|null, transaction: Object|null }>}
+ */
+const findWebhookPayment = async ({ provider, transactionId, providerPaymentId }) => {
+  const found = await findProviderPayment({ transactionId, providerPaymentId });
+  const owner = found.transaction?.provider || found.payment?.provider || found.payment?.method;
+  if (!found.payment || String(owner).toUpperCase() !== provider) return { payment: null, transaction: null };
+  return found;
+};
+
+/**
+ * Provider confirmed the money was captured.
+ * @param {Object} params
+ * @param {number} params.amountMinor - Captured amount in paise/cents
+ */
+export const applyCaptured = async ({ provider, transactionId, providerPaymentId, amountMinor }) => {
+  const { payment, transaction } = await findWebhookPayment({ provider, transactionId, providerPaymentId });
+  if (!payment) return false;
+
+  const { applied } = await settleTransaction({
+    provider,
+    transaction,
+    payment,
+    state: 'CAPTURED',
+    amountMinor,
+    providerPaymentId,
+    note: `${provider} webhook: payment captured`,
+  });
+  return applied;
+};
+
+/**
+ * Provider reported a failed attempt. A payment that is already PAID
+ * (e.g. a later retry succeeded) is left untouched.
+ */
+export const applyFailed = async ({ provider, transactionId, providerPaymentId, reason }) => {
+  const { payment, transaction } = await findWebhookPayment({ provider, transactionId, providerPaymentId });
+  if (!payment) return false;
+
+  await settleTransaction({
+    provider,
+    transaction,
+    payment,
+    state: 'FAILED',
+    note: `${provider} webhook: payment failed${reason ? ` (${reason})` : ''}`,
+  });
+  return true;
+};
+
+/**
+ * Provider processed a refund (from our API or their dashboard).
+ * Refunds issued through refundPayment() are already in the ledger; a
+ * delivery that races it claims the matching PENDING row instead of adding
+ * a second one. Dashboard refunds are added to the ledger here.
+ * @param {number} params.amountMinor - Refunded amount in paise/cents
+ */
+export const applyRefunded = async ({ provider, transactionId, providerPaymentId, refundId, amountMinor }) => {
+  const { payment } = await findWebhookPayment({ provider, transactionId, providerPaymentId });
+  if (!payment) return false;
+
+  const recorded = await prisma.refund.findUnique({ where: { providerRefundId: refundId } });
+  if (recorded?.status === 'PROCESSED') return false; // already recorded by refundPayment()
+
+  const amount = amountMinor != null ? new Prisma.Decimal(amountMinor / 100) : null;
+
+  await prisma.$transaction(async (tx) => {
+    const pending = recorded || await tx.refund.findFirst({
+      where: { paymentId: payment.id, status: 'PENDING', providerRefundId: null, ...(amount && { amount }) },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    if (pending) {
+      const processed = await tx.refund.update({
+        where: { id: pending.id },
+        data: { status: 'PROCESSED', providerRefundId: refundId },
+      });
+      await settleReturnRefund(tx, processed);
+    } else {
+      const { processedMinor } = await refundTotals(tx, payment.id);
+      await tx.refund.create({
+        data: {
+          paymentId: payment.id,
+          amount: amount ?? new Prisma.Decimal((toMinor(payment.amount) - processedMinor) / 100),
+          currency: payment.currency,
+          reason: `Refunded via ${provider}`,
+          status: 'PROCESSED',
+          provider,
+          providerRefundId: refundId,
+        },
+      });
+    }
+
+    await applyRefundTotals(tx, { paymentId: payment.id, note: `${provider} webhook: refund ${refundId} processed` });
+  });
+  return true;
+};
+
+export default {
+  recordWebhookEvent,
+  processWebhookEvent,
+  applyCaptured,
+  applyFailed,
+  applyRefunded,
+};
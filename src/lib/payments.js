@@ -0,0 +1,133 @@
+import prisma from './prisma.js';
+import { applyPaymentStatus, recordOrderEvent } from './order-status.js';
+
+// Normalized provider states (see payment-providers) → our records
+const PAYMENT_STATUS_FOR_STATE = { CAPTURED: 'PAID', FAILED: 'FAILED' };
+const TRANSACTION_STATUS_FOR_STATE = { CAPTURED: 'COMPLETED', FAILED: 'FAILED', PENDING: 'PENDING' };
+
+// Payments whose money was received; provider reports never move them backwards
+const SETTLED_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+/**
+ * Payment a provider transaction belongs to. Older transactions were not
+ * linked, so fall back to the order's payment.
+ * @param {Object} transaction - Transaction row
+ * @returns {Promise<Object|null>} Payment
+ */
+export const findTransactionPayment = (transaction) =>
+  transaction.paymentId
+    ? prisma.payment.findUnique({ where: { id: transaction.paymentId } })
+    : prisma.payment.findFirst({ where: { orderId: transaction.orderId } });
+
+/**
+ * Locate a payment from provider identifiers, as received in webhooks.
+ * @param {Object} params
+ * @param {string} [params.transactionId] - Our Transaction id (provider order / intent id)
+ * @param {string} [params.providerPaymentId] - Provider payment id
+ * @returns {Promise<{ payment: Object|null, transaction: Object|null }>}
+ */
+export const findProviderPayment = async ({ transactionId, providerPaymentId }) => {
+  const transaction = transactionId
+    ? await prisma.transaction.findUnique({ where: { id: transactionId } })
+    : null;
+
+  if (transaction) {
+    return { payment: await findTransactionPayment(transaction), transaction };
+  }
+
+  const payment = providerPaymentId
+    ? await prisma.payment.findFirst({ where: { providerPaymentId } })
+    : null;
+
+  return { payment, transaction: null };
+};
+
+/**
+ * Lock a payment row for the rest of the transaction and read it.
+ * @param {Object} tx - Transaction client
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} Payment
+ */
+export const lockPayment = async (tx, paymentId) => {
+  await tx.$queryRaw`SELECT id FROM "Payment" WHERE id = ${paymentId} FOR UPDATE`;
+  return tx.payment.findUnique({ where: { id: paymentId } });
+};
+
+/**
+ * Apply a provider-reported state to a transaction and its payment.
+ * Used by client verification, status polling, webhooks and reconciliation
+ * so they all follow the same rules:
+ * - a capture only marks the payment PAID if the amount matches the order;
+ * - a failure never overrides a payment that is already PAID or (partially) REFUNDED.
+ * @param {Object} params
+ * @param {string} params.provider - Provider name, for notes
+ * @param {Object|null} params.transaction - Transaction row
+ * @param {Object|null} params.payment - Payment row
+ * @param {string} params.state - CAPTURED, FAILED, PENDING, REFUNDED or UNKNOWN
+ * @param {number} [params.amountMinor] - Amount the provider captured, in paise/cents
+ * @param {string} [params.providerPaymentId] - Provider payment id to store
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM)
+ * @param {string} [params.note] - Note stored on the order timeline
+ * @returns {Promise<{ applied: boolean, paymentStatus: string|null, mismatch?: string }>}
+ */
+export const settleTransaction = async ({
+  provider,
+  transaction,
+  payment,
+  state,
+  amountMinor,
+  providerPaymentId,
+  actor = null,
+  note,
+}) => {
+  const paymentStatus = PAYMENT_STATUS_FOR_STATE[state] || null;
+  const settled = payment && SETTLED_PAYMENT_STATUSES.includes(payment.status);
+
+  if (state === 'CAPTURED' && payment && !settled && amountMinor != null) {
+    const expectedMinor = Math.round(Number(payment.amount) * 100);
+    if (Number(amountMinor) !== expectedMinor) {
+      const mismatch = `${provider} captured ${amountMinor / 100} but the payment is for ${expectedMinor / 100}; not marked as paid`;
+      if (payment.orderId) {
+        await recordOrderEvent(prisma, {
+          orderId: payment.orderId,
+          type: 'PAYMENT_UPDATED',
+          actor,
+          note: mismatch,
+          data: { paymentId: payment.id, transactionId: transaction?.id, providerPaymentId },
+        });
+      }
+      return { applied: false, paymentStatus: payment.status, mismatch };
+    }
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Lock and re-read the payment: releaseExpiredReservations() may be
+    // canceling the order under the same lock
+    const current = payment && (await lockPayment(tx, payment.id));
+    const updatePayment =
+      current && paymentStatus && !SETTLED_PAYMENT_STATUSES.includes(current.status) && current.status !== paymentStatus;
+
+    if (transaction && TRANSACTION_STATUS_FOR_STATE[state] && transaction.status !== TRANSACTION_STATUS_FOR_STATE[state]) {
+      await tx.transaction.update({
+        where: { id: transaction.id },
+        data: {
+          status: TRANSACTION_STATUS_FOR_STATE[state],
+          ...(providerPaymentId && { responseCode: providerPaymentId }),
+        },
+      });
+    }
+
+    if (updatePayment) {
+      await applyPaymentStatus(tx, {
+        payment: current,
+        status: paymentStatus,
+        actor,
+        note,
+        data: { ...(providerPaymentId && state === 'CAPTURED' && { providerPaymentId }) },
+      });
+    }
+    return { applied: Boolean(updatePayment), paymentStatus: updatePayment ? paymentStatus : current?.status || null };
+  });
+};
+
+export default { findTransactionPayment, findProviderPayment, lockPayment, settleTransaction };
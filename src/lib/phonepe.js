@@ -1,4 +1,4 @@
-import { StandardCheckoutClient, Env, MetaInfo, StandardCheckoutPayRequest } from 'pg-sdk-node';
+import { StandardCheckoutClient, Env, MetaInfo, StandardCheckoutPayRequest, RefundRequest } from 'pg-sdk-node';
 import axios from 'axios';
 import crypto from 'crypto';
 
@@ -214,6 +214,75 @@ export const checkPaymentStatus = async (merchantTransactionId) => {
   }
 };
 
+/**
+ * Initiate a refund against a completed PhonePe payment.
+ * PhonePe processes refunds asynchronously: the returned state is usually
+ * PENDING and must be polled with checkRefundStatus().
+ * @param {Object} params
+ * @param {string} params.merchantRefundId - Our unique id for this refund
+ * @param {string} params.originalMerchantOrderId - merchantTransactionId the payment was made with
+ * @param {number} params.amount - Amount to refund in PAISA
+ */
+export const initiateRefund = async ({ merchantRefundId, originalMerchantOrderId, amount }) => {
+  const useMockPhonePe = process.env.PHONEPE_MOCK === 'true';
+  if (useMockPhonePe) {
+    return {
+      success: true,
+      data: { refundId: `MOCK${merchantRefundId}`, merchantRefundId, amount, state: 'COMPLETED' }
+    };
+  }
+
+  const client = getClient();
+
+  const request = RefundRequest.builder()
+    .merchantRefundId(merchantRefundId)
+    .originalMerchantOrderId(originalMerchantOrderId)
+    .amount(amount)
+    .build();
+
+  console.log('🚀 Initiating PhonePe Refund (SDK):', { merchantRefundId, originalMerchantOrderId, amount });
+
+  const response = await client.refund(request);
+
+  return {
+    success: true,
+    data: {
+      refundId: response.refundId,
+      merchantRefundId,
+      amount: response.amount ?? amount,
+      state: response.state,
+    }
+  };
+};
+
+/**
+ * Check the state of a refund started with initiateRefund()
+ * @param {string} merchantRefundId - Our refund id
+ */
+export const checkRefundStatus = async (merchantRefundId) => {
+  const useMockPhonePe = process.env.PHONEPE_MOCK === 'true';
+  if (useMockPhonePe) {
+    return {
+      success: true,
+      data: { merchantRefundId, state: 'COMPLETED' }
+    };
+  }
+
+  const client = getClient();
+  const response = await client.getRefundStatus(merchantRefundId);
+
+  return {
+    success: true,
+    data: {
+      merchantRefundId,
+      originalMerchantOrderId: response.originalMerchantOrderId,
+      amount: response.amount,
+      state: response.state,
+      errorCode: response.errorCode,
+    }
+  };
+};
+
 /**
  * Verify Callback
  */
@@ -0,0 +1,40 @@
+/**
+ * Recalculate a product's min/max and compare-at price range from its variants.
+ * A product without variants gets a zero range, as when it was created.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} productId
+ * @returns {Promise<void>}
+ */
+export const refreshPriceRange = async (client, productId) => {
+  const variants = await client.productVariant.findMany({
+    where: { productId },
+    select: { priceAmount: true, priceCurrency: true, compareAmount: true },
+  });
+  if (!variants.length) {
+    await client.product.update({
+      where: { id: productId },
+      data: { minPriceAmount: 0, maxPriceAmount: 0, compareMinAmount: null, compareMinCurrency: null, compareMaxAmount: null, compareMaxCurrency: null },
+    });
+    return;
+  }
+
+  const prices = variants.map((v) => Number(v.priceAmount));
+  const compares = variants.map((v) => Number(v.compareAmount || 0)).filter((p) => p > 0);
+  const currency = variants[0].priceCurrency;
+
+  await client.product.update({
+    where: { id: productId },
+    data: {
+      minPriceAmount: Math.min(...prices),
+      minPriceCurrency: currency,
+      maxPriceAmount: Math.max(...prices),
+      maxPriceCurrency: currency,
+      compareMinAmount: compares.length ? Math.min(...compares) : null,
+      compareMinCurrency: compares.length ? currency : null,
+      compareMaxAmount: compares.length ? Math.max(...compares) : null,
+      compareMaxCurrency: compares.length ? currency : null,
+    },
+  });
+};
+
+export default { refreshPriceRange };
@@ -0,0 +1,55 @@
+import prisma from './prisma.js';
+import { productToRows } from './shopify-csv.js';
+
+// Products are read in pages so large catalogs stream with flat memory use
+const BATCH_SIZE = 100;
+
+const exportInclude = {
+  variants: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] },
+  images: { orderBy: { id: 'asc' } },
+  options: { include: { values: true }, orderBy: { id: 'asc' } },
+  tags: { include: { tag: true } },
+  collections: { select: { collection: { select: { handle: true } } }, orderBy: { collection: { handle: 'asc' } } },
+};
+
+/**
+ * Prisma where clause for the export filters.
+ * @param {Object} filters
+ * @param {string} [filters.collection] - Collection handle
+ * @param {string} [filters.tag] - Tag handle
+ * @param {boolean} [filters.published]
+ * @returns {Object}
+ */
+export const exportWhere = ({ collection, tag, published } = {}) => ({
+  deletedAt: null,
+  ...(collection && { collections: { some: { collection: { handle: collection } } } }),
+  ...(tag && { tags: { some: { tag: { handle: tag } } } }),
+  ...(published !== undefined && { published }),
+});
+
+/**
+ * Yield export rows (keyed by SHOPIFY_COLUMNS) for every matching product,
+ * ordered by handle, one product's rows at a time.
+ * @param {Object} [filters] - See exportWhere()
+ */
+export async function* productExportRows(filters = {}) {
+  const where = exportWhere(filters);
+  let cursor = null;
+
+  for (;;) {
+    const products = await prisma.product.findMany({
+      where,
+      include: exportInclude,
+      orderBy: { handle: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    for (const product of products) yield* productToRows(product);
+
+    if (products.length < BATCH_SIZE) return;
+    cursor = products[products.length - 1].id;
+  }
+}
+
+export default { exportWhere, productExportRows };
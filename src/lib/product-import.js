@@ -0,0 +1,330 @@
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { recordInitialStock, setInventory } from './inventory.js';
+import { refreshSearchVector } from './search.js';
+import { refreshPriceRange } from './price-range.js';
+import { syncProductCollections } from './smart-collections.js';
+import { setProductCollections } from './collection-products.js';
+import { productSnapshot, recordRevision } from './revisions.js';
+import { optionKey, parseShopifyCsv, tagHandle } from './shopify-csv.js';
+
+// Imported products land in this collection, as with the seed script
+const DEFAULT_COLLECTION = { handle: 'all', title: 'All Products' };
+
+const stripHtml = (html) => html?.replace(/<[^>]*>/g, '') ?? null;
+
+// The parser trims cells, so stored text is compared the same way
+const sameText = (a, b) => (a ?? '').trim() === (b ?? '').trim();
+
+const sameAmount = (a, b) => (a === null || a === undefined ? null : Number(a)) === (b === null || b === undefined ? null : Number(b));
+
+/**
+ * Find the existing variant a CSV variant updates: by SKU first,
+ * then by option values.
+ */
+const matchVariant = (existingVariants, variant) =>
+  (variant.sku && existingVariants.find((v) => v.sku === variant.sku)) ||
+  existingVariants.find((v) => optionKey(v.selectedOptions) === optionKey(variant.selectedOptions)) ||
+  null;
+
+/**
+ * Fields of an existing variant that the CSV row would change.
+ */
+const variantChanges = (existing, variant) => {
+  const changes = [];
+  if (!sameAmount(existing.priceAmount, variant.priceAmount)) changes.push('price');
+  // Older rows store 0 for "no compare-at price", which imports as null
+  if (!sameAmount(Number(existing.compareAmount) || null, variant.compareAmount)) changes.push('compareAtPrice');
+  if (existing.inventoryQuantity !== variant.inventoryQuantity) changes.push('inventory');
+  if (variant.sku && existing.sku !== variant.sku) changes.push('sku');
+  if (variant.barcode && existing.barcode !== variant.barcode) changes.push('barcode');
+  if (variant.weightInGrams !== null && existing.weightInGrams !== variant.weightInGrams) changes.push('weight');
+  return changes;
+};
+
+/**
+ * Work out what importing one parsed product would do, without writing.
+ * Products are matched by handle. Variants are matched by SKU, then by
+ * option values; variants missing from the CSV are left untouched.
+ * @param {Object} product - Entry from parseShopifyCsv()
+ * @returns {Promise<Object>} { action: create|update|skip, changes, variants, existing }
+ */
+const planProduct = async (product) => {
+  const skus = product.variants.map((v) => v.sku).filter(Boolean);
+  if (skus.length) {
+    const taken = await prisma.productVariant.findMany({
+      where: { sku: { in: skus }, product: { handle: { not: product.handle } } },
+      select: { sku: true, product: { select: { handle: true } } },
+    });
+    if (taken.length) {
+      throw new Error(taken.map((v) => `SKU ${v.sku} belongs to product ${v.product.handle}`).join('; '));
+    }
+  }
+
+  let collections = null;
+  if (product.collections.length) {
+    collections = await prisma.collection.findMany({
+      where: { handle: { in: product.collections } },
+      select: { id: true, handle: true },
+    });
+    const missing = product.collections.filter((handle) => !collections.some((c) => c.handle === handle));
+    if (missing.length) throw new Error(`Unknown collection ${missing.join(', ')}`);
+  }
+
+  const existing = await prisma.product.findUnique({
+    where: { handle: product.handle },
+    include: {
+      variants: true,
+      images: true,
+      tags: { include: { tag: true } },
+      collections: { select: { collection: { select: { id: true, handle: true } } } },
+    },
+  });
+  // Updating a trashed product would change something no one can see
+  if (existing?.deletedAt) throw new Error(`Product ${product.handle} is in the trash; restore it before importing`);
+
+  if (!existing) {
+    return {
+      action: 'create',
+      changes: [],
+      variants: product.variants.map((variant) => ({ row: variant.row, action: 'create', variant })),
+      existing: null,
+      collections,
+    };
+  }
+
+  const changes = [];
+  if (!sameText(product.title, existing.title)) changes.push('title');
+  if (!sameText(product.descriptionHtml, existing.descriptionHtml)) changes.push('description');
+  if (!sameText(product.vendor, existing.vendor)) changes.push('vendor');
+  if (product.published !== existing.published) changes.push('published');
+  if (product.metaTitle && !sameText(product.metaTitle, existing.metaTitle)) changes.push('seoTitle');
+  if (product.metaDescription && !sameText(product.metaDescription, existing.metaDescription)) changes.push('seoDescription');
+
+  const currentTags = existing.tags.map((t) => t.tag.handle).sort().join(',');
+  if (product.tags.length && product.tags.map(tagHandle).sort().join(',') !== currentTags) changes.push('tags');
+
+  const currentCollections = existing.collections.map((c) => c.collection.handle).sort().join(',');
+  if (collections && [...product.collections].sort().join(',') !== currentCollections) changes.push('collections');
+
+  const knownImages = new Set(existing.images.map((img) => img.url));
+  if (product.images.some((img) => !knownImages.has(img.url))) changes.push('images');
+
+  const variants = product.variants.map((variant) => {
+    const match = matchVariant(existing.variants, variant);
+    if (!match) return { row: variant.row, action: 'create', variant };
+
+    const fields = variantChanges(match, variant);
+    return { row: variant.row, action: fields.length ? 'update' : 'skip', changes: fields, variant, existingId: match.id };
+  });
+
+  const touched = changes.length || variants.some((v) => v.action !== 'skip');
+  return { action: touched ? 'update' : 'skip', changes, variants, existing, collections };
+};
+
+/**
+ * Make sure the product has every option and option value used by the CSV.
+ */
+const syncOptions = async (tx, productId, options) => {
+  const existing = await tx.productOption.findMany({ where: { productId }, include: { values: true } });
+
+  for (const option of options) {
+    let current = existing.find((o) => o.name.toLowerCase() === option.name.toLowerCase());
+    if (!current) {
+      current = await tx.productOption.create({ data: { name: option.name, productId }, include: { values: true } });
+    }
+
+    const known = new Set(current.values.map((v) => v.name.toLowerCase()));
+    const missing = option.values.filter((value) => !known.has(value.toLowerCase()));
+    if (missing.length) {
+      await tx.productOptionValue.createMany({ data: missing.map((name) => ({ name, optionId: current.id })) });
+    }
+  }
+};
+
+const replaceTags = async (tx, productId, tags) => {
+  await tx.productTag.deleteMany({ where: { productId } });
+  for (const name of tags) {
+    const handle = tagHandle(name);
+    const tag = await tx.tag.upsert({ where: { handle }, update: {}, create: { handle, name } });
+    await tx.productTag.create({ data: { productId, tagId: tag.id } });
+  }
+};
+
+/**
+ * Write one planned product (create or update) in a single transaction.
+ */
+const applyProduct = async (product, plan, { collectionId, importId, actor }) => {
+  const movement = { reason: 'IMPORT', referenceType: 'IMPORT', referenceId: importId, actor };
+  const fields = {
+    title: product.title,
+    description: stripHtml(product.descriptionHtml),
+    descriptionHtml: product.descriptionHtml,
+    vendor: product.vendor,
+    published: product.published,
+    ...(product.metaTitle && { metaTitle: product.metaTitle }),
+    ...(product.metaDescription && { metaDescription: product.metaDescription }),
+  };
+
+  const before = plan.existing ? await productSnapshot(prisma, plan.existing.id) : null;
+
+  const productId = await prisma.$transaction(
+    async (tx) => {
+      let productId = plan.existing?.id;
+
+      if (!productId) {
+        const created = await tx.product.create({
+          data: {
+            handle: product.handle,
+            ...fields,
+            publishedAt: product.published ? new Date() : null,
+            metafields: product.metafields,
+            featuredImageUrl: product.images[0]?.url || null,
+            featuredImageAlt: product.images[0]?.altText || null,
+            // Placeholder range, recalculated once the variants exist
+            minPriceAmount: 0,
+            minPriceCurrency: 'INR',
+            maxPriceAmount: 0,
+            maxPriceCurrency: 'INR',
+          },
+        });
+        productId = created.id;
+        // Collections column when present, otherwise the default collection
+        await setProductCollections(tx, productId, plan.collections ? plan.collections.map(({ id }) => id) : [collectionId]);
+      } else {
+        await tx.product.update({
+          where: { id: productId },
+          data: {
+            ...fields,
+            ...(product.published && !plan.existing.publishedAt && { publishedAt: new Date() }),
+            metafields: { ...(plan.existing.metafields || {}), ...product.metafields },
+            ...(!plan.existing.featuredImageUrl && product.images[0] && {
+              featuredImageUrl: product.images[0].url,
+              featuredImageAlt: product.images[0].altText,
+            }),
+          },
+        });
+        if (plan.changes.includes('collections')) {
+          await setProductCollections(tx, productId, plan.collections.map(({ id }) => id));
+        }
+      }
+
+      const knownImages = new Set((plan.existing?.images || []).map((img) => img.url));
+      const newImages = product.images.filter((img) => !knownImages.has(img.url));
+      if (newImages.length) {
+        await tx.productImage.createMany({
+          data: newImages.map((img) => ({ url: img.url, altText: img.altText, productId })),
+        });
+      }
+
+      if (product.tags.length && (!plan.existing || plan.changes.includes('tags'))) {
+        await replaceTags(tx, productId, product.tags);
+      }
+      await syncOptions(tx, productId, product.options);
+
+      for (const entry of plan.variants) {
+        const { variant } = entry;
+        const data = {
+          priceAmount: variant.priceAmount,
+          priceCurrency: 'INR',
+          compareAmount: variant.compareAmount,
+          compareCurrency: variant.compareAmount ? 'INR' : null,
+          ...(variant.sku && { sku: variant.sku }),
+          ...(variant.barcode && { barcode: variant.barcode }),
+          ...(variant.weightInGrams !== null && { weightInGrams: variant.weightInGrams }),
+          selectedOptions: variant.selectedOptions,
+        };
+
+        if (entry.action === 'create') {
+          const created = await tx.productVariant.create({
+            data: { ...data, productId, inventoryQuantity: variant.inventoryQuantity },
+          });
+          await recordInitialStock(tx, [created], { ...movement, note: 'Imported' });
+        } else if (entry.action === 'update') {
+          await tx.productVariant.update({ where: { id: entry.existingId }, data });
+          await setInventory(tx, { variantId: entry.existingId, quantity: variant.inventoryQuantity, ...movement, note: 'Imported' });
+        }
+      }
+
+      await refreshPriceRange(tx, productId);
+      await refreshSearchVector(tx, [productId]);
+      await recordRevision(tx, productId, { source: 'IMPORT', actor, before });
+      return productId;
+    },
+    { maxWait: 5000, timeout: 30000 }
+  );
+
+  await syncProductCollections([productId]);
+
+  await cache.del(`product:${product.handle}`);
+  if (plan.changes.includes('collections') || !plan.existing) {
+    const previous = (plan.existing?.collections || []).map((c) => c.collection);
+    const handles = new Set([...previous, ...(plan.collections || [])].map((c) => c.handle));
+    for (const handle of handles) await cache.delPattern(`collection:${handle}:*`);
+  }
+};
+
+/**
+ * Import a Shopify product export: create new handles, update existing
+ * ones and skip unchanged products. Products with row errors are skipped
+ * and reported; one failing product does not stop the rest.
+ * @param {string} csv - CSV text
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {string} [options.importId] - Reference stored on inventory movements (job id)
+ * @param {Object|null} [options.actor] - User who started the import
+ * @param {Function} [options.onProgress] - Called with 0-100 as products are processed
+ * @returns {Promise<Object>} { dryRun, summary: { total, create, update, skip, error }, products, errors }
+ */
+export const runProductImport = async (csv, { dryRun = false, importId = null, actor = null, onProgress = null } = {}) => {
+  const { products, errors } = parseShopifyCsv(csv);
+  const summary = { total: products.length, create: 0, update: 0, skip: 0, error: 0 };
+  const results = [];
+
+  const collection = dryRun
+    ? null
+    : await prisma.collection.upsert({
+        where: { handle: DEFAULT_COLLECTION.handle },
+        update: {},
+        create: DEFAULT_COLLECTION,
+      });
+
+  for (const [index, product] of products.entries()) {
+    if (product.errors.length) {
+      summary.error += 1;
+      results.push({ handle: product.handle, row: product.row, action: 'error', errors: product.errors });
+    } else {
+      try {
+        const plan = await planProduct(product);
+        if (!dryRun && plan.action !== 'skip') {
+          await applyProduct(product, plan, { collectionId: collection.id, importId, actor });
+        }
+
+        summary[plan.action] += 1;
+        results.push({
+          handle: product.handle,
+          row: product.row,
+          action: plan.action,
+          changes: plan.changes,
+          variants: plan.variants.map(({ row, action, changes, variant }) => ({
+            row,
+            action,
+            sku: variant.sku,
+            selectedOptions: variant.selectedOptions,
+            ...(changes?.length && { changes }),
+          })),
+        });
+      } catch (error) {
+        summary.error += 1;
+        errors.push({ row: product.row, handle: product.handle, message: error.message });
+        results.push({ handle: product.handle, row: product.row, action: 'error', errors: [{ row: product.row, message: error.message }] });
+      }
+    }
+
+    if (onProgress) await onProgress(Math.round(((index + 1) / products.length) * 100));
+  }
+
+  return { dryRun, summary, products: results, errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)) };
+};
+
+export default { runProductImport };
@@ -14,7 +14,7 @@ const {
  * 1. RAZORPAY_MOCK=true is set, OR
  * 2. No credentials are provided (development)
  */
-const useMockMode = () => {
+export const useMockMode = () => {
   if (process.env.RAZORPAY_MOCK === 'true') return true;
   if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) return true;
   return false;
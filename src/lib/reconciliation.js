@@ -0,0 +1,127 @@
+import prisma from './prisma.js';
+import { getProvider, listEnabledProviders } from './payment-providers/index.js';
+import { findTransactionPayment, settleTransaction } from './payments.js';
+
+// Only transactions created within this window are re-checked
+const LOOKBACK_HOURS = Number(process.env.RECONCILIATION_LOOKBACK_HOURS || 72);
+const BATCH_SIZE = 200;
+
+// Payment statuses that are still expected to change
+const OPEN_PAYMENT_STATUSES = ['INITIATED', 'FAILED', 'NONE'];
+
+/**
+ * Compare one transaction with the provider and fix what can be fixed safely.
+ * Money the provider captured is recorded as PAID; anything that would take a
+ * PAID payment backwards is only flagged for an admin.
+ * @returns {Promise<Object|null>} Mismatch to record, or null when in sync
+ */
+const reconcileTransaction = async (transaction) => {
+  const payment = await findTransactionPayment(transaction);
+  const gateway = getProvider(transaction.provider);
+  if (!payment || !gateway) return null;
+
+  const provider = await gateway.status({ transaction, payment });
+  const base = {
+    provider: transaction.provider,
+    transactionId: transaction.id,
+    paymentId: payment.id,
+    orderId: payment.orderId,
+    ourStatus: payment.status,
+    providerStatus: provider.state,
+  };
+
+  if (provider.state === 'UNKNOWN' || provider.state === 'PENDING') return null;
+
+  if (provider.state === 'REFUNDED') {
+    return payment.status === 'REFUNDED' || payment.status === 'PARTIALLY_REFUNDED'
+      ? null
+      : { ...base, action: 'FLAGGED', note: 'Refunded at the provider but not in our records' };
+  }
+
+  if (provider.state === 'FAILED' && payment.status === 'PAID') {
+    // Only a problem if this transaction is the one the payment was settled through
+    const settledHere = payment.providerOrderId === transaction.id || payment.providerPaymentId === transaction.id;
+    return settledHere
+      ? { ...base, action: 'FLAGGED', note: 'Provider reports the settling transaction as failed but we recorded PAID' }
+      : null;
+  }
+
+  const { applied, paymentStatus, mismatch } = await settleTransaction({
+    provider: transaction.provider,
+    transaction,
+    payment,
+    ...provider,
+    note: `Reconciliation: ${transaction.provider} reports the payment as ${provider.state.toLowerCase()}`,
+  });
+
+  if (mismatch) return { ...base, action: 'FLAGGED', note: mismatch };
+  return applied ? { ...base, action: 'FIXED', note: `Marked as ${paymentStatus}` } : null;
+};
+
+/**
+ * Walk recent transactions whose payment is not settled (plus PAID ones whose
+ * transaction never completed) and reconcile each against its provider.
+ * Transactions checked least recently go first, so rows that never resolve
+ * cannot keep newer ones out of the batch; providers that are switched off
+ * are skipped.
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - SCHEDULED or MANUAL
+ * @param {string} [options.triggeredById] - Admin user id for manual runs
+ * @returns {Promise<Object>} Finished ReconciliationRun
+ */
+export const reconcilePayments = async ({ trigger = 'SCHEDULED', triggeredById = null } = {}) => {
+  const run = await prisma.reconciliationRun.create({ data: { trigger, triggeredById } });
+  const since = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000);
+  const counts = { checked: 0, fixed: 0, flagged: 0 };
+
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        createdAt: { gte: since },
+        provider: { in: listEnabledProviders() },
+        OR: [
+          { status: { notIn: ['COMPLETED', 'FAILED'] } },
+          { payment: { status: { in: OPEN_PAYMENT_STATUSES } } },
+          { status: { not: 'COMPLETED' }, payment: { status: 'PAID' } },
+        ],
+      },
+      orderBy: [{ lastReconciledAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'desc' }],
+      take: BATCH_SIZE,
+    });
+
+    for (const transaction of transactions) {
+      counts.checked += 1;
+      try {
+        const mismatch = await reconcileTransaction(transaction);
+        if (!mismatch) continue;
+
+        await prisma.reconciliationMismatch.create({ data: { ...mismatch, runId: run.id } });
+        if (mismatch.action === 'FIXED') counts.fixed += 1;
+        else counts.flagged += 1;
+      } catch (error) {
+        // One provider outage should not stop the rest of the run
+        console.error(`Reconciliation failed for transaction ${transaction.id}:`, error.message);
+      } finally {
+        await prisma.transaction.update({ where: { id: transaction.id }, data: { lastReconciledAt: new Date() } });
+      }
+    }
+
+    const finished = await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { ...counts, status: 'COMPLETED', finishedAt: new Date() },
+    });
+
+    if (counts.fixed || counts.flagged) {
+      console.log(`🧾 Reconciliation: ${counts.checked} checked, ${counts.fixed} fixed, ${counts.flagged} flagged`);
+    }
+    return finished;
+  } catch (error) {
+    await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { ...counts, status: 'FAILED', error: error.message, finishedAt: new Date() },
+    });
+    throw error;
+  }
+};
+
+export default { reconcilePayments };
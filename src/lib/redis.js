@@ -98,6 +98,27 @@ const emailQueue = redisClient
     })
   : null;
 
+// Admin catalog imports (CSV uploads)
+const importQueue = redisClient
+  ? new Queue('imports', {
+      connection: redisClient,
+    })
+  : null;
+
+// Catalog PDFs too large to render during the request
+const catalogQueue = redisClient
+  ? new Queue('catalogs', {
+      connection: redisClient,
+    })
+  : null;
+
+// Repeatable housekeeping jobs (reservation sweeper, etc.)
+const maintenanceQueue = redisClient
+  ? new Queue('maintenance', {
+      connection: redisClient,
+    })
+  : null;
+
 /**
  * Cache Helper Functions
  */
@@ -189,4 +210,13 @@ export function isQueueReady() {
   return orderQueue !== null;
 }
 
-export { redisClient, orderQueue, emailQueue, cache as default };
+/**
+ * Close the queues and the Redis connection so a script can exit
+ */
+export async function closeRedis() {
+  if (!redisClient) return;
+  for (const queue of [orderQueue, emailQueue, importQueue, catalogQueue, maintenanceQueue]) await queue.close();
+  await redisClient.quit();
+}
+
+export { redisClient, orderQueue, emailQueue, importQueue, catalogQueue, maintenanceQueue, cache as default };
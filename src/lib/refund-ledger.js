@@ -0,0 +1,129 @@
+import { Prisma } from '@prisma/client';
+import { applyPaymentStatus, canTransition, recordOrderEvent, transitionOrder } from './order-status.js';
+
+// Refunds that count against the refundable balance. PENDING ones are
+// included so two admins cannot refund the same money concurrently.
+const ACTIVE_REFUND_STATUSES = ['PENDING', 'PROCESSED'];
+
+/**
+ * Convert a rupee amount (number or Decimal) to paise.
+ * @param {number|Prisma.Decimal|null} amount
+ * @returns {number}
+ */
+export const toMinor = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Sum the refunds recorded against a payment, in paise.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} paymentId - Payment id
+ * @returns {Promise<{ processedMinor: number, reservedMinor: number }>}
+ *   processedMinor: money actually returned; reservedMinor: processed + in flight
+ */
+export const refundTotals = async (client, paymentId) => {
+  const groups = await client.refund.groupBy({
+    by: ['status'],
+    where: { paymentId, status: { in: ACTIVE_REFUND_STATUSES } },
+    _sum: { amount: true },
+  });
+
+  const byStatus = Object.fromEntries(groups.map((g) => [g.status, toMinor(g._sum.amount)]));
+  const processedMinor = byStatus.PROCESSED || 0;
+  return { processedMinor, reservedMinor: processedMinor + (byStatus.PENDING || 0) };
+};
+
+/**
+ * Quantities already refunded per order item.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string[]} orderItemIds - Order item ids
+ * @returns {Promise<Map<string, number>>}
+ */
+export const refundedQuantities = async (client, orderItemIds) => {
+  const groups = await client.refundItem.groupBy({
+    by: ['orderItemId'],
+    where: { orderItemId: { in: orderItemIds }, refund: { status: { in: ACTIVE_REFUND_STATUSES } } },
+    _sum: { quantity: true },
+  });
+  return new Map(groups.map((g) => [g.orderItemId, g._sum.quantity || 0]));
+};
+
+/**
+ * Close the return (RMA) a refund was issued for once the refund settles:
+ * PROCESSED moves it from REFUND_PENDING to REFUNDED, FAILED back to
+ * RECEIVED so it can be refunded again.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} refund - Refund ledger row after the update
+ */
+export const settleReturnRefund = async (tx, refund) => {
+  if (!refund.returnRequestId || refund.status === 'PENDING') return;
+
+  await tx.returnRequest.updateMany({
+    where: { id: refund.returnRequestId, status: 'REFUND_PENDING' },
+    data:
+      refund.status === 'PROCESSED'
+        ? { status: 'REFUNDED', refundId: refund.providerRefundId, resolvedAt: new Date() }
+        : { status: 'RECEIVED' },
+  });
+};
+
+/**
+ * Bring a payment and its order in line with the processed refunds.
+ * The payment becomes PARTIALLY_REFUNDED or REFUNDED and its refund summary
+ * columns are refreshed. A fully refunded order moves to REFUNDED; a partial
+ * refund only changes the order status once it is DELIVERED or CANCELED, so
+ * orders still being fulfilled keep their status (the refund is visible on
+ * the timeline).
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {string} params.paymentId - Payment id
+ * @param {Object|null} [params.actor] - req.user (null = SYSTEM)
+ * @param {string} [params.note] - Note stored on the timeline
+ * @returns {Promise<Object>} Updated payment
+ */
+export const applyRefundTotals = async (tx, { paymentId, actor = null, note }) => {
+  const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+  const { processedMinor } = await refundTotals(tx, paymentId);
+  if (!processedMinor) return payment;
+
+  const latest = await tx.refund.findFirst({
+    where: { paymentId, status: 'PROCESSED' },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  const fullyRefunded = processedMinor >= toMinor(payment.amount);
+  const status = fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+  const updated = await applyPaymentStatus(tx, {
+    payment,
+    status,
+    actor,
+    note,
+    data: {
+      refundId: latest.providerRefundId,
+      refundAmount: new Prisma.Decimal(processedMinor / 100),
+      refundedAt: latest.updatedAt,
+      refundReason: latest.reason,
+    },
+  });
+
+  if (!payment.orderId) return updated;
+
+  // applyPaymentStatus only logs status changes; later partial refunds still belong on the timeline
+  if (payment.status === status) {
+    await recordOrderEvent(tx, {
+      orderId: payment.orderId,
+      type: 'PAYMENT_UPDATED',
+      actor,
+      note,
+      data: { paymentId: payment.id, refundId: latest.id, refundedTotal: processedMinor / 100 },
+    });
+  }
+
+  const order = await tx.order.findUnique({ where: { id: payment.orderId } });
+  if (order && order.status !== status && canTransition(order.status, status)) {
+    await transitionOrder(tx, { order, toStatus: status, actor, note });
+  }
+
+  return updated;
+};
+
+export default { toMinor, refundTotals, refundedQuantities, settleReturnRefund, applyRefundTotals };
@@ -0,0 +1,261 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { getProvider } from './payment-providers/index.js';
+import { httpError } from './errors.js';
+import { applyRefundTotals, refundTotals, refundedQuantities, settleReturnRefund, toMinor } from './refund-ledger.js';
+
+// Payments that still have money that can be returned
+const REFUNDABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+// A ledger row still without a provider refund id after this long never got
+// an answer from the provider (the process died mid-call)
+const STALE_REFUND_MINUTES = 30;
+
+/**
+ * Check requested item lines against the order and what was already refunded.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object[]} orderItems - Items of the paid order
+ * @param {{ orderItemId: string, quantity: number }[]} items - Requested lines
+ */
+const assertRefundableItems = async (tx, orderItems, items) => {
+  const byId = new Map(orderItems.map((item) => [item.id, item]));
+  const alreadyRefunded = await refundedQuantities(tx, items.map((item) => item.orderItemId));
+
+  for (const { orderItemId, quantity } of items) {
+    const orderItem = byId.get(orderItemId);
+    if (!orderItem) {
+      throw httpError(400, `Item ${orderItemId} does not belong to this order`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, `Invalid refund quantity for item ${orderItemId}`);
+    }
+
+    const remaining = orderItem.quantity - (alreadyRefunded.get(orderItemId) || 0);
+    if (quantity > remaining) {
+      throw httpError(400, `Only ${remaining} unit(s) of item ${orderItemId} can still be refunded`);
+    }
+  }
+};
+
+/**
+ * Refund part or all of a paid payment through its provider and record it
+ * in the Refund ledger. A payment can be refunded several times until its
+ * balance is used up.
+ * Shared by the admin refund endpoint and the returns (RMA) workflow.
+ * @param {Object} params
+ * @param {string} params.paymentId - Payment row id
+ * @param {number} params.amount - Amount to refund in rupees
+ * @param {string} [params.reason] - Reason stored on the refund
+ * @param {{ orderItemId: string, quantity: number }[]} [params.items] - Order items being refunded
+ * @param {string} [params.returnRequestId] - Return (RMA) the refund was issued for
+ * @param {Object|null} [params.actor] - req.user of the admin issuing the refund
+ * @returns {Promise<{ payment: Object, refund: Object, ledger: Object, refundedTotal: number, refundableBalance: number }>}
+ *   Updated payment, provider refund response and the Refund ledger row. Refunds the
+ *   provider settles later stay PENDING until syncPendingRefunds() picks them up.
+ */
+export const refundPayment = async ({ paymentId, amount, reason, items = [], returnRequestId = null, actor = null }) => {
+  if (!amount || amount <= 0) {
+    throw httpError(400, 'Invalid refund amount');
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      order: { include: { items: true } },
+      transactions: { where: { status: 'COMPLETED' }, orderBy: { createdAt: 'desc' } },
+    },
+  });
+
+  if (!payment) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  // Check if payment is eligible for refund
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw httpError(400, 'Only PAID or PARTIALLY_REFUNDED payments can be refunded');
+  }
+
+  const amountInPaise = Math.round(Number(amount) * 100); // Convert to paise
+
+  // Determine provider from provider field or payment method
+  const providerName = payment.provider?.toUpperCase() || payment.method?.toUpperCase();
+
+  if (!providerName) {
+    throw httpError(400, 'Cannot determine payment provider. Payment may be too old or invalid.');
+  }
+
+  if (providerName === 'COD') {
+    throw httpError(400, 'Cannot refund COD payments through system - process cash refund manually');
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw httpError(400, `Refunds not supported for payment method: ${providerName}. Please process refund manually.`);
+  }
+
+  // Reserve the amount first: the payment row lock serialises concurrent
+  // refunds, and the PENDING ledger row counts against the balance
+  const ledger = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "Payment" WHERE id = ${paymentId} FOR UPDATE`;
+
+    const { reservedMinor } = await refundTotals(tx, paymentId);
+    const balanceMinor = toMinor(payment.amount) - reservedMinor;
+    if (amountInPaise > balanceMinor) {
+      throw httpError(400, `Refund amount (${amountInPaise / 100}) exceeds the refundable balance (${balanceMinor / 100})`);
+    }
+
+    if (items.length) {
+      await assertRefundableItems(tx, payment.order?.items || [], items);
+    }
+
+    return tx.refund.create({
+      data: {
+        paymentId,
+        amount: new Prisma.Decimal(amountInPaise / 100),
+        currency: payment.currency,
+        reason: reason || 'Admin initiated refund',
+        provider: providerName,
+        returnRequestId,
+        initiatedById: actor?.id || null,
+        items: { create: items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })) },
+      },
+    });
+  });
+
+  let refundResponse;
+  try {
+    refundResponse = await provider.refund({ payment, amountMinor: amountInPaise, reason });
+  } catch (error) {
+    await prisma.refund.update({
+      where: { id: ledger.id },
+      data: { status: 'FAILED', failureReason: error.message },
+    });
+    throw error;
+  }
+
+  const { updatedPayment, processed } = await prisma.$transaction(async (tx) => {
+    const processed = await tx.refund.update({
+      where: { id: ledger.id },
+      data: {
+        // Providers that settle later (PhonePe) keep the row PENDING until polled
+        status: refundResponse.pending ? 'PENDING' : 'PROCESSED',
+        providerRefundId: refundResponse.id,
+        rawResponse: JSON.parse(JSON.stringify(refundResponse)),
+      },
+    });
+
+    const updatedPayment = refundResponse.pending
+      ? await tx.payment.findUnique({ where: { id: paymentId } })
+      : await applyRefundTotals(tx, {
+          paymentId,
+          actor,
+          note: `Refunded ${amountInPaise / 100}: ${processed.reason}`,
+        });
+
+    return { updatedPayment, processed };
+  });
+
+  // Pending refunds are not refunded yet but are no longer available either
+  const { processedMinor, reservedMinor } = await refundTotals(prisma, paymentId);
+  return {
+    payment: updatedPayment,
+    refund: refundResponse,
+    ledger: processed,
+    refundedTotal: processedMinor / 100,
+    refundableBalance: (toMinor(updatedPayment.amount) - reservedMinor) / 100,
+  };
+};
+
+/**
+ * Ask the provider about a PENDING refund and record the outcome.
+ * @param {Object} refund - Refund ledger row
+ * @returns {Promise<Object>} Refund row after the check
+ */
+export const refreshRefundStatus = async (refund) => {
+  if (refund.status !== 'PENDING' || !refund.providerRefundId) return refund;
+
+  const provider = getProvider(refund.provider);
+  if (!provider?.refundStatus) return refund;
+
+  const { state, raw } = await provider.refundStatus({ refund });
+  if (state === 'PENDING') return refund;
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: state,
+        ...(raw && { rawResponse: JSON.parse(JSON.stringify(raw)) }),
+        ...(state === 'FAILED' && { failureReason: `${refund.provider} reported the refund as failed` }),
+      },
+    });
+    await settleReturnRefund(tx, updated);
+
+    if (state === 'PROCESSED') {
+      await applyRefundTotals(tx, {
+        paymentId: refund.paymentId,
+        note: `${refund.provider} refund ${refund.providerRefundId} processed`,
+      });
+    }
+    return updated;
+  });
+};
+
+/**
+ * Fail PENDING refunds that never got a provider refund id, so they stop
+ * holding the refundable balance. A provider that did process one reports
+ * it by webhook, which records it again.
+ * @returns {Promise<number>} Refunds failed
+ */
+const failStaleRefunds = async () => {
+  const stale = await prisma.refund.findMany({
+    where: {
+      status: 'PENDING',
+      providerRefundId: null,
+      createdAt: { lt: new Date(Date.now() - STALE_REFUND_MINUTES * 60 * 1000) },
+    },
+    take: 100,
+  });
+
+  for (const refund of stale) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.refund.updateMany({
+        where: { id: refund.id, status: 'PENDING', providerRefundId: null },
+        data: { status: 'FAILED', failureReason: 'No response from the provider; check its dashboard before refunding again' },
+      });
+      if (count) await settleReturnRefund(tx, { ...refund, status: 'FAILED' });
+    });
+  }
+  if (stale.length) console.warn(`⚠️ Refunds: ${stale.length} refund(s) got no provider response and were marked FAILED`);
+  return stale.length;
+};
+
+/**
+ * Poll providers for refunds that are still settling, and fail the ones
+ * that never reached the provider.
+ * @returns {Promise<{ checked: number, settled: number }>}
+ */
+export const syncPendingRefunds = async () => {
+  const failed = await failStaleRefunds();
+
+  const pending = await prisma.refund.findMany({
+    where: { status: 'PENDING', providerRefundId: { not: null } },
+    orderBy: { createdAt: 'asc' },
+    take: 100,
+  });
+
+  let settled = 0;
+  for (const refund of pending) {
+    try {
+      const updated = await refreshRefundStatus(refund);
+      if (updated.status !== 'PENDING') settled += 1;
+    } catch (error) {
+      console.error(`Refund status check failed for ${refund.id}:`, error.message);
+    }
+  }
+
+  if (settled) console.log(`💸 Refunds: ${settled} of ${pending.length} pending refunds settled`);
+  return { checked: pending.length + failed, settled: settled + failed };
+};
+
+export default { refundPayment, refreshRefundStatus, syncPendingRefunds };
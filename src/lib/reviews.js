@@ -0,0 +1,49 @@
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+
+// Orders whose items count as a verified purchase
+export const REVIEWABLE_ORDER_STATUSES = ['DELIVERED', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Check whether a user received the product in one of their orders.
+ * @param {string} userId - User id
+ * @param {string} productId - Product id
+ * @returns {Promise<boolean>}
+ */
+export const hasPurchasedProduct = async (userId, productId) => {
+  const item = await prisma.orderItem.findFirst({
+    where: { productId, order: { userId, status: { in: REVIEWABLE_ORDER_STATUSES } } },
+    select: { id: true },
+  });
+  return Boolean(item);
+};
+
+/**
+ * Recompute Product.averageRating / reviewCount from approved reviews and
+ * drop the cached product detail so the new values are served.
+ * Call after every change to a review's approval.
+ * @param {string} productId - Product id
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Updated product (handle, averageRating, reviewCount)
+ */
+export const recomputeProductRating = async (productId, client = prisma) => {
+  const { _avg, _count } = await client.review.aggregate({
+    where: { productId, approved: true },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  const product = await client.product.update({
+    where: { id: productId },
+    data: {
+      averageRating: _avg.rating ? Math.round(_avg.rating * 10) / 10 : 0,
+      reviewCount: _count._all,
+    },
+    select: { id: true, handle: true, averageRating: true, reviewCount: true },
+  });
+
+  await cache.del(`product:${product.handle}`);
+  return product;
+};
+
+export default { REVIEWABLE_ORDER_STATUSES, hasPurchasedProduct, recomputeProductRating };
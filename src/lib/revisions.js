@@ -0,0 +1,338 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { httpError } from './errors.js';
+import { assertVariantsRemovable, recordInitialStock, removeVariants } from './inventory.js';
+import { refreshPriceRange } from './price-range.js';
+import { refreshSearchVector } from './search.js';
+import { notifyVariantAlerts } from './stock-alerts.js';
+import { setProductCollections } from './collection-products.js';
+import { syncProductCollections } from './smart-collections.js';
+
+/**
+ * Product revision history. Every admin write stores a numbered snapshot of
+ * the product (fields, collections, tags, images, options and variants) with
+ * its author and the fields that changed, so edits can be diffed and rolled
+ * back. Stock is not part of a snapshot: it moves with orders and is tracked
+ * by the inventory ledger, so a rollback leaves the stock of the variants it
+ * keeps alone. Variants it removes have their stock written off in the ledger.
+ */
+
+const PRODUCT_FIELDS = [
+  'title',
+  'handle',
+  'vendor',
+  'description',
+  'descriptionHtml',
+  'featuredImageUrl',
+  'featuredImageAlt',
+  'published',
+  'publishAt',
+  'unpublishAt',
+  'metafields',
+  'metaTitle',
+  'metaDescription',
+  'metaKeywords',
+  'variantGroupId',
+];
+
+const VARIANT_FIELDS = [
+  'sku',
+  'barcode',
+  'availableForSale',
+  'priceAmount',
+  'priceCurrency',
+  'compareAmount',
+  'compareCurrency',
+  'weightInGrams',
+  'lowStockThreshold',
+  'selectedOptions',
+];
+
+// Dates and decimals compare by their JSON form, as stored in a snapshot
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const tagName = (handle) => handle.replace(/-/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+
+// ----------------------- SNAPSHOTS ----------------------- //
+
+/**
+ * The current state of a product as stored in a revision.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} productId
+ * @returns {Promise<Object|null>} null when the product does not exist
+ */
+export const productSnapshot = async (client, productId) => {
+  const product = await client.product.findUnique({
+    where: { id: productId },
+    include: {
+      collections: { select: { collectionId: true } },
+      tags: { select: { tag: { select: { handle: true } } } },
+      images: { orderBy: { id: 'asc' } },
+      options: { orderBy: { id: 'asc' }, include: { values: { orderBy: { id: 'asc' } } } },
+      variants: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] },
+    },
+  });
+  if (!product) return null;
+
+  return JSON.parse(
+    JSON.stringify({
+      ...Object.fromEntries(PRODUCT_FIELDS.map((field) => [field, product[field] ?? null])),
+      collectionIds: product.collections.map((c) => c.collectionId).sort(),
+      tags: product.tags.map((t) => t.tag.handle).sort(),
+      images: product.images.map((img) => ({ url: img.url, altText: img.altText })),
+      options: product.options.map((option) => ({
+        name: option.name,
+        values: option.values.map((v) => ({ name: v.name, color: v.color })),
+      })),
+      variants: product.variants.map((v) => ({
+        id: v.id,
+        ...Object.fromEntries(VARIANT_FIELDS.map((field) => [field, v[field] ?? null])),
+        priceAmount: v.priceAmount.toString(),
+        compareAmount: v.compareAmount?.toString() ?? null,
+      })),
+    })
+  );
+};
+
+/**
+ * Compare two lists of records matched by `key`.
+ */
+const diffList = (before, after, key, fields) => {
+  const previous = new Map(before.map((item) => [item[key], item]));
+  const next = new Map(after.map((item) => [item[key], item]));
+
+  const changed = [];
+  for (const [id, item] of next) {
+    const old = previous.get(id);
+    if (!old) continue;
+    const differences = Object.fromEntries(
+      fields.filter((field) => !same(old[field], item[field])).map((field) => [field, { before: old[field], after: item[field] }])
+    );
+    if (Object.keys(differences).length) changed.push({ [key]: id, fields: differences });
+  }
+
+  const diff = {
+    added: after.filter((item) => !previous.has(item[key])),
+    removed: before.filter((item) => !next.has(item[key])),
+    changed,
+  };
+  return diff.added.length || diff.removed.length || diff.changed.length ? diff : null;
+};
+
+/**
+ * What changed between two snapshots, keyed by field. Plain fields give
+ * { before, after }; collectionIds and tags { added, removed }; images (by
+ * url), options (by name) and variants (by id) { added, removed, changed }.
+ * Unchanged fields are left out.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object}
+ */
+export const diffSnapshots = (before, after) => {
+  const diff = {};
+
+  for (const field of PRODUCT_FIELDS) {
+    if (!same(before[field], after[field])) diff[field] = { before: before[field] ?? null, after: after[field] ?? null };
+  }
+
+  for (const field of ['collectionIds', 'tags']) {
+    const added = after[field].filter((value) => !before[field].includes(value));
+    const removed = before[field].filter((value) => !after[field].includes(value));
+    if (added.length || removed.length) diff[field] = { added, removed };
+  }
+
+  const lists = {
+    images: diffList(before.images, after.images, 'url', ['altText']),
+    options: diffList(before.options, after.options, 'name', ['values']),
+    variants: diffList(before.variants, after.variants, 'id', VARIANT_FIELDS),
+  };
+  for (const [field, changes] of Object.entries(lists)) if (changes) diff[field] = changes;
+
+  return diff;
+};
+
+// ----------------------- REVISIONS ----------------------- //
+
+/**
+ * Store a revision of a product's current state. Call it after the write,
+ * inside the same transaction when there is one.
+ *
+ * With `before` (the snapshot taken ahead of the write) the revision lists
+ * the changed fields and is skipped when nothing changed; a product without
+ * history first gets a BASELINE revision of `before`, so the edit can be
+ * undone. The product row is locked while the next number is taken, so
+ * concurrent writes to one product get consecutive numbers.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string} productId
+ * @param {Object} options
+ * @param {'CREATE'|'UPDATE'|'BULK_UPDATE'|'IMPORT'|'ROLLBACK'} options.source
+ * @param {Object|null} [options.actor] - User making the change
+ * @param {Object|null} [options.before] - productSnapshot() from before the write
+ * @param {number} [options.rolledBackTo] - Revision number restored (rollbacks)
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed
+ */
+export const recordRevision = async (client, productId, options) => {
+  // The lock below only holds inside a transaction
+  if (client === prisma) {
+    return prisma.$transaction((tx) => recordRevision(tx, productId, options), { maxWait: 5000, timeout: 30000 });
+  }
+
+  const { source, actor = null, before = null, rolledBackTo = null } = options;
+  await client.$queryRaw`SELECT id FROM "Product" WHERE id = ${productId} FOR UPDATE`;
+
+  const after = await productSnapshot(client, productId);
+  if (!after) return null;
+
+  const changedFields = before ? Object.keys(diffSnapshots(before, after)) : [];
+  if (before && !changedFields.length) return null;
+
+  const latest = await client.productRevision.findFirst({
+    where: { productId },
+    orderBy: { number: 'desc' },
+    select: { number: true },
+  });
+  let number = latest?.number ?? 0;
+
+  if (before && !latest) {
+    await client.productRevision.create({
+      data: { productId, number: ++number, source: 'BASELINE', snapshot: before, changedFields: [] },
+    });
+  }
+
+  return client.productRevision.create({
+    data: {
+      productId,
+      number: number + 1,
+      source,
+      snapshot: after,
+      changedFields,
+      authorId: actor?.id ?? null,
+      rolledBackTo,
+    },
+  });
+};
+
+/**
+ * One revision of a product.
+ * @param {string} productId
+ * @param {number} number
+ * @returns {Promise<Object>}
+ */
+export const getRevision = async (productId, number) => {
+  const revision = await prisma.productRevision.findUnique({
+    where: { productId_number: { productId, number } },
+    include: { author: { select: { id: true, email: true, firstName: true, lastName: true } } },
+  });
+  if (!revision) throw httpError(404, `Revision ${number} not found`);
+  return revision;
+};
+
+/**
+ * Restore a product to the state stored in one of its revisions: fields,
+ * collections, tags, images, options and variants. Variants deleted since
+ * are recreated (with new ids and no stock); variants added since are
+ * removed through removeVariants(): refused (409) while open orders or
+ * transfers need them, stock written off, archived when they have history.
+ * The rollback is itself recorded as a new revision.
+ * @param {string} productId
+ * @param {number} number - Revision to restore
+ * @param {Object|null} [actor]
+ * @returns {Promise<Object|null>} The ROLLBACK revision, or null if the product already matched it
+ */
+export const rollbackProduct = async (productId, number, actor = null) => {
+  const [{ snapshot }, current] = await Promise.all([
+    getRevision(productId, number),
+    prisma.product.findUnique({ where: { id: productId }, select: { id: true, handle: true, publishedAt: true } }),
+  ]);
+  if (!current) throw httpError(404, 'Product not found');
+
+  const taken = await prisma.product.findUnique({ where: { handle: snapshot.handle }, select: { id: true } });
+  if (taken && taken.id !== productId) {
+    throw httpError(409, `Handle ${snapshot.handle} now belongs to another product`);
+  }
+
+  const before = await productSnapshot(prisma, productId);
+  const collections = await prisma.collection.findMany({
+    where: { id: { in: [...new Set([...before.collectionIds, ...snapshot.collectionIds])] } },
+    select: { id: true, handle: true },
+  });
+  const snapshotIds = new Set(snapshot.variants.map((v) => v.id));
+  const removedIds = before.variants.map((v) => v.id).filter((id) => !snapshotIds.has(id));
+
+  const group = snapshot.variantGroupId
+    ? await prisma.variantGroup.findUnique({ where: { id: snapshot.variantGroupId }, select: { id: true } })
+    : null;
+
+  const revision = await prisma.$transaction(
+    async (tx) => {
+      await tx.product.update({
+        where: { id: productId },
+        data: {
+          ...Object.fromEntries(PRODUCT_FIELDS.map((field) => [field, snapshot[field]])),
+          metafields: snapshot.metafields ?? Prisma.DbNull,
+          // Variant groups deleted since the revision are dropped
+          variantGroupId: group?.id ?? null,
+          ...(snapshot.published && !current.publishedAt && { publishedAt: new Date() }),
+        },
+      });
+
+      // Collections deleted since the revision are skipped
+      await setProductCollections(
+        tx,
+        productId,
+        snapshot.collectionIds.filter((id) => collections.some((c) => c.id === id))
+      );
+
+      await tx.productImage.deleteMany({ where: { productId } });
+      if (snapshot.images.length) {
+        await tx.productImage.createMany({ data: snapshot.images.map((img) => ({ ...img, productId })) });
+      }
+
+      await tx.productOptionValue.deleteMany({ where: { option: { productId } } });
+      await tx.productOption.deleteMany({ where: { productId } });
+      for (const option of snapshot.options) {
+        await tx.productOption.create({
+          data: { name: option.name, productId, values: { create: option.values } },
+        });
+      }
+
+      await tx.productTag.deleteMany({ where: { productId } });
+      for (const handle of snapshot.tags) {
+        const tag = await tx.tag.upsert({ where: { handle }, update: {}, create: { handle, name: tagName(handle) } });
+        await tx.productTag.create({ data: { productId, tagId: tag.id } });
+      }
+
+      const movement = { reason: 'MANUAL', referenceType: 'PRODUCT', referenceId: productId, actor };
+      await assertVariantsRemovable(tx, removedIds);
+      await removeVariants(tx, removedIds, { ...movement, note: `Rolled back to revision ${number}` });
+
+      const existingIds = new Set(before.variants.map((v) => v.id));
+      for (const { id, ...data } of snapshot.variants) {
+        if (existingIds.has(id)) {
+          await tx.productVariant.update({ where: { id }, data });
+        } else {
+          const variant = await tx.productVariant.create({ data: { ...data, productId, inventoryQuantity: 0 } });
+          await recordInitialStock(tx, [variant], { ...movement, note: 'Recreated by rollback' });
+        }
+      }
+
+      await refreshPriceRange(tx, productId);
+      await refreshSearchVector(tx, [productId]);
+      return recordRevision(tx, productId, { source: 'ROLLBACK', actor, before, rolledBackTo: number });
+    },
+    { maxWait: 5000, timeout: 30000 }
+  );
+
+  await syncProductCollections([productId]);
+
+  await cache.del('collections:all', `product:${current.handle}`, `product:${snapshot.handle}`);
+  for (const { handle } of collections) await cache.delPattern(`collection:${handle}:*`);
+
+  const variants = await prisma.productVariant.findMany({ where: { productId }, select: { id: true } });
+  notifyVariantAlerts(variants.map((v) => v.id));
+
+  return revision;
+};
+
+export default { productSnapshot, diffSnapshots, recordRevision, getRevision, rollbackProduct };
@@ -0,0 +1,337 @@
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { httpError } from './errors.js';
+import { refreshPriceRange } from './price-range.js';
+import { notifyVariantAlerts } from './stock-alerts.js';
+import { syncProductCollections } from './smart-collections.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toDate = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `${field} must be a valid date`);
+  return date;
+};
+
+/**
+ * Drop the cached product pages (and collection pages) a schedule touched.
+ */
+const invalidate = async (productHandles, collectionHandles = []) => {
+  if (productHandles.length) await cache.del(...new Set(productHandles.map((handle) => `product:${handle}`)));
+  for (const handle of new Set(collectionHandles)) await cache.delPattern(`collection:${handle}:*`);
+};
+
+// ----------------------- PUBLISHING ----------------------- //
+
+/**
+ * Read publishAt / unpublishAt from a request body. A missing field is left
+ * out (unchanged), null or '' clears it.
+ * @param {Object} body
+ * @param {Object} [current] - The product's current window, for updates
+ * @returns {{ publishAt?: Date|null, unpublishAt?: Date|null }}
+ */
+export const publishWindow = ({ publishAt, unpublishAt } = {}, current = {}) => {
+  const window = { publishAt: toDate(publishAt, 'publishAt'), unpublishAt: toDate(unpublishAt, 'unpublishAt') };
+  const start = window.publishAt === undefined ? current.publishAt : window.publishAt;
+  const end = window.unpublishAt === undefined ? current.unpublishAt : window.unpublishAt;
+  if (start && end && start >= end) throw httpError(400, 'unpublishAt must be after publishAt');
+  return Object.fromEntries(Object.entries(window).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Publish and unpublish the products whose publishAt / unpublishAt has
+ * passed, clearing the applied field. A window that closed before it was
+ * applied (e.g. the worker was down) leaves the product unpublished.
+ * @param {Date} [now]
+ * @returns {Promise<{ published: number, unpublished: number }>}
+ */
+export const applyPublishSchedules = async (now = new Date()) => {
+  const due = await prisma.product.findMany({
+    where: { deletedAt: null, OR: [{ publishAt: { lte: now } }, { unpublishAt: { lte: now } }] },
+    select: { id: true, handle: true, publishedAt: true, publishAt: true, unpublishAt: true },
+  });
+
+  const totals = { published: 0, unpublished: 0 };
+  const changed = [];
+  for (const product of due) {
+    const publishDue = product.publishAt && product.publishAt <= now;
+    const unpublishDue = product.unpublishAt && product.unpublishAt <= now;
+
+    // Only if the window was not edited since it was read
+    const { count } = await prisma.product.updateMany({
+      where: { id: product.id, publishAt: product.publishAt, unpublishAt: product.unpublishAt },
+      data: unpublishDue
+        ? { published: false, unpublishAt: null, ...(publishDue && { publishAt: null }) }
+        : { published: true, publishAt: null, publishedAt: product.publishedAt || product.publishAt },
+    });
+    if (!count) continue;
+
+    totals[unpublishDue ? 'unpublished' : 'published'] += 1;
+    changed.push(product.handle);
+  }
+
+  await invalidate(changed);
+  return totals;
+};
+
+// ----------------------- PRICE SCHEDULES ----------------------- //
+
+/**
+ * Sale price of a variant under a schedule: the fixed priceAmount, or the
+ * current price less the percentage / fixed discount.
+ * @param {Object} schedule - PriceSchedule
+ * @param {number} price - Current variant price
+ * @returns {number}
+ */
+export const salePrice = (schedule, price) => {
+  if (schedule.priceAmount !== null && schedule.priceAmount !== undefined) return round(Number(schedule.priceAmount));
+  const value = Number(schedule.discountValue);
+  return schedule.discountType === 'PERCENTAGE' ? round(price * (1 - value / 100)) : round(Math.max(price - value, 0));
+};
+
+/**
+ * Create a price schedule for one product, variant or collection (the
+ * body is parsed by the route's zod schema). A schedule whose start has
+ * passed is applied straight away.
+ * @param {Object} data
+ * @param {Object|null} [actor] - req.user
+ * @returns {Promise<Object>} PriceSchedule
+ */
+export const createPriceSchedule = async (data, actor = null) => {
+  const target = data.variantId
+    ? await prisma.productVariant.findUnique({ where: { id: data.variantId } })
+    : data.productId
+      ? await prisma.product.findFirst({ where: { id: data.productId, deletedAt: null } })
+      : await prisma.collection.findUnique({ where: { id: data.collectionId } });
+  if (!target) throw httpError(404, 'Schedule target not found');
+
+  const schedule = await prisma.priceSchedule.create({ data: { ...data, createdById: actor?.id || null } });
+  if (schedule.startsAt <= new Date()) await startPriceSchedule(schedule.id);
+  return prisma.priceSchedule.findUnique({ where: { id: schedule.id } });
+};
+
+/**
+ * Change a price schedule. A scheduled one can change anything but its
+ * target; an active one only its name and end.
+ * @param {string} id
+ * @param {Object} data - Parsed by the route's zod schema
+ * @returns {Promise<Object>} PriceSchedule
+ */
+export const updatePriceSchedule = async (id, data) => {
+  const schedule = await prisma.priceSchedule.findUnique({ where: { id } });
+  if (!schedule) throw httpError(404, 'Price schedule not found');
+  if (!['SCHEDULED', 'ACTIVE'].includes(schedule.status)) throw httpError(409, `Schedule has already ${schedule.status.toLowerCase()}`);
+
+  const editable = schedule.status === 'ACTIVE' ? ['name', 'endsAt'] : Object.keys(data);
+  const blocked = Object.keys(data).filter((key) => !editable.includes(key));
+  if (blocked.length) throw httpError(409, `Cannot change ${blocked.join(', ')} of an active schedule`);
+
+  const startsAt = data.startsAt || schedule.startsAt;
+  const endsAt = data.endsAt || schedule.endsAt;
+  if (startsAt >= endsAt) throw httpError(400, 'endsAt must be after startsAt');
+  if (data.priceAmount !== undefined) Object.assign(data, { discountType: null, discountValue: null });
+  if (data.discountType !== undefined) data.priceAmount = null;
+
+  const updated = await prisma.priceSchedule.update({ where: { id }, data });
+  // Moving the start into the past or the end of an active sale into the
+  // past takes effect now rather than on the next worker run
+  if (updated.status === 'SCHEDULED' && updated.startsAt <= new Date()) await startPriceSchedule(id);
+  if (updated.status === 'ACTIVE' && updated.endsAt <= new Date()) await endPriceSchedule(id);
+  return prisma.priceSchedule.findUnique({ where: { id } });
+};
+
+/**
+ * Variants a schedule applies to, with their product handle.
+ */
+const targetVariants = (tx, schedule) =>
+  tx.productVariant.findMany({
+    where: schedule.variantId
+      ? { id: schedule.variantId }
+      : schedule.productId
+        ? { productId: schedule.productId }
+        : { product: { deletedAt: null, collections: { some: { collectionId: schedule.collectionId } } } },
+    select: { id: true, productId: true, priceAmount: true, compareAmount: true, product: { select: { handle: true } } },
+  });
+
+const scheduleCollectionHandles = async (schedule) =>
+  schedule.collectionId
+    ? [(await prisma.collection.findUnique({ where: { id: schedule.collectionId }, select: { handle: true } }))?.handle].filter(Boolean)
+    : [];
+
+/**
+ * Apply a scheduled sale: set every target variant to its sale price,
+ * raise compare-at to the old price so the discount shows, and remember the
+ * old prices for the revert. Variants already in another active sale are
+ * left alone so the two reverts cannot clash.
+ * @param {string} id
+ * @returns {Promise<{ variants: number, skipped: number }|null>} null when the schedule is not waiting to start
+ */
+export const startPriceSchedule = async (id) => {
+  const result = await prisma.$transaction(
+    async (tx) => {
+      const schedule = await tx.priceSchedule.findUnique({ where: { id } });
+      if (schedule?.status !== 'SCHEDULED') return null;
+
+      const active = await tx.priceSchedule.findMany({ where: { status: 'ACTIVE' }, select: { originalPrices: true } });
+      const onSale = new Set(active.flatMap((s) => Object.keys(s.originalPrices || {})));
+      const variants = await targetVariants(tx, schedule);
+
+      const originalPrices = {};
+      const products = new Map();
+      for (const variant of variants.filter((v) => !onSale.has(v.id))) {
+        const price = Number(variant.priceAmount);
+        const sale = salePrice(schedule, price);
+        if (sale === price) continue;
+
+        const compareAt = Math.max(Number(variant.compareAmount || 0), price);
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: { priceAmount: sale, ...(sale < compareAt && { compareAmount: compareAt }) },
+        });
+        originalPrices[variant.id] = {
+          priceAmount: variant.priceAmount.toString(),
+          compareAmount: variant.compareAmount?.toString() ?? null,
+          salePrice: sale,
+        };
+        products.set(variant.productId, variant.product.handle);
+      }
+
+      for (const productId of products.keys()) await refreshPriceRange(tx, productId);
+      await tx.priceSchedule.update({ where: { id }, data: { status: 'ACTIVE', appliedAt: new Date(), originalPrices } });
+
+      return {
+        schedule,
+        variantIds: Object.keys(originalPrices),
+        products,
+        skipped: variants.filter((v) => onSale.has(v.id)).length,
+      };
+    },
+    { maxWait: 5000, timeout: 30000 }
+  );
+  if (!result) return null;
+
+  await invalidate([...result.products.values()], await scheduleCollectionHandles(result.schedule));
+  await syncProductCollections([...result.products.keys()]);
+  notifyVariantAlerts(result.variantIds);
+  return { variants: result.variantIds.length, skipped: result.skipped };
+};
+
+/**
+ * End a sale and put the old prices back. A variant whose price was edited
+ * during the sale keeps the edited price. A schedule that never started is
+ * simply closed.
+ * @param {string} id
+ * @param {'ENDED'|'CANCELED'} [status]
+ * @returns {Promise<{ reverted: number, kept: number }|null>} null when the schedule was already closed
+ */
+export const endPriceSchedule = async (id, status = 'ENDED') => {
+  const result = await prisma.$transaction(
+    async (tx) => {
+      const schedule = await tx.priceSchedule.findUnique({ where: { id } });
+      if (!['SCHEDULED', 'ACTIVE'].includes(schedule?.status)) return null;
+
+      let reverted = 0;
+      let kept = 0;
+      const products = new Map();
+      const originals = schedule.status === 'ACTIVE' ? Object.entries(schedule.originalPrices || {}) : [];
+      for (const [variantId, original] of originals) {
+        const variant = await tx.productVariant.findUnique({
+          where: { id: variantId },
+          select: { productId: true, priceAmount: true, product: { select: { handle: true } } },
+        });
+        if (!variant) continue;
+        if (Number(variant.priceAmount) !== original.salePrice) {
+          kept += 1;
+          continue;
+        }
+
+        await tx.productVariant.update({
+          where: { id: variantId },
+          data: { priceAmount: original.priceAmount, compareAmount: original.compareAmount },
+        });
+        reverted += 1;
+        products.set(variant.productId, variant.product.handle);
+      }
+
+      for (const productId of products.keys()) await refreshPriceRange(tx, productId);
+      await tx.priceSchedule.update({
+        where: { id },
+        data: { status, ...(schedule.status === 'ACTIVE' && { revertedAt: new Date() }) },
+      });
+
+      return { schedule, products, reverted, kept };
+    },
+    { maxWait: 5000, timeout: 30000 }
+  );
+  if (!result) return null;
+
+  if (result.products.size) {
+    await invalidate([...result.products.values()], await scheduleCollectionHandles(result.schedule));
+    await syncProductCollections([...result.products.keys()]);
+  }
+  return { reverted: result.reverted, kept: result.kept };
+};
+
+/**
+ * Cancel a price schedule, reverting its prices if the sale is running.
+ * @param {string} id
+ * @returns {Promise<Object>} PriceSchedule
+ */
+export const cancelPriceSchedule = async (id) => {
+  const schedule = await prisma.priceSchedule.findUnique({ where: { id } });
+  if (!schedule) throw httpError(404, 'Price schedule not found');
+  if (!(await endPriceSchedule(id, 'CANCELED'))) throw httpError(409, `Schedule has already ${schedule.status.toLowerCase()}`);
+  return prisma.priceSchedule.findUnique({ where: { id } });
+};
+
+/**
+ * End the sales whose endsAt has passed, then start the ones whose
+ * startsAt has. A sale whose whole window passed unapplied is closed
+ * without touching prices.
+ * @param {Date} [now]
+ * @returns {Promise<{ started: number, ended: number }>}
+ */
+export const applyPriceSchedules = async (now = new Date()) => {
+  const totals = { started: 0, ended: 0 };
+
+  const ending = await prisma.priceSchedule.findMany({
+    where: { status: { in: ['ACTIVE', 'SCHEDULED'] }, endsAt: { lte: now } },
+    orderBy: { endsAt: 'asc' },
+    select: { id: true },
+  });
+  for (const { id } of ending) if (await endPriceSchedule(id)) totals.ended += 1;
+
+  const starting = await prisma.priceSchedule.findMany({
+    where: { status: 'SCHEDULED', startsAt: { lte: now }, endsAt: { gt: now } },
+    orderBy: { startsAt: 'asc' },
+    select: { id: true },
+  });
+  for (const { id } of starting) if (await startPriceSchedule(id)) totals.started += 1;
+
+  return totals;
+};
+
+/**
+ * Apply every due publish window and price schedule.
+ * Run every minute by the maintenance worker.
+ * @returns {Promise<Object>}
+ */
+export const applySchedules = async () => ({
+  ...(await applyPublishSchedules()),
+  ...(await applyPriceSchedules()),
+});
+
+export default {
+  publishWindow,
+  applyPublishSchedules,
+  salePrice,
+  createPriceSchedule,
+  updatePriceSchedule,
+  startPriceSchedule,
+  endPriceSchedule,
+  cancelPriceSchedule,
+  applyPriceSchedules,
+  applySchedules,
+};
@@ -0,0 +1,343 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+
+// Matched products are ranked in the database and capped here; facets and
+// pagination work on this set
+const MAX_MATCHES = Number(process.env.SEARCH_MAX_MATCHES || 1000);
+
+// pg_trgm word similarity needed for a typo-tolerant match (0-1)
+const FUZZY_THRESHOLD = Number(process.env.SEARCH_FUZZY_THRESHOLD || 0.4);
+
+const SYNONYMS_CACHE_KEY = 'search:synonyms';
+
+// Starting-price buckets reported in the price facet
+export const PRICE_BUCKETS = [
+  { label: 'Under ₹1000', min: 0, max: 1000 },
+  { label: '₹1000 - ₹2000', min: 1000, max: 2000 },
+  { label: '₹2000 - ₹3000', min: 2000, max: 3000 },
+  { label: '₹3000 - ₹5000', min: 3000, max: 5000 },
+  { label: 'Above ₹5000', min: 5000, max: null },
+];
+
+/**
+ * Weighted search document of product "p": title (A), tags, option values
+ * and colour metafield (B), vendor (C), description (D).
+ * Kept in sync with the backfill in the add_product_search migration.
+ */
+const SEARCH_DOCUMENT = Prisma.sql`
+  setweight(to_tsvector('english', coalesce(p."title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce((
+    SELECT string_agg(t."name", ' ')
+    FROM "ProductTag" pt JOIN "Tag" t ON t."id" = pt."tagId"
+    WHERE pt."productId" = p."id"
+  ), '')), 'B') ||
+  setweight(to_tsvector('english', coalesce((
+    SELECT string_agg(v."name", ' ')
+    FROM "ProductOptionValue" v JOIN "ProductOption" o ON o."id" = v."optionId"
+    WHERE o."productId" = p."id"
+  ), '') || ' ' || replace(coalesce(p."metafields"->>'color', ''), ';', ' ')), 'B') ||
+  setweight(to_tsvector('english', coalesce(p."vendor", '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(p."description", '')), 'D')`;
+
+/**
+ * Rebuild the search document of the given products. Call after anything
+ * that changes a product's title, description, vendor, tags or options.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string[]} productIds
+ * @returns {Promise<number>} Rows updated
+ */
+export const refreshSearchVector = async (client, productIds) => {
+  const ids = [...new Set(productIds.filter(Boolean))];
+  if (!ids.length) return 0;
+  return client.$executeRaw`
+    UPDATE "Product" p SET "searchVector" = ${SEARCH_DOCUMENT}
+    WHERE p."id" IN (${Prisma.join(ids)})`;
+};
+
+/**
+ * Fill in documents missing for products written outside the catalog
+ * routes (raw inserts, older code paths). Run by the maintenance worker.
+ * @returns {Promise<{ refreshed: number }>}
+ */
+export const refreshMissingSearchVectors = async () => {
+  const refreshed = await prisma.$executeRaw`
+    UPDATE "Product" p SET "searchVector" = ${SEARCH_DOCUMENT}
+    WHERE p."searchVector" IS NULL`;
+  return { refreshed };
+};
+
+const wordsOf = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+
+/**
+ * Synonym groups keyed by every word in them: "lengha" -> ["lehenga", "lengha", ...].
+ * @returns {Promise<Object<string, string[]>>}
+ */
+const loadSynonyms = async () => {
+  const cached = await cache.get(SYNONYMS_CACHE_KEY);
+  if (cached) return cached;
+
+  const rows = await prisma.searchSynonym.findMany({ select: { term: true, synonyms: true } });
+  const groups = {};
+  for (const row of rows) {
+    const group = [...new Set([row.term, ...row.synonyms])];
+    for (const word of group) groups[word] = [...new Set([...(groups[word] || []), ...group])];
+  }
+  await cache.set(SYNONYMS_CACHE_KEY, groups, 600);
+  return groups;
+};
+
+/**
+ * Drop the cached synonym groups after the dictionary changes.
+ */
+export const clearSynonymCache = () => cache.del(SYNONYMS_CACHE_KEY);
+
+/**
+ * Words of the input, each with its synonyms: [["pink"], ["lengha", "lehenga", ...]].
+ * @param {string} text
+ * @returns {Promise<string[][]>}
+ */
+export const expandQuery = async (text) => {
+  const synonyms = await loadSynonyms();
+  return wordsOf(text).map((word) => synonyms[word] || [word]);
+};
+
+/**
+ * Turn expanded words into a tsquery: groups joined with & (or |), each
+ * group an | of its synonyms, and the last word matched as a prefix so
+ * partial input ("pink leh") still finds results.
+ */
+const toTsQuery = (groups, operator) =>
+  groups
+    .map((alternatives, i) => {
+      const last = i === groups.length - 1;
+      // Multi-word synonyms ("hooded sweatshirt") become phrases
+      const terms = alternatives.map((alt) => {
+        const words = wordsOf(alt);
+        return words.map((w, j) => (last && j === words.length - 1 ? `${w}:*` : w)).join(' <-> ');
+      });
+      return terms.length > 1 ? `(${terms.join(' | ')})` : terms[0];
+    })
+    .join(` ${operator} `);
+
+const rankMatches = async (tsQuery) => {
+  if (!tsQuery) return [];
+  return prisma.$queryRaw`
+    SELECT p."id", ts_rank_cd(p."searchVector", q, 1) AS "rank"
+    FROM "Product" p, to_tsquery('english', ${tsQuery}) q
+    WHERE p."searchVector" @@ q AND p."deletedAt" IS NULL
+    ORDER BY "rank" DESC, p."title" ASC
+    LIMIT ${MAX_MATCHES}`;
+};
+
+/**
+ * Typo-tolerant fallback: products whose title or a tag is close to the
+ * input by trigram word similarity ("kurthi" ~ "Kurti").
+ */
+const fuzzyMatches = async (text) => {
+  const query = wordsOf(text).join(' ');
+  if (!query) return [];
+  const [, rows] = await prisma.$transaction([
+    prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(FUZZY_THRESHOLD)}, true)`,
+    prisma.$queryRaw`
+      SELECT m."id", max(m."score") AS "score"
+      FROM (
+        SELECT p."id", word_similarity(${query}::text, lower(p."title")) AS "score"
+        FROM "Product" p
+        WHERE ${query}::text <% lower(p."title") AND p."deletedAt" IS NULL
+        UNION ALL
+        SELECT p."id", word_similarity(${query}::text, lower(t."name"))
+        FROM "Tag" t
+        JOIN "ProductTag" pt ON pt."tagId" = t."id"
+        JOIN "Product" p ON p."id" = pt."productId"
+        WHERE ${query}::text <% lower(t."name") AND p."deletedAt" IS NULL
+      ) m
+      GROUP BY m."id"
+      ORDER BY "score" DESC
+      LIMIT ${MAX_MATCHES}`,
+  ]);
+  return rows;
+};
+
+/**
+ * Ids of products matching the text, best match first. Every word (or one
+ * of its synonyms) must match; when nothing does, products matching any
+ * word are returned, and failing that, products with a similar title or tag.
+ * @param {string} text
+ * @returns {Promise<{ ids: string[], fuzzy: boolean }>}
+ */
+export const matchProducts = async (text) => {
+  const groups = await expandQuery(text);
+  const allWords = toTsQuery(groups, '&');
+  const anyWord = toTsQuery(groups, '|');
+
+  let rows = await rankMatches(allWords);
+  if (!rows.length && anyWord !== allWords) rows = await rankMatches(anyWord);
+  if (rows.length) return { ids: rows.map((row) => row.id), fuzzy: false };
+
+  rows = await fuzzyMatches(text);
+  return { ids: rows.map((row) => row.id), fuzzy: rows.length > 0 };
+};
+
+/**
+ * Record a search and how many results it returned. Never throws, so
+ * callers can fire and forget.
+ * @param {Object} entry
+ * @param {string} entry.query - Raw input
+ * @param {string} entry.source - "search" | "products" | "autocomplete"
+ * @param {number} entry.resultCount
+ * @param {boolean} [entry.fuzzy]
+ * @param {string|null} [entry.userId]
+ */
+export const logSearch = async ({ query, source, resultCount, fuzzy = false, userId = null }) => {
+  try {
+    const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 200);
+    if (!normalized) return;
+    await prisma.searchQuery.create({ data: { query: normalized, source, resultCount, fuzzy, userId } });
+  } catch (err) {
+    console.error('Search log error:', err.message);
+  }
+};
+
+/**
+ * Delete search logs older than SEARCH_LOG_RETENTION_DAYS.
+ * Run periodically by the maintenance worker.
+ * @returns {Promise<{ removed: number }>}
+ */
+export const purgeSearchLogs = async () => {
+  const days = Number(process.env.SEARCH_LOG_RETENTION_DAYS || 180);
+  const { count } = await prisma.searchQuery.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } },
+  });
+  return { removed: count };
+};
+
+const COLOR_OPTIONS = ['color', 'colour'];
+const SIZE_OPTIONS = ['size'];
+
+const facetSelect = {
+  id: true,
+  minPriceAmount: true,
+  metafields: true,
+  collections: { select: { collection: { select: { handle: true, title: true } } } },
+  tags: { select: { tag: { select: { handle: true, name: true } } } },
+  options: { select: { name: true, values: { select: { name: true } } } },
+};
+
+const splitList = (value) => (typeof value === 'string' ? value.split(/[;,]/).map((v) => v.trim()).filter(Boolean) : []);
+
+/**
+ * Colour or size values of a product: its option values plus the
+ * matching metafield ("pink; floral").
+ */
+const valuesOf = (product, names, metafield) => {
+  const fromOptions = product.options
+    .filter((o) => names.includes(o.name.toLowerCase()))
+    .flatMap((o) => o.values.map((v) => v.name));
+  return [...fromOptions, ...splitList(product.metafields?.[metafield])];
+};
+
+const hasValue = (product, names, metafield, wanted) =>
+  valuesOf(product, names, metafield).some((v) => v.toLowerCase() === wanted.toLowerCase());
+
+/**
+ * Count products per collection, tag, colour, size and price bucket.
+ * @param {Array<Object>} products - Rows selected with facetSelect
+ */
+const buildFacets = (products) => {
+  const counters = { collections: new Map(), tags: new Map(), colors: new Map(), sizes: new Map() };
+  const bump = (map, key, entry) => {
+    const current = map.get(key) || { ...entry, count: 0 };
+    current.count += 1;
+    map.set(key, current);
+  };
+
+  for (const product of products) {
+    product.collections.forEach(({ collection: c }) => bump(counters.collections, c.handle, { handle: c.handle, title: c.title }));
+    product.tags.forEach(({ tag }) => bump(counters.tags, tag.handle, { handle: tag.handle, name: tag.name }));
+    // Each product counts once per value, however it is spelled
+    for (const [key, names, metafield] of [['colors', COLOR_OPTIONS, 'color'], ['sizes', SIZE_OPTIONS, 'size']]) {
+      const seen = new Map(valuesOf(product, names, metafield).map((v) => [v.toLowerCase(), v]));
+      seen.forEach((value, normalized) => bump(counters[key], normalized, { value }));
+    }
+  }
+
+  const sorted = (map) => [...map.values()].sort((a, b) => b.count - a.count);
+  return {
+    collections: sorted(counters.collections),
+    tags: sorted(counters.tags),
+    colors: sorted(counters.colors),
+    sizes: sorted(counters.sizes),
+    price: PRICE_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: products.filter((p) => {
+        const price = Number(p.minPriceAmount);
+        return price >= bucket.min && (bucket.max === null || price < bucket.max);
+      }).length,
+    })),
+  };
+};
+
+/**
+ * Full-text product search with facets.
+ * @param {string} text - Search input
+ * @param {Object} [where] - Extra Prisma conditions (published, collection, price...)
+ * @param {Object} [options]
+ * @param {string} [options.color] - Only products with this colour
+ * @param {string} [options.size] - Only products with this size
+ * @param {number} [options.skip]
+ * @param {number} [options.take] - Page size; all matches when omitted
+ * @param {Object} [options.orderBy] - Prisma orderBy; relevance when omitted
+ * @returns {Promise<{ ids: string[], total: number, facets: Object, fuzzy: boolean }>} ids of the requested page, in order
+ */
+export const searchProducts = async (text, where = {}, { color, size, skip = 0, take, orderBy } = {}) => {
+  const { ids: matchedIds, fuzzy } = await matchProducts(text);
+
+  let matched = await prisma.product.findMany({
+    where: { AND: [where, { id: { in: matchedIds } }] },
+    select: facetSelect,
+  });
+  if (color) matched = matched.filter((p) => hasValue(p, COLOR_OPTIONS, 'color', color));
+  if (size) matched = matched.filter((p) => hasValue(p, SIZE_OPTIONS, 'size', size));
+  const facets = buildFacets(matched);
+
+  let ids;
+  if (orderBy) {
+    const page = await prisma.product.findMany({
+      where: { id: { in: matched.map((p) => p.id) } },
+      orderBy,
+      skip,
+      take,
+      select: { id: true },
+    });
+    ids = page.map((p) => p.id);
+  } else {
+    const position = new Map(matchedIds.map((id, i) => [id, i]));
+    ids = matched
+      .map((p) => p.id)
+      .sort((a, b) => position.get(a) - position.get(b))
+      .slice(skip, take === undefined ? undefined : skip + take);
+  }
+
+  return { ids, total: matched.length, facets, fuzzy };
+};
+
+/**
+ * Reorder rows fetched with `id in ids` back into the order of ids.
+ */
+export const inIdOrder = (rows, ids) => {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+};
+
+export default {
+  refreshSearchVector,
+  refreshMissingSearchVectors,
+  expandQuery,
+  clearSynonymCache,
+  matchProducts,
+  searchProducts,
+  logSearch,
+  purgeSearchLogs,
+  inIdOrder,
+};
@@ -0,0 +1,346 @@
+import { parse } from 'csv-parse/sync';
+
+// Shopify exports spread one product over several rows: the first row holds
+// the product fields, later rows add variants and/or images.
+const OPTION_COLUMNS = [1, 2, 3].map((n) => ({ name: `Option${n} Name`, value: `Option${n} Value` }));
+const METAFIELD_COLUMN = /^(.+?) \(product\.metafields\.[\w.-]+\)$/;
+
+// Column layout of a Shopify product export (as in prisma/new_products.csv),
+// plus a trailing Collections column with collection handles
+export const SHOPIFY_COLUMNS = [
+  'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Product Category', 'Type', 'Tags', 'Published',
+  'Option1 Name', 'Option1 Value', 'Option1 Linked To',
+  'Option2 Name', 'Option2 Value', 'Option2 Linked To',
+  'Option3 Name', 'Option3 Value', 'Option3 Linked To',
+  'Variant SKU', 'Variant Grams', 'Variant Inventory Tracker', 'Variant Inventory Qty', 'Variant Inventory Policy',
+  'Variant Fulfillment Service', 'Variant Price', 'Variant Compare At Price', 'Variant Requires Shipping',
+  'Variant Taxable', 'Unit Price Total Measure', 'Unit Price Total Measure Unit', 'Unit Price Base Measure',
+  'Unit Price Base Measure Unit', 'Variant Barcode', 'Image Src', 'Image Position', 'Image Alt Text', 'Gift Card',
+  'SEO Title', 'SEO Description',
+  'Age group (product.metafields.shopify.age-group)',
+  'Color (product.metafields.shopify.color-pattern)',
+  'Condition (product.metafields.shopify.condition)',
+  'Dress occasion (product.metafields.shopify.dress-occasion)',
+  'Dress style (product.metafields.shopify.dress-style)',
+  'Fabric (product.metafields.shopify.fabric)',
+  'Neckline (product.metafields.shopify.neckline)',
+  'Pants length type (product.metafields.shopify.pants-length-type)',
+  'Scarf/Shawl style (product.metafields.shopify.scarf-shawl-style)',
+  'Size (product.metafields.shopify.size)',
+  'Skirt/Dress length type (product.metafields.shopify.skirt-dress-length-type)',
+  'Sleeve length type (product.metafields.shopify.sleeve-length-type)',
+  'Target gender (product.metafields.shopify.target-gender)',
+  'Top length type (product.metafields.shopify.top-length-type)',
+  'Waist rise (product.metafields.shopify.waist-rise)',
+  'Variant Image', 'Variant Weight Unit', 'Variant Tax Code', 'Cost per item', 'Status', 'Collections',
+];
+
+/**
+ * "Skirt/Dress length type" -> "skirtDressLengthType"
+ */
+export const camelCase = (label) =>
+  label
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('');
+
+const text = (value) => {
+  const trimmed = (value ?? '').trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+const isTrue = (value) => (value || '').trim().toLowerCase() === 'true';
+
+/**
+ * Parse a number column; returns undefined for blanks and NaN for garbage.
+ */
+const number = (value) => {
+  const raw = text(value);
+  return raw === null ? undefined : Number(raw);
+};
+
+/**
+ * Key identifying a variant by its option values, independent of how
+ * selectedOptions is stored ({ size: 'M' } or [{ name: 'Size', value: 'M' }]).
+ * @param {Object|Array} selectedOptions
+ * @returns {string}
+ */
+export const optionKey = (selectedOptions) => {
+  const pairs = Array.isArray(selectedOptions)
+    ? selectedOptions.map((o) => [camelCase(o?.name || ''), o?.value])
+    : Object.entries(selectedOptions || {});
+  return pairs
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name.toLowerCase()}=${String(value).trim().toLowerCase()}`)
+    .sort()
+    .join('|');
+};
+
+/**
+ * Parse a Shopify product export into one entry per handle.
+ * Row numbers are 1-based spreadsheet rows (the header is row 1).
+ * Problems are collected per row instead of aborting the whole file;
+ * a product with any error carries it in `errors` and should be skipped.
+ * @param {string} csv - CSV text
+ * @returns {{ products: Array<Object>, errors: Array<{ row: number, handle: string|null, message: string }> }}
+ */
+export const parseShopifyCsv = (csv) => {
+  let records;
+  try {
+    records = parse(csv, { columns: true, skip_empty_lines: true, bom: true, relax_column_count: true });
+  } catch (error) {
+    return { products: [], errors: [{ row: error.lines || null, handle: null, message: `Invalid CSV: ${error.message}` }] };
+  }
+
+  const errors = [];
+  if (records.length && !('Handle' in records[0])) {
+    return { products: [], errors: [{ row: 1, handle: null, message: 'Missing "Handle" column: not a Shopify product export' }] };
+  }
+
+  const metafieldColumns = Object.keys(records[0] || {})
+    .map((column) => [column, column.match(METAFIELD_COLUMN)?.[1]])
+    .filter(([, label]) => label);
+
+  const byHandle = new Map();
+  const skuRows = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const handle = text(record.Handle);
+    const fail = (message) => {
+      errors.push({ row, handle, message });
+      if (handle && byHandle.has(handle)) byHandle.get(handle).errors.push({ row, message });
+    };
+
+    if (!handle) return fail('Missing handle');
+
+    if (!byHandle.has(handle)) {
+      const metafields = { productCategory: text(record['Product Category']) };
+      for (const [column, label] of metafieldColumns) metafields[camelCase(label)] = text(record[column]);
+
+      byHandle.set(handle, {
+        handle,
+        row,
+        title: text(record.Title),
+        descriptionHtml: text(record['Body (HTML)']),
+        vendor: text(record.Vendor),
+        productType: text(record.Type),
+        tags: (record.Tags || '').split(',').map((t) => t.trim()).filter(Boolean),
+        collections: (record.Collections || '').split(',').map((c) => c.trim()).filter(Boolean),
+        published: isTrue(record.Published) && (text(record.Status) || 'active').toLowerCase() === 'active',
+        metaTitle: text(record['SEO Title']),
+        metaDescription: text(record['SEO Description']),
+        metafields,
+        optionNames: OPTION_COLUMNS.map((col) => text(record[col.name])),
+        variants: [],
+        images: [],
+        errors: [],
+      });
+      if (!text(record.Title)) fail('Missing title on the first row of the product');
+    }
+    const product = byHandle.get(handle);
+
+    // Variant rows carry an option value or a price; image-only rows carry neither
+    const optionValues = OPTION_COLUMNS.map((col) => text(record[col.value]));
+    if (optionValues.some(Boolean) || text(record['Variant Price']) || text(record['Variant SKU'])) {
+      const priceAmount = number(record['Variant Price']);
+      const compareAmount = number(record['Variant Compare At Price']);
+      const inventoryQuantity = number(record['Variant Inventory Qty']);
+      const weightInGrams = number(record['Variant Grams']);
+      const sku = text(record['Variant SKU']);
+
+      if (priceAmount === undefined || Number.isNaN(priceAmount) || priceAmount < 0) return fail('Invalid variant price');
+      if (compareAmount !== undefined && (Number.isNaN(compareAmount) || compareAmount < 0)) return fail('Invalid compare-at price');
+      if (inventoryQuantity !== undefined && !Number.isInteger(inventoryQuantity)) return fail('Inventory quantity must be a whole number');
+      if (weightInGrams !== undefined && Number.isNaN(weightInGrams)) return fail('Invalid variant grams');
+
+      // Shopify's single-variant products use Title / Default Title
+      const selectedOptions = {};
+      optionValues.forEach((value, i) => {
+        const name = product.optionNames[i];
+        if (value && name && !(name === 'Title' && value === 'Default Title')) selectedOptions[camelCase(name)] = value;
+      });
+
+      const key = optionKey(selectedOptions);
+      if (product.variants.some((v) => optionKey(v.selectedOptions) === key)) {
+        return fail(`Duplicate variant ${key || '(no options)'}`);
+      }
+      if (sku) {
+        if (skuRows.has(sku)) return fail(`SKU ${sku} already used on row ${skuRows.get(sku)}`);
+        skuRows.set(sku, row);
+      }
+
+      product.variants.push({
+        row,
+        sku,
+        barcode: text(record['Variant Barcode']),
+        priceAmount,
+        compareAmount: compareAmount || null,
+        inventoryQuantity: inventoryQuantity ?? 0,
+        weightInGrams: weightInGrams === undefined ? null : Math.round(weightInGrams),
+        selectedOptions,
+      });
+    }
+
+    const imageUrl = text(record['Image Src']);
+    if (imageUrl && !product.images.some((img) => img.url === imageUrl)) {
+      product.images.push({
+        url: imageUrl,
+        altText: text(record['Image Alt Text']),
+        position: number(record['Image Position']) ?? product.images.length + 1,
+      });
+    }
+  });
+
+  const products = [...byHandle.values()].map(({ optionNames, ...product }) => {
+    if (!product.variants.length && !product.errors.length) {
+      product.errors.push({ row: product.row, message: 'Product has no variant rows' });
+      errors.push({ row: product.row, handle: product.handle, message: 'Product has no variant rows' });
+    }
+    product.images.sort((a, b) => a.position - b.position);
+
+    // Option names with the values used by the variants, in CSV order
+    product.options = optionNames
+      .filter((name) => name && name !== 'Title')
+      .map((name) => ({
+        name,
+        values: [...new Set(product.variants.map((v) => v.selectedOptions[camelCase(name)]).filter(Boolean))],
+      }));
+    return product;
+  });
+
+  return { products, errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)) };
+};
+
+/**
+ * Tag as written to the Tags column: its name when importing the name
+ * maps back to the same handle, otherwise the handle itself.
+ */
+const tagLabel = (tag) => (tagHandle(tag.name) === tag.handle ? tag.name : tag.handle);
+
+export const tagHandle = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+/**
+ * Option values of a variant keyed like parseShopifyCsv() keys them.
+ */
+const optionValues = (selectedOptions) =>
+  Array.isArray(selectedOptions)
+    ? Object.fromEntries(selectedOptions.map((o) => [camelCase(o?.name || ''), o?.value]))
+    : selectedOptions || {};
+
+/**
+ * Value of an option in optionValues(), ignoring the case of the key
+ * ({ Size: 'M' } and { size: 'M' } are both stored by older code paths).
+ */
+const optionValue = (values, name) => {
+  const key = camelCase(name).toLowerCase();
+  const match = Object.keys(values).find((k) => k.toLowerCase() === key);
+  return match ? values[match] : undefined;
+};
+
+const amount = (value) => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+
+/**
+ * Turn a product (with variants, images, options, tags and collections
+ * loaded) into Shopify export rows, the inverse of parseShopifyCsv():
+ * product fields on the first row, one variant per row and images spread
+ * over the rows by position.
+ * @param {Object} product - Product with its relations
+ * @returns {Array<Object>} Rows keyed by SHOPIFY_COLUMNS
+ */
+export const productToRows = (product) => {
+  const variants = product.variants || [];
+  const images = product.images || [];
+
+  // Option names come from the product options, or from the variants' keys
+  let optionNames = (product.options || []).map((o) => o.name).slice(0, 3);
+  if (!optionNames.length) {
+    const keys = [...new Set(variants.flatMap((v) => Object.keys(optionValues(v.selectedOptions))))];
+    // "sleeveLength" -> "Sleeve Length", which camelCases back to the same key
+    optionNames = keys.slice(0, 3).map((key) => key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()));
+  }
+
+  const metafields = product.metafields || {};
+  const productFields = {
+    Title: product.title,
+    'Body (HTML)': product.descriptionHtml || '',
+    Vendor: product.vendor || '',
+    'Product Category': metafields.productCategory || '',
+    Tags: (product.tags || []).map((t) => tagLabel(t.tag || t)).join(', '),
+    Published: product.published ? 'true' : 'false',
+    'Gift Card': 'false',
+    'SEO Title': product.metaTitle || '',
+    'SEO Description': product.metaDescription || '',
+    Status: product.published ? 'active' : 'draft',
+    Collections: (product.collections || []).map((c) => (c.collection || c).handle).join(', '),
+  };
+  for (const column of SHOPIFY_COLUMNS) {
+    const label = column.match(METAFIELD_COLUMN)?.[1];
+    if (label) productFields[column] = metafields[camelCase(label)] || '';
+  }
+
+  const rowCount = Math.max(variants.length, images.length, 1);
+  const rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    const row = Object.fromEntries(SHOPIFY_COLUMNS.map((column) => [column, '']));
+    row.Handle = product.handle;
+    if (i === 0) Object.assign(row, productFields);
+
+    const variant = variants[i];
+    if (variant) {
+      const values = optionValues(variant.selectedOptions);
+      if (optionNames.length) {
+        optionNames.forEach((name, n) => {
+          if (i === 0) row[`Option${n + 1} Name`] = name;
+          row[`Option${n + 1} Value`] = optionValue(values, name) ?? '';
+        });
+      } else {
+        if (i === 0) row['Option1 Name'] = 'Title';
+        row['Option1 Value'] = 'Default Title';
+      }
+
+      Object.assign(row, {
+        'Variant SKU': variant.sku || '',
+        'Variant Grams': variant.weightInGrams ?? '',
+        'Variant Inventory Tracker': 'shopify',
+        'Variant Inventory Qty': variant.inventoryQuantity,
+        'Variant Inventory Policy': 'deny',
+        'Variant Fulfillment Service': 'manual',
+        'Variant Price': amount(variant.priceAmount),
+        // Older rows store 0 for "no compare-at price"
+        'Variant Compare At Price': Number(variant.compareAmount) ? amount(variant.compareAmount) : '',
+        'Variant Requires Shipping': 'true',
+        'Variant Taxable': 'true',
+        'Variant Barcode': variant.barcode || '',
+        'Variant Weight Unit': 'kg',
+      });
+    }
+
+    const image = images[i];
+    if (image) {
+      row['Image Src'] = image.url;
+      row['Image Position'] = i + 1;
+      row['Image Alt Text'] = image.altText || '';
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or newline.
+ */
+const csvCell = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * One CSV line (with trailing newline) from a list of values.
+ * @param {Array} values
+ * @returns {string}
+ */
+export const csvLine = (values) => `${values.map(csvCell).join(',')}\n`;
+
+export default { SHOPIFY_COLUMNS, parseShopifyCsv, productToRows, optionKey, camelCase, tagHandle, csvLine };
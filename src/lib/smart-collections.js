@@ -0,0 +1,161 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { appendToCollection, removeFromCollection } from './collection-products.js';
+
+/**
+ * Prisma where clause for a collection's rule set. Every rule that is set
+ * must match:
+ *   titleContains  - case-insensitive substring of the title
+ *   tagsAny        - has at least one of the tags (handle or name)
+ *   tagsAll        - has every one of the tags
+ *   priceMin/Max   - starting price >= priceMin, highest price <= priceMax
+ *   vendor         - vendor, case-insensitive
+ *   color          - colour metafield contains the value
+ *   inStock        - at least one variant in stock
+ * Soft-deleted products never match.
+ * @param {Object} rules
+ * @returns {Object}
+ */
+export const ruleWhere = (rules = {}) => {
+  const tagMatches = (tag) => ({ tag: { OR: [{ handle: tag }, { name: { equals: tag, mode: 'insensitive' } }] } });
+  const AND = [{ deletedAt: null }];
+
+  if (rules.titleContains) AND.push({ title: { contains: rules.titleContains, mode: 'insensitive' } });
+  if (rules.tagsAny?.length) AND.push({ tags: { some: { OR: rules.tagsAny.map(tagMatches) } } });
+  for (const tag of rules.tagsAll || []) AND.push({ tags: { some: tagMatches(tag) } });
+  if (rules.priceMin !== undefined && rules.priceMin !== null) AND.push({ minPriceAmount: { gte: rules.priceMin } });
+  if (rules.priceMax !== undefined && rules.priceMax !== null) AND.push({ maxPriceAmount: { lte: rules.priceMax } });
+  if (rules.vendor) AND.push({ vendor: { equals: rules.vendor, mode: 'insensitive' } });
+  if (rules.color) AND.push({ metafields: { path: ['color'], string_contains: rules.color.toLowerCase() } });
+  if (rules.inStock) AND.push({ variants: { some: { inventoryQuantity: { gt: 0 } } } });
+
+  return { AND };
+};
+
+/**
+ * Drop cached pages of the collections and products whose membership changed.
+ */
+const invalidate = async (collectionHandles, productHandles = []) => {
+  if (!collectionHandles.length) return;
+  await cache.del('collections:all');
+  for (const handle of new Set(collectionHandles)) await cache.delPattern(`collection:${handle}:*`);
+  if (productHandles.length) await cache.del(...new Set(productHandles.map((handle) => `product:${handle}`)));
+};
+
+/**
+ * Re-evaluate a smart collection against every product: connect the
+ * products that match its rules and disconnect the ones that no longer do.
+ * @param {string} collectionId
+ * @returns {Promise<{ added: number, removed: number }>}
+ */
+export const syncCollection = async (collectionId) => {
+  const collection = await prisma.collection.findUnique({
+    where: { id: collectionId },
+    select: { id: true, handle: true, rules: true, products: { select: { product: { select: { id: true, handle: true } } } } },
+  });
+  if (!collection?.rules) return { added: 0, removed: 0 };
+
+  const members = collection.products.map((link) => link.product);
+  const matching = await prisma.product.findMany({
+    where: ruleWhere(collection.rules),
+    select: { id: true, handle: true },
+    orderBy: { title: 'asc' },
+  });
+  const current = new Set(members.map((p) => p.id));
+  const wanted = new Set(matching.map((p) => p.id));
+
+  const added = matching.filter((p) => !current.has(p.id));
+  const removed = members.filter((p) => !wanted.has(p.id));
+
+  // New matches go to the end of the manual order; members keep their place
+  await prisma.$transaction(async (tx) => {
+    await appendToCollection(tx, collectionId, added.map((p) => p.id));
+    await removeFromCollection(tx, collectionId, removed.map((p) => p.id));
+    await tx.collection.update({ where: { id: collectionId }, data: { rulesSyncedAt: new Date() } });
+  });
+
+  if (added.length || removed.length) {
+    await invalidate([collection.handle], [...added, ...removed].map((p) => p.handle));
+  }
+  return { added: added.length, removed: removed.length };
+};
+
+/**
+ * Re-evaluate every smart collection for the given products, e.g. after
+ * they were created or edited. Never throws, so a failed sync does not
+ * fail the product save; the scheduled full sync catches up.
+ * @param {string[]} productIds
+ * @returns {Promise<void>}
+ */
+export const syncProductCollections = async (productIds) => {
+  const ids = [...new Set(productIds.filter(Boolean))];
+  if (!ids.length) return;
+
+  try {
+    const collections = await prisma.collection.findMany({
+      where: { rules: { not: Prisma.AnyNull }, deletedAt: null },
+      select: { id: true, handle: true, rules: true },
+    });
+    if (!collections.length) return;
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, handle: true, collections: { select: { collectionId: true } } },
+    });
+    const changedCollections = [];
+    const changedProducts = [];
+
+    for (const collection of collections) {
+      const matching = new Set(
+        (
+          await prisma.product.findMany({
+            where: { AND: [{ id: { in: ids } }, ruleWhere(collection.rules)] },
+            select: { id: true },
+          })
+        ).map((p) => p.id)
+      );
+
+      const connect = [];
+      const disconnect = [];
+      for (const product of products) {
+        const member = product.collections.some((c) => c.collectionId === collection.id);
+        if (matching.has(product.id) && !member) connect.push(product);
+        if (!matching.has(product.id) && member) disconnect.push(product);
+      }
+      if (!connect.length && !disconnect.length) continue;
+
+      await prisma.$transaction(async (tx) => {
+        await appendToCollection(tx, collection.id, connect.map((p) => p.id));
+        await removeFromCollection(tx, collection.id, disconnect.map((p) => p.id));
+      });
+      changedCollections.push(collection.handle);
+      changedProducts.push(...[...connect, ...disconnect].map((p) => p.handle));
+    }
+
+    await invalidate(changedCollections, changedProducts);
+  } catch (err) {
+    console.error('Smart collection sync failed:', err.message);
+  }
+};
+
+/**
+ * Re-sync every smart collection. Run periodically by the maintenance
+ * worker so rules that depend on stock (inStock) follow orders and returns.
+ * @returns {Promise<{ collections: number, added: number, removed: number }>}
+ */
+export const syncAllSmartCollections = async () => {
+  const collections = await prisma.collection.findMany({
+    where: { rules: { not: Prisma.AnyNull }, deletedAt: null },
+    select: { id: true },
+  });
+  const totals = { collections: collections.length, added: 0, removed: 0 };
+  for (const { id } of collections) {
+    const { added, removed } = await syncCollection(id);
+    totals.added += added;
+    totals.removed += removed;
+  }
+  return totals;
+};
+
+export default { ruleWhere, syncCollection, syncProductCollections, syncAllSmartCollections };
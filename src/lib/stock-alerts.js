@@ -0,0 +1,135 @@
+import { randomBytes } from 'crypto';
+import prisma from './prisma.js';
+import { emailQueue } from './redis.js';
+import { httpError } from './errors.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:4000';
+
+/**
+ * Human readable variant options, e.g. "M / Red".
+ * selectedOptions is stored either as [{ name, value }] or { size: 'M' }.
+ */
+const variantLabel = (selectedOptions) => {
+  if (Array.isArray(selectedOptions)) return selectedOptions.map((o) => o?.value).filter(Boolean).join(' / ');
+  if (selectedOptions && typeof selectedOptions === 'object') return Object.values(selectedOptions).filter(Boolean).join(' / ');
+  return '';
+};
+
+export const unsubscribeUrlFor = (alert) => `${BACKEND_URL}/stock-alerts/unsubscribe/${alert.unsubscribeToken}`;
+
+/**
+ * Subscribe an email to a back-in-stock or price-drop alert for a variant.
+ * Subscribing again to an alert that was already sent re-arms it.
+ * @param {Object} params
+ * @param {string} params.variantId - Variant to watch
+ * @param {string} params.type - BACK_IN_STOCK or PRICE_DROP
+ * @param {string} [params.email] - Guest email (defaults to the user's email)
+ * @param {Object|null} [params.user] - req.user when logged in
+ * @returns {Promise<Object>} StockAlert
+ */
+export const subscribeToAlert = async ({ variantId, type, email, user = null }) => {
+  const address = (email || user?.email || '').trim().toLowerCase();
+  if (!address) throw httpError(400, 'Email is required');
+
+  const variant = await prisma.productVariant.findUnique({
+    where: { id: variantId },
+    include: { product: { select: { published: true, deletedAt: true } } },
+  });
+  if (!variant || !variant.product.published || variant.product.deletedAt) throw httpError(404, 'Variant not found');
+
+  if (type === 'BACK_IN_STOCK' && variant.availableForSale && variant.inventoryQuantity > 0) {
+    throw httpError(400, 'This item is already in stock');
+  }
+
+  // Price drops are measured against the price seen when subscribing
+  const priceAmount = type === 'PRICE_DROP' ? variant.priceAmount : null;
+
+  return prisma.stockAlert.upsert({
+    where: { variantId_email_type: { variantId, email: address, type } },
+    create: {
+      variantId,
+      email: address,
+      type,
+      userId: user?.id || null,
+      priceAmount,
+      unsubscribeToken: randomBytes(16).toString('hex'),
+    },
+    update: {
+      notifiedAt: null,
+      priceAmount,
+      ...(user && { userId: user.id }),
+    },
+  });
+};
+
+/**
+ * Queue alert emails for variants whose stock or price just changed.
+ * Sends BACK_IN_STOCK alerts for variants that are sellable again and
+ * PRICE_DROP alerts where the price fell below the subscribed price.
+ * Each alert is claimed (notifiedAt set) before queueing, so concurrent
+ * calls send at most one email and the subscription ends once sent.
+ * Safe to call after any inventory or price write; never throws.
+ * @param {string[]} variantIds - Variants that changed
+ * @returns {Promise<{ queued: number }>}
+ */
+export const notifyVariantAlerts = async (variantIds) => {
+  const ids = [...new Set((variantIds || []).filter(Boolean))];
+  if (!emailQueue || !ids.length) return { queued: 0 };
+
+  let queued = 0;
+  try {
+    const variants = await prisma.productVariant.findMany({
+      where: { id: { in: ids }, availableForSale: true, inventoryQuantity: { gt: 0 } },
+      include: { product: { select: { title: true, handle: true, published: true, deletedAt: true } } },
+    });
+
+    for (const variant of variants) {
+      if (!variant.product.published || variant.product.deletedAt) continue;
+
+      const alerts = await prisma.stockAlert.findMany({
+        where: {
+          variantId: variant.id,
+          notifiedAt: null,
+          OR: [{ type: 'BACK_IN_STOCK' }, { type: 'PRICE_DROP', priceAmount: { gt: variant.priceAmount } }],
+        },
+      });
+
+      for (const alert of alerts) {
+        const { count } = await prisma.stockAlert.updateMany({
+          where: { id: alert.id, notifiedAt: null },
+          data: { notifiedAt: new Date() },
+        });
+        if (!count) continue; // claimed by another caller
+
+        try {
+          await emailQueue.add('stock-alert', {
+            type: 'stock-alert',
+            payload: {
+              to: alert.email,
+              type: alert.type,
+              productTitle: variant.product.title,
+              variantLabel: variantLabel(variant.selectedOptions),
+              price: variant.priceAmount.toString(),
+              previousPrice: alert.priceAmount?.toString() || null,
+              productUrl: `${FRONTEND_URL}/products/${variant.product.handle}`,
+              unsubscribeUrl: unsubscribeUrlFor(alert),
+            },
+          }, { jobId: `stock-alert-${alert.id}-${alert.updatedAt.getTime()}` });
+          queued += 1;
+        } catch (error) {
+          // Re-arm so the next change retries it
+          await prisma.stockAlert.update({ where: { id: alert.id }, data: { notifiedAt: null } });
+          console.error(`Failed to queue stock alert ${alert.id}:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Stock alert check failed:', error.message);
+  }
+
+  if (queued) console.log(`🔔 Queued ${queued} stock/price alert(s)`);
+  return { queued };
+};
+
+export default { subscribeToAlert, notifyVariantAlerts, unsubscribeUrlFor };
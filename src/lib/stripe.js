@@ -12,7 +12,7 @@ const {
  * 1. STRIPE_MOCK=true is set, OR
  * 2. No credentials are provided (development)
  */
-const useMockMode = () => {
+export const useMockMode = () => {
   if (process.env.STRIPE_MOCK === 'true') return true;
   if (!STRIPE_SECRET_KEY) return true;
   return false;
@@ -268,6 +268,26 @@ export const createRefund = async (paymentIntentId, amount, reason = 'requested_
   }
 };
 
+/**
+ * Retrieve a refund, to follow one that was still pending
+ * @param {string} refundId - Stripe refund ID
+ * @returns {Promise<Object>} Refund object
+ */
+export const retrieveRefund = async (refundId) => {
+  try {
+    // Mock mode: mock refunds succeed immediately
+    if (useMockMode()) {
+      return { id: refundId, object: 'refund', status: 'succeeded' };
+    }
+
+    const stripe = getStripeInstance();
+    return await stripe.refunds.retrieve(refundId);
+  } catch (error) {
+    console.error('❌ Stripe: Refund retrieval failed', error);
+    throw new Error(`Stripe refund retrieval failed: ${error.message}`);
+  }
+};
+
 /**
  * Get publishable key for frontend
  * @returns {string|null} Publishable key or mock key
@@ -284,6 +304,7 @@ export default {
   verifyWebhookSignature,
   cancelPaymentIntent,
   createRefund,
+  retrieveRefund,
   isConfigured,
   getPublishableKey,
   useMockMode,
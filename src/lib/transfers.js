@@ -0,0 +1,121 @@
+import prisma from './prisma.js';
+import { httpError } from './errors.js';
+import { adjustInventory, takeFromLocation } from './inventory.js';
+import { notifyVariantAlerts } from './stock-alerts.js';
+
+export const transferInclude = {
+  fromLocation: { select: { id: true, name: true, code: true } },
+  toLocation: { select: { id: true, name: true, code: true } },
+  createdBy: { select: { id: true, email: true, firstName: true, lastName: true } },
+  items: {
+    include: {
+      variant: {
+        select: { id: true, sku: true, selectedOptions: true, product: { select: { id: true, title: true } } },
+      },
+    },
+  },
+};
+
+/**
+ * Ship stock from one location to another. The goods leave the source
+ * immediately and are not sellable anywhere until the transfer is received.
+ * @param {Object} params
+ * @param {string} params.fromLocationId - Source location
+ * @param {string} params.toLocationId - Destination location
+ * @param {Array<{ variantId: string, quantity: number }>} params.items - What to move
+ * @param {string} [params.note] - Free-text note
+ * @param {Object|null} [params.actor] - req.user
+ * @returns {Promise<Object>} InventoryTransfer with items
+ */
+export const createTransfer = async ({ fromLocationId, toLocationId, items, note = null, actor = null }) => {
+  if (fromLocationId === toLocationId) throw httpError(400, 'Source and destination must differ');
+
+  const locations = await prisma.location.findMany({ where: { id: { in: [fromLocationId, toLocationId] } } });
+  const from = locations.find((l) => l.id === fromLocationId);
+  const to = locations.find((l) => l.id === toLocationId);
+  if (!from || !to) throw httpError(404, 'Location not found');
+  if (!to.active) throw httpError(400, `${to.name} is inactive`);
+
+  return prisma.$transaction(async (tx) => {
+    const transfer = await tx.inventoryTransfer.create({
+      data: {
+        fromLocationId,
+        toLocationId,
+        note,
+        createdById: actor?.id || null,
+        items: { create: items.map(({ variantId, quantity }) => ({ variantId, quantity })) },
+      },
+    });
+
+    // Throws 409 (rolling the transfer back) if the source is short
+    for (const { variantId, quantity } of items) {
+      await takeFromLocation(tx, {
+        variantId,
+        locationId: fromLocationId,
+        quantity,
+        reason: 'TRANSFER',
+        referenceType: 'TRANSFER',
+        referenceId: transfer.id,
+        actor,
+        note: `Sent to ${to.code}`,
+      });
+    }
+
+    return tx.inventoryTransfer.findUnique({ where: { id: transfer.id }, include: transferInclude });
+  });
+};
+
+/**
+ * Settle an in-transit transfer: received stock lands at the destination,
+ * canceled stock goes back to the source.
+ */
+const settleTransfer = async (id, status, actor) => {
+  const received = status === 'RECEIVED';
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.inventoryTransfer.updateMany({
+      where: { id, status: 'IN_TRANSIT' },
+      data: { status, ...(received ? { receivedAt: new Date() } : { canceledAt: new Date() }) },
+    });
+    if (count === 0) {
+      const exists = await tx.inventoryTransfer.findUnique({ where: { id }, select: { status: true } });
+      throw exists ? httpError(409, `Transfer is already ${exists.status}`) : httpError(404, 'Transfer not found');
+    }
+
+    const settled = await tx.inventoryTransfer.findUnique({ where: { id }, include: transferInclude });
+    for (const item of settled.items) {
+      await adjustInventory(tx, {
+        variantId: item.variantId,
+        locationId: received ? settled.toLocationId : settled.fromLocationId,
+        delta: item.quantity,
+        reason: 'TRANSFER',
+        referenceType: 'TRANSFER',
+        referenceId: id,
+        actor,
+        note: received ? `Received from ${settled.fromLocation.code}` : 'Transfer canceled',
+      });
+    }
+    return settled;
+  });
+
+  notifyVariantAlerts(transfer.items.map((item) => item.variantId));
+  return transfer;
+};
+
+/**
+ * Mark a transfer as received at its destination.
+ * @param {string} id - Transfer id
+ * @param {Object|null} [actor] - req.user
+ * @returns {Promise<Object>} InventoryTransfer
+ */
+export const receiveTransfer = (id, actor = null) => settleTransfer(id, 'RECEIVED', actor);
+
+/**
+ * Cancel an in-transit transfer, returning its stock to the source.
+ * @param {string} id - Transfer id
+ * @param {Object|null} [actor] - req.user
+ * @returns {Promise<Object>} InventoryTransfer
+ */
+export const cancelTransfer = (id, actor = null) => settleTransfer(id, 'CANCELED', actor);
+
+export default { transferInclude, createTransfer, receiveTransfer, cancelTransfer };
@@ -0,0 +1,259 @@
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { httpError } from './errors.js';
+import { syncProductCollections } from './smart-collections.js';
+import { endPriceSchedule } from './schedules.js';
+
+/**
+ * Soft delete ("trash") for products, collections and users. Deleting sets
+ * deletedAt and public reads filter on `deletedAt: null`; admins can
+ * restore trashed rows or purge them for good, and purgeExpiredTrash()
+ * empties the trash after TRASH_RETENTION_DAYS.
+ *
+ * Products and users that appear on orders are never purged, so order,
+ * return and refund history stays intact; they remain in the trash.
+ */
+
+// ----------------------- CACHE ----------------------- //
+
+const invalidateProducts = async (ids) => {
+  const products = await prisma.product.findMany({
+    where: { id: { in: ids } },
+    select: { handle: true, collections: { select: { collection: { select: { handle: true } } } } },
+  });
+  if (!products.length) return;
+
+  await cache.del('collections:all', ...products.map((p) => `product:${p.handle}`));
+  const collections = new Set(products.flatMap((p) => p.collections.map((c) => c.collection.handle)));
+  for (const handle of collections) await cache.delPattern(`collection:${handle}:*`);
+};
+
+const invalidateCollections = async (ids) => {
+  const collections = await prisma.collection.findMany({ where: { id: { in: ids } }, select: { handle: true } });
+  await cache.del('collections:all');
+  for (const { handle } of collections) await cache.delPattern(`collection:${handle}:*`);
+};
+
+// ----------------------- PURGE ----------------------- //
+
+/**
+ * Hard-delete products and their child rows, skipping any that orders or
+ * exchanges still point to.
+ */
+const purgeProducts = async (tx, ids) => {
+  const variants = await tx.productVariant.findMany({ where: { productId: { in: ids } }, select: { id: true, productId: true } });
+  const variantIds = variants.map((v) => v.id);
+  const [ordered, exchanged] = await Promise.all([
+    tx.orderItem.findMany({
+      where: { OR: [{ productId: { in: ids } }, { variantId: { in: variantIds } }] },
+      select: { productId: true, variantId: true },
+    }),
+    tx.returnItem.findMany({ where: { exchangeVariantId: { in: variantIds } }, select: { exchangeVariantId: true } }),
+  ]);
+  const productOfVariant = new Map(variants.map((v) => [v.id, v.productId]));
+  const kept = new Set([
+    ...ordered.map((item) => item.productId || productOfVariant.get(item.variantId)),
+    ...exchanged.map((item) => productOfVariant.get(item.exchangeVariantId)),
+  ]);
+
+  const purge = ids.filter((id) => !kept.has(id));
+  if (purge.length) {
+    const where = { productId: { in: purge } };
+    await tx.productImage.deleteMany({ where });
+    await tx.productOptionValue.deleteMany({ where: { option: where } });
+    await tx.productOption.deleteMany({ where });
+    await tx.productTag.deleteMany({ where });
+    await tx.cartLine.deleteMany({ where: { OR: [where, { variant: where }] } });
+    await tx.wishlistItem.deleteMany({ where });
+    await tx.review.deleteMany({ where });
+    await tx.productVariant.deleteMany({ where });
+    await tx.product.deleteMany({ where: { id: { in: purge } } });
+  }
+  return { purged: purge, kept: ids.filter((id) => kept.has(id)) };
+};
+
+/**
+ * Cancel the collections' open price schedules so running sales put their
+ * prices back; the cascade on purge would otherwise drop the schedule and
+ * leave its variants at the sale price for good.
+ */
+const endCollectionSchedules = async (ids) => {
+  const open = await prisma.priceSchedule.findMany({
+    where: { collectionId: { in: ids }, status: { in: ['SCHEDULED', 'ACTIVE'] } },
+    select: { id: true },
+  });
+  for (const { id } of open) await endPriceSchedule(id, 'CANCELED');
+};
+
+/**
+ * Hard-delete collections; memberships and (already closed) price schedules cascade.
+ */
+const purgeCollections = async (tx, ids) => {
+  await tx.collection.deleteMany({ where: { id: { in: ids } } });
+  return { purged: ids, kept: [] };
+};
+
+/**
+ * Hard-delete customers and their carts, wishlists, reviews and addresses,
+ * skipping any with orders.
+ */
+const purgeUsers = async (tx, ids) => {
+  const withOrders = new Set(
+    (await tx.order.findMany({ where: { userId: { in: ids } }, select: { userId: true }, distinct: ['userId'] })).map((o) => o.userId)
+  );
+
+  const purge = ids.filter((id) => !withOrders.has(id));
+  if (purge.length) {
+    const where = { userId: { in: purge } };
+    await tx.returnRequest.deleteMany({ where });
+    await tx.cartLine.deleteMany({ where: { cart: where } });
+    await tx.cart.deleteMany({ where });
+    await tx.wishlistItem.deleteMany({ where: { wishlist: where } });
+    await tx.wishlist.deleteMany({ where });
+    await tx.review.deleteMany({ where });
+    await tx.address.deleteMany({ where });
+    await tx.user.deleteMany({ where: { id: { in: purge } } });
+  }
+  return { purged: purge, kept: ids.filter((id) => withOrders.has(id)) };
+};
+
+// ----------------------- TYPES ----------------------- //
+
+/**
+ * What can be trashed, keyed by the name used in /trash/:type.
+ * `select` is what the trash listing shows, `search` the fields it matches,
+ * `beforePurge` runs ahead of the purge transaction, `onRestore` after rows
+ * come back.
+ */
+export const TRASH_TYPES = {
+  products: {
+    model: 'product',
+    select: { id: true, title: true, handle: true, featuredImageUrl: true, deletedAt: true },
+    search: ['title', 'handle'],
+    purge: purgeProducts,
+    invalidate: invalidateProducts,
+    // Smart collection syncs drop trashed products; rejoin the matching ones
+    onRestore: syncProductCollections,
+  },
+  collections: {
+    model: 'collection',
+    select: { id: true, title: true, handle: true, imageUrl: true, deletedAt: true },
+    search: ['title', 'handle'],
+    purge: purgeCollections,
+    beforePurge: endCollectionSchedules,
+    invalidate: invalidateCollections,
+  },
+  users: {
+    model: 'user',
+    select: { id: true, email: true, firstName: true, lastName: true, isAdmin: true, deletedAt: true },
+    search: ['email', 'firstName', 'lastName'],
+    purge: purgeUsers,
+    invalidate: async () => {},
+  },
+};
+
+const trashType = (type) => {
+  const config = TRASH_TYPES[type];
+  if (!config) throw httpError(404, `Unknown trash type ${type}; use ${Object.keys(TRASH_TYPES).join(', ')}`);
+  return config;
+};
+
+// ----------------------- OPERATIONS ----------------------- //
+
+/**
+ * Move rows to the trash.
+ * @param {'products'|'collections'|'users'} type
+ * @param {string[]} ids
+ * @returns {Promise<{ trashed: number }>}
+ */
+export const moveToTrash = async (type, ids) => {
+  const config = trashType(type);
+  const { count } = await prisma[config.model].updateMany({
+    where: { id: { in: ids }, deletedAt: null },
+    data: { deletedAt: new Date() },
+  });
+  await config.invalidate(ids);
+  return { trashed: count };
+};
+
+/**
+ * Bring trashed rows back.
+ * @param {'products'|'collections'|'users'} type
+ * @param {string[]} ids
+ * @returns {Promise<{ restored: number }>}
+ */
+export const restoreFromTrash = async (type, ids) => {
+  const config = trashType(type);
+  const { count } = await prisma[config.model].updateMany({
+    where: { id: { in: ids }, deletedAt: { not: null } },
+    data: { deletedAt: null },
+  });
+  await config.invalidate(ids);
+  if (count && config.onRestore) await config.onRestore(ids);
+  return { restored: count };
+};
+
+/**
+ * Permanently delete rows. Only trashed rows are purged unless `anyState`
+ * is set (a direct permanent delete).
+ * @param {'products'|'collections'|'users'} type
+ * @param {string[]} ids
+ * @param {Object} [options]
+ * @param {boolean} [options.anyState]
+ * @returns {Promise<{ purged: string[], kept: string[] }>} kept: rows that orders still need
+ */
+export const purgeFromTrash = async (type, ids, { anyState = false } = {}) => {
+  const config = trashType(type);
+  const rows = await prisma[config.model].findMany({
+    where: { id: { in: ids }, ...(!anyState && { deletedAt: { not: null } }) },
+    select: { id: true },
+  });
+  if (!rows.length) return { purged: [], kept: [] };
+  if (config.beforePurge) await config.beforePurge(rows.map((r) => r.id));
+
+  // Drop cached pages while the rows (and their handles) still exist
+  await config.invalidate(rows.map((r) => r.id));
+  return prisma.$transaction((tx) => config.purge(tx, rows.map((r) => r.id)), { maxWait: 5000, timeout: 30000 });
+};
+
+/**
+ * One page of trashed rows, most recently deleted first.
+ * @param {'products'|'collections'|'users'} type
+ * @param {Object} [options]
+ * @param {string} [options.search]
+ * @param {number} [options.skip]
+ * @param {number} [options.take]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listTrash = async (type, { search, skip = 0, take = 20 } = {}) => {
+  const config = trashType(type);
+  const where = {
+    deletedAt: { not: null },
+    ...(search && { OR: config.search.map((field) => ({ [field]: { contains: search, mode: 'insensitive' } })) }),
+  };
+  const [items, total] = await Promise.all([
+    prisma[config.model].findMany({ where, select: config.select, orderBy: { deletedAt: 'desc' }, skip, take }),
+    prisma[config.model].count({ where }),
+  ]);
+  return { items, total };
+};
+
+/**
+ * Purge everything trashed more than TRASH_RETENTION_DAYS ago.
+ * Run daily by the maintenance worker.
+ * @returns {Promise<Object>} Purged and kept counts per type
+ */
+export const purgeExpiredTrash = async () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS || 30);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const totals = {};
+  for (const [type, config] of Object.entries(TRASH_TYPES)) {
+    const expired = await prisma[config.model].findMany({ where: { deletedAt: { lt: cutoff } }, select: { id: true } });
+    const { purged, kept } = await purgeFromTrash(type, expired.map((r) => r.id));
+    totals[type] = { purged: purged.length, kept: kept.length };
+  }
+  return totals;
+};
+
+export default { TRASH_TYPES, moveToTrash, restoreFromTrash, purgeFromTrash, listTrash, purgeExpiredTrash };
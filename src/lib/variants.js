@@ -0,0 +1,214 @@
+import prisma from './prisma.js';
+import { cache } from './redis.js';
+import { httpError } from './errors.js';
+import { assertVariantsRemovable, recordInitialStock, removeVariants, setInventory } from './inventory.js';
+import { refreshPriceRange } from './price-range.js';
+import { notifyVariantAlerts } from './stock-alerts.js';
+import { syncProductCollections } from './smart-collections.js';
+import { productSnapshot, recordRevision } from './revisions.js';
+
+/**
+ * Variant management for one product at a time. Every write recalculates
+ * the product's price range, records a revision and refreshes caches,
+ * smart collections and stock / price alerts. Stock goes through the
+ * inventory service so each change lands in the ledger.
+ */
+
+// Fields copied from a request onto a variant; stock is handled separately
+const VARIANT_FIELDS = [
+  'sku',
+  'barcode',
+  'availableForSale',
+  'priceAmount',
+  'priceCurrency',
+  'compareAmount',
+  'compareCurrency',
+  'weightInGrams',
+  'lowStockThreshold',
+  'selectedOptions',
+];
+
+// Defaults for fields a new variant needs, as in POST /products
+const NEW_VARIANT = { priceCurrency: 'INR', selectedOptions: [] };
+
+const variantData = (input) =>
+  Object.fromEntries(VARIANT_FIELDS.filter((field) => input[field] !== undefined).map((field) => [field, input[field]]));
+
+/**
+ * Reject SKUs already used by another variant.
+ * @param {Object} client - prisma or a transaction client
+ * @param {string[]} skus
+ * @param {string[]} [ownIds] - Variants allowed to keep their SKU
+ */
+const assertSkusFree = async (client, skus, ownIds = []) => {
+  const wanted = skus.filter(Boolean);
+  if (!wanted.length) return;
+
+  const duplicates = wanted.filter((sku, i) => wanted.indexOf(sku) !== i);
+  if (duplicates.length) throw httpError(400, `Duplicate SKUs in request: ${[...new Set(duplicates)].join(', ')}`);
+
+  const taken = await client.productVariant.findMany({
+    where: { sku: { in: wanted }, id: { notIn: ownIds } },
+    select: { sku: true, product: { select: { handle: true } } },
+  });
+  if (taken.length) {
+    throw httpError(409, taken.map((v) => `SKU ${v.sku} belongs to product ${v.product.handle}`).join('; '));
+  }
+};
+
+/**
+ * Run a variant write for a product in one transaction, then recalculate
+ * its price range and record the revision. `write` returns its result with
+ * `touched`: the variants to check stock and price alerts for.
+ */
+const writeVariants = async (productId, actor, write) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, deletedAt: null },
+    select: { id: true, handle: true, collections: { select: { collection: { select: { handle: true } } } } },
+  });
+  if (!product) throw httpError(404, 'Product not found');
+
+  const before = await productSnapshot(prisma, productId);
+  const movement = { reason: 'MANUAL', referenceType: 'PRODUCT', referenceId: productId, actor };
+
+  const result = await prisma.$transaction(
+    async (tx) => {
+      const result = await write(tx, movement);
+      await refreshPriceRange(tx, productId);
+      await recordRevision(tx, productId, { source: 'UPDATE', actor, before });
+      return result;
+    },
+    { maxWait: 5000, timeout: 30000 }
+  );
+
+  // Prices show on product and collection pages and may move smart collection membership
+  await cache.del(`product:${product.handle}`);
+  for (const { collection } of product.collections) await cache.delPattern(`collection:${collection.handle}:*`);
+  await syncProductCollections([productId]);
+  if (result.touched.length) notifyVariantAlerts(result.touched);
+
+  return result;
+};
+
+/**
+ * A product's variants, oldest first.
+ * @param {string} productId
+ * @returns {Promise<Object[]>}
+ */
+export const listVariants = async (productId) => {
+  const product = await prisma.product.findFirst({ where: { id: productId, deletedAt: null }, select: { id: true } });
+  if (!product) throw httpError(404, 'Product not found');
+  return prisma.productVariant.findMany({ where: { productId }, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] });
+};
+
+/**
+ * Add a variant to a product.
+ * @param {string} productId
+ * @param {Object} input - Variant fields plus an optional inventoryQuantity
+ * @param {Object|null} [actor]
+ * @returns {Promise<Object>} The created variant
+ */
+export const createVariant = async (productId, input, actor = null) => {
+  await assertSkusFree(prisma, [input.sku]);
+
+  const { variant } = await writeVariants(productId, actor, async (tx, movement) => {
+    const variant = await tx.productVariant.create({
+      data: { ...NEW_VARIANT, ...variantData(input), productId, inventoryQuantity: input.inventoryQuantity || 0 },
+    });
+    await recordInitialStock(tx, [variant], { ...movement, note: 'Initial stock' });
+    return { variant, touched: [variant.id] };
+  });
+  return variant;
+};
+
+/**
+ * Change some of a variant's fields. A given inventoryQuantity sets the
+ * stock to that amount.
+ * @param {string} productId
+ * @param {string} variantId
+ * @param {Object} input
+ * @param {Object|null} [actor]
+ * @returns {Promise<Object>} The updated variant
+ */
+export const updateVariant = async (productId, variantId, input, actor = null) => {
+  const existing = await prisma.productVariant.findFirst({ where: { id: variantId, productId }, select: { id: true } });
+  if (!existing) throw httpError(404, 'Variant not found');
+  if (input.sku) await assertSkusFree(prisma, [input.sku], [variantId]);
+
+  const { variant } = await writeVariants(productId, actor, async (tx, movement) => {
+    await tx.productVariant.update({ where: { id: variantId }, data: variantData(input) });
+    if (input.inventoryQuantity !== undefined) {
+      await setInventory(tx, { variantId, quantity: input.inventoryQuantity, ...movement, note: 'Variant edited' });
+    }
+    return { variant: await tx.productVariant.findUnique({ where: { id: variantId } }), touched: [variantId] };
+  });
+  return variant;
+};
+
+/**
+ * Remove a variant. Refused (409) while open orders or in-transit transfers
+ * need it. Its remaining stock is written off in the ledger; a variant with
+ * stock history, orders or allocations is archived (availableForSale=false)
+ * rather than deleted so that history survives. Cart lines are removed.
+ * @param {string} productId
+ * @param {string} variantId
+ * @param {Object|null} [actor]
+ * @returns {Promise<{ archived: boolean }>}
+ */
+export const deleteVariant = async (productId, variantId, actor = null) => {
+  const existing = await prisma.productVariant.findFirst({ where: { id: variantId, productId }, select: { id: true } });
+  if (!existing) throw httpError(404, 'Variant not found');
+
+  const { archived } = await writeVariants(productId, actor, async (tx, movement) => {
+    await assertVariantsRemovable(tx, [variantId]);
+    const { archived } = await removeVariants(tx, [variantId], { ...movement, note: 'Variant removed' });
+    return { archived: archived.length > 0, touched: [] };
+  });
+  return { archived };
+};
+
+/**
+ * Create or update a product's variants by SKU: SKUs the product already
+ * has are updated, new ones created, and variants not listed are left
+ * alone.
+ * @param {string} productId
+ * @param {Object[]} inputs - Each with a sku, other fields optional on update
+ * @param {Object|null} [actor]
+ * @returns {Promise<{ created: Object[], updated: Object[] }>}
+ */
+export const upsertVariantsBySku = async (productId, inputs, actor = null) => {
+  const existing = await prisma.productVariant.findMany({
+    where: { productId, sku: { in: inputs.map((v) => v.sku) } },
+    select: { id: true, sku: true },
+  });
+  const bySku = new Map(existing.map((v) => [v.sku, v.id]));
+  await assertSkusFree(prisma, inputs.map((v) => v.sku), existing.map((v) => v.id));
+
+  const missing = inputs.filter((v) => !bySku.has(v.sku) && v.priceAmount === undefined);
+  if (missing.length) throw httpError(400, `priceAmount is required for new SKUs: ${missing.map((v) => v.sku).join(', ')}`);
+
+  const { created, updated } = await writeVariants(productId, actor, async (tx, movement) => {
+    const created = [];
+    const updated = [];
+    for (const input of inputs) {
+      const variantId = bySku.get(input.sku);
+      if (variantId) {
+        await tx.productVariant.update({ where: { id: variantId }, data: variantData(input) });
+        if (input.inventoryQuantity !== undefined) {
+          await setInventory(tx, { variantId, quantity: input.inventoryQuantity, ...movement, note: 'Bulk SKU update' });
+        }
+        updated.push(await tx.productVariant.findUnique({ where: { id: variantId } }));
+      } else {
+        const variant = await tx.productVariant.create({
+          data: { ...NEW_VARIANT, ...variantData(input), productId, inventoryQuantity: input.inventoryQuantity || 0 },
+        });
+        await recordInitialStock(tx, [variant], { ...movement, note: 'Initial stock' });
+        created.push(variant);
+      }
+    }
+    return { created, updated, touched: [...created, ...updated].map((v) => v.id) };
+  });
+  return { created, updated };
+};
+
+export default { listVariants, createVariant, updateVariant, deleteVariant, upsertVariantsBySku };
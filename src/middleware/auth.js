@@ -34,6 +34,9 @@ export const isAuthenticated = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({ error: "User not found" });
     }
+    if (user.deletedAt) {
+      return res.status(401).json({ error: "Account has been deleted" });
+    }
 
     // Attach user to request
     req.user = user;
@@ -44,6 +47,29 @@ export const isAuthenticated = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach req.user when a valid token is present, but let guests through.
+ * For endpoints that behave differently for logged-in customers.
+ */
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const cookieToken =
+      (req.cookies && (req.cookies.token || req.cookies.customerAccessToken || req.cookies.auth_token)) ||
+      null;
+    const auth = req.headers.authorization || "";
+    const token = cookieToken || (auth.startsWith("Bearer ") ? auth.slice(7) : null);
+
+    if (token) {
+      const decoded = jwt.verify(token, getJwtSecret());
+      const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+      if (user && !user.deletedAt) req.user = user;
+    }
+  } catch {
+    // Invalid or expired token: continue as a guest
+  }
+  next();
+};
+
 export const isAdmin = (req, res, next) => {
   // This middleware should be used after isAuthenticated
   if (!req.user) {
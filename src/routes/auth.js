@@ -90,7 +90,7 @@ router.post("/login", async (req, res, next) => {
       return res.status(400).json({ error: "Email and password are required" });
 
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user)
+    if (!user || user.deletedAt)
       return res.status(401).json({ error: "Invalid email or password" });
 
     const valid = await bcrypt.compare(password, user.passwordHash);
@@ -190,7 +190,7 @@ router.post("/forgot-password", async (req, res, next) => {
     });
 
     // Always respond success (security best practice)
-    if (!user)
+    if (!user || user.deletedAt)
       return res.json({ message: "If this email exists, a reset link was sent." });
 
     // Generate token & expiry
@@ -251,6 +251,7 @@ router.post("/reset-password", async (req, res, next) => {
       where: {
         resetToken: token,
         resetTokenExpiry: { gt: new Date() },
+        deletedAt: null,
       },
     });
 
@@ -287,7 +288,7 @@ router.get("/admin/all/users",isAuthenticated, async (req, res, next) => {
 
     }
 
-    const users = await prisma.user.findMany();
+    const users = await prisma.user.findMany({ where: { deletedAt: null } });
     if (!users)
      {
        return res.status(404).json({ message: "No users Found",users:[] });
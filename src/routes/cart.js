@@ -1,102 +1,9 @@
 import { Router } from "express";
 import prisma from "../lib/prisma.js";
+import { addCartLine, cartInclude, formatCart, getOrCreateCart, refreshCartTotals, removeTrashedLines } from "../lib/cart.js";
 
 const router = Router();
 
-/** Utility to include full cart with related models */
-const cartInclude = {
-  lines: {
-    include: {
-      product: { include: { images: true } },
-      variant: true,
-      customProduct: {
-        include: {
-          design: true,
-        },
-      },
-    },
-  },
-};
-
-/** 🧮 Utility: format cart response */
-const formatCart = (cart) => {
-  const subtotal = cart.lines.reduce(
-    (sum, l) => sum + parseFloat(l.priceAmount) * l.quantity,
-    0
-  );
-  const currency =
-    cart.lines.length > 0 ? cart.lines[0].priceCurrency : "INR";
-
-  return {
-    id: cart.id,
-    totalQuantity: cart.totalQuantity,
-    subtotal: { amount: subtotal.toFixed(2), currencyCode: currency },
-    lines: cart.lines.map((l) => ({
-      id: l.id,
-      quantity: l.quantity,
-      product: l.product ? {
-        id: l.product.id,
-        title: l.product.title,
-        handle: l.product.handle,
-        featuredImage: l.product.featuredImageUrl
-          ? {
-            url: l.product.featuredImageUrl,
-            altText: l.product.featuredImageAlt,
-          }
-          : l.product.images[0]
-            ? {
-              url: l.product.images[0].url,
-              altText: l.product.images[0].altText,
-            }
-            : null,
-      } : null,
-      variant: l.variant
-        ? {
-          id: l.variant.id,
-          selectedOptions: l.variant.selectedOptions,
-        }
-        : null,
-      customProduct: l.customProduct
-        ? {
-          id: l.customProduct.id,
-          title: l.customProduct.title,
-          color: l.customProduct.color,
-          size: l.customProduct.size,
-          previewUrl: l.customProduct.previewUrl,
-          description: l.customProduct.description,
-        }
-        : null,
-      price: {
-        amount: l.priceAmount,
-        currencyCode: l.priceCurrency,
-      },
-      subtotal: {
-        amount: (parseFloat(l.priceAmount) * l.quantity).toFixed(2),
-        currencyCode: l.priceCurrency,
-      },
-    })),
-  };
-};
-
-/** 🧩 Helper: get or create cart (guest or user) */
-const getOrCreateCart = async (userId = null) => {
-  if (userId) {
-    let cart = await prisma.cart.findFirst({
-      where: { userId },
-      include: cartInclude,
-    });
-    if (!cart) {
-      cart = await prisma.cart.create({
-        data: { userId },
-        include: cartInclude,
-      });
-    }
-    return cart;
-  }
-
-  return await prisma.cart.create({ data: {}, include: cartInclude });
-};
-
 /**
  * 🛒 GET CART
  */
@@ -132,6 +39,11 @@ router.get("/", async (req, res, next) => {
       }
     }
 
+    // Products moved to the trash drop out of the cart
+    if (await removeTrashedLines(cart.id)) {
+      cart = await prisma.cart.findUnique({ where: { id: cart.id }, include: cartInclude });
+    }
+
     console.log('📦 Cart GET - Lines:', cart.lines.map(l => ({
       id: l.id,
       productId: l.productId,
@@ -167,7 +79,7 @@ router.post("/lines", async (req, res, next) => {
         where: { id: productId },
         include: { variants: true },
       });
-      if (!product) return res.status(404).json({ error: "Product not found" });
+      if (!product || product.deletedAt) return res.status(404).json({ error: "Product not found" });
 
       if (variantId) {
         variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
@@ -206,60 +118,17 @@ router.post("/lines", async (req, res, next) => {
     }
 
     await prisma.$transaction(async (tx) => {
-      // For custom products, we always create a new line (don't merge)
-      // For regular products, we merge quantities if same product+variant
-      const existing = await tx.cartLine.findFirst({
-        where: {
-          cartId: cart.id,
-          productId: productId || null,
-          variantId: variantId || null,
-          customProductId: customProductId || null
-        },
-      });
-
-      if (existing) {
-        await tx.cartLine.update({
-          where: { id: existing.id },
-          data: { quantity: existing.quantity + quantity },
-        });
-      } else {
-        // Determine price amount and currency
-        let priceAmount = "0";
-        let priceCurrency = "INR";
-
-        if (customProduct) {
-          priceAmount = customProduct.price.toString();
-          priceCurrency = "INR"; // Assuming INR for custom products
-        } else if (variant) {
-          priceAmount = variant.priceAmount.toString();
-          priceCurrency = variant.priceCurrency;
-        } else if (product) {
-          priceAmount = product.minPriceAmount.toString();
-          priceCurrency = product.minPriceCurrency;
-        }
-
-        await tx.cartLine.create({
-          data: {
-            cartId: cart.id,
-            productId: productId || null,
-            variantId: variantId || null,
-            customProductId: customProductId || null,
-            quantity,
-            priceAmount,
-            priceCurrency,
-          },
-        });
-      }
-
-      const total = await tx.cartLine.aggregate({
-        where: { cartId: cart.id },
-        _sum: { quantity: true },
-      });
-
-      await tx.cart.update({
-        where: { id: cart.id },
-        data: { totalQuantity: total._sum.quantity || 0 },
+      await addCartLine(tx, {
+        cartId: cart.id,
+        productId,
+        variantId,
+        customProductId,
+        quantity,
+        product,
+        variant,
+        customProduct,
       });
+      await refreshCartTotals(tx, cart.id);
     });
 
     const updated = await prisma.cart.findUnique({ where: { id: cart.id }, include: cartInclude });
@@ -293,14 +162,7 @@ router.put("/lines/:lineId", async (req, res, next) => {
         await tx.cartLine.update({ where: { id: lineId }, data: { quantity } });
       }
 
-      const total = await tx.cartLine.aggregate({
-        where: { cartId },
-        _sum: { quantity: true },
-      });
-      await tx.cart.update({
-        where: { id: cartId },
-        data: { totalQuantity: total._sum.quantity || 0 },
-      });
+      await refreshCartTotals(tx, cartId);
     });
 
     const updated = await prisma.cart.findUnique({ where: { id: cartId }, include: cartInclude });
@@ -326,14 +188,7 @@ router.delete("/lines/:lineId", async (req, res, next) => {
 
       await tx.cartLine.delete({ where: { id: lineId } });
 
-      const total = await tx.cartLine.aggregate({
-        where: { cartId },
-        _sum: { quantity: true },
-      });
-      await tx.cart.update({
-        where: { id: cartId },
-        data: { totalQuantity: total._sum.quantity || 0 },
-      });
+      await refreshCartTotals(tx, cartId);
     });
 
     const updated = await prisma.cart.findUnique({ where: { id: cartId }, include: cartInclude });
@@ -401,66 +256,7 @@ router.post("/batch", async (req, res, next) => {
       if (addOps.length > 0) {
         for (const op of addOps) {
           const { productId, variantId, quantity = 1, customProductId } = op;
-
-          // Check if item already exists in cart
-          const existing = await tx.cartLine.findFirst({
-            where: {
-              cartId: cart.id,
-              productId: productId || null,
-              variantId: variantId || null,
-              customProductId: customProductId || null
-            },
-          });
-
-          if (existing) {
-            // Update existing line
-            await tx.cartLine.update({
-              where: { id: existing.id },
-              data: { quantity: existing.quantity + quantity },
-            });
-          } else {
-            // Get price info
-            let priceAmount = "0";
-            let priceCurrency = "INR";
-
-            if (customProductId) {
-              const customProduct = await tx.customProduct.findUnique({
-                where: { id: customProductId }
-              });
-              if (customProduct) {
-                priceAmount = customProduct.price.toString();
-              }
-            } else if (variantId) {
-              const variant = await tx.productVariant.findUnique({
-                where: { id: variantId }
-              });
-              if (variant) {
-                priceAmount = variant.priceAmount.toString();
-                priceCurrency = variant.priceCurrency;
-              }
-            } else if (productId) {
-              const product = await tx.product.findUnique({
-                where: { id: productId }
-              });
-              if (product) {
-                priceAmount = product.minPriceAmount.toString();
-                priceCurrency = product.minPriceCurrency;
-              }
-            }
-
-            // Create new line
-            await tx.cartLine.create({
-              data: {
-                cartId: cart.id,
-                productId: productId || null,
-                variantId: variantId || null,
-                customProductId: customProductId || null,
-                quantity,
-                priceAmount,
-                priceCurrency,
-              },
-            });
-          }
+          await addCartLine(tx, { cartId: cart.id, productId, variantId, customProductId, quantity });
         }
       }
 
@@ -519,15 +315,7 @@ router.post("/batch", async (req, res, next) => {
       }
 
       // Update total quantity
-      const total = await tx.cartLine.aggregate({
-        where: { cartId: cart.id },
-        _sum: { quantity: true },
-      });
-
-      await tx.cart.update({
-        where: { id: cart.id },
-        data: { totalQuantity: total._sum.quantity || 0 },
-      });
+      await refreshCartTotals(tx, cart.id);
     });
 
     // Fetch updated cart
@@ -1,160 +1,164 @@
+import { createHash } from "crypto";
+import fs from "fs";
 import { Router } from "express";
-import prisma from "../lib/prisma.js";
-import PDFDocument from "pdfkit";
-import axios from "axios";
-import sharp from "sharp";
+import { z } from "zod";
+import { catalogQueue } from "../lib/redis.js";
+import { catalogFilePath, countCatalogProducts, renderCatalogPdf } from "../lib/catalog-pdf.js";
+import { optionalAuth } from "../middleware/auth.js";
 
 const router = Router();
 
-async function fetchAndCompressImage(url, width = 200) {
+// Catalogs with more products than this are rendered by the background worker
+const SYNC_LIMIT = Number(process.env.CATALOG_SYNC_LIMIT || 150);
+const DEFAULT_WHOLESALE_DISCOUNT = Number(process.env.CATALOG_WHOLESALE_DISCOUNT || 40);
+
+// Identical background requests within this window share one render
+const JOB_REUSE_MS = 60 * 60 * 1000;
+
+const flag = z.enum(["true", "false"]).transform((value) => value === "true");
+
+const catalogQuerySchema = z
+  .object({
+    collection: z.string().min(1).optional(),
+    tag: z.string().min(1).optional(),
+    minPrice: z.coerce.number().min(0).optional(),
+    maxPrice: z.coerce.number().min(0).optional(),
+    inStock: flag.optional(),
+    includeUnpublished: flag.optional(),
+    layout: z.enum(["grid", "linesheet"]).default("grid"),
+    wholesaleDiscount: z.coerce.number().min(0).max(90).default(DEFAULT_WHOLESALE_DISCOUNT),
+    cover: flag.default("true"),
+    coverTitle: z.string().min(1).max(60).optional(),
+    coverSubtitle: z.string().max(80).optional(),
+    coverNote: z.string().max(300).optional(),
+    coverColor: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Use a hex colour like #1a1a2e").optional(),
+    coverImage: z.string().url().optional(), // admin only
+    async: flag.optional(),
+  })
+  .refine((q) => q.minPrice === undefined || q.maxPrice === undefined || q.minPrice <= q.maxPrice, {
+    message: "minPrice cannot be greater than maxPrice",
+    path: ["minPrice"],
+  });
+
+/**
+ * Split the parsed query into catalog filters and render options.
+ */
+const catalogRequest = (query) => {
+  const { collection, tag, minPrice, maxPrice, inStock, includeUnpublished, layout, wholesaleDiscount } = query;
+  return {
+    filters: { collection, tag, minPrice, maxPrice, inStock, includeUnpublished },
+    options: {
+      layout,
+      wholesaleDiscount,
+      cover: {
+        show: query.cover,
+        ...(query.coverTitle && { title: query.coverTitle }),
+        ...(query.coverSubtitle !== undefined && { subtitle: query.coverSubtitle }),
+        ...(query.coverNote && { note: query.coverNote }),
+        ...(query.coverColor && { color: query.coverColor }),
+        ...(query.coverImage && { imageUrl: query.coverImage }),
+      },
+    },
+    // Wholesale prices and unpublished products are for admins only
+    restricted: layout === "linesheet" || Boolean(includeUnpublished),
+  };
+};
+
+// Catalog PDF; small catalogs stream straight back, large ones (or, for
+// admins, ?async=true) are queued and downloaded from /catalog/jobs/:jobId
+router.get("/pdf", optionalAuth, async (req, res, next) => {
   try {
-    const response = await axios.get(url, { 
-      responseType: 'arraybuffer', 
-      timeout: 5000,
-      maxRedirects: 5,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    const compressed = await sharp(Buffer.from(response.data))
-      .resize(width, width, { fit: 'cover' })
-      .jpeg({ quality: 70 })
-      .toBuffer();
-    return compressed;
-  } catch {
+    const query = catalogQuerySchema.parse(req.query);
+    const { filters, options, restricted } = catalogRequest(query);
+    if (restricted && !req.user?.isAdmin) {
+      return res.status(403).json({ error: "Admin access required for line sheets and unpublished products" });
+    }
+    // The server fetches coverImage itself, and ?async queues a render job
+    if ((query.coverImage || query.async) && !req.user?.isAdmin) {
+      return res.status(403).json({ error: "Admin access required for cover images and background catalogs" });
+    }
+
+    const total = await countCatalogProducts(filters);
+    if (catalogQueue && (query.async || total > SYNC_LIMIT)) {
+      // BullMQ hands back the existing job for a known jobId, so repeated
+      // requests cannot pile up renders
+      const jobId = `catalog-${createHash("sha256")
+        .update(JSON.stringify({ filters, options, restricted, window: Math.floor(Date.now() / JOB_REUSE_MS) }))
+        .digest("hex")}`;
+      const job = await catalogQueue.add(
+        "catalog-pdf",
+        { filters, options, restricted, userId: req.user?.id || null },
+        { jobId, attempts: 1, removeOnComplete: { age: 24 * 60 * 60 }, removeOnFail: { age: 24 * 60 * 60 } }
+      );
+      return res.status(202).json({ jobId: job.id, products: total, status: `/catalog/jobs/${job.id}` });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", "attachment; filename=product-catalog.pdf");
+    await renderCatalogPdf(filters, options, res);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    console.error("PDF error:", err);
+    if (!res.headersSent) next(err);
+  }
+});
+
+/**
+ * Load a catalog job the caller may see; restricted jobs are admin only.
+ */
+const findCatalogJob = async (req, res) => {
+  if (!catalogQueue) {
+    res.status(404).json({ error: "Background catalogs are disabled (Redis not available)" });
+    return null;
+  }
+  const job = await catalogQueue.getJob(req.params.jobId);
+  if (!job || (job.data.restricted && !req.user?.isAdmin)) {
+    res.status(404).json({ error: "Catalog job not found or expired" });
     return null;
   }
-}
+  return job;
+};
 
-router.get("/pdf", async (req, res, next) => {
-  let doc = null;
+// Status of a background catalog
+router.get("/jobs/:jobId", optionalAuth, async (req, res, next) => {
   try {
-    const products = await prisma.product.findMany({
-      include: {
-        images: true,
-        options: { include: { values: true } },
-        collections: true,
-      },
-      orderBy: { title: "asc" },
+    const job = await findCatalogJob(req, res);
+    if (!job) return;
+
+    const state = await job.getState();
+    res.json({
+      jobId: job.id,
+      layout: job.data.options.layout,
+      state,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+      products: state === "completed" ? job.returnvalue.products : null,
+      bytes: state === "completed" ? job.returnvalue.bytes : null,
+      download: state === "completed" ? `/catalog/jobs/${job.id}/download` : null,
+      error: state === "failed" ? job.failedReason : null,
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    doc = new PDFDocument({ size: "A4", margins: { top: 30, bottom: 30, left: 20, right: 20 } });
+// Download a finished background catalog
+router.get("/jobs/:jobId/download", optionalAuth, async (req, res, next) => {
+  try {
+    const job = await findCatalogJob(req, res);
+    if (!job) return;
 
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", "attachment; filename=product-catalog.pdf");
-    doc.pipe(res);
-
-    const pw = doc.page.width;
-    const ph = doc.page.height;
-    const margin = 20;
-    const cw = pw - margin * 2;
-
-    // Cover
-    doc.rect(0, 0, pw, ph).fill("#1a1a2e");
-    doc.fontSize(40).font("Helvetica-Bold").fillColor("#fff").text("URBANIC", 0, ph/2 - 60, { align: "center" });
-    doc.fontSize(20).fillColor("#f0f0f0").text("PITARA", 0, ph/2 - 20, { align: "center" });
-    doc.fontSize(12).fillColor("#aaa").text(`Product Catalog - ${products.length} Products`, 0, ph/2 + 20, { align: "center" });
-    doc.fontSize(10).fillColor("#888").text(new Date().toLocaleDateString("en-IN"), 0, ph/2 + 40, { align: "center" });
-
-    // Products - 2 columns, clean list layout
-    const cols = 2;
-    const colW = (cw - 15) / cols;
-    let y = 50;
-    let col = 0;
-
-    doc.addPage();
-    doc.fontSize(18).font("Helvetica-Bold").fillColor("#1a1a2e").text("Products", margin, 20);
-    doc.moveTo(margin, 40).lineTo(pw - margin, 40).strokeColor("#ddd").lineWidth(1).stroke();
-
-    for (let i = 0; i < products.length; i++) {
-      const p = products[i];
-
-      if (y + 130 > ph - 40) {
-        doc.addPage();
-        y = 30;
-        col = 0;
-      }
-
-      const x = margin + col * (colW + 15);
-
-      // Image box
-      const imgBoxSize = 80;
-      doc.rect(x, y, imgBoxSize, imgBoxSize).fill("#f5f5f5").strokeColor("#eee").lineWidth(1).stroke();
-
-      // Try load image
-      if (p.images?.[0]?.url) {
-        try {
-          const imgBuf = await fetchAndCompressImage(p.images[0].url, 150);
-          if (imgBuf) {
-            doc.image(imgBuf, x + 2, y + 2, { width: imgBoxSize - 4, height: imgBoxSize - 4 });
-          }
-        } catch {}
-      }
-
-      // Text info - to the right of image
-      const textX = x + imgBoxSize + 8;
-      const textW = colW - imgBoxSize - 15;
-
-      doc.fontSize(10).font("Helvetica-Bold").fillColor("#222");
-      doc.text(p.title?.substring(0, 35) || "Untitled", textX, y, { width: textW });
-
-      // Price - using product's minPriceAmount directly
-      const minPrice = parseFloat(p.minPriceAmount) || 0;
-      const maxPrice = parseFloat(p.maxPriceAmount) || 0;
-      const comparePrice = parseFloat(p.compareMinAmount) || 0;
-
-      if (minPrice > 0) {
-        doc.fontSize(12).font("Helvetica-Bold").fillColor("#e63946");
-        doc.text(minPrice === maxPrice ? `₹${minPrice}` : `₹${minPrice} - ₹${maxPrice}`, textX, y + 26, { width: textW });
-
-        // Compare price (MRP)
-        if (comparePrice > minPrice) {
-          doc.fontSize(9).fillColor("#888").text(`MRP: ₹${comparePrice}`, textX, y + 40, { width: textW });
-        }
-      }
-
-      // Options
-      if (p.options?.length) {
-        const optText = p.options.map(o => `${o.name}: ${o.values.slice(0, 4).map(v => v.name).join(", ")}`).join(" | ");
-        doc.fontSize(7).fillColor("#555").text(optText.substring(0, 60), textX, y + 52, { width: textW });
-      }
-
-      // Collections
-      if (p.collections?.length) {
-        doc.fontSize(7).fillColor("#888").text(`Collection: ${p.collections[0].title}`, textX, y + 64, { width: textW });
-      }
-
-      col++;
-      if (col >= cols) {
-        col = 0;
-        y += imgBoxSize + 20;
-      }
+    if ((await job.getState()) !== "completed") {
+      return res.status(409).json({ error: "Catalog is not ready yet" });
     }
 
-    // Footer - price summary
-    doc.addPage();
-    doc.fontSize(16).font("Helvetica-Bold").fillColor("#1a1a2e").text("Price Summary", margin, 20);
-    doc.moveTo(margin, 40).lineTo(pw - margin, 40).strokeColor("#ddd").lineWidth(1).stroke();
-
-    y = 60;
-    const ranges = [
-      ["Under ₹1000", p => { const x = parseFloat(p.minPriceAmount) || 0; return x > 0 && x < 1000; }],
-      ["₹1000 - ₹2000", p => { const x = parseFloat(p.minPriceAmount) || 0; return x >= 1000 && x < 2000; }],
-      ["₹2000 - ₹3000", p => { const x = parseFloat(p.minPriceAmount) || 0; return x >= 2000 && x < 3000; }],
-      ["₹3000 - ₹5000", p => { const x = parseFloat(p.minPriceAmount) || 0; return x >= 3000 && x < 5000; }],
-      ["Above ₹5000", p => { const x = parseFloat(p.minPriceAmount) || 0; return x >= 5000; }],
-    ];
-
-    doc.fontSize(11).font("Helvetica");
-    for (const [label, fn] of ranges) {
-      const count = products.filter(fn).length;
-      doc.fillColor("#333").text(`${label}: ${count} products`, margin, y);
-      y += 18;
-    }
+    const file = catalogFilePath(job.id);
+    if (!fs.existsSync(file)) return res.status(410).json({ error: "Catalog file has expired; generate it again" });
 
-    doc.end();
-  } catch (err) {
-    console.error("PDF error:", err);
-    if (!res.headersSent) next(err);
+    res.download(file, `product-catalog-${job.id}.pdf`);
+  } catch (error) {
+    next(error);
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,6 +1,16 @@
 import { Router } from "express";
+import { Prisma } from "@prisma/client";
+import { z } from "zod";
 import prisma from "../lib/prisma.js";
 import { cache } from "../lib/redis.js";
+import { ruleWhere, syncCollection } from "../lib/smart-collections.js";
+import {
+  appendToCollection,
+  listCollectionProducts,
+  removeFromCollection,
+  reorderCollection,
+} from "../lib/collection-products.js";
+import { moveToTrash, purgeFromTrash } from "../lib/trash.js";
 import { isAuthenticated, isAdmin } from "../middleware/auth.js";
 
 const router = Router();
@@ -9,6 +19,52 @@ const router = Router();
 const makeHandle = (title) =>
   title.toLowerCase().trim().replace(/[^a-z0-9]+/g, "-");
 
+// Smart collection rule set; see ruleWhere() in src/lib/smart-collections.js
+const rulesSchema = z
+  .object({
+    titleContains: z.string().trim().min(1).max(100).optional(),
+    tagsAny: z.array(z.string().trim().min(1)).min(1).max(50).optional(),
+    tagsAll: z.array(z.string().trim().min(1)).min(1).max(50).optional(),
+    priceMin: z.number().min(0).optional(),
+    priceMax: z.number().min(0).optional(),
+    vendor: z.string().trim().min(1).optional(),
+    color: z.string().trim().min(1).optional(),
+    inStock: z.boolean().optional(),
+  })
+  .strict()
+  .refine((rules) => Object.keys(rules).length > 0, { message: "Add at least one rule" })
+  .refine((rules) => rules.priceMin === undefined || rules.priceMax === undefined || rules.priceMin <= rules.priceMax, {
+    message: "priceMin cannot be greater than priceMax",
+    path: ["priceMin"],
+  });
+
+// undefined = leave as is, null = manual collection, object = smart collection
+const parseRules = (rules) => (rules === undefined || rules === null ? rules : rulesSchema.parse(rules));
+
+// Product sorts for a collection page besides the manual order (the default);
+// pinned products stay on top with every sort
+const COLLECTION_SORTS = {
+  title: { title: "asc" },
+  "price-asc": { minPriceAmount: "asc" },
+  "price-desc": { minPriceAmount: "desc" },
+  newest: { createdAt: "desc" },
+};
+
+const reorderSchema = z
+  .object({
+    productIds: z.array(z.string().min(1)).max(5000).default([]),
+    pinned: z.array(z.string().min(1)).max(100).optional(),
+  })
+  .refine((body) => body.productIds.length > 0 || body.pinned !== undefined, {
+    message: "Send productIds, pinned or both",
+  });
+
+// Product counts leave out trashed products
+const productCount = { select: { products: { where: { product: { deletedAt: null } } } } };
+
+const smartCollectionError = (res) =>
+  res.status(409).json({ error: "This is a smart collection: its products follow its rules. Edit the rules instead." });
+
 /**
  * 🧾 Get all collections
  */
@@ -19,9 +75,10 @@ router.get("/", async (req, res, next) => {
     if (cached) return res.json(cached);
 
     const collections = await prisma.collection.findMany({
+      where: { deletedAt: null },
       orderBy: { title: "asc" },
       include: {
-        _count: { select: { products: true } },
+        _count: productCount,
       },
     });
 
@@ -33,6 +90,7 @@ router.get("/", async (req, res, next) => {
       imageUrl: c.imageUrl,
       imageAlt: c.imageAlt,
       productCount: c._count.products,
+      smart: Boolean(c.rules),
     }));
 
     await cache.set(cacheKey, formatted, 1800); // 30 mins
@@ -51,37 +109,37 @@ router.get("/:handle", async (req, res, next) => {
     const page = req.query.page ? Math.max(parseInt(req.query.page ), 1) : null;
     const limit = req.query.limit ? Math.max(parseInt(req.query.limit), 1) : null;
     const skip = page && limit ? (page - 1) * limit : undefined;
+    const sort = req.query.sort || "manual";
+    if (sort !== "manual" && !COLLECTION_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of manual, ${Object.keys(COLLECTION_SORTS).join(", ")}` });
+    }
 
     // Cache key includes pagination for individual pages if needed, 
     // or we cache the base data.
-    const cacheKey = `collection:${handle}:${page || 1}:${limit || "all"}`;
+    const cacheKey = `collection:${handle}:${page || 1}:${limit || "all"}:${sort}`;
     const cached = await cache.get(cacheKey);
     if (cached) return res.json(cached);
 
     // Fetch collection
-    const collection = await prisma.collection.findUnique({
-      where: { handle },
-      include: {
-        products: {
-          include: {
-            images: true,
-            tags: { include: { tag: true } },
-            variants: true,
-            options: { include: { values: true } },
-          },
-          skip,
-          take: limit || undefined, // fetch all if limit not provided
-          orderBy: { title: "asc" },
-        },
-      },
-    });
+    const collection = await prisma.collection.findFirst({ where: { handle, deletedAt: null } });
 
     if (!collection) return res.status(404).json({ error: "Collection not found" });
 
-    // Count total products
-    const totalProducts = await prisma.product.count({
-      where: { collections: { some: { id: collection.id } } },
-    });
+    const [products, totalProducts] = await Promise.all([
+      listCollectionProducts(collection.id, {
+        orderBy: COLLECTION_SORTS[sort],
+        skip,
+        take: limit || undefined, // fetch all if limit not provided
+        include: {
+          images: true,
+          tags: { include: { tag: true } },
+          variants: true,
+          options: { include: { values: true } },
+          collections: { where: { collectionId: collection.id }, select: { pinned: true } },
+        },
+      }),
+      prisma.collectionProduct.count({ where: { collectionId: collection.id, product: { deletedAt: null } } }),
+    ]);
 
     const response = {
       id: collection.id,
@@ -90,7 +148,9 @@ router.get("/:handle", async (req, res, next) => {
       description: collection.description,
       imageUrl: collection.imageUrl,
       imageAlt: collection.imageAlt,
-      products: collection.products.map((p) => ({
+      smart: Boolean(collection.rules),
+      sort,
+      products: products.map((p) => ({
         id: p.id,
         title: p.title,
         handle: p.handle,
@@ -105,6 +165,7 @@ router.get("/:handle", async (req, res, next) => {
         priceCurrency: p.minPriceCurrency,
         variants: p.variants,
         tags: p.tags.map((t) => t.tag.name),
+        pinned: p.collections[0]?.pinned ?? false,
       })),
       pagination: page && limit
         ? {
@@ -139,14 +200,14 @@ router.get("/admin/all", isAuthenticated, isAdmin, async (req, res, next) => {
     const search = (req.query.search) || "";
 
     // Count total collections
-    const totalCollections = await prisma.collection.count({
-      where: { title: { contains: search, mode: "insensitive" } },
-    });
+    // Trashed collections are listed under /trash/collections
+    const where = { deletedAt: null, title: { contains: search, mode: "insensitive" } };
+    const totalCollections = await prisma.collection.count({ where });
 
     // Fetch paginated collections
     const collections = await prisma.collection.findMany({
-      where: { title: { contains: search, mode: "insensitive" } },
-      include: { _count: { select: { products: true } } },
+      where,
+      include: { _count: productCount },
       orderBy: { [sortField]: sortOrder },
       skip,
       take: limit,
@@ -161,6 +222,8 @@ router.get("/admin/all", isAuthenticated, isAdmin, async (req, res, next) => {
         imageUrl: c.imageUrl,
         imageAlt: c.imageAlt,
         productCount: c._count.products,
+        rules: c.rules,
+        rulesSyncedAt: c.rulesSyncedAt,
         createdAt: c.createdAt,
         updatedAt: c.updatedAt,
       })),
@@ -183,6 +246,7 @@ router.get("/admin/all", isAuthenticated, isAdmin, async (req, res, next) => {
 router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { title, handle, description, imageUrl, imageAlt } = req.body;
+    const rules = parseRules(req.body.rules);
 
     if (!title)
       return res.status(400).json({ error: "Title is required." });
@@ -195,15 +259,27 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
     if (exists)
       return res
         .status(400)
-        .json({ error: "Collection with this handle already exists." });
-
-    const collection = await prisma.collection.create({
-      data: { title, handle: collectionHandle, description, imageUrl, imageAlt },
+        .json({
+          error: exists.deletedAt
+            ? "A collection with this handle is in the trash. Restore it or delete it permanently first."
+            : "Collection with this handle already exists.",
+        });
+
+    let collection = await prisma.collection.create({
+      data: { title, handle: collectionHandle, description, imageUrl, imageAlt, ...(rules && { rules }) },
     });
 
+    // Smart collections start with every product matching their rules
+    let sync;
+    if (rules) {
+      sync = await syncCollection(collection.id);
+      collection = await prisma.collection.findUnique({ where: { id: collection.id } });
+    }
+
     await cache.del("collections:all"); // Invalidate list
-    res.status(201).json(collection);
+    res.status(201).json({ ...collection, ...(sync && { sync }) });
   } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
     next(err);
   }
 });
@@ -215,6 +291,7 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { title, handle, description, imageUrl, imageAlt } = req.body;
+    const rules = parseRules(req.body.rules);
 
     const collection = await prisma.collection.findUnique({ where: { id } });
     if (!collection)
@@ -243,22 +320,27 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
         description: description ?? undefined,
         imageUrl: imageUrl ?? undefined,
         imageAlt: imageAlt ?? undefined,
+        // Clearing the rules keeps the current products as a manual collection
+        ...(rules !== undefined && { rules: rules ?? Prisma.DbNull, rulesSyncedAt: null }),
       },
     });
+    const sync = rules ? await syncCollection(id) : undefined;
 
     // Invalidate
     await cache.del("collections:all");
     await cache.delPattern(`collection:${collection.handle}:*`);
     if(newHandle) await cache.delPattern(`collection:${newHandle}:*`);
 
-    res.json(updated);
+    res.json({ ...updated, ...(sync && { sync }) });
   } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
     next(err);
   }
 });
 
 /**
  * ❌ Delete collection (Admin)
+ * Moves it to the trash; ?permanent=true deletes it for good
  */
 router.delete("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
@@ -268,15 +350,14 @@ router.delete("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
     if (!existing)
       return res.status(404).json({ error: "Collection not found" });
 
-    await prisma.$transaction(async (tx) => {
-      // Delete collection
-      await tx.collection.delete({ where: { id } });
-    });
+    if (req.query.permanent === "true") {
+      await purgeFromTrash("collections", [id], { anyState: true });
+      return res.json({ message: "Collection deleted permanently" });
+    }
 
-    await cache.del("collections:all");
-    await cache.delPattern(`collection:${existing.handle}:*`);
+    await moveToTrash("collections", [id]);
 
-    res.json({ message: "Collection deleted successfully" });
+    res.json({ message: "Collection moved to trash" });
   } catch (err) {
     next(err);
   }
@@ -296,16 +377,16 @@ router.post("/:id/products", isAuthenticated, isAdmin, async (req, res, next) =>
     const exists = await prisma.collection.findUnique({ where: { id } });
     if (!exists)
       return res.status(404).json({ error: "Collection not found" });
+    if (exists.rules) return smartCollectionError(res);
+
+    const found = await prisma.product.count({ where: { id: { in: productIds } } });
+    if (found !== new Set(productIds).size)
+      return res.status(404).json({ error: "One or more products not found" });
 
-    await prisma.$transaction(
-      productIds.map((pid) =>
-        prisma.product.update({
-          where: { id: pid },
-          data: { collections: { connect: { id } } },
-        })
-      )
-    );
+    // New products go to the end of the collection's order
+    await appendToCollection(prisma, id, productIds);
 
+    await cache.del("collections:all");
     await cache.delPattern(`collection:${exists.handle}:*`);
 
     res.json({ message: "Products added to collection successfully" });
@@ -325,34 +406,25 @@ router.post("/:id/products/by-rule", isAuthenticated, isAdmin, async (req, res,
 
     const collection = await prisma.collection.findUnique({ where: { id } });
     if (!collection) return res.status(404).json({ error: "Collection not found" });
+    if (collection.rules) return smartCollectionError(res);
+
+    // One-off add with the smart collection matcher; save `rules` on the
+    // collection instead to keep it in sync
+    const where = ruleWhere({
+      titleContains,
+      priceMin,
+      priceMax,
+      ...(Array.isArray(tags) && tags.length > 0 && { tagsAny: tags }),
+    });
 
-    // Build dynamic query
-    const where = {};
-    const AND = [];
-
-    if (titleContains) AND.push({ title: { contains: titleContains, mode: "insensitive" } });
-    if (priceMin !== undefined) AND.push({ minPriceAmount: { gte: priceMin } });
-    if (priceMax !== undefined) AND.push({ maxPriceAmount: { lte: priceMax } });
-    if (Array.isArray(tags) && tags.length > 0) {
-      AND.push({ tags: { some: { tag: { name: { in: tags } } } } });
-    }
-
-    if (AND.length) where.AND = AND;
-
-    const products = await prisma.product.findMany({ where });
+    const products = await prisma.product.findMany({ where, select: { id: true }, orderBy: { title: "asc" } });
 
     if (!products.length)
       return res.status(200).json({ message: "No products matched the criteria." });
 
-    await prisma.$transaction(
-      products.map((p) =>
-        prisma.product.update({
-          where: { id: p.id },
-          data: { collections: { connect: { id } } },
-        })
-      )
-    );
+    await appendToCollection(prisma, id, products.map((p) => p.id));
 
+    await cache.del("collections:all");
     await cache.delPattern(`collection:${collection.handle}:*`);
 
     res.json({ message: "Products added by rule successfully", count: products.length });
@@ -362,6 +434,22 @@ router.post("/:id/products/by-rule", isAuthenticated, isAdmin, async (req, res,
 });
 
 
+/**
+ * 🔁 Re-evaluate a smart collection's rules now (Admin)
+ */
+router.post("/:id/sync", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const collection = await prisma.collection.findUnique({ where: { id: req.params.id } });
+    if (!collection) return res.status(404).json({ error: "Collection not found" });
+    if (!collection.rules) return res.status(400).json({ error: "Collection has no rules" });
+
+    const sync = await syncCollection(collection.id);
+    res.json({ message: "Collection synced", ...sync });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * 🧹 Remove products from collection (Admin)
  */
@@ -376,16 +464,11 @@ router.delete("/:id/products", isAuthenticated, isAdmin, async (req, res, next)
     const exists = await prisma.collection.findUnique({ where: { id } });
     if (!exists)
       return res.status(404).json({ error: "Collection not found" });
+    if (exists.rules) return smartCollectionError(res);
 
-    await prisma.$transaction(
-      productIds.map((pid) =>
-        prisma.product.update({
-          where: { id: pid },
-          data: { collections: { disconnect: { id } } },
-        })
-      )
-    );
+    await removeFromCollection(prisma, id, productIds);
 
+    await cache.del("collections:all");
     await cache.delPattern(`collection:${exists.handle}:*`);
 
     res.json({ message: "Products removed from collection successfully" });
@@ -394,4 +477,29 @@ router.delete("/:id/products", isAuthenticated, isAdmin, async (req, res, next)
   }
 });
 
+/**
+ * ↕️ Reorder and pin products in a collection (Admin)
+ * Body: { productIds: [...], pinned?: [...] } - the listed products move to
+ * the top in that order, the rest keep their order after them; `pinned`
+ * replaces the set of pinned products. Works for smart collections too.
+ */
+router.put("/:id/products/order", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { productIds, pinned } = reorderSchema.parse(req.body);
+
+    const collection = await prisma.collection.findUnique({ where: { id: req.params.id } });
+    if (!collection) return res.status(404).json({ error: "Collection not found" });
+
+    const { updated } = await reorderCollection(collection.id, productIds, pinned);
+
+    await cache.del("collections:all");
+    await cache.delPattern(`collection:${collection.handle}:*`);
+
+    res.json({ message: "Collection order updated", updated });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
 export default router;
@@ -0,0 +1,56 @@
+import { Router } from "express";
+import { z } from "zod";
+import { SHOPIFY_COLUMNS, csvLine } from "../lib/shopify-csv.js";
+import { productExportRows } from "../lib/product-export.js";
+import { buildXlsx } from "../lib/xlsx.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+const exportQuerySchema = z.object({
+  format: z.enum(["csv", "xlsx"]).default("csv"),
+  collection: z.string().min(1).optional(),
+  tag: z.string().min(1).optional(),
+  published: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Product catalog in the Shopify column layout the importer reads
+// (POST /imports/products), so an exported file re-imports with no changes
+router.get("/products", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { format, ...filters } = exportQuerySchema.parse(req.query);
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === "xlsx") {
+      const rows = [SHOPIFY_COLUMNS];
+      for await (const row of productExportRows(filters)) rows.push(SHOPIFY_COLUMNS.map((column) => row[column]));
+
+      const buffer = await buildXlsx("Products", rows);
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+      return res.send(buffer);
+    }
+
+    // CSV is streamed as products are read
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+    res.write(csvLine(SHOPIFY_COLUMNS));
+    for await (const row of productExportRows(filters)) {
+      res.write(csvLine(SHOPIFY_COLUMNS.map((column) => row[column])));
+    }
+    res.end();
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    console.error("Product export error:", error);
+    // Headers are already sent once CSV streaming has started
+    if (res.headersSent) return res.end();
+    next(error);
+  }
+});
+
+export default router;
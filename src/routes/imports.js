@@ -0,0 +1,69 @@
+import express, { Router } from "express";
+import { importQueue } from "../lib/redis.js";
+import { runProductImport } from "../lib/product-import.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// CSV uploads are sent as the raw request body (Content-Type: text/csv)
+const csvBody = express.text({
+  type: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"],
+  limit: process.env.IMPORT_MAX_SIZE || "10mb",
+});
+
+const isDryRun = (value) => ["true", "1", "yes"].includes(String(value).toLowerCase());
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Upload a Shopify product export; ?dryRun=true only reports the diff
+router.post("/products", isAuthenticated, isAdmin, csvBody, async (req, res, next) => {
+  try {
+    if (typeof req.body !== "string" || !req.body.trim())
+      return res.status(400).json({ error: "Send the CSV file as the request body with Content-Type: text/csv" });
+
+    const dryRun = isDryRun(req.query.dryRun);
+
+    if (importQueue) {
+      const job = await importQueue.add(
+        "product-csv",
+        { csv: req.body, dryRun, userId: req.user.id },
+        { attempts: 1, removeOnComplete: { age: 24 * 60 * 60 }, removeOnFail: { age: 7 * 24 * 60 * 60 } }
+      );
+      return res.status(202).json({ jobId: job.id, dryRun, status: `/imports/${job.id}` });
+    }
+
+    // ✅ Fallback: run inline when Redis is disabled
+    console.log("Redis disabled: running product import synchronously...");
+    const result = await runProductImport(req.body, { dryRun, importId: `sync-${Date.now()}`, actor: req.user });
+    res.json({ jobId: null, state: "completed", progress: 100, result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Progress and report of an import job
+router.get("/:jobId", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    if (!importQueue) return res.status(404).json({ error: "Background imports are disabled (Redis not available)" });
+
+    const job = await importQueue.getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Import job not found or expired" });
+
+    const state = await job.getState();
+    res.json({
+      jobId: job.id,
+      type: job.name,
+      dryRun: job.data.dryRun,
+      state,
+      progress: job.progress || 0,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+      result: state === "completed" ? job.returnvalue : null,
+      error: state === "failed" ? job.failedReason : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
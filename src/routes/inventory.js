@@ -0,0 +1,385 @@
+import { Router } from "express";
+import { InventoryMovementReason, LocationType, TransferStatus } from "@prisma/client";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { adjustInventory } from "../lib/inventory.js";
+import { rankLocations } from "../lib/locations.js";
+import { cancelTransfer, createTransfer, receiveTransfer, transferInclude } from "../lib/transfers.js";
+import { notifyVariantAlerts } from "../lib/stock-alerts.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const adjustSchema = z.object({
+  delta: z.number().int().refine((n) => n !== 0, "Delta must not be zero"),
+  locationId: z.string().optional(), // defaults to the primary location
+  note: z.string().min(1, "A note explaining the adjustment is required").max(500),
+});
+
+const setLevelSchema = z.object({
+  quantity: z.number().int().min(0),
+  note: z.string().min(1, "A note explaining the change is required").max(500),
+});
+
+const locationSchema = z.object({
+  name: z.string().min(1),
+  code: z.string().min(1).max(20).transform((code) => code.toUpperCase()),
+  type: z.nativeEnum(LocationType).optional(),
+  address: z.string().optional(),
+  city: z.string().optional(),
+  state: z.string().optional(),
+  zip: z.string().optional(),
+  priority: z.number().int().optional(),
+  active: z.boolean().optional(),
+});
+
+const pincodeRulesSchema = z.object({
+  rules: z
+    .array(
+      z.object({
+        prefix: z.string().regex(/^\d{1,6}$/, "Prefix must be 1-6 digits"),
+        rank: z.number().int().min(0),
+      })
+    )
+    .max(500),
+});
+
+const transferSchema = z.object({
+  fromLocationId: z.string(),
+  toLocationId: z.string(),
+  items: z.array(z.object({ variantId: z.string(), quantity: z.number().int().positive() })).min(1),
+  note: z.string().max(500).optional(),
+});
+
+const historyQuerySchema = z.object({
+  reason: z.nativeEnum(InventoryMovementReason).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+// ----------------------- HELPERS ----------------------- //
+
+const paginationOf = (query, maxLimit = 100) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const variantSelect = {
+  id: true,
+  sku: true,
+  selectedOptions: true,
+  inventoryQuantity: true,
+  product: { select: { id: true, title: true, handle: true } },
+};
+
+const locationSelect = { id: true, name: true, code: true };
+
+const mapMovement = (movement) => ({
+  id: movement.id,
+  location: movement.location,
+  delta: movement.delta,
+  quantityAfter: movement.quantityAfter,
+  reason: movement.reason,
+  referenceType: movement.referenceType,
+  referenceId: movement.referenceId,
+  note: movement.note,
+  actorType: movement.actorType,
+  actor: movement.actor,
+  createdAt: movement.createdAt,
+});
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Stock history of a variant, newest first
+router.get("/variants/:variantId/movements", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { reason, from, to } = historyQuerySchema.parse(req.query);
+    const { page, limit, skip } = paginationOf(req.query);
+
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: req.params.variantId },
+      select: variantSelect,
+    });
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+
+    const where = {
+      variantId: variant.id,
+      ...(reason && { reason }),
+      ...((from || to) && { createdAt: { ...(from && { gte: from }), ...(to && { lte: to }) } }),
+    };
+
+    const [movements, total] = await Promise.all([
+      prisma.inventoryMovement.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+        include: {
+          actor: { select: { id: true, email: true, firstName: true, lastName: true } },
+          location: { select: locationSelect },
+        },
+      }),
+      prisma.inventoryMovement.count({ where }),
+    ]);
+
+    res.json({
+      variant,
+      movements: movements.map(mapMovement),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Manual stock correction for a single variant (stock count, damage, ...)
+router.post("/variants/:variantId/adjust", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = adjustSchema.parse(req.body);
+
+    const variant = await prisma.productVariant.findUnique({ where: { id: req.params.variantId } });
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+    if (parsed.locationId && !(await prisma.location.findUnique({ where: { id: parsed.locationId } })))
+      return res.status(404).json({ error: "Location not found" });
+
+    const quantityAfter = await prisma.$transaction((tx) =>
+      adjustInventory(tx, {
+        variantId: variant.id,
+        locationId: parsed.locationId,
+        delta: parsed.delta,
+        reason: "MANUAL",
+        referenceType: "PRODUCT",
+        referenceId: variant.productId,
+        actor: req.user,
+        note: parsed.note,
+      })
+    );
+
+    if (parsed.delta > 0) notifyVariantAlerts([variant.id]);
+
+    res.json({ variantId: variant.id, delta: parsed.delta, inventoryQuantity: quantityAfter });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Stock of a variant at every location
+router.get("/variants/:variantId/levels", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: req.params.variantId },
+      select: variantSelect,
+    });
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+
+    const levels = await prisma.inventoryLevel.findMany({
+      where: { variantId: variant.id },
+      include: { location: { select: { ...locationSelect, type: true, active: true } } },
+      orderBy: { location: { priority: "asc" } },
+    });
+
+    res.json({
+      variant,
+      availableToSell: variant.inventoryQuantity,
+      levels: levels.map((level) => ({ location: level.location, quantity: level.quantity, updatedAt: level.updatedAt })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a variant's stock at one location (e.g. after a stock count)
+router.put("/locations/:locationId/levels/:variantId", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = setLevelSchema.parse(req.body);
+    const { locationId, variantId } = req.params;
+
+    const [location, variant] = await Promise.all([
+      prisma.location.findUnique({ where: { id: locationId } }),
+      prisma.productVariant.findUnique({ where: { id: variantId } }),
+    ]);
+    if (!location) return res.status(404).json({ error: "Location not found" });
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+
+    const inventoryQuantity = await prisma.$transaction(async (tx) => {
+      const level = await tx.inventoryLevel.findUnique({
+        where: { variantId_locationId: { variantId, locationId } },
+      });
+      const delta = parsed.quantity - (level?.quantity || 0);
+
+      const after = await adjustInventory(tx, {
+        variantId,
+        locationId,
+        delta,
+        reason: "MANUAL",
+        referenceType: "PRODUCT",
+        referenceId: variant.productId,
+        actor: req.user,
+        note: parsed.note,
+      });
+      return after ?? variant.inventoryQuantity;
+    });
+
+    if (parsed.quantity > 0) notifyVariantAlerts([variantId]);
+
+    res.json({ variantId, locationId, quantity: parsed.quantity, inventoryQuantity });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// ----------------------- LOCATIONS ----------------------- //
+
+// List locations with their pincode rules and total units held
+router.get("/locations", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const [locations, totals] = await Promise.all([
+      prisma.location.findMany({
+        orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+        include: { pincodeRules: { orderBy: { rank: "asc" } } },
+      }),
+      prisma.inventoryLevel.groupBy({ by: ["locationId"], _sum: { quantity: true } }),
+    ]);
+    const units = new Map(totals.map((t) => [t.locationId, t._sum.quantity || 0]));
+
+    res.json(locations.map((location) => ({ ...location, units: units.get(location.id) || 0 })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/locations", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = locationSchema.parse(req.body);
+
+    const existing = await prisma.location.findUnique({ where: { code: parsed.code } });
+    if (existing) return res.status(409).json({ error: "A location with this code already exists" });
+
+    const location = await prisma.location.create({ data: parsed });
+    res.status(201).json(location);
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+router.put("/locations/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = locationSchema.partial().parse(req.body);
+
+    const location = await prisma.location.findUnique({ where: { id: req.params.id } });
+    if (!location) return res.status(404).json({ error: "Location not found" });
+
+    if (parsed.code && parsed.code !== location.code) {
+      const taken = await prisma.location.findUnique({ where: { code: parsed.code } });
+      if (taken) return res.status(409).json({ error: "A location with this code already exists" });
+    }
+
+    // Available-to-sell is the sum over locations, so stock must not sit in an inactive one
+    if (parsed.active === false && location.active) {
+      const held = await prisma.inventoryLevel.count({ where: { locationId: location.id, quantity: { not: 0 } } });
+      if (held) return res.status(409).json({ error: "Transfer this location's stock out before deactivating it" });
+    }
+
+    const updated = await prisma.location.update({ where: { id: location.id }, data: parsed });
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Replace a location's pincode proximity rules
+router.put("/locations/:id/pincodes", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { rules } = pincodeRulesSchema.parse(req.body);
+
+    const location = await prisma.location.findUnique({ where: { id: req.params.id } });
+    if (!location) return res.status(404).json({ error: "Location not found" });
+
+    const unique = [...new Map(rules.map((rule) => [rule.prefix, rule])).values()];
+    const saved = await prisma.$transaction(async (tx) => {
+      await tx.locationPincodeRule.deleteMany({ where: { locationId: location.id } });
+      await tx.locationPincodeRule.createMany({
+        data: unique.map((rule) => ({ locationId: location.id, prefix: rule.prefix, rank: rule.rank })),
+      });
+      return tx.locationPincodeRule.findMany({ where: { locationId: location.id }, orderBy: { rank: "asc" } });
+    });
+
+    res.json(saved);
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Order in which locations would fulfil a delivery to a pincode
+router.get("/locations/ranking/:zip", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const ranked = await rankLocations(prisma, req.params.zip);
+    res.json(ranked.map(({ pincodeRules, ...location }) => location));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- TRANSFERS ----------------------- //
+
+router.get("/transfers", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const status = z.nativeEnum(TransferStatus).optional().parse(req.query.status);
+    const { page, limit, skip } = paginationOf(req.query);
+    const where = {
+      ...(status && { status }),
+      ...(req.query.locationId && {
+        OR: [{ fromLocationId: req.query.locationId }, { toLocationId: req.query.locationId }],
+      }),
+    };
+
+    const [transfers, total] = await Promise.all([
+      prisma.inventoryTransfer.findMany({ where, orderBy: { createdAt: "desc" }, skip, take: limit, include: transferInclude }),
+      prisma.inventoryTransfer.count({ where }),
+    ]);
+
+    res.json({ transfers, pagination: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Ship stock between locations (leaves the source immediately)
+router.post("/transfers", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = transferSchema.parse(req.body);
+    const transfer = await createTransfer({ ...parsed, actor: req.user });
+    res.status(201).json(transfer);
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+router.post("/transfers/:id/receive", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    res.json(await receiveTransfer(req.params.id, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/transfers/:id/cancel", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    res.json(await cancelTransfer(req.params.id, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,6 +6,10 @@ import { isAdmin, isAuthenticated } from "../middleware/auth.js";
 import { z } from "zod";
 import { emailQueue } from "../lib/redis.js";
 import rateLimit from "express-rate-limit";
+import { recordOrderEvent, transitionOrder, canTransition } from "../lib/order-status.js";
+import { assertStockAvailable, reserveStock, releaseStock, reservationExpiry } from "../lib/inventory.js";
+import { assertProductsAvailable } from "../lib/cart.js";
+import { notifyVariantAlerts } from "../lib/stock-alerts.js";
 
 
 const router = Router();
@@ -130,6 +134,41 @@ const mapOrderItem = (item) => ({
   },
 });
 
+/**
+ * Apply an admin edit to an order inside a transaction: status changes go
+ * through the state machine, tracking and note changes land on the timeline.
+ */
+const applyAdminOrderUpdate = async (tx, order, changes, actor) => {
+  const { status, ...data } = changes;
+
+  const updated = status
+    ? await transitionOrder(tx, { order, toStatus: status, actor, data })
+    : await tx.order.update({ where: { id: order.id }, data });
+
+  const trackingChanged =
+    ("trackingNumber" in data && data.trackingNumber !== order.trackingNumber) ||
+    ("trackingCompany" in data && data.trackingCompany !== order.trackingCompany);
+
+  if (trackingChanged) {
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      type: "TRACKING_UPDATED",
+      actor,
+      data: { trackingNumber: updated.trackingNumber, trackingCompany: updated.trackingCompany },
+    });
+  }
+
+  // Admin notes are internal, so they get their own event rather than riding on the status change
+  if (data.adminNotes && data.adminNotes !== order.adminNotes) {
+    await recordOrderEvent(tx, { orderId: order.id, type: "NOTE", actor, note: data.adminNotes });
+  }
+
+  return updated;
+};
+
+const timelineActor = (actor) =>
+  actor ? { id: actor.id, email: actor.email, firstName: actor.firstName, lastName: actor.lastName } : null;
+
 // ----------------------- USER ROUTES ----------------------- //
 
 // Get all orders for authenticated user
@@ -232,6 +271,51 @@ router.get("/:id", isAuthenticated, async (req, res, next) => {
   }
 });
 
+// Get order status history (admin or the user who owns it)
+router.get("/:id/timeline", isAuthenticated, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      select: { id: true, userId: true, orderNumber: true, status: true },
+    });
+
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!req.user.isAdmin && order.userId !== req.user.id) {
+      return res.status(403).json({ error: "Not authorized to view this order" });
+    }
+
+    const events = await prisma.orderEvent.findMany({
+      where: {
+        orderId: id,
+        // Internal admin notes are not shown to customers
+        ...(!req.user.isAdmin && { type: { not: "NOTE" } }),
+      },
+      include: { actor: { select: { id: true, email: true, firstName: true, lastName: true } } },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      events: events.map((event) => ({
+        id: event.id,
+        type: event.type,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        actorType: event.actorType,
+        note: event.note,
+        createdAt: event.createdAt,
+        ...(req.user.isAdmin && { actor: timelineActor(event.actor), data: event.data }),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 
 router.post("/", isAuthenticated, orderLimiter, async (req, res, next) => {
   try {
@@ -344,6 +428,11 @@ router.post("/", isAuthenticated, orderLimiter, async (req, res, next) => {
 
     if (!shippingAddrId) throw new Error("Shipping address required");
 
+    // ----------------- STOCK CHECK -----------------
+    // Fail fast before queueing; the decrement itself re-checks atomically
+    await assertProductsAvailable(cartLinesSource);
+    await assertStockAvailable(cartLinesSource);
+
     // ----------------- PREPARE DATA FOR QUEUE -----------------
     const orderData = {
       cartLinesSource,
@@ -365,12 +454,14 @@ router.post("/", isAuthenticated, orderLimiter, async (req, res, next) => {
     } else {
       console.log('Redis disabled: Processing order synchronously...');
       // ✅ Fallback: Synchronous processing (no Redis needed)
+      const methodUpper = (paymentMethod || 'COD').toUpperCase();
       const order = await prisma.$transaction(async (tx) => {
         const newOrder = await tx.order.create({
           data: {
             orderNumber,
             userId: req.user.id,
             status: 'PENDING',
+            reservationExpiresAt: reservationExpiry(methodUpper),
             totalAmount,
             totalCurrency: currency,
             shippingAddressId: shippingAddrId,
@@ -399,25 +490,24 @@ router.post("/", isAuthenticated, orderLimiter, async (req, res, next) => {
           },
         });
 
-        for (const item of cartLinesSource) {
-          if (item.customProductId) continue;
-          if (item.variantId) {
-            await tx.productVariant.update({
-              where: { id: item.variantId },
-              data: { inventoryQuantity: { decrement: item.quantity } },
-            });
-          } else if (item.productId) {
-            const variant = await tx.productVariant.findFirst({ where: { productId: item.productId } });
-            if (variant) {
-              await tx.productVariant.update({
-                where: { id: variant.id },
-                data: { inventoryQuantity: { decrement: item.quantity } },
-              });
-            }
-          }
-        }
+        await recordOrderEvent(tx, {
+          orderId: newOrder.id,
+          type: 'CREATED',
+          actor: req.user,
+          toStatus: 'PENDING',
+          note: `Order ${orderNumber} placed`,
+        });
+
+        // Throws 409 and rolls everything back (order included) if any variant is short
+        // or a product was trashed after the check above
+        await assertProductsAvailable(cartLinesSource, tx);
+        await reserveStock(tx, cartLinesSource, {
+          orderId: newOrder.id,
+          actor: req.user,
+          note: `Order ${orderNumber}`,
+        });
 
-        const methodUpper = (paymentMethod || 'COD').toUpperCase();
+        // Payments only become PAID once the provider confirms them
         const newPayment = await tx.payment.create({
           data: {
             orderId: newOrder.id,
@@ -425,7 +515,7 @@ router.post("/", isAuthenticated, orderLimiter, async (req, res, next) => {
             provider: methodUpper === 'PHONEPE' ? 'PHONEPE' : null,
             amount: new Prisma.Decimal(totalAmount),
             currency,
-            status: methodUpper === 'COD' || methodUpper === 'PHONEPE' ? 'INITIATED' : 'PAID',
+            status: 'INITIATED',
           },
         });
 
@@ -471,45 +561,26 @@ router.post("/:id/cancel", isAuthenticated, async (req, res, next) => {
       return res.status(400).json({ error: "Cannot cancel order in its current status" });
 
     // ✅ RESTORE PRODUCT QUANTITIES IN TRANSACTION
+    let restocked = [];
     const updatedOrder = await prisma.$transaction(async (tx) => {
-      // Restore inventory for each order item (skip custom products)
-      for (const item of order.items) {
-        // Skip custom products - they don't have inventory to manage
-        if (item.customProductId) {
-          continue;
-        }
-
-        if (item.variantId) {
-          await tx.productVariant.update({
-            where: { id: item.variantId },
-            data: {
-              inventoryQuantity: {
-                increment: item.quantity,
-              },
-            },
-          });
-        } else if (item.productId) {
-          // Find variant by product and restore
-          const variant = await tx.productVariant.findFirst({
-            where: { productId: item.productId },
-          });
-          if (variant) {
-            await tx.productVariant.update({
-              where: { id: variant.id },
-              data: {
-                inventoryQuantity: {
-                  increment: item.quantity,
-                },
-              },
-            });
-          }
-        }
-      }
+      // Restore inventory for each order item (custom products are skipped)
+      restocked = await releaseStock(tx, order.items, {
+        orderId: order.id,
+        actor: req.user,
+        note: reason || "Canceled by customer",
+      });
 
       // Update order status to CANCELED
-      return await tx.order.update({
+      await transitionOrder(tx, {
+        order,
+        toStatus: OrderStatus.CANCELED,
+        actor: req.user,
+        note: reason || "Canceled by customer",
+        data: { cancelReason: reason || "Canceled by customer", reservationExpiresAt: null },
+      });
+
+      return await tx.order.findUnique({
         where: { id },
-        data: { status: "CANCELED", cancelReason: reason || "Canceled by customer" },
         include: {
           items: { include: { product: true, variant: true } },
           shippingAddress: true,
@@ -521,6 +592,8 @@ router.post("/:id/cancel", isAuthenticated, async (req, res, next) => {
       timeout: 20000,
     });
 
+    notifyVariantAlerts(restocked);
+
     res.json({
       id: updatedOrder.id,
       status: updatedOrder.status,
@@ -623,6 +696,11 @@ router.delete("/admin/bulk-delete", isAuthenticated, isAdmin, async (req, res, n
 
     // Delete orders and their related items
     const result = await prisma.$transaction(async (tx) => {
+      // Return requests reference order items, so remove them first
+      await tx.returnRequest.deleteMany({
+        where: { orderId: { in: orderIds } },
+      });
+
       // First delete order items
       await tx.orderItem.deleteMany({
         where: { orderId: { in: orderIds } },
@@ -657,13 +735,30 @@ router.put("/admin/bulk-update", isAuthenticated, isAdmin, async (req, res, next
 
     const { orderIds, ...data } = parsed;
 
-    const updatedOrders = await prisma.order.updateMany({
-      where: { id: { in: orderIds } },
-      data,
+    const orders = await prisma.order.findMany({ where: { id: { in: orderIds } } });
+
+    // Reject the whole batch if any order cannot make the requested move
+    if (data.status) {
+      const illegal = orders.filter((order) => !canTransition(order.status, data.status));
+      if (illegal.length > 0) {
+        return res.status(409).json({
+          error: `Cannot change ${illegal.length} order(s) to ${data.status}`,
+          orders: illegal.map((order) => ({ id: order.id, orderNumber: order.orderNumber, status: order.status })),
+        });
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const order of orders) {
+        await applyAdminOrderUpdate(tx, order, data, req.user);
+      }
+    }, {
+      maxWait: 5000,
+      timeout: 20000,
     });
 
     res.json({
-      message: `${updatedOrders.count} orders updated successfully`,
+      message: `${orders.length} orders updated successfully`,
     });
   } catch (error) {
     if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
@@ -678,16 +773,22 @@ router.put("/admin/:id", isAuthenticated, isAdmin, async (req, res, next) => {
     const parsed = updateOrderSchema.parse(req.body);
     const { id } = req.params;
 
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: parsed,
-      include: {
-        user: { select: { id: true, email: true, firstName: true, lastName: true } },
-        items: { include: { product: { include: { images: { take: 1 } } }, variant: true, customProduct: true } },
-        shippingAddress: true,
-        billingAddress: true,
-        payment: true,
-      },
+    const order = await prisma.order.findUnique({ where: { id } });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      await applyAdminOrderUpdate(tx, order, parsed, req.user);
+
+      return tx.order.findUnique({
+        where: { id },
+        include: {
+          user: { select: { id: true, email: true, firstName: true, lastName: true } },
+          items: { include: { product: { include: { images: { take: 1 } } }, variant: true, customProduct: true } },
+          shippingAddress: true,
+          billingAddress: true,
+          payment: true,
+        },
+      });
     });
 
     res.json({
@@ -763,20 +864,26 @@ router.put("/admin/:id/status", isAuthenticated, async (req, res, next) => {
     const parsed = updateStatusSchema.parse(req.body);
     const { id } = req.params;
 
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: {
+    const order = await prisma.order.findUnique({ where: { id } });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      await applyAdminOrderUpdate(tx, order, {
         status: parsed.status,
         trackingNumber: parsed.trackingNumber || null,
         trackingCompany: parsed.trackingCompany || null,
         adminNotes: parsed.notes || null,
-      },
-      include: {
-        user: { select: { id: true, email: true, firstName: true, lastName: true } },
-        items: { include: { product: { include: { images: { take: 1 } } }, variant: true, customProduct: true } },
-        shippingAddress: true,
-        billingAddress: true,
-      },
+      }, req.user);
+
+      return tx.order.findUnique({
+        where: { id },
+        include: {
+          user: { select: { id: true, email: true, firstName: true, lastName: true } },
+          items: { include: { product: { include: { images: { take: 1 } } }, variant: true, customProduct: true } },
+          shippingAddress: true,
+          billingAddress: true,
+        },
+      });
     });
 
     res.json({
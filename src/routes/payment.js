@@ -1,170 +1,121 @@
 import { Router } from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import { Prisma } from '@prisma/client';
-import { promises as dnsPromises } from 'dns';
 import prisma from "../lib/prisma.js";
 import { isAuthenticated, isAdmin } from '../middleware/auth.js';
-import {
-  initiatePayment as initiatePhonePe,
-  checkPaymentStatus as checkPhonePeStatus,
-  verifyCallback as verifyPhonePeCallback,
-} from '../lib/phonepe.js';
-import * as razorpay from '../lib/razorpay.js';
-import * as stripe from '../lib/stripe.js';
+import { verifyCallback as verifyPhonePeCallback } from '../lib/phonepe.js';
+import { getProvider, listEnabledProviders } from '../lib/payment-providers/index.js';
+import { refundPayment, refreshRefundStatus } from '../lib/refunds.js';
+import { applyPaymentStatus } from '../lib/order-status.js';
+import { httpError } from '../lib/errors.js';
+import { findTransactionPayment, settleTransaction } from '../lib/payments.js';
+import { reconcilePayments } from '../lib/reconciliation.js';
 
 const router = Router();
 
 /**
- * Initiate payment
- * POST /api/payment/initiate
- * Supports multiple providers: PHONEPE, RAZORPAY, STRIPE
+ * Load the order being paid for and make sure it has a Payment row for the
+ * chosen provider. The payable amount always comes from the stored order
+ * total, never from the client.
+ * @returns {Promise<{ order: Object, payment: Object, amount: number }>}
  */
-router.post('/initiate', isAuthenticated, async (req, res) => {
-  try {
-    const { amount, orderId, provider = 'PHONEPE' } = req.body;
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid amount' });
-    }
-
-    const providerUpper = provider.toUpperCase();
-    // const redirectUrl removed to prevent redeclaration conflict
-
+const preparePayment = async ({ orderId, provider, user }) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { payment: true },
+  });
+
+  if (!order) throw httpError(404, 'Order not found');
+  if (order.userId !== user.id) throw httpError(403, 'Not authorized to pay for this order');
+  if (['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(order.payment?.status)) throw httpError(409, 'Order is already paid');
+  if (order.status && order.status !== 'PENDING') {
+    throw httpError(409, `Cannot pay for an order that is ${order.status}`);
+  }
 
-    // Handle different payment providers
-    if (providerUpper === 'RAZORPAY') {
-      // Razorpay integration
-      const razorpayOrder = await razorpay.createOrder({
-        amount,
-        orderId,
-        currency: 'INR',
-      });
+  const amount = Number(order.totalAmount);
+  if (!amount || amount <= 0) throw httpError(400, 'Order has no payable amount');
 
-      // Store transaction
-      await prisma.transaction.create({
+  // Customers may switch provider between attempts, so keep the Payment row in sync
+  const payment = order.payment
+    ? await prisma.payment.update({
+        where: { id: order.payment.id },
         data: {
-          id: razorpayOrder.id,
-          amount: new Prisma.Decimal(amount),
-          orderId,
-          userId: req.user.id,
-          status: 'PENDING',
-          provider: 'RAZORPAY',
+          method: provider,
+          provider,
+          amount: new Prisma.Decimal(order.totalAmount),
+          currency: order.totalCurrency,
+          status: 'INITIATED',
         },
-      });
-
-      return res.json({
-        success: true,
-        provider: 'RAZORPAY',
+      })
+    : await prisma.payment.create({
         data: {
-          orderId: razorpayOrder.id,
-          amount: razorpayOrder.amount,
-          currency: razorpayOrder.currency,
-          keyId: razorpay.getKeyId(),
-          transactionId: razorpayOrder.id,
+          orderId: order.id,
+          method: provider,
+          provider,
+          amount: new Prisma.Decimal(order.totalAmount),
+          currency: order.totalCurrency,
+          status: 'INITIATED',
         },
       });
-    }
 
-    if (providerUpper === 'STRIPE') {
-      // Stripe integration
-      const paymentIntent = await stripe.createPaymentIntent({
-        amount,
-        orderId,
-        currency: 'inr',
-        customerEmail: req.user.email,
-      });
+  return { order, payment, amount };
+};
 
-      // Store transaction
-      await prisma.transaction.create({
-        data: {
-          id: paymentIntent.id,
-          amount: new Prisma.Decimal(amount),
-          orderId,
-          userId: req.user.id,
-          status: 'PENDING',
-          provider: 'STRIPE',
-        },
-      });
+/**
+ * Initiate payment
+ * POST /api/payment/initiate
+ * Body: { orderId, provider = 'PHONEPE', ...provider options }
+ * Providers come from the registry in src/lib/payment-providers
+ */
+router.post('/initiate', isAuthenticated, async (req, res) => {
+  try {
+    const { orderId, provider = 'PHONEPE' } = req.body;
 
-      return res.json({
-        success: true,
-        provider: 'STRIPE',
-        data: {
-          clientSecret: paymentIntent.client_secret,
-          publishableKey: stripe.getPublishableKey(),
-          transactionId: paymentIntent.id,
-        },
-      });
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId required' });
     }
 
-    // Default: PhonePe
-    const merchantTransactionId = `${orderId}_${uuidv4().replace(/-/g, '')}`;
-    const callbackUrl = req.body.callbackUrl || `${process.env.BACKEND_URL || 'http://localhost:4000'}/payment/callback`;
+    const gateway = getProvider(provider);
+    if (!gateway || !gateway.isEnabled()) {
+      return res.status(400).json({
+        error: `Unsupported payment provider: ${provider}`,
+        available: listEnabledProviders(),
+      });
+    }
 
-    // Ensure redirectUrl has the transaction ID for the frontend to derive status
-    const baseUrl = req.body.redirectUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/status`;
-    const redirectUrl = `${baseUrl}?transactionId=${merchantTransactionId}`;
+    const { order, payment, amount } = await preparePayment({ orderId, provider: gateway.name, user: req.user });
 
-    const response = await initiatePhonePe({
+    const { transactionId, data } = await gateway.initiate({
+      order,
+      payment,
       amount,
-      merchantTransactionId,
-      callbackUrl,
-      redirectUrl,
+      user: req.user,
+      options: req.body,
     });
 
-    if (!response || !response.success) {
-      console.error('PhonePe initiation failed:', response);
-      return res.status(500).json({
-        success: false,
-        error: response?.error || 'Payment initiation failed with provider'
-      });
-    }
-
+    // Store transaction
     await prisma.transaction.create({
       data: {
-        id: merchantTransactionId,
+        id: transactionId,
+        paymentId: payment.id,
         amount: new Prisma.Decimal(amount),
+        currency: order.totalCurrency,
         orderId,
         userId: req.user.id,
         status: 'PENDING',
-        provider: 'PHONEPE',
+        provider: gateway.name,
       },
     });
-
-    let providerRedirectUrl = null;
-    try {
-      providerRedirectUrl =
-        response?.data?.instrumentResponse?.redirectInfo?.url ||
-        response?.data?.redirectUrl ||
-        response?.redirectUrl ||
-        redirectUrl || null;
-    } catch (e) {
-      providerRedirectUrl = redirectUrl || null;
-    }
-
-    if (!providerRedirectUrl) {
-      console.error('PhonePe initiate response unexpected:', response);
-      return res.status(500).json({ success: false, error: 'Payment initiation failed: unexpected provider response' });
-    }
-
-    try {
-      const url = new URL(providerRedirectUrl);
-      const hostname = url.hostname;
-      await dnsPromises.lookup(hostname);
-    } catch (dnsErr) {
-      console.warn('Provider redirect host not resolvable, falling back to frontend redirectUrl:', dnsErr?.message || dnsErr);
-      providerRedirectUrl = redirectUrl || providerRedirectUrl;
-    }
+    await prisma.payment.update({ where: { id: payment.id }, data: { providerOrderId: transactionId } });
 
     res.json({
       success: true,
-      provider: 'PHONEPE',
-      data: {
-        redirectUrl: providerRedirectUrl,
-        transactionId: merchantTransactionId,
-      },
+      provider: gateway.name,
+      data,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Payment initiation error:', error?.response || error);
     const isProd = process.env.NODE_ENV === 'production';
     const safeMessage = isProd ? 'Payment initiation failed' : (error?.response?.data || error?.message || String(error));
@@ -192,20 +143,6 @@ router.post('/callback', async (req, res) => {
     const payload = JSON.parse(Buffer.from(response, 'base64').toString());
     const { merchantTransactionId, code, status } = payload;
 
-    // Check payment status with PhonePe
-    const statusResponse = await checkPhonePeStatus(merchantTransactionId);
-    const phonepeStatus = statusResponse.data.state; // COMPLETED, FAILED, etc.
-
-    // Map PhonePe status to our Payment status enum
-    const paymentStatusMap = {
-      COMPLETED: 'PAID',
-      SUCCESS: 'PAID',
-      PAYMENT_SUCCESS: 'PAID',
-      FAILED: 'FAILED',
-      PENDING: 'INITIATED',
-    };
-    const mappedPaymentStatus = paymentStatusMap[phonepeStatus] || 'INITIATED';
-
     // Get the transaction to find the orderId
     const transaction = await prisma.transaction.findUnique({
       where: { id: merchantTransactionId },
@@ -215,40 +152,26 @@ router.post('/callback', async (req, res) => {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    // Update transaction status (what PhonePe returns)
+    // Don't trust the callback body: ask PhonePe for the actual state
+    const result = await getProvider('PHONEPE').status({ transaction });
+
     await prisma.transaction.update({
       where: { id: merchantTransactionId },
       data: {
-        status: phonepeStatus === 'COMPLETED' ? 'COMPLETED' : phonepeStatus,
         responseCode: code,
         responseMessage: status,
-        updatedAt: new Date(),
       },
     });
 
-    // Update the Payment record with our user-facing status
-    const payment = await prisma.payment.findFirst({
-      where: { orderId: transaction.orderId },
+    // Moves the order to PROCESSING if the payment succeeded
+    await settleTransaction({
+      provider: 'PHONEPE',
+      transaction,
+      payment: await findTransactionPayment(transaction),
+      ...result,
+      note: `PhonePe callback: ${result.raw}`,
     });
 
-    if (payment) {
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: mappedPaymentStatus,
-          updatedAt: new Date(),
-        },
-      });
-
-      // If payment is successful, update order status
-      if (mappedPaymentStatus === 'PAID') {
-        await prisma.order.update({
-          where: { id: transaction.orderId },
-          data: { status: 'PROCESSING' },
-        });
-      }
-    }
-
     res.json({ success: true });
   } catch (error) {
     console.error('Payment callback error:', error);
@@ -260,158 +183,59 @@ router.post('/callback', async (req, res) => {
 });
 
 /**
- * Razorpay payment verification
- * POST /api/payment/verify/razorpay
+ * Client-side payment verification after checkout
+ * POST /api/payment/verify/:provider
+ * Razorpay: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * Stripe:   { payment_intent_id }   (also available as POST /confirm/stripe)
+ * PhonePe / Mock: { transactionId }
  */
-router.post('/verify/razorpay', isAuthenticated, async (req, res) => {
+const verifyPayment = async (req, res, next) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const gateway = getProvider(req.params.provider || 'STRIPE');
+    if (!gateway || !gateway.isEnabled()) {
+      return res.status(400).json({ error: `Unsupported payment provider: ${req.params.provider}` });
     }
 
-    // Verify signature
-    const isValid = razorpay.verifyPaymentSignature({
-      razorpayOrderId: razorpay_order_id,
-      razorpayPaymentId: razorpay_payment_id,
-      razorpaySignature: razorpay_signature,
-    });
+    const result = await gateway.verify(req.body);
 
-    if (!isValid) {
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    // Get transaction
     const transaction = await prisma.transaction.findUnique({
-      where: { id: razorpay_order_id },
+      where: { id: result.transactionId },
     });
 
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
-
-    // Update transaction
-    await prisma.transaction.update({
-      where: { id: razorpay_order_id },
-      data: {
-        status: 'COMPLETED',
-        responseCode: razorpay_payment_id,
-        updatedAt: new Date(),
-      },
-    });
-
-    // Update payment
-    const payment = await prisma.payment.findFirst({
-      where: { orderId: transaction.orderId },
-    });
-
-    if (payment) {
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'PAID',
-          providerPaymentId: razorpay_payment_id,
-          updatedAt: new Date(),
-        },
-      });
-
-      // Update order status
-      await prisma.order.update({
-        where: { id: transaction.orderId },
-        data: { status: 'PROCESSING' },
-      });
-    }
-
-    res.json({ success: true, verified: true });
-  } catch (error) {
-    console.error('Razorpay verification error:', error);
-    res.status(500).json({ success: false, error: 'Verification failed' });
-  }
-});
-
-/**
- * Stripe payment confirmation
- * POST /api/payment/confirm/stripe
- */
-router.post('/confirm/stripe', isAuthenticated, async (req, res) => {
-  try {
-    const { payment_intent_id } = req.body;
-
-    if (!payment_intent_id) {
-      return res.status(400).json({ error: 'Missing payment intent ID' });
+    if (transaction.userId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
-
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.retrievePaymentIntent(payment_intent_id);
-
-    // Get transaction
-    const transaction = await prisma.transaction.findUnique({
-      where: { id: payment_intent_id },
-    });
-
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    if (transaction.provider !== gateway.name) {
+      return res.status(400).json({ error: `Transaction was not made with ${gateway.name}` });
     }
 
-    // Map Stripe status
-    const statusMap = {
-      succeeded: 'COMPLETED',
-      processing: 'PENDING',
-      requires_payment_method: 'PENDING',
-      requires_confirmation: 'PENDING',
-      requires_action: 'PENDING',
-      canceled: 'FAILED',
-      failed: 'FAILED',
-    };
-
-    const transactionStatus = statusMap[paymentIntent.status] || 'PENDING';
-    const paymentStatus = paymentIntent.status === 'succeeded' ? 'PAID' : 'INITIATED';
-
-    // Update transaction
-    await prisma.transaction.update({
-      where: { id: payment_intent_id },
-      data: {
-        status: transactionStatus,
-        responseCode: paymentIntent.status,
-        updatedAt: new Date(),
-      },
-    });
-
-    // Update payment
-    const payment = await prisma.payment.findFirst({
-      where: { orderId: transaction.orderId },
+    const { paymentStatus } = await settleTransaction({
+      provider: gateway.name,
+      transaction,
+      payment: await findTransactionPayment(transaction),
+      ...result,
+      actor: req.user,
+      note: `${gateway.name} payment verified: ${result.raw}`,
     });
 
-    if (payment) {
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: paymentStatus,
-          providerPaymentId: payment_intent_id,
-          updatedAt: new Date(),
-        },
-      });
-
-      // Update order status if payment succeeded
-      if (paymentIntent.status === 'succeeded') {
-        await prisma.order.update({
-          where: { id: transaction.orderId },
-          data: { status: 'PROCESSING' },
-        });
-      }
-    }
-
     res.json({
       success: true,
-      status: paymentIntent.status,
+      verified: result.state === 'CAPTURED',
+      status: result.raw,
       paymentStatus,
     });
   } catch (error) {
-    console.error('Stripe confirmation error:', error);
-    res.status(500).json({ success: false, error: 'Confirmation failed' });
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message });
+    console.error('Payment verification error:', error);
+    next(error);
   }
-});
+};
+
+router.post('/verify/:provider', isAuthenticated, verifyPayment);
+router.post('/confirm/stripe', isAuthenticated, verifyPayment);
 
 /**
  * Check payment status
@@ -435,55 +259,29 @@ router.get('/status/:transactionId', isAuthenticated, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Check latest status from PhonePe
-    const response = await checkPhonePeStatus(transactionId);
-    const phonepeStatus = response.data.state;
-
-    console.log(`[Status Check] Transaction: ${transactionId}, PhonePe Status: ${phonepeStatus}`);
-
-    // Map PhonePe status to our Payment status enum
-    const paymentStatusMap = {
-      COMPLETED: 'PAID',
-      SUCCESS: 'PAID',
-      PAYMENT_SUCCESS: 'PAID',
-      FAILED: 'FAILED',
-      PENDING: 'INITIATED',
-    };
-    const mappedPaymentStatus = paymentStatusMap[phonepeStatus] || 'INITIATED';
+    const gateway = getProvider(transaction.provider);
+    if (!gateway) {
+      return res.status(400).json({ error: `Unsupported payment provider: ${transaction.provider}` });
+    }
 
-    console.log(`[Status Check] Mapped Status: ${mappedPaymentStatus}`);
+    // Check latest status with the provider
+    const result = await gateway.status({ transaction, payment: transaction.payment });
 
-    // Update transaction if status has changed
-    if (phonepeStatus !== transaction.status) {
-      await prisma.transaction.update({
-        where: { id: transactionId },
-        data: {
-          status: phonepeStatus,
-          updatedAt: new Date(),
-        },
-      });
+    console.log(`[Status Check] Transaction: ${transactionId}, ${gateway.name} Status: ${result.raw}`);
 
-      // Also update the Payment model
-      const payment = await prisma.payment.findFirst({
-        where: { orderId: transaction.orderId },
-      });
-
-      if (payment) {
-        await prisma.payment.update({
-          where: { id: payment.id },
-          data: {
-            status: mappedPaymentStatus,
-            updatedAt: new Date(),
-          },
-        });
-      }
-    }
+    const { paymentStatus } = await settleTransaction({
+      provider: gateway.name,
+      transaction,
+      payment: transaction.payment || await findTransactionPayment(transaction),
+      ...result,
+      note: `${gateway.name} status check: ${result.raw}`,
+    });
 
     res.json({
       success: true,
       data: {
-        status: mappedPaymentStatus,
-        transactionStatus: phonepeStatus,
+        status: paymentStatus,
+        transactionStatus: result.raw,
         amount: transaction.amount,
         orderId: transaction.orderId,
         createdAt: transaction.createdAt,
@@ -502,122 +300,156 @@ router.get('/status/:transactionId', isAuthenticated, async (req, res) => {
 /**
  * Initiate a refund for a payment
  * POST /:paymentId/refund (mounted at /admin/payment)
- * Admin only - processes real refunds through payment providers
+ * Admin only - processes real refunds through payment providers.
+ * Body: { amount, reason?, items?: [{ orderItemId, quantity }] }
+ * A payment can be refunded several times up to its amount.
  */
 router.post('/:paymentId/refund', isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { paymentId } = req.params;
-    const { amount, reason } = req.body;
+    const { amount, reason, items } = req.body;
 
-    // Validate input
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid refund amount' });
+    if (items !== undefined && !Array.isArray(items)) {
+      throw httpError(400, 'items must be an array of { orderItemId, quantity }');
     }
 
-    // Get payment from database
-    const payment = await prisma.payment.findUnique({
-      where: { id: paymentId },
-      include: { order: true }
+    const { payment: updatedPayment, refund: refundResponse, ledger, refundedTotal, refundableBalance } = await refundPayment({
+      paymentId,
+      amount,
+      reason,
+      items: items || [],
+      actor: req.user,
     });
 
-    if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
+    res.json({
+      success: true,
+      message: 'Refund initiated successfully',
+      payment: {
+        id: updatedPayment.id,
+        status: updatedPayment.status,
+        refundId: updatedPayment.refundId,
+        refundAmount: Number(updatedPayment.refundAmount),
+        refundedAt: updatedPayment.refundedAt,
+        refundedTotal,
+        refundableBalance,
+      },
+      refund: refundResponse,
+      ledgerRefundId: ledger.id,
+    });
 
-    // Check if payment is eligible for refund
-    if (payment.status !== 'PAID') {
-      return res.status(400).json({ error: 'Only PAID payments can be refunded' });
-    }
+  } catch (error) {
+    console.error('Refund error:', error);
+    next(error);
+  }
+});
 
-    if (payment.refundId) {
-      return res.status(400).json({ error: 'Payment already refunded' });
-    }
+/**
+ * Admin: List the refunds issued against a payment (newest first)
+ * GET /admin/payment/:paymentId/refunds
+ */
+router.get('/:paymentId/refunds', isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { id: req.params.paymentId },
+      select: { id: true, amount: true, currency: true, status: true, refundAmount: true },
+    });
+    if (!payment) throw httpError(404, 'Payment not found');
 
-    // Check refund amount doesn't exceed payment amount
-    const paymentAmount = Number(payment.amount);
-    const refundAmount = Number(amount);
+    const refunds = await prisma.refund.findMany({
+      where: { paymentId: payment.id },
+      include: { items: true },
+      orderBy: { createdAt: 'desc' },
+    });
 
-    if (refundAmount > paymentAmount) {
-      return res.status(400).json({
-        error: `Refund amount (${refundAmount}) cannot exceed payment amount (${paymentAmount})`
-      });
-    }
+    // Pending refunds are not refunded yet but are no longer available either
+    const sumMinor = (rows) => rows.reduce((sum, refund) => sum + Math.round(Number(refund.amount) * 100), 0);
+    const processedMinor = sumMinor(refunds.filter((refund) => refund.status === 'PROCESSED'));
+    const reservedMinor = sumMinor(refunds.filter((refund) => refund.status !== 'FAILED'));
 
-    // Initiate refund with payment provider
-    let refundResponse;
-    const amountInPaise = Math.round(refundAmount * 100); // Convert to paise
+    res.json({
+      payment: {
+        ...payment,
+        refundedTotal: processedMinor / 100,
+        refundableBalance: (Math.round(Number(payment.amount) * 100) - reservedMinor) / 100,
+      },
+      refunds,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Determine provider from provider field or payment method
-    const provider = payment.provider?.toUpperCase() || payment.method?.toUpperCase();
+/**
+ * Admin: Poll the provider for a refund that is still PENDING (e.g. PhonePe)
+ * POST /admin/payment/refunds/:refundId/refresh
+ */
+router.post('/refunds/:refundId/refresh', isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const refund = await prisma.refund.findUnique({ where: { id: req.params.refundId } });
+    if (!refund) throw httpError(404, 'Refund not found');
 
-    if (!provider) {
-      return res.status(400).json({
-        error: 'Cannot determine payment provider. Payment may be too old or invalid.'
-      });
-    }
+    const updated = await refreshRefundStatus(refund);
+    res.json({ success: true, refund: updated });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    switch (provider) {
-      case 'RAZORPAY':
-        if (!payment.providerPaymentId) {
-          return res.status(400).json({ error: 'Missing Razorpay payment ID' });
-        }
-        refundResponse = await razorpay.createRefund(payment.providerPaymentId, amountInPaise, reason);
-        break;
-
-      case 'STRIPE':
-        if (!payment.providerPaymentId) {
-          return res.status(400).json({ error: 'Missing Stripe payment intent ID' });
-        }
-        refundResponse = await stripe.createRefund(payment.providerPaymentId, amountInPaise, reason);
-        break;
-
-      case 'PHONEPE':
-        return res.status(400).json({ error: 'PhonePe refunds must be processed manually through PhonePe dashboard' });
-
-      case 'COD':
-        return res.status(400).json({ error: 'Cannot refund COD payments through system - process cash refund manually' });
-
-      default:
-        return res.status(400).json({
-          error: `Refunds not supported for payment method: ${provider}. Please process refund manually.`
-        });
-    }
+/**
+ * Admin: List reconciliation runs (newest first)
+ * GET /admin/payment/reconciliation/runs
+ */
+router.get('/reconciliation/runs', isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [runs, total] = await Promise.all([
+      prisma.reconciliationRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.reconciliationRun.count(),
+    ]);
+
+    res.json({ runs, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update payment record with refund details
-    const updatedPayment = await prisma.payment.update({
-      where: { id: paymentId },
-      data: {
-        status: 'REFUNDED',
-        refundId: refundResponse.id,
-        refundAmount: new Prisma.Decimal(refundAmount),
-        refundedAt: new Date(),
-        refundReason: reason || 'Admin initiated refund'
-      }
+/**
+ * Admin: Mismatch report for one run
+ * GET /admin/payment/reconciliation/runs/:runId
+ */
+router.get('/reconciliation/runs/:runId', isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const run = await prisma.reconciliationRun.findUnique({
+      where: { id: req.params.runId },
+      include: { mismatches: { orderBy: { createdAt: 'asc' } } },
     });
+    if (!run) return res.status(404).json({ error: 'Reconciliation run not found' });
 
-    // Update order status to REFUNDED
-    if (payment.orderId) {
-      await prisma.order.update({
-        where: { id: payment.orderId },
-        data: { status: 'REFUNDED' }
-      });
-    }
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({
-      success: true,
-      message: 'Refund initiated successfully',
-      payment: {
-        id: updatedPayment.id,
-        status: updatedPayment.status,
-        refundId: updatedPayment.refundId,
-        refundAmount: Number(updatedPayment.refundAmount),
-        refundedAt: updatedPayment.refundedAt
-      },
-      refund: refundResponse
+/**
+ * Admin: Run reconciliation now
+ * POST /admin/payment/reconciliation/run
+ */
+router.post('/reconciliation/run', isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const run = await reconcilePayments({ trigger: 'MANUAL', triggeredById: req.user.id });
+    const mismatches = await prisma.reconciliationMismatch.findMany({
+      where: { runId: run.id },
+      orderBy: { createdAt: 'asc' },
     });
-
+    res.json({ ...run, mismatches });
   } catch (error) {
-    console.error('Refund error:', error);
     next(error);
   }
 });
@@ -638,28 +470,19 @@ router.put('/:paymentId', isAuthenticated, isAdmin, async (req, res) => {
     if (!paymentId) return res.status(400).json({ error: 'paymentId required' });
     if (!status) return res.status(400).json({ error: 'status required' });
 
-    const allowed = ['INITIATED', 'PAID', 'FAILED', 'REFUNDED', 'NONE'];
+    const allowed = ['INITIATED', 'PAID', 'FAILED', 'REFUNDED', 'PARTIALLY_REFUNDED', 'NONE'];
     if (!allowed.includes(status)) return res.status(400).json({ error: 'invalid status' });
 
     const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
     if (!payment) return res.status(404).json({ error: 'Payment not found' });
 
-    const updated = await prisma.payment.update({
-      where: { id: paymentId },
-      data: { status, updatedAt: new Date() },
-    });
-
-    // If marked as PAID, move order to PROCESSING if it's still PENDING
-    if (status === 'PAID' && payment.orderId) {
-      try {
-        await prisma.order.updateMany({
-          where: { id: payment.orderId, status: 'PENDING' },
-          data: { status: 'PROCESSING' },
-        });
-      } catch (e) {
-        console.warn('Failed to update order status after admin payment update', e?.message);
-      }
-    }
+    // If marked as PAID, the order moves to PROCESSING if it's still PENDING
+    const updated = await prisma.$transaction((tx) => applyPaymentStatus(tx, {
+      payment,
+      status,
+      actor: req.user,
+      note: 'Payment status updated manually',
+    }));
 
     return res.json({ success: true, payment: updated });
   } catch (error) {
@@ -0,0 +1,154 @@
+import { Router } from "express";
+import { DiscountType, PriceScheduleStatus } from "@prisma/client";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { cancelPriceSchedule, createPriceSchedule, updatePriceSchedule } from "../lib/schedules.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const scheduleFields = {
+  name: z.string().trim().min(1).max(100),
+  priceAmount: z.number().positive(),
+  discountType: z.nativeEnum(DiscountType),
+  discountValue: z.number().positive(),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date(),
+};
+
+// A sale is either a fixed price or a discount off the current price
+const oneChange = (body) =>
+  body.priceAmount === undefined
+    ? (body.discountType === undefined) === (body.discountValue === undefined)
+    : body.discountType === undefined && body.discountValue === undefined;
+const validPercentage = (body) => body.discountType !== "PERCENTAGE" || body.discountValue < 100;
+
+const createSchema = z
+  .object({
+    ...scheduleFields,
+    name: scheduleFields.name.optional(),
+    priceAmount: scheduleFields.priceAmount.optional(),
+    discountType: scheduleFields.discountType.optional(),
+    discountValue: scheduleFields.discountValue.optional(),
+    productId: z.string().min(1).optional(),
+    variantId: z.string().min(1).optional(),
+    collectionId: z.string().min(1).optional(),
+  })
+  .refine((body) => [body.productId, body.variantId, body.collectionId].filter(Boolean).length === 1, {
+    message: "Set exactly one of productId, variantId or collectionId",
+  })
+  .refine((body) => oneChange(body) && (body.priceAmount !== undefined || body.discountType !== undefined), {
+    message: "Set either priceAmount or discountType with discountValue",
+  })
+  .refine(validPercentage, { message: "A percentage discount must be below 100", path: ["discountValue"] })
+  .refine((body) => body.startsAt < body.endsAt, { message: "endsAt must be after startsAt", path: ["endsAt"] })
+  .refine((body) => body.endsAt > new Date(), { message: "endsAt must be in the future", path: ["endsAt"] });
+
+const updateSchema = z
+  .object(scheduleFields)
+  .partial()
+  .strict()
+  .refine(oneChange, { message: "Set either priceAmount or discountType with discountValue" })
+  .refine(validPercentage, { message: "A percentage discount must be below 100", path: ["discountValue"] });
+
+const listQuerySchema = z.object({
+  status: z.nativeEnum(PriceScheduleStatus).optional(),
+  productId: z.string().optional(),
+  variantId: z.string().optional(),
+  collectionId: z.string().optional(),
+});
+
+const scheduleInclude = {
+  product: { select: { id: true, title: true, handle: true } },
+  variant: { select: { id: true, sku: true, selectedOptions: true, product: { select: { id: true, title: true, handle: true } } } },
+  collection: { select: { id: true, title: true, handle: true } },
+  createdBy: { select: { id: true, email: true, firstName: true, lastName: true } },
+};
+
+// ----------------------- ROUTES ----------------------- //
+
+/**
+ * 🗓️ List price schedules (Admin)
+ */
+router.get("/", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const where = listQuerySchema.parse(req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [total, schedules] = await Promise.all([
+      prisma.priceSchedule.count({ where }),
+      prisma.priceSchedule.findMany({
+        where,
+        include: scheduleInclude,
+        orderBy: { startsAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    res.json({
+      schedules,
+      pagination: { page, limit, total, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * 🔍 Get one price schedule (Admin)
+ */
+router.get("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const schedule = await prisma.priceSchedule.findUnique({ where: { id: req.params.id }, include: scheduleInclude });
+    if (!schedule) return res.status(404).json({ error: "Price schedule not found" });
+    res.json(schedule);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * ➕ Schedule a sale for a product, variant or collection (Admin)
+ * Prices change at startsAt and are reverted at endsAt by the maintenance worker
+ */
+router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = createSchema.parse(req.body);
+    res.status(201).json(await createPriceSchedule(data, req.user));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * ✏️ Update a price schedule (Admin)
+ * Scheduled sales can change anything but the target; running ones only name and endsAt
+ */
+router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = updateSchema.parse(req.body);
+    res.json(await updatePriceSchedule(req.params.id, data));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * ❌ Cancel a price schedule, reverting prices if the sale is running (Admin)
+ */
+router.post("/:id/cancel", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    res.json(await cancelPriceSchedule(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,6 +1,18 @@
 import { Router } from "express";
+import { z } from "zod";
 import prisma from "../lib/prisma.js";
+import { httpError } from "../lib/errors.js";
 import { cache } from "../lib/redis.js";
+import { adjustInventory, assertVariantsRemovable, recordInitialStock, removeVariants, setInventory } from "../lib/inventory.js";
+import { notifyVariantAlerts } from "../lib/stock-alerts.js";
+import { inIdOrder, logSearch, refreshSearchVector, searchProducts } from "../lib/search.js";
+import { syncProductCollections } from "../lib/smart-collections.js";
+import { setProductCollections } from "../lib/collection-products.js";
+import { publishWindow } from "../lib/schedules.js";
+import { refreshPriceRange } from "../lib/price-range.js";
+import { moveToTrash, purgeFromTrash } from "../lib/trash.js";
+import { diffSnapshots, getRevision, productSnapshot, recordRevision, rollbackProduct } from "../lib/revisions.js";
+import { createVariant, deleteVariant, listVariants, updateVariant, upsertVariantsBySku } from "../lib/variants.js";
 import { isAuthenticated, isAdmin } from "../middleware/auth.js";
 import { stripHtml } from "string-strip-html";
 
@@ -35,12 +47,12 @@ router.get("/", async (req, res, next) => {
     const skip = fetchAll ? 0 : (parseInt(page) - 1) * parseInt(limit);
     const take = fetchAll ? undefined : parseInt(limit);
 
-    const where = {};
+    const where = { deletedAt: null }; // trashed products are never listed
 
     // Collection filter
     if (collection) {
       where.collections = {
-        some: { handle: collection }
+        some: { collection: { handle: collection } }
       };
     }
 
@@ -49,7 +61,9 @@ router.get("/", async (req, res, next) => {
       where.tags = { some: { tag: { handle: tag } } };
     }
 
-    // Search filter
+    // Search filter: an exact tag handle filters by tag, anything else is
+    // a ranked full-text search (see src/lib/search.js)
+    let textSearch = null;
     if (search) {
       const searchStr = search;
 
@@ -61,10 +75,7 @@ router.get("/", async (req, res, next) => {
       if (exactTag) {
         where.tags = { some: { tagId: exactTag.id } };
       } else {
-        where.OR = [
-          { title: { contains: searchStr, mode: "insensitive" } },
-          { description: { contains: searchStr, mode: "insensitive" } },
-        ];
+        textSearch = searchStr;
       }
     }
 
@@ -82,32 +93,49 @@ router.get("/", async (req, res, next) => {
       where.AND = where.AND ? [...where.AND, ...priceConditions] : priceConditions;
     }
 
-    // Fetch total count
-    const total = await prisma.product.count({ where });
+    const include = {
+      collections: { select: { collection: { select: { id: true, handle: true, title: true } } } },
+      images: true,
+      variants: true,
+      tags: { include: { tag: true } },
+      options: { include: { values: true } },
+    };
 
-    // Fetch products
-    const products = await prisma.product.findMany({
-      where,
-      skip,
-      take,
-      orderBy: { [sort]: order.toLowerCase() },
-      include: {
-        collections: { select: { id: true, handle: true, title: true } },
-        images: true,
-        variants: true,
-        tags: { include: { tag: true } },
-        options: { include: { values: true } },
-      },
-    });
+    let total;
+    let products;
+    let facets;
+    if (textSearch) {
+      // Relevance order unless a sort was asked for explicitly
+      const result = await searchProducts(textSearch, where, {
+        skip,
+        take,
+        orderBy: req.query.sort ? { [sort]: order.toLowerCase() } : undefined,
+      });
+      total = result.total;
+      facets = result.facets;
+      logSearch({ query: textSearch, source: "products", resultCount: total, fuzzy: result.fuzzy });
+      products = inIdOrder(await prisma.product.findMany({ where: { id: { in: result.ids } }, include }), result.ids);
+    } else {
+      total = await prisma.product.count({ where });
+      products = await prisma.product.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { [sort]: order.toLowerCase() },
+        include,
+      });
+    }
 
     // Format tags
     const formatted = products.map((p) => ({
       ...p,
+      collections: p.collections.map((c) => c.collection),
       tags: p.tags ? p.tags.map((t) => t.tag) : [],
     }));
 
     const response = {
       products: formatted,
+      ...(facets && { facets }),
       pagination: fetchAll
         ? null
         : {
@@ -146,10 +174,10 @@ router.get("/:handle", async (req, res, next) => {
       return res.json(cachedProduct);
     }
 
-    const product = await prisma.product.findUnique({
-      where: { handle },
+    const product = await prisma.product.findFirst({
+      where: { handle, deletedAt: null },
       include: {
-        collections: { select: { id: true, handle: true, title: true } },
+        collections: { select: { collection: { select: { id: true, handle: true, title: true } } } },
         images: true,
         variants: true,
         tags: { include: { tag: true } },
@@ -157,6 +185,7 @@ router.get("/:handle", async (req, res, next) => {
         variantGroup: {
           include: {
             products: {
+              where: { deletedAt: null },
               select: {
                 id: true,
                 handle: true,
@@ -174,6 +203,7 @@ router.get("/:handle", async (req, res, next) => {
 
     const response = {
       ...product,
+      collections: product.collections.map((c) => c.collection),
       tags: product.tags.map((t) => t.tag),
     };
 
@@ -216,6 +246,9 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
         .status(400)
         .json({ error: "title is required." });
 
+    // 🗓️ Optional launch window; a product with a publishAt stays hidden until then
+    const schedule = publishWindow(req.body);
+
     // 🪄 Generate handle (slug) if not provided
     let handle =
       providedHandle ||
@@ -236,24 +269,7 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
       ? stripHtml(descriptionHtml).result.trim()
       : "";
 
-    // 💰 Calculate price ranges
-    const prices = variants.map((v) => parseFloat(v.priceAmount || "0"));
-    const minPriceAmount = prices.length ? Math.min(...prices) : 0;
-    const maxPriceAmount = prices.length ? Math.max(...prices) : 0;
-
-    const comparePrices = variants
-      .map((v) => parseFloat(v.compareAmount || "0"))
-      .filter((n) => !isNaN(n) && n > 0);
-
-    const compareMinAmount = comparePrices.length
-      ? Math.min(...comparePrices)
-      : null;
-    const compareMaxAmount = comparePrices.length
-      ? Math.max(...comparePrices)
-      : null;
-
     const currency = variants[0]?.priceCurrency || "INR";
-    const compareCurrency = variants[0]?.compareCurrency || null;
 
     // 🧱 Transaction
     const product = await prisma.$transaction(async (tx) => {
@@ -263,32 +279,30 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
           title,
           vendor,
 
-          collections: {
-            connect: collectionIds.map((id) => ({ id })),
-          },
           description,
           descriptionHtml,
           featuredImageUrl,
           featuredImageAlt,
-          published,
-          publishedAt: published ? new Date() : null,
+          published: schedule.publishAt ? false : published,
+          publishedAt: published && !schedule.publishAt ? new Date() : null,
+          ...schedule,
           metafields,
           metaTitle,
           metaDescription,
           metaKeywords,
-          minPriceAmount,
+          // 💰 Placeholder range, recalculated once the variants exist
+          minPriceAmount: 0,
           minPriceCurrency: currency,
-          maxPriceAmount,
+          maxPriceAmount: 0,
           maxPriceCurrency: currency,
-          compareMinAmount,
-          compareMinCurrency: compareCurrency,
-          compareMaxAmount,
-          compareMaxCurrency: compareCurrency,
           variantGroupId, // 🆕
           updatedAt: new Date(),
         },
       });
 
+      if (collectionIds.length)
+        await setProductCollections(tx, created.id, collectionIds);
+
       if (images.length)
         await tx.productImage.createMany({
           data: images.map((img) => ({
@@ -330,6 +344,19 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
           })),
         });
 
+      if (variants.length)
+        await recordInitialStock(
+          tx,
+          await tx.productVariant.findMany({
+            where: { productId: created.id },
+            select: { id: true, inventoryQuantity: true },
+          }),
+          { reason: "MANUAL", referenceType: "PRODUCT", referenceId: created.id, actor: req.user, note: "Initial stock" }
+        );
+
+      // 💰 Price range from the variants just created
+      await refreshPriceRange(tx, created.id);
+
       for (const tagHandle of tags) {
         let tag = await tx.tag.findUnique({ where: { handle: tagHandle } });
         if (!tag) {
@@ -347,13 +374,18 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
         });
       }
 
+      await refreshSearchVector(tx, [created.id]);
+      await recordRevision(tx, created.id, { source: "CREATE", actor: req.user });
       return created;
     });
 
+    // Join any smart collections whose rules the new product matches
+    await syncProductCollections([product.id]);
+
     const fullProduct = await prisma.product.findUnique({
       where: { id: product.id },
       include: {
-        collections: true,
+        collections: { include: { collection: true } },
         images: true,
         tags: { include: { tag: true } },
         options: { include: { values: true } },
@@ -365,6 +397,7 @@ router.post("/", isAuthenticated, isAdmin, async (req, res, next) => {
 
     res.status(201).json({
       ...fullProduct,
+      collections: fullProduct.collections.map((c) => c.collection),
       tags: fullProduct.tags.map((t) => t.tag),
     });
   } catch (err) {
@@ -395,16 +428,22 @@ router.put("/bulk-update", isAuthenticated, isAdmin, async (req, res, next) => {
       return res.status(400).json({ error: "Updates object is required" });
     }
 
+    publishWindow(updates); // reject bad dates before touching any product
+
     const results = [];
+    const restockedOrRepriced = [];
 
     for (const id of ids) {
+      const before = await productSnapshot(prisma, id);
       const productUpdates = {};
 
       // Handle simple fields
       if (updates.title) productUpdates.title = updates.title;
       if (updates.published !== undefined) productUpdates.published = updates.published;
-      if (updates.priceAmount) productUpdates.minPriceAmount = updates.priceAmount;
-      if (updates.compareAmount) productUpdates.compareMinAmount = updates.compareAmount;
+      if (updates.publishAt !== undefined || updates.unpublishAt !== undefined) {
+        const current = await prisma.product.findUnique({ where: { id }, select: { publishAt: true, unpublishAt: true } });
+        Object.assign(productUpdates, publishWindow(updates, current || {}));
+      }
 
       // Handle color and colorValue (metafields)
       if (updates.color || updates.colorValue) {
@@ -450,13 +489,22 @@ router.put("/bulk-update", isAuthenticated, isAdmin, async (req, res, next) => {
       // Handle stock adjustment (affects all variants)
       if (updates.stockAdjustment !== undefined && updates.stockAdjustment !== 0) {
         const adjustment = parseInt(updates.stockAdjustment);
-
-        await prisma.productVariant.updateMany({
+        const productVariants = await prisma.productVariant.findMany({
           where: { productId: id },
-          data: {
-            inventoryQuantity: {
-              increment: adjustment
-            }
+          select: { id: true },
+        });
+
+        await prisma.$transaction(async (tx) => {
+          for (const variant of productVariants) {
+            await adjustInventory(tx, {
+              variantId: variant.id,
+              delta: adjustment,
+              reason: "MANUAL",
+              referenceType: "PRODUCT",
+              referenceId: id,
+              actor: req.user,
+              note: "Bulk stock adjustment",
+            });
           }
         });
       }
@@ -476,9 +524,27 @@ router.put("/bulk-update", isAuthenticated, isAdmin, async (req, res, next) => {
         });
       }
 
+      if (updates.priceAmount || updates.compareAmount) await refreshPriceRange(prisma, id);
+
+      if (updates.stockAdjustment || updates.priceAmount) restockedOrRepriced.push(id);
+      if (before) await recordRevision(prisma, id, { source: "BULK_UPDATE", actor: req.user, before });
+
       results.push({ id, success: true });
     }
 
+    // Title, tag and colour edits change what the products are found by
+    if (updates.title || updates.tags || updates.color) await refreshSearchVector(prisma, ids);
+    await syncProductCollections(ids);
+
+    // Back-in-stock / price-drop alerts for the variants that changed
+    if (restockedOrRepriced.length) {
+      const changed = await prisma.productVariant.findMany({
+        where: { productId: { in: restockedOrRepriced } },
+        select: { id: true },
+      });
+      notifyVariantAlerts(changed.map((v) => v.id));
+    }
+
 
     res.json({
       success: true,
@@ -524,6 +590,9 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
     if (!existing)
       return res.status(404).json({ error: "Product not found" });
 
+    const schedule = publishWindow(req.body, existing);
+    const before = await productSnapshot(prisma, id);
+
     // 🪄 Generate or validate handle (slug)
     let handle =
       providedHandle ||
@@ -542,25 +611,6 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
       ? stripHtml(descriptionHtml).result.trim()
       : existing.description;
 
-    // 💰 Recalculate price ranges
-    const prices = variants.map((v) => parseFloat(v.priceAmount || "0"));
-    const minPriceAmount = prices.length ? Math.min(...prices) : existing.minPriceAmount;
-    const maxPriceAmount = prices.length ? Math.max(...prices) : existing.maxPriceAmount;
-
-    const comparePrices = variants
-      .map((v) => parseFloat(v.compareAmount || "0"))
-      .filter((n) => !isNaN(n) && n > 0);
-
-    const compareMinAmount = comparePrices.length
-      ? Math.min(...comparePrices)
-      : existing.compareMinAmount;
-    const compareMaxAmount = comparePrices.length
-      ? Math.max(...comparePrices)
-      : existing.compareMaxAmount;
-
-    const currency = variants[0]?.priceCurrency || existing.minPriceCurrency || "INR";
-    const compareCurrency = variants[0]?.compareCurrency || existing.compareMinCurrency;
-
     // 🧱 Transaction for atomic update
     const updated = await prisma.$transaction(async (tx) => {
       // 1️⃣ Update base product
@@ -570,31 +620,23 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
           title: title ?? existing.title,
           handle,
           vendor: vendor ?? existing.vendor,
-          collections: collectionIds
-            ? { set: collectionIds.map((id) => ({ id })) }
-            : undefined,
           descriptionHtml: descriptionHtml ?? existing.descriptionHtml,
           description,
           featuredImageUrl: featuredImageUrl ?? existing.featuredImageUrl,
           featuredImageAlt: featuredImageAlt ?? existing.featuredImageAlt,
           published: published ?? existing.published,
+          ...schedule,
           metafields: metafields ?? existing.metafields,
           metaTitle: metaTitle ?? existing.metaTitle,
           metaDescription: metaDescription ?? existing.metaDescription,
           metaKeywords: metaKeywords ?? existing.metaKeywords,
-          minPriceAmount,
-          minPriceCurrency: currency,
-          maxPriceAmount,
-          maxPriceCurrency: currency,
-          compareMinAmount,
-          compareMinCurrency: compareCurrency,
-          compareMaxAmount,
-          compareMaxCurrency: compareCurrency,
           variantGroupId, // 🆕
           updatedAt: new Date(),
         },
       });
 
+      if (collectionIds) await setProductCollections(tx, id, collectionIds);
+
       // 2️⃣ Images — replace all
       if (Array.isArray(images)) {
         await tx.productImage.deleteMany({ where: { productId: id } });
@@ -632,28 +674,47 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
         }
       }
 
-      // 4️⃣ Variants — replace all
+      // 4️⃣ Variants — sync by id: variants sent with their id are updated in place,
+      // new ones are created and the rest removed as deleteVariant() does (409 while
+      // open orders or transfers need them; archived when they have stock or order history)
       if (Array.isArray(variants)) {
-        await tx.productVariant.deleteMany({ where: { productId: id } });
-        if (variants.length) {
-          await tx.productVariant.createMany({
-            data: variants.map((v) => ({
-              productId: id,
-              availableForSale: v.availableForSale ?? true,
-              priceAmount: v.priceAmount,
-              priceCurrency: v.priceCurrency || "INR",
-              compareAmount: v.compareAmount,
-              compareCurrency: v.compareCurrency,
-              sku: v.sku,
-              barcode: v.barcode,
-              inventoryQuantity: v.inventoryQuantity || 0,
-              weightInGrams: v.weightInGrams,
-              selectedOptions: v.selectedOptions || [],
-            })),
-          });
+        const existingIds = new Set(existing.variants.map((v) => v.id));
+        const keepIds = variants.map((v) => v.id).filter((vid) => existingIds.has(vid));
+        const removedIds = [...existingIds].filter((vid) => !keepIds.includes(vid));
+        const movement = { reason: "MANUAL", referenceType: "PRODUCT", referenceId: id, actor: req.user };
+
+        await assertVariantsRemovable(tx, removedIds);
+        await removeVariants(tx, removedIds, { ...movement, note: "Variant removed" });
+
+        for (const v of variants) {
+          const data = {
+            availableForSale: v.availableForSale ?? true,
+            priceAmount: v.priceAmount,
+            priceCurrency: v.priceCurrency || "INR",
+            compareAmount: v.compareAmount,
+            compareCurrency: v.compareCurrency,
+            sku: v.sku,
+            barcode: v.barcode,
+            weightInGrams: v.weightInGrams,
+            selectedOptions: v.selectedOptions || [],
+          };
+
+          // Stock goes through the inventory service so the edit lands in the ledger
+          if (keepIds.includes(v.id)) {
+            await tx.productVariant.update({ where: { id: v.id }, data });
+            await setInventory(tx, { variantId: v.id, quantity: v.inventoryQuantity || 0, ...movement, note: "Product edited" });
+          } else {
+            const created = await tx.productVariant.create({
+              data: { ...data, inventoryQuantity: v.inventoryQuantity || 0, productId: id },
+            });
+            await recordInitialStock(tx, [created], { ...movement, note: "Initial stock" });
+          }
         }
       }
 
+      // 💰 Price range follows the variants
+      await refreshPriceRange(tx, id);
+
       // 5️⃣ Tags — recreate if needed
       if (Array.isArray(tags)) {
         await tx.productTag.deleteMany({ where: { productId: id } });
@@ -675,9 +736,14 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
         }
       }
 
+      await refreshSearchVector(tx, [id]);
+      await recordRevision(tx, id, { source: "UPDATE", actor: req.user, before });
       return product;
     });
 
+    // Smart collection membership follows the edited fields
+    await syncProductCollections([id]);
+
     // Invalidate old and new cache keys
     await cache.del(`product:${existing.handle}`, `product:${updated.handle}`);
 
@@ -685,7 +751,7 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
     const fullProduct = await prisma.product.findUnique({
       where: { id: updated.id },
       include: {
-        collections: true,
+        collections: { include: { collection: true } },
         images: true,
         tags: { include: { tag: true } },
         options: { include: { values: true } },
@@ -695,8 +761,11 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
 
 
 
+    notifyVariantAlerts(fullProduct.variants.map((v) => v.id));
+
     res.json({
       ...fullProduct,
+      collections: fullProduct.collections.map((c) => c.collection),
       tags: fullProduct.tags.map((t) => t.tag),
     });
   } catch (err) {
@@ -707,9 +776,223 @@ router.put("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
 
 
 
+/**
+ * 🗓️ Schedule publishing (Admin only)
+ * Body: { publishAt?, unpublishAt? } - null clears a time. Applied by the
+ * maintenance worker; see applyPublishSchedules() in src/lib/schedules.js
+ */
+router.put("/:id/publish-schedule", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const existing = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: "Product not found" });
+
+    const schedule = publishWindow(req.body, existing);
+    if (!Object.keys(schedule).length)
+      return res.status(400).json({ error: "publishAt or unpublishAt is required" });
+
+    const before = await productSnapshot(prisma, existing.id);
+    const product = await prisma.product.update({
+      where: { id: existing.id },
+      data: schedule,
+      select: { id: true, handle: true, published: true, publishedAt: true, publishAt: true, unpublishAt: true },
+    });
+    await recordRevision(prisma, existing.id, { source: "UPDATE", actor: req.user, before });
+
+    await cache.del(`product:${product.handle}`);
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----------------------- REVISIONS ----------------------- //
+
+const revisionNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw httpError(400, `${name} must be a revision number`);
+  return number;
+};
+
+/**
+ * 🕘 List a product's revisions, newest first (Admin only)
+ * Snapshots are left out; fetch one revision for its full state
+ */
+router.get("/:id/revisions", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const where = { productId: req.params.id };
+
+    const [total, revisions] = await Promise.all([
+      prisma.productRevision.count({ where }),
+      prisma.productRevision.findMany({
+        where,
+        select: {
+          number: true,
+          source: true,
+          changedFields: true,
+          rolledBackTo: true,
+          createdAt: true,
+          author: { select: { id: true, email: true, firstName: true, lastName: true } },
+        },
+        orderBy: { number: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    res.json({
+      revisions,
+      pagination: { page, limit, total, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * 🔀 Diff two revisions of a product (Admin only)
+ * Query: from (revision number), to (revision number; defaults to the product as it is now)
+ */
+router.get("/:id/revisions/diff", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const from = revisionNumber(req.query.from, "from");
+    const { snapshot: before } = await getRevision(req.params.id, from);
+    const after = req.query.to
+      ? (await getRevision(req.params.id, revisionNumber(req.query.to, "to"))).snapshot
+      : await productSnapshot(prisma, req.params.id);
+    if (!after) return res.status(404).json({ error: "Product not found" });
+
+    res.json({ from, to: req.query.to ? Number(req.query.to) : "current", changes: diffSnapshots(before, after) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * 🔍 Get one revision with its snapshot (Admin only)
+ */
+router.get("/:id/revisions/:number", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    res.json(await getRevision(req.params.id, revisionNumber(req.params.number, "number")));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * ⏪ Roll a product back to a revision (Admin only)
+ * Restores fields, collections, tags, images, options and variants; stock is left as it is
+ */
+router.post("/:id/revisions/:number/rollback", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const number = revisionNumber(req.params.number, "number");
+    const revision = await rollbackProduct(req.params.id, number, req.user);
+    res.json({
+      message: revision ? `Rolled back to revision ${number}` : `Product already matches revision ${number}`,
+      revision,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----------------------- VARIANTS ----------------------- //
+
+const variantFields = {
+  sku: z.string().trim().min(1).max(100),
+  barcode: z.string().trim().max(100).nullable(),
+  availableForSale: z.boolean(),
+  priceAmount: z.number().min(0),
+  priceCurrency: z.string().length(3),
+  compareAmount: z.number().min(0).nullable(),
+  compareCurrency: z.string().length(3).nullable(),
+  inventoryQuantity: z.number().int().min(0),
+  lowStockThreshold: z.number().int().min(0).nullable(),
+  weightInGrams: z.number().int().min(0).nullable(),
+  // [{ name: "Size", value: "M" }] or { size: "M" }
+  selectedOptions: z.union([z.array(z.object({ name: z.string(), value: z.string() })), z.record(z.string())]),
+};
+
+const variantUpdateSchema = z.object(variantFields).partial().strict();
+const variantCreateSchema = variantUpdateSchema.required({ priceAmount: true });
+const variantUpsertSchema = z.object({
+  variants: z.array(variantUpdateSchema.required({ sku: true })).min(1).max(500),
+});
+
+/**
+ * 🧩 List a product's variants (Admin only)
+ */
+router.get("/:id/variants", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    res.json(await listVariants(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * ➕ Add a variant (Admin only)
+ * The product's price range is recalculated from its variants
+ */
+router.post("/:id/variants", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = variantCreateSchema.parse(req.body);
+    res.status(201).json(await createVariant(req.params.id, data, req.user));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * 📦 Create or update variants by SKU (Admin only)
+ * Body: { variants: [{ sku, ...fields }] }. Existing SKUs are updated, new
+ * ones created (priceAmount required); variants not listed are left alone
+ */
+router.put("/:id/variants", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { variants } = variantUpsertSchema.parse(req.body);
+    const { created, updated } = await upsertVariantsBySku(req.params.id, variants, req.user);
+    res.json({ message: `Created ${created.length}, updated ${updated.length} variant(s)`, created, updated });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * ✏️ Update one variant (Admin only)
+ * Only the fields sent change; inventoryQuantity sets the stock
+ */
+router.patch("/:id/variants/:variantId", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = variantUpdateSchema.parse(req.body);
+    res.json(await updateVariant(req.params.id, req.params.variantId, data, req.user));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * ❌ Delete one variant (Admin only)
+ * 409 while open orders or transfers need it; a variant with order or stock
+ * history is archived instead of deleted.
+ */
+router.delete("/:id/variants/:variantId", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { archived } = await deleteVariant(req.params.id, req.params.variantId, req.user);
+    res.json({ success: true, archived, message: archived ? "Variant archived" : "Variant deleted" });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * 🗑️ Bulk Delete Products (Admin only)
- * Body: { ids: string[] }
+ * Body: { ids: string[] }. Moves them to the trash; ?permanent=true deletes
+ * them for good, except products that orders refer to.
  */
 router.delete("/bulk-delete", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
@@ -719,45 +1002,25 @@ router.delete("/bulk-delete", isAuthenticated, isAdmin, async (req, res, next) =
       return res.status(400).json({ error: "No product IDs provided." });
     }
 
-    // ✅ Find products first for cache invalidation
-    const products = await prisma.product.findMany({
-      where: { id: { in: ids } },
-      select: { id: true, handle: true },
-    });
-
-    if (products.length === 0) {
+    const found = await prisma.product.count({ where: { id: { in: ids } } });
+    if (found === 0) {
       return res.status(404).json({ error: "No valid products found." });
     }
 
-    await prisma.$transaction(async (tx) => {
-      // Delete child records first for referential integrity
-      await tx.productImage.deleteMany({ where: { productId: { in: ids } } });
-
-      const optionIds = (
-        await tx.productOption.findMany({ where: { productId: { in: ids } } })
-      ).map((o) => o.id);
-
-      if (optionIds.length)
-        await tx.productOptionValue.deleteMany({
-          where: { optionId: { in: optionIds } },
-        });
-
-      await tx.productOption.deleteMany({ where: { productId: { in: ids } } });
-      await tx.productVariant.deleteMany({ where: { productId: { in: ids } } });
-      await tx.productTag.deleteMany({ where: { productId: { in: ids } } });
-      await tx.cartLine.deleteMany({ where: { productId: { in: ids } } });
-      await tx.orderItem.deleteMany({ where: { productId: { in: ids } } });
-      await tx.product.deleteMany({ where: { id: { in: ids } } });
-    });
-
-    // Invalidate cache
-    for (const product of products) {
-        await cache.del(`product:${product.handle}`);
+    if (req.query.permanent === "true") {
+      const { purged, kept } = await purgeFromTrash("products", ids, { anyState: true });
+      return res.json({
+        success: true,
+        message: `🗑️ Permanently deleted ${purged.length} product${purged.length === 1 ? "" : "s"}.`,
+        kept, // on orders; move these to the trash instead
+      });
     }
 
+    const { trashed } = await moveToTrash("products", ids);
+
     res.json({
       success: true,
-      message: `🗑️ Deleted ${ids.length} product${ids.length > 1 ? "s" : ""} successfully.`,
+      message: `🗑️ Moved ${trashed} product${trashed === 1 ? "" : "s"} to the trash.`,
     });
   } catch (err) {
     console.error("❌ Bulk delete failed:", err);
@@ -770,6 +1033,7 @@ router.delete("/bulk-delete", isAuthenticated, isAdmin, async (req, res, next) =
 
 /**
  * ❌ Delete product (Admin only)
+ * Moves it to the trash; ?permanent=true deletes it for good unless orders refer to it
  */
 router.delete("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
@@ -779,27 +1043,16 @@ router.delete("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
     if (!product)
       return res.status(404).json({ error: "Product not found" });
 
-    await prisma.$transaction(async (tx) => {
-      await tx.productImage.deleteMany({ where: { productId: id } });
-      const optionIds = (
-        await tx.productOption.findMany({ where: { productId: id } })
-      ).map((o) => o.id);
-      await tx.productOptionValue.deleteMany({
-        where: { optionId: { in: optionIds } },
-      });
-      await tx.productOption.deleteMany({ where: { productId: id } });
-      await tx.productVariant.deleteMany({ where: { productId: id } });
-      await tx.productTag.deleteMany({ where: { productId: id } });
-      await tx.cartLine.deleteMany({ where: { productId: id } });
-      await tx.orderItem.deleteMany({ where: { productId: id } });
-      await tx.product.delete({ where: { id } });
-    });
-    
-    // Invalidate cache
-    await cache.del(`product:${product.handle}`);
+    if (req.query.permanent === "true") {
+      const { kept } = await purgeFromTrash("products", [id], { anyState: true });
+      if (kept.length)
+        return res.status(409).json({ error: "This product is on orders and cannot be permanently deleted. Move it to the trash instead." });
+      return res.status(200).json({ success: true, message: "Product Deleted Permanently" });
+    }
 
+    await moveToTrash("products", [id]);
 
-    res.status(200).json({ success: true, message: "Product Deleted Successfully" });
+    res.status(200).json({ success: true, message: "Product moved to trash" });
   } catch (err) {
     console.error("Error deleting product:", err);
     next(err);
@@ -814,9 +1067,9 @@ router.get("/:handle/related", async (req, res, next) => {
     const { handle } = req.params;
     const { limit = 4 } = req.query;
 
-    const product = await prisma.product.findUnique({
-      where: { handle },
-      include: { tags: { include: { tag: true } } },
+    const product = await prisma.product.findFirst({
+      where: { handle, deletedAt: null },
+      include: { tags: { include: { tag: true } }, collections: { select: { collectionId: true } } },
     });
 
     if (!product) return res.status(404).json({ error: "Product not found" });
@@ -827,6 +1080,7 @@ router.get("/:handle/related", async (req, res, next) => {
       where: {
         id: { not: product.id },
         published: true,
+        deletedAt: null,
         tags: { some: { tagId: { in: tagIds } } },
       },
       take: parseInt(limit),
@@ -843,10 +1097,11 @@ router.get("/:handle/related", async (req, res, next) => {
           id: { notIn: [product.id, ...related.map((r) => r.id)] },
           collections: {
             some: {
-              id: { in: product.collections?.map(c => c.id) || [] }
+              collectionId: { in: product.collections.map((c) => c.collectionId) }
             }
           },
           published: true,
+          deletedAt: null,
         },
         take: parseInt(limit) - related.length,
         include: {
@@ -871,41 +1126,4 @@ router.get("/:handle/related", async (req, res, next) => {
 
 
 
-/**
- * 🗑️ Bulk Delete Products
- */
-router.delete("/bulk-delete", isAuthenticated, isAdmin, async (req, res, next) => {
-  try {
-    const { ids } = req.body;
-
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-      return res.status(400).json({ error: "Product IDs are required" });
-    }
-
-    // Delete all related data and products
-    for (const id of ids) {
-      await prisma.$transaction(async (tx) => {
-        await tx.productImage.deleteMany({ where: { productId: id } });
-        await tx.productOption.deleteMany({ where: { productId: id } });
-        await tx.productVariant.deleteMany({ where: { productId: id } });
-        await tx.productTag.deleteMany({ where: { productId: id } });
-        await tx.cartLine.deleteMany({ where: { productId: id } });
-        await tx.orderItem.deleteMany({ where: { productId: id } });
-        await tx.product.delete({ where: { id } });
-      });
-    }
-
-
-    res.json({
-      success: true,
-      message: `Successfully deleted ${ids.length} product(s)`
-    });
-  } catch (err) {
-    console.error("Bulk delete failed:", err);
-    next(err);
-  }
-});
-
-
-
 export default router;
@@ -0,0 +1,610 @@
+import { Router } from "express";
+import { Prisma, ReturnReason, ReturnResolution, ReturnStatus } from "@prisma/client";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { emailQueue } from "../lib/redis.js";
+import { adjustInventory, reserveStock } from "../lib/inventory.js";
+import { refundPayment } from "../lib/refunds.js";
+import { recordOrderEvent } from "../lib/order-status.js";
+import { notifyVariantAlerts } from "../lib/stock-alerts.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// Customers can request a return this many days after delivery
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || "7", 10);
+
+// Allowed status moves for a return request
+const RETURN_TRANSITIONS = {
+  REQUESTED: ["APPROVED", "REJECTED", "CANCELED"],
+  APPROVED: ["PICKUP_SCHEDULED", "RECEIVED", "CANCELED"],
+  PICKUP_SCHEDULED: ["RECEIVED", "CANCELED"],
+  RECEIVED: ["REFUND_PENDING", "EXCHANGED"],
+  REFUND_PENDING: ["REFUNDED", "RECEIVED"], // settled or failed refund (see settleReturnRefund)
+  REJECTED: [],
+  REFUNDED: [],
+  EXCHANGED: [],
+  CANCELED: [],
+};
+
+// Statuses that no longer hold a claim on the order item quantity
+const INACTIVE_RETURN_STATUSES = [ReturnStatus.REJECTED, ReturnStatus.CANCELED];
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const returnItemSchema = z.object({
+  orderItemId: z.string(),
+  quantity: z.number().int().min(1),
+  reason: z.nativeEnum(ReturnReason),
+  details: z.string().max(1000).optional(),
+  photos: z.array(z.string().url()).max(5).optional(),
+  exchangeVariantId: z.string().optional(),
+});
+
+const createReturnSchema = z.object({
+  orderId: z.string(),
+  resolution: z.nativeEnum(ReturnResolution),
+  customerNote: z.string().max(1000).optional(),
+  items: z.array(returnItemSchema).min(1),
+});
+
+const approveReturnSchema = z.object({
+  note: z.string().optional(),
+});
+
+const rejectReturnSchema = z.object({
+  reason: z.string().min(1, "Rejection reason is required"),
+});
+
+const schedulePickupSchema = z.object({
+  scheduledAt: z.coerce.date(),
+  carrier: z.string().optional(),
+  trackingNumber: z.string().optional(),
+});
+
+const receiveReturnSchema = z.object({
+  restock: z.boolean().optional().default(true),
+  locationId: z.string().optional(), // where the goods arrived (defaults to the shipping location)
+  note: z.string().optional(),
+});
+
+const refundReturnSchema = z.object({
+  amount: z.number().positive().optional(),
+  reason: z.string().optional(),
+  // COD orders are refunded outside the system; this only records it
+  manual: z.boolean().optional().default(false),
+});
+
+// ----------------------- HELPERS ----------------------- //
+
+const returnInclude = {
+  order: { select: { id: true, orderNumber: true, status: true, placedAt: true, userId: true, fulfillmentLocationId: true } },
+  user: { select: { id: true, email: true, firstName: true, lastName: true } },
+  items: {
+    include: {
+      orderItem: {
+        include: {
+          product: { select: { id: true, title: true, handle: true, featuredImageUrl: true } },
+          variant: { select: { id: true, selectedOptions: true, sku: true } },
+        },
+      },
+      exchangeVariant: { select: { id: true, selectedOptions: true, sku: true } },
+    },
+  },
+};
+
+const mapReturn = (ret) => ({
+  id: ret.id,
+  rmaNumber: ret.rmaNumber,
+  status: ret.status,
+  resolution: ret.resolution,
+  customerNote: ret.customerNote,
+  adminNote: ret.adminNote,
+  rejectionReason: ret.rejectionReason,
+  pickupScheduledAt: ret.pickupScheduledAt,
+  pickupCarrier: ret.pickupCarrier,
+  pickupTrackingNumber: ret.pickupTrackingNumber,
+  receivedAt: ret.receivedAt,
+  resolvedAt: ret.resolvedAt,
+  refundAmount: ret.refundAmount,
+  refundId: ret.refundId,
+  exchangeOrderId: ret.exchangeOrderId,
+  order: ret.order,
+  user: ret.user,
+  items: ret.items.map((item) => ({
+    id: item.id,
+    orderItemId: item.orderItemId,
+    quantity: item.quantity,
+    reason: item.reason,
+    details: item.details,
+    photos: item.photos,
+    restocked: item.restocked,
+    product: item.orderItem.product,
+    variant: item.orderItem.variant,
+    exchangeVariant: item.exchangeVariant,
+    price: { amount: item.orderItem.priceAmount, currencyCode: item.orderItem.priceCurrency },
+  })),
+  createdAt: ret.createdAt,
+  updatedAt: ret.updatedAt,
+});
+
+const assertReturnTransition = (ret, nextStatus, res) => {
+  if (!RETURN_TRANSITIONS[ret.status]?.includes(nextStatus)) {
+    res.status(400).json({ error: `Cannot move return from ${ret.status} to ${nextStatus}` });
+    return false;
+  }
+  return true;
+};
+
+const findReturnOr404 = async (id, res) => {
+  const ret = await prisma.returnRequest.findUnique({ where: { id }, include: returnInclude });
+  if (!ret) res.status(404).json({ error: "Return request not found" });
+  return ret;
+};
+
+// Value of the returned items at the price the customer paid
+const returnValue = (ret) =>
+  ret.items.reduce((sum, item) => sum + Number(item.orderItem.priceAmount) * item.quantity, 0);
+
+const notifyCustomer = async (ret, subject, message) => {
+  if (!emailQueue || !ret.user?.email) return;
+  try {
+    await emailQueue.add("return-update", {
+      type: "custom",
+      payload: {
+        to: ret.user.email,
+        subject,
+        html: `<p>${message}</p><p>Return reference: <strong>${ret.rmaNumber}</strong></p>`,
+        text: `${message}\n\nReturn reference: ${ret.rmaNumber}`,
+      },
+    });
+  } catch (err) {
+    console.error("Failed to queue return email:", err);
+  }
+};
+
+// ----------------------- USER ROUTES ----------------------- //
+
+// Request a return or exchange for items of a delivered order
+router.post("/", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = createReturnSchema.parse(req.body);
+
+    const order = await prisma.order.findFirst({
+      where: { id: parsed.orderId, userId: req.user.id },
+      include: {
+        items: {
+          include: {
+            returnItems: {
+              where: { returnRequest: { status: { notIn: INACTIVE_RETURN_STATUSES } } },
+            },
+          },
+        },
+      },
+    });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    if (order.status !== "DELIVERED")
+      return res.status(400).json({ error: "Only delivered orders can be returned" });
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const windowEnd = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnd)
+      return res.status(400).json({ error: `Return window of ${RETURN_WINDOW_DAYS} days has expired` });
+
+    for (const item of parsed.items) {
+      const orderItem = order.items.find((i) => i.id === item.orderItemId);
+      if (!orderItem)
+        return res.status(400).json({ error: `Item ${item.orderItemId} does not belong to this order` });
+
+      if (orderItem.customProductId)
+        return res.status(400).json({ error: "Custom products cannot be returned" });
+
+      const alreadyRequested = orderItem.returnItems.reduce((sum, r) => sum + r.quantity, 0);
+      if (alreadyRequested + item.quantity > orderItem.quantity)
+        return res.status(400).json({
+          error: `Only ${orderItem.quantity - alreadyRequested} unit(s) of item ${orderItem.id} can still be returned`,
+        });
+
+      if (parsed.resolution === ReturnResolution.EXCHANGE) {
+        if (!item.exchangeVariantId)
+          return res.status(400).json({ error: "exchangeVariantId is required for exchanges" });
+
+        const variant = await prisma.productVariant.findUnique({ where: { id: item.exchangeVariantId } });
+        if (!variant || variant.productId !== orderItem.productId)
+          return res.status(400).json({ error: "Exchange variant must belong to the same product" });
+        if (!variant.availableForSale || variant.inventoryQuantity < item.quantity)
+          return res.status(400).json({ error: "Exchange variant unavailable or out of stock" });
+      }
+    }
+
+    const rmaNumber = `RMA-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+    const created = await prisma.returnRequest.create({
+      data: {
+        rmaNumber,
+        orderId: order.id,
+        userId: req.user.id,
+        resolution: parsed.resolution,
+        customerNote: parsed.customerNote,
+        items: {
+          create: parsed.items.map((item) => ({
+            orderItemId: item.orderItemId,
+            quantity: item.quantity,
+            reason: item.reason,
+            details: item.details,
+            photos: item.photos || [],
+            exchangeVariantId:
+              parsed.resolution === ReturnResolution.EXCHANGE ? item.exchangeVariantId : null,
+          })),
+        },
+      },
+      include: returnInclude,
+    });
+
+    res.status(201).json(mapReturn(created));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// List the authenticated user's return requests
+router.get("/", isAuthenticated, async (req, res, next) => {
+  try {
+    const returns = await prisma.returnRequest.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+      include: returnInclude,
+    });
+
+    res.json(returns.map(mapReturn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Get all return requests (filterable by status)
+router.get("/admin/all", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const where = {};
+    if (status) where.status = status;
+
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const [returns, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take,
+        include: returnInclude,
+      }),
+      prisma.returnRequest.count({ where }),
+    ]);
+
+    res.json({
+      returns: returns.map(mapReturn),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        pages: Math.ceil(total / take),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve a return request
+router.put("/admin/:id/approve", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = approveReturnSchema.parse(req.body);
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.APPROVED, res)) return;
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: ret.id },
+      data: { status: ReturnStatus.APPROVED, adminNote: parsed.note ?? ret.adminNote },
+      include: returnInclude,
+    });
+
+    await notifyCustomer(updated, "Your return request was approved", "Your return request has been approved. We will arrange a pickup shortly.");
+    res.json(mapReturn(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Reject a return request
+router.put("/admin/:id/reject", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = rejectReturnSchema.parse(req.body);
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.REJECTED, res)) return;
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: ret.id },
+      data: {
+        status: ReturnStatus.REJECTED,
+        rejectionReason: parsed.reason,
+        resolvedAt: new Date(),
+      },
+      include: returnInclude,
+    });
+
+    await notifyCustomer(updated, "Update on your return request", `Your return request could not be approved: ${parsed.reason}`);
+    res.json(mapReturn(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Schedule the reverse pickup
+router.put("/admin/:id/pickup", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = schedulePickupSchema.parse(req.body);
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.PICKUP_SCHEDULED, res)) return;
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: ret.id },
+      data: {
+        status: ReturnStatus.PICKUP_SCHEDULED,
+        pickupScheduledAt: parsed.scheduledAt,
+        pickupCarrier: parsed.carrier,
+        pickupTrackingNumber: parsed.trackingNumber,
+      },
+      include: returnInclude,
+    });
+
+    await notifyCustomer(
+      updated,
+      "Pickup scheduled for your return",
+      `Your return pickup is scheduled for ${parsed.scheduledAt.toLocaleDateString("en-IN")}.`
+    );
+    res.json(mapReturn(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Mark returned goods as received (and restock them)
+router.put("/admin/:id/receive", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = receiveReturnSchema.parse(req.body);
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.RECEIVED, res)) return;
+
+    if (parsed.locationId && !(await prisma.location.findUnique({ where: { id: parsed.locationId } })))
+      return res.status(404).json({ error: "Location not found" });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (parsed.restock) {
+        for (const item of ret.items) {
+          if (!item.orderItem.variantId || item.restocked) continue;
+
+          await adjustInventory(tx, {
+            variantId: item.orderItem.variantId,
+            locationId: parsed.locationId || ret.order.fulfillmentLocationId,
+            delta: item.quantity,
+            reason: "RETURN",
+            referenceType: "RETURN",
+            referenceId: ret.id,
+            actor: req.user,
+            note: `Return ${ret.rmaNumber} received`,
+          });
+          await tx.returnItem.update({ where: { id: item.id }, data: { restocked: true } });
+        }
+      }
+
+      return tx.returnRequest.update({
+        where: { id: ret.id },
+        data: {
+          status: ReturnStatus.RECEIVED,
+          receivedAt: new Date(),
+          adminNote: parsed.note ?? ret.adminNote,
+        },
+        include: returnInclude,
+      });
+    });
+
+    if (parsed.restock) notifyVariantAlerts(ret.items.map((item) => item.orderItem.variantId));
+
+    res.json(mapReturn(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Refund a received return through the payment provider
+router.post("/admin/:id/refund", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = refundReturnSchema.parse(req.body);
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.REFUND_PENDING, res)) return;
+
+    if (ret.resolution !== ReturnResolution.REFUND)
+      return res.status(400).json({ error: "This return was requested as an exchange" });
+
+    const payment = parsed.manual ? null : await prisma.payment.findUnique({ where: { orderId: ret.orderId } });
+    if (!parsed.manual && !payment) return res.status(400).json({ error: "No payment found for this order" });
+
+    // Claim the return so a second click cannot refund it again
+    const { count } = await prisma.returnRequest.updateMany({
+      where: { id: ret.id, status: ReturnStatus.RECEIVED },
+      data: { status: ReturnStatus.REFUND_PENDING },
+    });
+    if (!count) return res.status(409).json({ error: "This return is already being refunded" });
+
+    const amount = parsed.amount ?? returnValue(ret);
+    const reason = parsed.reason || `Return ${ret.rmaNumber}`;
+    let refundId = null;
+    let settled = true;
+
+    if (payment) {
+      try {
+        const { refund, ledger } = await refundPayment({
+          paymentId: payment.id,
+          amount,
+          reason,
+          items: ret.items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })),
+          returnRequestId: ret.id,
+          actor: req.user,
+        });
+        refundId = refund.id;
+        // Refunds the provider settles later (PhonePe) are finished by syncPendingRefunds()
+        settled = ledger.status === "PROCESSED";
+      } catch (error) {
+        await prisma.returnRequest.updateMany({
+          where: { id: ret.id, status: ReturnStatus.REFUND_PENDING },
+          data: { status: ReturnStatus.RECEIVED },
+        });
+        throw error;
+      }
+    }
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: ret.id },
+      data: {
+        ...(settled && { status: ReturnStatus.REFUNDED, resolvedAt: new Date() }),
+        refundAmount: new Prisma.Decimal(amount),
+        refundId,
+      },
+      include: returnInclude,
+    });
+
+    if (settled) {
+      await notifyCustomer(updated, "Your refund has been processed", `A refund of INR ${amount.toFixed(2)} has been issued for your return.`);
+    } else {
+      await notifyCustomer(updated, "Your refund is on its way", `A refund of INR ${amount.toFixed(2)} has been initiated for your return.`);
+    }
+    res.json(mapReturn(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Ship the replacement variants for a received exchange
+router.post("/admin/:id/exchange", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret || !assertReturnTransition(ret, ReturnStatus.EXCHANGED, res)) return;
+
+    if (ret.resolution !== ReturnResolution.EXCHANGE)
+      return res.status(400).json({ error: "This return was requested as a refund" });
+
+    const original = await prisma.order.findUnique({ where: { id: ret.orderId } });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Replacement order is free of charge: the customer already paid for the returned items
+      const exchangeOrder = await tx.order.create({
+        data: {
+          orderNumber: `EXC-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+          userId: ret.userId,
+          status: "PROCESSING",
+          totalAmount: "0.00",
+          totalCurrency: original.totalCurrency,
+          shippingAddressId: original.shippingAddressId,
+          billingAddressId: original.billingAddressId,
+          adminNotes: `Exchange for return ${ret.rmaNumber}`,
+          items: {
+            create: ret.items.map((item) => ({
+              productId: item.orderItem.productId,
+              variantId: item.exchangeVariantId,
+              quantity: item.quantity,
+              priceAmount: item.orderItem.priceAmount,
+              priceCurrency: item.orderItem.priceCurrency,
+            })),
+          },
+        },
+        include: { items: true },
+      });
+
+      await recordOrderEvent(tx, {
+        orderId: exchangeOrder.id,
+        type: "CREATED",
+        actor: req.user,
+        toStatus: "PROCESSING",
+        note: `Replacement order for return ${ret.rmaNumber}`,
+        data: { returnRequestId: ret.id, originalOrderId: ret.orderId },
+      });
+
+      // Throws 409 if a replacement variant is short
+      await reserveStock(tx, exchangeOrder.items, {
+        orderId: exchangeOrder.id,
+        reason: "EXCHANGE",
+        referenceType: "RETURN",
+        referenceId: ret.id,
+        actor: req.user,
+        note: `Exchange for return ${ret.rmaNumber}`,
+      });
+
+      return tx.returnRequest.update({
+        where: { id: ret.id },
+        data: {
+          status: ReturnStatus.EXCHANGED,
+          exchangeOrderId: exchangeOrder.id,
+          resolvedAt: new Date(),
+        },
+        include: returnInclude,
+      });
+    });
+
+    await notifyCustomer(updated, "Your exchange is on its way", "We have dispatched the replacement items for your exchange.");
+    res.json(mapReturn(updated));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- SHARED ROUTES ----------------------- //
+
+// Get a single return request (owner or admin)
+router.get("/:id", isAuthenticated, async (req, res, next) => {
+  try {
+    const ret = await findReturnOr404(req.params.id, res);
+    if (!ret) return;
+
+    if (!req.user.isAdmin && ret.userId !== req.user.id)
+      return res.status(403).json({ error: "Not authorized to view this return" });
+
+    res.json(mapReturn(ret));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a return request before it is picked up (owner only)
+router.post("/:id/cancel", isAuthenticated, async (req, res, next) => {
+  try {
+    const ret = await prisma.returnRequest.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: returnInclude,
+    });
+    if (!ret) return res.status(404).json({ error: "Return request not found" });
+    if (!assertReturnTransition(ret, ReturnStatus.CANCELED, res)) return;
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: ret.id },
+      data: { status: ReturnStatus.CANCELED, resolvedAt: new Date() },
+      include: returnInclude,
+    });
+
+    res.json(mapReturn(updated));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
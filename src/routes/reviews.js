@@ -0,0 +1,241 @@
+import { Router } from "express";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { hasPurchasedProduct, recomputeProductRating } from "../lib/reviews.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// Moderation queue filters → Review where clauses
+const MODERATION_FILTERS = {
+  pending: { approved: false, moderatedAt: null },
+  approved: { approved: true },
+  rejected: { approved: false, moderatedAt: { not: null } },
+};
+
+const SORT_ORDERS = {
+  newest: [{ createdAt: "desc" }],
+  highest: [{ rating: "desc" }, { createdAt: "desc" }],
+  lowest: [{ rating: "asc" }, { createdAt: "desc" }],
+};
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const createReviewSchema = z.object({
+  productId: z.string(),
+  rating: z.number().int().min(1).max(5),
+  title: z.string().max(150).optional(),
+  comment: z.string().max(5000).optional(),
+});
+
+const rejectReviewSchema = z.object({
+  reason: z.string().min(1, "Rejection reason is required"),
+});
+
+// ----------------------- HELPERS ----------------------- //
+
+const paginationOf = (query, maxLimit = 50) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Public reviews show the reviewer's first name and last initial only
+const mapPublicReview = (review) => ({
+  id: review.id,
+  rating: review.rating,
+  title: review.title,
+  comment: review.comment,
+  createdAt: review.createdAt,
+  author: [review.user.firstName, review.user.lastName ? `${review.user.lastName[0]}.` : null]
+    .filter(Boolean)
+    .join(" ") || "Customer",
+  verifiedPurchase: true,
+});
+
+const findReviewOr404 = async (id, res) => {
+  const review = await prisma.review.findUnique({ where: { id } });
+  if (!review) res.status(404).json({ error: "Review not found" });
+  return review;
+};
+
+// ----------------------- PUBLIC ROUTES ----------------------- //
+
+// Approved reviews for a product, with the rating breakdown
+router.get("/product/:productId", async (req, res, next) => {
+  try {
+    const { page, limit, skip } = paginationOf(req.query);
+    const orderBy = SORT_ORDERS[req.query.sort] || SORT_ORDERS.newest;
+
+    const product = await prisma.product.findFirst({
+      where: { id: req.params.productId, deletedAt: null },
+      select: { id: true, averageRating: true, reviewCount: true },
+    });
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const where = { productId: product.id, approved: true };
+    const [reviews, total, breakdown] = await Promise.all([
+      prisma.review.findMany({
+        where,
+        orderBy,
+        skip,
+        take: limit,
+        include: { user: { select: { firstName: true, lastName: true } } },
+      }),
+      prisma.review.count({ where }),
+      prisma.review.groupBy({ by: ["rating"], where, _count: { _all: true } }),
+    ]);
+
+    const ratings = Object.fromEntries([1, 2, 3, 4, 5].map((r) => [r, 0]));
+    breakdown.forEach((row) => { ratings[row.rating] = row._count._all; });
+
+    res.json({
+      summary: { averageRating: product.averageRating, reviewCount: product.reviewCount, ratings },
+      reviews: reviews.map(mapPublicReview),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- USER ROUTES ----------------------- //
+
+// Submit a review (verified purchasers only); held for moderation
+router.post("/", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = createReviewSchema.parse(req.body);
+
+    const product = await prisma.product.findFirst({ where: { id: parsed.productId, deletedAt: null }, select: { id: true } });
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    if (!(await hasPurchasedProduct(req.user.id, product.id)))
+      return res.status(403).json({ error: "Only customers who received this product can review it" });
+
+    const existing = await prisma.review.findFirst({
+      where: { productId: product.id, userId: req.user.id },
+      select: { id: true },
+    });
+    if (existing) return res.status(409).json({ error: "You have already reviewed this product" });
+
+    const review = await prisma.review.create({
+      data: {
+        productId: product.id,
+        userId: req.user.id,
+        rating: parsed.rating,
+        title: parsed.title,
+        comment: parsed.comment,
+      },
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// List the authenticated user's reviews with their moderation state
+router.get("/mine", isAuthenticated, async (req, res, next) => {
+  try {
+    const reviews = await prisma.review.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+      include: { product: { select: { id: true, title: true, handle: true, featuredImageUrl: true } } },
+    });
+
+    res.json(reviews);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Moderation queue (status = pending | approved | rejected, default pending)
+router.get("/admin/queue", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { page, limit, skip } = paginationOf(req.query, 100);
+    const status = MODERATION_FILTERS[req.query.status] ? req.query.status : "pending";
+
+    const where = { ...MODERATION_FILTERS[status] };
+    if (req.query.productId) where.productId = req.query.productId;
+
+    const [reviews, total] = await Promise.all([
+      prisma.review.findMany({
+        where,
+        orderBy: { createdAt: status === "pending" ? "asc" : "desc" },
+        skip,
+        take: limit,
+        include: {
+          product: { select: { id: true, title: true, handle: true } },
+          user: { select: { id: true, email: true, firstName: true, lastName: true } },
+        },
+      }),
+      prisma.review.count({ where }),
+    ]);
+
+    res.json({
+      status,
+      reviews,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve a review and publish it on the product
+router.put("/admin/:id/approve", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const review = await findReviewOr404(req.params.id, res);
+    if (!review) return;
+
+    const updated = await prisma.review.update({
+      where: { id: review.id },
+      data: { approved: true, moderatedAt: new Date(), moderatedById: req.user.id, rejectionReason: null },
+    });
+    const product = await recomputeProductRating(review.productId);
+
+    res.json({ review: updated, product });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reject a review (also unpublishes a previously approved one)
+router.put("/admin/:id/reject", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const parsed = rejectReviewSchema.parse(req.body);
+    const review = await findReviewOr404(req.params.id, res);
+    if (!review) return;
+
+    const updated = await prisma.review.update({
+      where: { id: review.id },
+      data: { approved: false, moderatedAt: new Date(), moderatedById: req.user.id, rejectionReason: parsed.reason },
+    });
+    const product = await recomputeProductRating(review.productId);
+
+    res.json({ review: updated, product });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Delete a review
+router.delete("/admin/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const review = await findReviewOr404(req.params.id, res);
+    if (!review) return;
+
+    await prisma.review.delete({ where: { id: review.id } });
+    const product = await recomputeProductRating(review.productId);
+
+    res.json({ success: true, product });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,53 +1,70 @@
 import { Router } from "express";
+import { z } from "zod";
 import prisma from "../lib/prisma.js";
+import { clearSynonymCache, expandQuery, inIdOrder, logSearch, matchProducts, searchProducts } from "../lib/search.js";
+import { isAdmin, isAuthenticated, optionalAuth } from "../middleware/auth.js";
 
 const router = Router();
 
+// Sort options besides relevance (the default)
+const SEARCH_SORTS = {
+  "price-asc": { minPriceAmount: "asc" },
+  "price-desc": { minPriceAmount: "desc" },
+  newest: { createdAt: "desc" },
+  title: { title: "asc" },
+};
+
 /**
  * 🔍 SEARCH PRODUCTS
+ * Full-text search ranked by relevance, with facet counts for the
+ * matching products (collection, tag, colour, size and price)
  */
-router.get("/products", async (req, res, next) => {
+router.get("/products", optionalAuth, async (req, res, next) => {
   try {
-    const { query, page = 1, limit = 12 } = req.query;
-    const currentPage = Math.max(1, parseInt(page));
-    const perPage = Math.max(1, parseInt(limit));
+    const { query, page = 1, limit = 12, collection, tag, color, size, minPrice, maxPrice, sort } = req.query;
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const perPage = Math.min(Math.max(1, parseInt(limit) || 12), 100);
     const skip = (currentPage - 1) * perPage;
 
     if (!query?.trim()) {
       return res.status(400).json({ error: "Search query is required" });
     }
+    if (sort && sort !== "relevance" && !SEARCH_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of relevance, ${Object.keys(SEARCH_SORTS).join(", ")}` });
+    }
 
-    const searchFilter = {
+    const where = {
       published: true,
-      OR: [
-        { title: { contains: query, mode: "insensitive" } },
-        { description: { contains: query, mode: "insensitive" } },
-        {
-          tags: {
-            some: {
-              tag: {
-                name: { contains: query, mode: "insensitive" },
-              },
-            },
-          },
+      ...(collection && { collections: { some: { collection: { handle: collection } } } }),
+      ...(tag && { tags: { some: { tag: { handle: tag } } } }),
+      ...((minPrice || maxPrice) && {
+        minPriceAmount: {
+          ...(minPrice && { gte: parseFloat(minPrice) }),
+          ...(maxPrice && { lte: parseFloat(maxPrice) }),
         },
-      ],
+      }),
     };
 
-    const [products, totalCount] = await Promise.all([
-      prisma.product.findMany({
-        where: searchFilter,
+    const { ids, total, facets, fuzzy } = await searchProducts(query, where, {
+      color,
+      size,
+      skip,
+      take: perPage,
+      orderBy: SEARCH_SORTS[sort],
+    });
+    logSearch({ query, source: "search", resultCount: total, fuzzy, userId: req.user?.id });
+
+    const products = inIdOrder(
+      await prisma.product.findMany({
+        where: { id: { in: ids } },
         include: {
           images: true,
           tags: { include: { tag: true } },
-          collection: { select: { id: true, title: true, handle: true } },
+          collections: { select: { collection: { select: { id: true, title: true, handle: true } } } },
         },
-        orderBy: { title: "asc" },
-        skip,
-        take: perPage,
       }),
-      prisma.product.count({ where: searchFilter }),
-    ]);
+      ids
+    );
 
     res.json({
       products: products.map((p) => ({
@@ -62,13 +79,16 @@ router.get("/products", async (req, res, next) => {
         maxPriceAmount: p.maxPriceAmount,
         priceCurrency: p.minPriceCurrency,
         tags: p.tags.map((t) => t.tag.name),
-        collection: p.collection || null,
+        collection: p.collections[0]?.collection || null,
+        collections: p.collections.map((c) => c.collection),
       })),
+      facets,
+      fuzzy, // true when results are typo-tolerant matches
       pagination: {
-        total: totalCount,
+        total,
         page: currentPage,
         limit: perPage,
-        pages: Math.ceil(totalCount / perPage),
+        pages: Math.ceil(total / perPage),
       },
     });
   } catch (err) {
@@ -88,6 +108,7 @@ router.get("/collections", async (req, res, next) => {
 
     const collections = await prisma.collection.findMany({
       where: {
+        deletedAt: null,
         OR: [
           { title: { contains: query, mode: "insensitive" } },
           { description: { contains: query, mode: "insensitive" } },
@@ -112,37 +133,37 @@ router.get("/collections", async (req, res, next) => {
 
 /**
  * ⚡ AUTOCOMPLETE SEARCH
+ * Products go through the same synonym and typo-tolerant matching as
+ * full search; collections and tags match any synonym of the input
  */
-router.get("/autocomplete", async (req, res, next) => {
+router.get("/autocomplete", optionalAuth, async (req, res, next) => {
   try {
     const { query, limit = 5 } = req.query;
-    const take = Math.max(1, parseInt(limit));
+    const take = Math.min(Math.max(1, parseInt(limit) || 5), 20);
 
     if (!query?.trim()) {
       return res.status(400).json({ error: "Search query is required" });
     }
 
-    const [products, collections, tags] = await Promise.all([
+    // The whole input plus every synonym of its words
+    const terms = [...new Set([query.trim(), ...(await expandQuery(query)).flat()])];
+    const containsAny = (field) => terms.map((term) => ({ [field]: { contains: term, mode: "insensitive" } }));
+
+    const { ids, fuzzy } = await matchProducts(query);
+    const [matchedProducts, collections, tags] = await Promise.all([
       prisma.product.findMany({
-        where: {
-          published: true,
-          title: { contains: query, mode: "insensitive" },
-        },
+        where: { id: { in: ids }, published: true },
         select: {
           id: true,
           title: true,
           handle: true,
           featuredImageUrl: true,
         },
-        orderBy: { title: "asc" },
-        take,
       }),
       prisma.collection.findMany({
         where: {
-          OR: [
-            { title: { contains: query, mode: "insensitive" } },
-            { description: { contains: query, mode: "insensitive" } },
-          ],
+          deletedAt: null,
+          OR: [...containsAny("title"), ...containsAny("description")],
         },
         select: {
           id: true,
@@ -156,7 +177,7 @@ router.get("/autocomplete", async (req, res, next) => {
       }),
       prisma.tag.findMany({
         where: {
-          name: { contains: query, mode: "insensitive" },
+          OR: containsAny("name"),
           products: { some: { product: { published: true } } },
         },
         select: { id: true, name: true },
@@ -164,6 +185,15 @@ router.get("/autocomplete", async (req, res, next) => {
         take,
       }),
     ]);
+    const products = inIdOrder(matchedProducts, ids).slice(0, take);
+
+    logSearch({
+      query,
+      source: "autocomplete",
+      resultCount: products.length + collections.length + tags.length,
+      fuzzy,
+      userId: req.user?.id,
+    });
 
     res.json({ products, collections, tags });
   } catch (err) {
@@ -171,4 +201,132 @@ router.get("/autocomplete", async (req, res, next) => {
   }
 });
 
+// ----------------------- ADMIN: SYNONYMS ----------------------- //
+
+// Queries are expanded word by word, so each entry must be a single word
+const word = z
+  .string()
+  .trim()
+  .min(1)
+  .max(50)
+  .regex(/^[\p{L}\p{N}]+$/u, "Use single words (letters and digits only)")
+  .transform((value) => value.toLowerCase());
+
+const synonymSchema = z.object({
+  term: word,
+  synonyms: z.array(word).min(1).max(20),
+});
+
+// Synonyms never repeat the term or each other
+const normalizeSynonym = ({ term, synonyms }) => ({
+  term,
+  synonyms: [...new Set(synonyms)].filter((s) => s !== term),
+});
+
+router.get("/synonyms", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const synonyms = await prisma.searchSynonym.findMany({ orderBy: { term: "asc" } });
+    res.json({ synonyms });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/synonyms", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = normalizeSynonym(synonymSchema.parse(req.body));
+    if (!data.synonyms.length) return res.status(400).json({ error: "Add at least one synonym other than the term" });
+
+    const synonym = await prisma.searchSynonym.create({ data });
+    await clearSynonymCache();
+    res.status(201).json(synonym);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    if (err.code === "P2002") return res.status(409).json({ error: "Synonyms for this term already exist" });
+    next(err);
+  }
+});
+
+router.put("/synonyms/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const data = normalizeSynonym(synonymSchema.parse(req.body));
+    if (!data.synonyms.length) return res.status(400).json({ error: "Add at least one synonym other than the term" });
+
+    const synonym = await prisma.searchSynonym.update({ where: { id: req.params.id }, data });
+    await clearSynonymCache();
+    res.json(synonym);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    if (err.code === "P2002") return res.status(409).json({ error: "Synonyms for this term already exist" });
+    if (err.code === "P2025") return res.status(404).json({ error: "Synonym not found" });
+    next(err);
+  }
+});
+
+router.delete("/synonyms/:id", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    await prisma.searchSynonym.delete({ where: { id: req.params.id } });
+    await clearSynonymCache();
+    res.json({ message: "Synonym deleted" });
+  } catch (err) {
+    if (err.code === "P2025") return res.status(404).json({ error: "Synonym not found" });
+    next(err);
+  }
+});
+
+// ----------------------- ADMIN: ANALYTICS ----------------------- //
+
+const analyticsQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).default(30),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  source: z.enum(["search", "products", "autocomplete"]).optional(),
+});
+
+/**
+ * Most frequent queries in the window, optionally only those with no results.
+ */
+const topQueries = async ({ days, limit, source }, zeroResultsOnly) => {
+  const where = {
+    createdAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    ...(source && { source }),
+    ...(zeroResultsOnly && { resultCount: 0 }),
+  };
+  const groups = await prisma.searchQuery.groupBy({
+    by: ["query"],
+    where,
+    _count: { _all: true },
+    _avg: { resultCount: true },
+    _max: { createdAt: true },
+    orderBy: { _count: { query: "desc" } },
+    take: limit,
+  });
+  return groups.map((g) => ({
+    query: g.query,
+    searches: g._count._all,
+    ...(!zeroResultsOnly && { averageResults: Math.round(g._avg.resultCount * 10) / 10 }),
+    lastSearchedAt: g._max.createdAt,
+  }));
+};
+
+// Top searches that returned nothing: candidates for synonyms or new products
+router.get("/analytics/zero-results", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const params = analyticsQuerySchema.parse(req.query);
+    res.json({ days: params.days, queries: await topQueries(params, true) });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+router.get("/analytics/top", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const params = analyticsQuerySchema.parse(req.query);
+    res.json({ days: params.days, queries: await topQueries(params, false) });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
 export default router;
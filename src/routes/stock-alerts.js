@@ -0,0 +1,132 @@
+import { Router } from "express";
+import { StockAlertType } from "@prisma/client";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { subscribeToAlert } from "../lib/stock-alerts.js";
+import { isAdmin, isAuthenticated, optionalAuth } from "../middleware/auth.js";
+
+const router = Router();
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const subscribeSchema = z.object({
+  variantId: z.string(),
+  type: z.nativeEnum(StockAlertType).optional().default(StockAlertType.BACK_IN_STOCK),
+  email: z.string().email().optional(), // required for guests
+});
+
+// ----------------------- HELPERS ----------------------- //
+
+const alertInclude = {
+  variant: {
+    select: {
+      id: true,
+      selectedOptions: true,
+      priceAmount: true,
+      priceCurrency: true,
+      inventoryQuantity: true,
+      product: { select: { id: true, title: true, handle: true, featuredImageUrl: true } },
+    },
+  },
+};
+
+const mapAlert = (alert) => ({
+  id: alert.id,
+  type: alert.type,
+  email: alert.email,
+  active: !alert.notifiedAt,
+  notifiedAt: alert.notifiedAt,
+  subscribedPrice: alert.priceAmount,
+  createdAt: alert.createdAt,
+  variant: alert.variant,
+});
+
+// ----------------------- PUBLIC ROUTES ----------------------- //
+
+// Subscribe to a back-in-stock or price-drop alert (guests pass an email)
+router.post("/", optionalAuth, async (req, res, next) => {
+  try {
+    const parsed = subscribeSchema.parse(req.body);
+    if (!req.user && !parsed.email) return res.status(400).json({ error: "Email is required" });
+
+    const alert = await subscribeToAlert({ ...parsed, user: req.user || null });
+    const full = await prisma.stockAlert.findUnique({ where: { id: alert.id }, include: alertInclude });
+
+    res.status(201).json(mapAlert(full));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// One-click unsubscribe link from alert emails
+router.get("/unsubscribe/:token", async (req, res, next) => {
+  try {
+    const { count } = await prisma.stockAlert.deleteMany({ where: { unsubscribeToken: req.params.token } });
+    if (!count) return res.status(404).json({ error: "Alert not found or already removed" });
+
+    res.json({ success: true, message: "You have been unsubscribed from this alert" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- USER ROUTES ----------------------- //
+
+// List the user's alerts (active and already sent)
+router.get("/mine", isAuthenticated, async (req, res, next) => {
+  try {
+    const alerts = await prisma.stockAlert.findMany({
+      where: { OR: [{ userId: req.user.id }, { email: req.user.email.toLowerCase() }] },
+      orderBy: { createdAt: "desc" },
+      include: alertInclude,
+    });
+
+    res.json(alerts.map(mapAlert));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove one of the user's alerts
+router.delete("/:id", isAuthenticated, async (req, res, next) => {
+  try {
+    const { count } = await prisma.stockAlert.deleteMany({
+      where: { id: req.params.id, OR: [{ userId: req.user.id }, { email: req.user.email.toLowerCase() }] },
+    });
+    if (!count) return res.status(404).json({ error: "Alert not found" });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- ADMIN ROUTES ----------------------- //
+
+// Variants with the most pending alerts (demand signal for restocking)
+router.get("/admin/summary", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const grouped = await prisma.stockAlert.groupBy({
+      by: ["variantId", "type"],
+      where: { notifiedAt: null },
+      _count: { _all: true },
+      orderBy: { _count: { variantId: "desc" } },
+      take: 50,
+    });
+
+    const variants = await prisma.productVariant.findMany({
+      where: { id: { in: grouped.map((g) => g.variantId) } },
+      select: alertInclude.variant.select,
+    });
+    const byId = new Map(variants.map((v) => [v.id, v]));
+
+    res.json(
+      grouped.map((g) => ({ type: g.type, pending: g._count._all, variant: byId.get(g.variantId) || null }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
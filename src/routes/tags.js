@@ -1,5 +1,7 @@
 import { Router } from "express";
 import prisma from "../lib/prisma.js";
+import { refreshSearchVector } from "../lib/search.js";
+import { syncProductCollections } from "../lib/smart-collections.js";
 import { isAuthenticated } from "../middleware/auth.js";
 import { z } from "zod";
 import slugify from "slugify";
@@ -34,6 +36,12 @@ const requireAdmin = (req, res) => {
   return true;
 };
 
+// ids of products carrying any of the tags (their search documents include tag names)
+const taggedProductIds = async (tagIds) =>
+  (await prisma.productTag.findMany({ where: { tagId: { in: tagIds } }, select: { productId: true } })).map(
+    (pt) => pt.productId
+  );
+
 // ----------------------- ROUTES ----------------------- //
 
 // GET /tags - list tags (simple)
@@ -170,6 +178,12 @@ router.put("/:id", isAuthenticated, async (req, res, next) => {
       where: { id },
       data,
     });
+    if (data.name || data.handle) {
+      // Search and smart collection rules match tags by name or handle
+      const productIds = await taggedProductIds([id]);
+      await refreshSearchVector(prisma, productIds);
+      await syncProductCollections(productIds);
+    }
 
     res.json({ message: "Tag updated", tag: mapTag(updated) });
   } catch (error) {
@@ -189,9 +203,12 @@ router.delete("/:id", isAuthenticated, async (req, res, next) => {
 
     // remove entries from ProductTag first (optional: Prisma will handle cascade depending on schema)
     // But safe approach: delete product-tag rows, then delete tag
+    const productIds = await taggedProductIds([id]);
     await prisma.productTag.deleteMany({ where: { tagId: id } });
 
     await prisma.tag.delete({ where: { id } });
+    await refreshSearchVector(prisma, productIds);
+    await syncProductCollections(productIds);
 
     res.json({ message: "Tag deleted" });
   } catch (error) {
@@ -216,6 +233,7 @@ router.delete("/", isAuthenticated, async (req, res, next) => {
     const tagIds = ids.map(String);
 
     // Delete related product-tag relations first
+    const productIds = await taggedProductIds(tagIds);
     await prisma.productTag.deleteMany({
       where: { tagId: { in: tagIds } },
     });
@@ -224,6 +242,8 @@ router.delete("/", isAuthenticated, async (req, res, next) => {
     const deleted = await prisma.tag.deleteMany({
       where: { id: { in: tagIds } },
     });
+    await refreshSearchVector(prisma, productIds);
+    await syncProductCollections(productIds);
 
     res.json({
       message: `Deleted ${deleted.count} tags successfully`,
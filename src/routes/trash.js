@@ -0,0 +1,74 @@
+import { Router } from "express";
+import { z } from "zod";
+import { listTrash, purgeFromTrash, restoreFromTrash } from "../lib/trash.js";
+import { isAdmin, isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+// :type is one of products, collections, users (see TRASH_TYPES in src/lib/trash.js)
+
+const idsSchema = z.object({
+  ids: z.array(z.string().min(1)).min(1, "Select at least one item").max(500),
+});
+
+/**
+ * 🗑️ List trashed products, collections or users (Admin)
+ * Query: page, limit, search
+ */
+router.get("/:type", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { items, total } = await listTrash(req.params.type, {
+      search: req.query.search?.trim() || undefined,
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.json({
+      items,
+      retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+      pagination: { page, limit, total, totalPages: Math.max(Math.ceil(total / limit), 1) },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * ♻️ Restore trashed items (Admin)
+ * Body: { ids: string[] }
+ */
+router.post("/:type/restore", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { ids } = idsSchema.parse(req.body);
+    const { restored } = await restoreFromTrash(req.params.type, ids);
+    res.json({ message: `Restored ${restored} item(s)`, restored });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+/**
+ * 🔥 Permanently delete trashed items (Admin)
+ * Body: { ids: string[] }. Products and users that orders refer to are kept.
+ */
+router.delete("/:type", isAuthenticated, isAdmin, async (req, res, next) => {
+  try {
+    const { ids } = idsSchema.parse(req.body);
+    const { purged, kept } = await purgeFromTrash(req.params.type, ids);
+    res.json({
+      message: `Permanently deleted ${purged.length} item(s)`,
+      purged: purged.length,
+      // Still referenced by orders; they stay in the trash
+      kept,
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import prisma from "../lib/prisma.js";
 import bcrypt from "bcrypt";
 import { isAuthenticated, isAdmin } from "../middleware/auth.js";
 import { emailQueue } from "../lib/redis.js";
+import { moveToTrash, purgeFromTrash } from "../lib/trash.js";
 
 const router = Router();
 
@@ -18,15 +19,17 @@ router.get("/", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { page = "1", limit = "10", search = "", all } = req.query;
 
+    // Trashed accounts are listed under /trash/users
     const where = search
       ? {
+          deletedAt: null,
           OR: [
             { firstName: { contains: search , mode: "insensitive" } },
             { lastName: { contains: search , mode: "insensitive" } },
             { email: { contains: search , mode: "insensitive" } },
           ],
         }
-      : {};
+      : { deletedAt: null };
 
     let users;
     let total;
@@ -173,68 +176,35 @@ router.put("/:id/reset-password", isAuthenticated, isAdmin, async (req, res, nex
 });
 /**
  * 🗑 Delete User (Admin Only)
+ * Moves the account to the trash; ?permanent=true deletes it for good unless it has orders
  */
 router.delete("/:id", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { id } = req.params;
+    if (id === req.user.id) return res.status(400).json({ success: false, message: "You cannot delete your own account" });
 
-    // Delete OrderItems
-    await prisma.orderItem.deleteMany({
-      where: { order: { userId: id } },
-    });
-
-    // Delete Payments
-    await prisma.payment.deleteMany({
-      where: { order: { userId: id } },
-    });
-
-    // Delete Orders
-    await prisma.order.deleteMany({
-      where: { userId: id },
-    });
-
-    // Delete CartLines
-    await prisma.cartLine.deleteMany({
-      where: { cart: { userId: id } },
-    });
-
-    // Delete Carts
-    await prisma.cart.deleteMany({
-      where: { userId: id },
-    });
-
-    // Delete WishlistItems
-    await prisma.wishlistItem.deleteMany({
-      where: { wishlist: { userId: id } },
-    });
-
-    // Delete Wishlists
-    await prisma.wishlist.deleteMany({
-      where: { userId: id },
-    });
-
-    // Delete Reviews
-    await prisma.review.deleteMany({
-      where: { userId: id },
-    });
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
 
-    // Delete Addresses
-    await prisma.address.deleteMany({
-      where: { userId: id },
-    });
-
-    // Finally, delete the User
-    await prisma.user.delete({
-      where: { id },
-    });
+    if (req.query.permanent === "true") {
+      const { kept } = await purgeFromTrash("users", [id], { anyState: true });
+      if (kept.length)
+        return res.status(409).json({ success: false, message: "This user has orders and cannot be permanently deleted. Move them to the trash instead." });
+      return res.json({ success: true, message: "User and all related data deleted permanently" });
+    }
 
-    res.json({ success: true, message: "User and all related data deleted successfully" });
+    await moveToTrash("users", [id]);
+    res.json({ success: true, message: "User moved to trash" });
   } catch (err) {
     next(err);
   }
 });
 
-
+/**
+ * 🗑 Bulk Delete Users (Admin Only)
+ * Body: { ids: string[] }. Moves them to the trash; ?permanent=true deletes
+ * them for good, except users with orders.
+ */
 router.delete("/", isAuthenticated, isAdmin, async (req, res, next) => {
   try {
     const { ids } = req.body; // expects { ids: ["id1", "id2", ...] }
@@ -242,57 +212,26 @@ router.delete("/", isAuthenticated, isAdmin, async (req, res, next) => {
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ success: false, message: "No user IDs provided" });
     }
+    if (ids.includes(req.user.id)) {
+      return res.status(400).json({ success: false, message: "You cannot delete your own account" });
+    }
 
-    // Delete child records for all users
-    await prisma.orderItem.deleteMany({
-      where: { order: { userId: { in: ids } } },
-    });
-
-    await prisma.payment.deleteMany({
-      where: { order: { userId: { in: ids } } },
-    });
-
-    await prisma.order.deleteMany({
-      where: { userId: { in: ids } },
-    });
-
-    await prisma.cartLine.deleteMany({
-      where: { cart: { userId: { in: ids } } },
-    });
-
-    await prisma.cart.deleteMany({
-      where: { userId: { in: ids } },
-    });
-
-    await prisma.wishlistItem.deleteMany({
-      where: { wishlist: { userId: { in: ids } } },
-    });
-
-    await prisma.wishlist.deleteMany({
-      where: { userId: { in: ids } },
-    });
-
-    await prisma.review.deleteMany({
-      where: { userId: { in: ids } },
-    });
-
-    await prisma.address.deleteMany({
-      where: { userId: { in: ids } },
-    });
-
-    // Finally, delete the users
-    await prisma.user.deleteMany({
-      where: { id: { in: ids } },
-    });
+    if (req.query.permanent === "true") {
+      const { purged, kept } = await purgeFromTrash("users", ids, { anyState: true });
+      return res.json({
+        success: true,
+        message: `Permanently deleted ${purged.length} user${purged.length === 1 ? "" : "s"}`,
+        kept, // have orders; move these to the trash instead
+      });
+    }
 
-    res.json({ success: true, message: "Users and all related data deleted successfully" });
+    const { trashed } = await moveToTrash("users", ids);
+    res.json({ success: true, message: `Moved ${trashed} user${trashed === 1 ? "" : "s"} to the trash` });
   } catch (err) {
     next(err);
   }
 });
 
-
-
 /**
  * 📧 Send Custom Email (Bulk/Single)
  */
@@ -307,7 +246,7 @@ router.post("/admin/email", isAuthenticated, isAdmin, async (req, res, next) =>
     let targetUserIds = [];
 
     if (selectAll) {
-      const allUsers = await prisma.user.findMany({ select: { id: true } });
+      const allUsers = await prisma.user.findMany({ where: { deletedAt: null }, select: { id: true } });
       targetUserIds = allUsers.map((u) => u.id);
     } else if (Array.isArray(userIds) && userIds.length > 0) {
       targetUserIds = userIds;
@@ -317,7 +256,7 @@ router.post("/admin/email", isAuthenticated, isAdmin, async (req, res, next) =>
 
     // Fetch emails for target users
     const users = await prisma.user.findMany({
-      where: { id: { in: targetUserIds } },
+      where: { id: { in: targetUserIds }, deletedAt: null },
       select: { email: true, firstName: true },
     });
 
@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import { getProvider } from '../lib/payment-providers/index.js';
+import { recordWebhookEvent, processWebhookEvent } from '../lib/payment-webhooks.js';
+
+/**
+ * Provider webhooks.
+ * Mounted at /payment/webhooks with express.raw() BEFORE the JSON parser in
+ * src/index.js, because signatures are computed over the exact raw body.
+ */
+const router = Router();
+
+const rawBodyOf = (req) => (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '');
+
+/**
+ * Provider webhook
+ * POST /payment/webhooks/:provider (razorpay, stripe, mock)
+ * Stores the event, skips replays, and applies it. Responds 500 on handler
+ * failure so the provider retries the delivery.
+ */
+router.post('/:provider', async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    // Unverifiable webhooks (mock mode, no signing secret) are not accepted at all
+    if (!provider || !provider.parseWebhook || !provider.isEnabled() || !provider.webhooksEnabled()) {
+      return res.status(404).json({ error: 'Unknown webhook provider' });
+    }
+
+    const rawBody = rawBodyOf(req);
+    const parsed = rawBody ? provider.parseWebhook({ rawBody, headers: req.headers }) : null;
+    if (!parsed) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const { event, duplicate } = await recordWebhookEvent({ provider: provider.name, ...parsed });
+    if (duplicate) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+      await processWebhookEvent(event, () => provider.handleWebhook(parsed.payload));
+      res.json({ received: true });
+    } catch (error) {
+      console.error(`❌ ${provider.name} webhook ${parsed.eventId} failed:`, error.message);
+      res.status(500).json({ received: false, error: 'Webhook processing failed' });
+    }
+  } catch (error) {
+    if (error instanceof SyntaxError) return res.status(400).json({ error: 'Invalid JSON body' });
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,386 @@
+import { Router } from "express";
+import { randomBytes } from "crypto";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { addCartLine, cartInclude, formatCart, getOrCreateCart, refreshCartTotals } from "../lib/cart.js";
+import { isAuthenticated } from "../middleware/auth.js";
+
+const router = Router();
+
+const MAX_WISHLISTS = 20;
+const DEFAULT_WISHLIST_NAME = "My Wishlist";
+
+// ----------------------- SCHEMAS ----------------------- //
+
+const wishlistSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+});
+
+const addItemSchema = z.object({
+  productId: z.string(),
+  variantId: z.string().optional(),
+  wishlistId: z.string().optional(), // defaults to the user's default wishlist
+});
+
+const moveToCartSchema = z.object({
+  quantity: z.number().int().min(1).optional().default(1),
+  variantId: z.string().optional(), // required when the item was saved without a size/colour
+  cartId: z.string().optional(),
+  keepInWishlist: z.boolean().optional().default(false),
+});
+
+// ----------------------- HELPERS ----------------------- //
+
+const wishlistInclude = {
+  items: {
+    where: { product: { deletedAt: null } }, // trashed products drop out of wishlists
+    orderBy: { createdAt: "desc" },
+    include: {
+      product: {
+        select: {
+          id: true,
+          title: true,
+          handle: true,
+          published: true,
+          featuredImageUrl: true,
+          featuredImageAlt: true,
+          minPriceAmount: true,
+          minPriceCurrency: true,
+          images: { take: 1, select: { url: true, altText: true } },
+        },
+      },
+      variant: true,
+    },
+  },
+};
+
+const mapWishlistItem = (item) => {
+  const { product, variant } = item;
+  const currentAmount = variant ? variant.priceAmount : product.minPriceAmount;
+  const currentCurrency = variant ? variant.priceCurrency : product.minPriceCurrency;
+
+  return {
+    id: item.id,
+    addedAt: item.createdAt,
+    product: {
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      featuredImage: product.featuredImageUrl
+        ? { url: product.featuredImageUrl, altText: product.featuredImageAlt }
+        : product.images[0] || null,
+    },
+    variant: variant
+      ? {
+          id: variant.id,
+          selectedOptions: variant.selectedOptions,
+          availableForSale: variant.availableForSale,
+          inStock: variant.inventoryQuantity > 0,
+        }
+      : null,
+    available: product.published && (!variant || (variant.availableForSale && variant.inventoryQuantity > 0)),
+    savedPrice: item.priceAmount != null ? { amount: item.priceAmount, currencyCode: item.priceCurrency } : null,
+    price: { amount: currentAmount, currencyCode: currentCurrency },
+    priceDropped: item.priceAmount != null && Number(currentAmount) < Number(item.priceAmount),
+  };
+};
+
+const shareUrlFor = (token) =>
+  token ? `${process.env.FRONTEND_URL || "http://localhost:3000"}/wishlist/shared/${token}` : null;
+
+const mapWishlist = (wishlist) => ({
+  id: wishlist.id,
+  name: wishlist.name,
+  isDefault: wishlist.isDefault,
+  isShared: Boolean(wishlist.shareToken),
+  shareUrl: shareUrlFor(wishlist.shareToken),
+  createdAt: wishlist.createdAt,
+  updatedAt: wishlist.updatedAt,
+  items: wishlist.items.map(mapWishlistItem),
+});
+
+// Oldest wishlist is the default; one is created on first use
+const getDefaultWishlist = async (userId) => {
+  const existing = await prisma.wishlist.findFirst({
+    where: { userId },
+    orderBy: [{ isDefault: "desc" }, { createdAt: "asc" }],
+  });
+  if (existing) return existing;
+
+  return prisma.wishlist.create({ data: { userId, name: DEFAULT_WISHLIST_NAME, isDefault: true } });
+};
+
+const findOwnWishlistOr404 = async (id, userId, res) => {
+  const wishlist = await prisma.wishlist.findFirst({ where: { id, userId } });
+  if (!wishlist) res.status(404).json({ error: "Wishlist not found" });
+  return wishlist;
+};
+
+const loadWishlist = (id) => prisma.wishlist.findUnique({ where: { id }, include: wishlistInclude });
+
+// ----------------------- PUBLIC ROUTES ----------------------- //
+
+// View a shared wishlist (no login required)
+router.get("/shared/:token", async (req, res, next) => {
+  try {
+    const wishlist = await prisma.wishlist.findUnique({
+      where: { shareToken: req.params.token },
+      include: { ...wishlistInclude, user: { select: { firstName: true } } },
+    });
+    if (!wishlist) return res.status(404).json({ error: "Wishlist not found" });
+
+    res.json({
+      id: wishlist.id,
+      name: wishlist.name,
+      owner: wishlist.user.firstName || null,
+      items: wishlist.items.filter((item) => item.product.published).map(mapWishlistItem),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ----------------------- USER ROUTES ----------------------- //
+
+// List the user's wishlists with their items
+router.get("/", isAuthenticated, async (req, res, next) => {
+  try {
+    await getDefaultWishlist(req.user.id);
+
+    const wishlists = await prisma.wishlist.findMany({
+      where: { userId: req.user.id },
+      orderBy: [{ isDefault: "desc" }, { createdAt: "asc" }],
+      include: wishlistInclude,
+    });
+
+    res.json(wishlists.map(mapWishlist));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a named wishlist
+router.post("/", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = wishlistSchema.parse(req.body);
+
+    const count = await prisma.wishlist.count({ where: { userId: req.user.id } });
+    if (count >= MAX_WISHLISTS)
+      return res.status(400).json({ error: `You can have at most ${MAX_WISHLISTS} wishlists` });
+
+    const wishlist = await prisma.wishlist.create({
+      data: { userId: req.user.id, name: parsed.name, isDefault: count === 0 },
+      include: wishlistInclude,
+    });
+
+    res.status(201).json(mapWishlist(wishlist));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Save a product (optionally a specific variant) to a wishlist
+router.post("/items", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = addItemSchema.parse(req.body);
+
+    const wishlist = parsed.wishlistId
+      ? await findOwnWishlistOr404(parsed.wishlistId, req.user.id, res)
+      : await getDefaultWishlist(req.user.id);
+    if (!wishlist) return;
+
+    const product = await prisma.product.findUnique({ where: { id: parsed.productId } });
+    if (!product || !product.published || product.deletedAt) return res.status(404).json({ error: "Product not found" });
+
+    let variant = null;
+    if (parsed.variantId) {
+      variant = await prisma.productVariant.findUnique({ where: { id: parsed.variantId } });
+      if (!variant || variant.productId !== product.id)
+        return res.status(404).json({ error: "Invalid variant" });
+    }
+
+    const existing = await prisma.wishlistItem.findFirst({
+      where: { wishlistId: wishlist.id, productId: product.id, variantId: variant?.id || null },
+    });
+
+    if (!existing) {
+      await prisma.wishlistItem.create({
+        data: {
+          wishlistId: wishlist.id,
+          productId: product.id,
+          variantId: variant?.id || null,
+          priceAmount: variant ? variant.priceAmount : product.minPriceAmount,
+          priceCurrency: variant ? variant.priceCurrency : product.minPriceCurrency,
+        },
+      });
+    }
+
+    res.status(existing ? 200 : 201).json(mapWishlist(await loadWishlist(wishlist.id)));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Get one of the user's wishlists
+router.get("/:id", isAuthenticated, async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    res.json(mapWishlist(await loadWishlist(wishlist.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a wishlist
+router.put("/:id", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = wishlistSchema.parse(req.body);
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    const updated = await prisma.wishlist.update({
+      where: { id: wishlist.id },
+      data: { name: parsed.name },
+      include: wishlistInclude,
+    });
+
+    res.json(mapWishlist(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+// Delete a wishlist and its items; the oldest remaining one becomes the default
+router.delete("/:id", isAuthenticated, async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.wishlist.delete({ where: { id: wishlist.id } });
+
+      if (wishlist.isDefault) {
+        const fallback = await tx.wishlist.findFirst({ where: { userId: req.user.id }, orderBy: { createdAt: "asc" } });
+        if (fallback) await tx.wishlist.update({ where: { id: fallback.id }, data: { isDefault: true } });
+      }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Share a wishlist publicly (rotate=true issues a new link and revokes the old one)
+router.post("/:id/share", isAuthenticated, async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    const shareToken = wishlist.shareToken && !req.body?.rotate ? wishlist.shareToken : randomBytes(16).toString("hex");
+    const updated = await prisma.wishlist.update({ where: { id: wishlist.id }, data: { shareToken } });
+
+    res.json({ id: updated.id, isShared: true, shareUrl: shareUrlFor(updated.shareToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop sharing a wishlist
+router.delete("/:id/share", isAuthenticated, async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    await prisma.wishlist.update({ where: { id: wishlist.id }, data: { shareToken: null } });
+    res.json({ id: wishlist.id, isShared: false, shareUrl: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove an item from a wishlist
+router.delete("/:id/items/:itemId", isAuthenticated, async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    const { count } = await prisma.wishlistItem.deleteMany({
+      where: { id: req.params.itemId, wishlistId: wishlist.id },
+    });
+    if (!count) return res.status(404).json({ error: "Wishlist item not found" });
+
+    res.json(mapWishlist(await loadWishlist(wishlist.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move an item to the user's cart (removed from the wishlist unless keepInWishlist)
+router.post("/:id/items/:itemId/move-to-cart", isAuthenticated, async (req, res, next) => {
+  try {
+    const parsed = moveToCartSchema.parse(req.body || {});
+    const wishlist = await findOwnWishlistOr404(req.params.id, req.user.id, res);
+    if (!wishlist) return;
+
+    const item = await prisma.wishlistItem.findFirst({
+      where: { id: req.params.itemId, wishlistId: wishlist.id, product: { deletedAt: null } },
+      include: { product: true },
+    });
+    if (!item) return res.status(404).json({ error: "Wishlist item not found" });
+
+    const variantId = item.variantId || parsed.variantId;
+    if (!variantId) return res.status(400).json({ error: "Choose a variant before adding this item to the cart" });
+
+    const variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
+    if (!variant || variant.productId !== item.productId)
+      return res.status(404).json({ error: "Invalid variant" });
+    if (!item.product.published || !variant.availableForSale || variant.inventoryQuantity < parsed.quantity)
+      return res.status(400).json({ error: "Variant unavailable or out of stock" });
+
+    // A guest cart is only claimed when it is this browser's own (cartId cookie)
+    const guestCartId = req.cookies?.cartId;
+    const requestedCart = parsed.cartId
+      ? await prisma.cart.findFirst({
+          where: {
+            id: parsed.cartId,
+            OR: [{ userId: req.user.id }, ...(parsed.cartId === guestCartId ? [{ userId: null }] : [])],
+          },
+        })
+      : null;
+    const cart = requestedCart || await getOrCreateCart(req.user.id);
+
+    await prisma.$transaction(async (tx) => {
+      if (!cart.userId) await tx.cart.update({ where: { id: cart.id }, data: { userId: req.user.id } });
+
+      await addCartLine(tx, {
+        cartId: cart.id,
+        productId: item.productId,
+        variantId: variant.id,
+        quantity: parsed.quantity,
+        product: item.product,
+        variant,
+      });
+      await refreshCartTotals(tx, cart.id);
+
+      if (!parsed.keepInWishlist) await tx.wishlistItem.delete({ where: { id: item.id } });
+    });
+
+    const [updatedCart, updatedWishlist] = await Promise.all([
+      prisma.cart.findUnique({ where: { id: cart.id }, include: cartInclude }),
+      loadWishlist(wishlist.id),
+    ]);
+
+    res.json({ cart: formatCart(updatedCart), wishlist: mapWishlist(updatedWishlist) });
+  } catch (error) {
+    if (error instanceof z.ZodError) return res.status(400).json({ error: error.errors });
+    next(error);
+  }
+});
+
+export default router;
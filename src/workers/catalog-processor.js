@@ -0,0 +1,39 @@
+import { Worker } from 'bullmq';
+import { redisClient } from '../lib/redis.js';
+import { generateCatalogFile } from '../lib/catalog-pdf.js';
+
+/**
+ * Catalog Worker
+ * Renders large catalog PDFs to disk; the file is downloaded through
+ * GET /catalog/jobs/:jobId/download once the job completes
+ */
+export const catalogWorker = redisClient
+  ? new Worker(
+      'catalogs',
+      async (job) => {
+        const { filters, options } = job.data;
+
+        console.log(`📚 Generating catalog ${job.id} (${options.layout})...`);
+        const result = await generateCatalogFile(job.id, filters, options);
+        console.log(`📚 Catalog ${job.id}: ${result.products} products, ${Math.round(result.bytes / 1024)} KB`);
+        return result;
+      },
+      {
+        connection: redisClient,
+        concurrency: 1, // Rendering is CPU and memory heavy
+      }
+    )
+  : null;
+
+// Worker event handlers
+if (catalogWorker) {
+  catalogWorker.on('failed', (job, err) => {
+    console.error(`❌ Catalog job ${job?.id} failed:`, err.message);
+  });
+
+  catalogWorker.on('error', (err) => {
+    console.error('Catalog worker error:', err.message);
+  });
+}
+
+export default catalogWorker;
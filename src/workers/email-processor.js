@@ -34,6 +34,9 @@ export const emailWorker = redisClient
             case 'custom':
               await emailService.sendCustomEmail(payload);
               break;
+            case 'stock-alert':
+              await emailService.sendStockAlertEmail(payload);
+              break;
             default:
               console.warn(`⚠️ Unknown email type: ${type}`);
           }
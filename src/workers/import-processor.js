@@ -0,0 +1,54 @@
+import { Worker } from 'bullmq';
+import { redisClient } from '../lib/redis.js';
+import prisma from '../lib/prisma.js';
+import { runProductImport } from '../lib/product-import.js';
+
+/**
+ * Import Processing Worker
+ * Runs admin CSV imports in the background; progress and the final
+ * report are read back through the job (see GET /imports/:jobId)
+ */
+export const importWorker = redisClient
+  ? new Worker(
+      'imports',
+      async (job) => {
+        const { csv, dryRun, userId } = job.data;
+
+        console.log(`📥 Processing import job ${job.id} (${dryRun ? 'dry run' : 'live'})...`);
+
+        const actor = userId
+          ? await prisma.user.findUnique({ where: { id: userId }, select: { id: true, isAdmin: true } })
+          : null;
+
+        const result = await runProductImport(csv, {
+          dryRun,
+          importId: job.id,
+          actor,
+          onProgress: (percent) => job.updateProgress(percent),
+        });
+
+        console.log(
+          `📥 Import ${job.id}: ${result.summary.create} created, ${result.summary.update} updated, ` +
+            `${result.summary.skip} skipped, ${result.summary.error} failed`
+        );
+        return result;
+      },
+      {
+        connection: redisClient,
+        concurrency: 1, // Imports touch the same products; run them one at a time
+      }
+    )
+  : null;
+
+// Worker event handlers
+if (importWorker) {
+  importWorker.on('failed', (job, err) => {
+    console.error(`❌ Import job ${job?.id} failed:`, err.message);
+  });
+
+  importWorker.on('error', (err) => {
+    console.error('Import worker error:', err.message);
+  });
+}
+
+export default importWorker;
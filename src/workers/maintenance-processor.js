@@ -0,0 +1,124 @@
+import { Worker } from 'bullmq';
+import { redisClient, maintenanceQueue } from '../lib/redis.js';
+import { releaseExpiredReservations } from '../lib/inventory.js';
+import { reconcilePayments } from '../lib/reconciliation.js';
+import { syncPendingRefunds } from '../lib/refunds.js';
+import { removeExpiredCatalogs } from '../lib/catalog-pdf.js';
+import { purgeSearchLogs, refreshMissingSearchVectors } from '../lib/search.js';
+import { syncAllSmartCollections } from '../lib/smart-collections.js';
+import { applySchedules } from '../lib/schedules.js';
+import { purgeExpiredTrash } from '../lib/trash.js';
+
+/**
+ * Scheduled maintenance tasks, keyed by job name.
+ * `every` is the repeat interval in milliseconds.
+ */
+export const MAINTENANCE_TASKS = {
+  'release-expired-reservations': {
+    every: Number(process.env.RESERVATION_SWEEP_INTERVAL_MS || 60 * 1000),
+    handler: releaseExpiredReservations,
+  },
+  'reconcile-payments': {
+    every: Number(process.env.RECONCILIATION_INTERVAL_MS || 60 * 60 * 1000),
+    handler: () => reconcilePayments({ trigger: 'SCHEDULED' }),
+  },
+  'sync-pending-refunds': {
+    every: Number(process.env.REFUND_STATUS_INTERVAL_MS || 5 * 60 * 1000),
+    handler: syncPendingRefunds,
+  },
+  'remove-expired-catalogs': {
+    every: Number(process.env.CATALOG_CLEANUP_INTERVAL_MS || 60 * 60 * 1000),
+    handler: removeExpiredCatalogs,
+  },
+  'refresh-missing-search-vectors': {
+    every: Number(process.env.SEARCH_REFRESH_INTERVAL_MS || 10 * 60 * 1000),
+    handler: refreshMissingSearchVectors,
+  },
+  'purge-search-logs': {
+    every: Number(process.env.SEARCH_LOG_PURGE_INTERVAL_MS || 24 * 60 * 60 * 1000),
+    handler: purgeSearchLogs,
+  },
+  'sync-smart-collections': {
+    every: Number(process.env.SMART_COLLECTION_SYNC_INTERVAL_MS || 15 * 60 * 1000),
+    handler: syncAllSmartCollections,
+  },
+  'apply-schedules': {
+    every: Number(process.env.SCHEDULE_INTERVAL_MS || 60 * 1000),
+    handler: applySchedules,
+  },
+  'purge-trash': {
+    every: Number(process.env.TRASH_PURGE_INTERVAL_MS || 24 * 60 * 60 * 1000),
+    handler: purgeExpiredTrash,
+  },
+};
+
+/**
+ * Maintenance Worker
+ * Runs repeatable housekeeping jobs in the background
+ */
+export const maintenanceWorker = redisClient
+  ? new Worker(
+      'maintenance',
+      async (job) => {
+        const task = MAINTENANCE_TASKS[job.name];
+        if (!task) {
+          console.warn(`⚠️ Unknown maintenance job: ${job.name}`);
+          return null;
+        }
+        return task.handler(job.data);
+      },
+      {
+        connection: redisClient,
+        concurrency: 1, // Tasks touch the same rows; run them one at a time
+      }
+    )
+  : null;
+
+let fallbackTimers = [];
+
+/**
+ * Register every maintenance task as a repeatable BullMQ job, or fall back
+ * to in-process timers when Redis is disabled.
+ */
+export async function scheduleMaintenanceJobs() {
+  if (maintenanceQueue) {
+    for (const [name, task] of Object.entries(MAINTENANCE_TASKS)) {
+      await maintenanceQueue.upsertJobScheduler(name, { every: task.every }, {
+        name,
+        data: {},
+        opts: { removeOnComplete: 50, removeOnFail: 100 },
+      });
+    }
+    return;
+  }
+
+  fallbackTimers = Object.entries(MAINTENANCE_TASKS).map(([name, task]) => {
+    const timer = setInterval(() => {
+      task.handler({}).catch((err) => console.error(`❌ Maintenance task ${name} failed:`, err.message));
+    }, task.every);
+    timer.unref();
+    return timer;
+  });
+}
+
+/**
+ * Stop the worker / fallback timers during shutdown.
+ */
+export async function stopMaintenance() {
+  fallbackTimers.forEach(clearInterval);
+  fallbackTimers = [];
+  if (maintenanceWorker) await maintenanceWorker.close();
+}
+
+// Worker event handlers
+if (maintenanceWorker) {
+  maintenanceWorker.on('failed', (job, err) => {
+    console.error(`❌ Maintenance job ${job?.name} failed:`, err.message);
+  });
+
+  maintenanceWorker.on('error', (err) => {
+    console.error('Maintenance worker error:', err.message);
+  });
+}
+
+export default maintenanceWorker;
@@ -1,8 +1,11 @@
-import { Worker } from 'bullmq';
+import { Worker, UnrecoverableError } from 'bullmq';
 import { redisClient } from '../lib/redis.js';
 import prisma from '../lib/prisma.js';
 import { emailQueue } from '../lib/redis.js';
 import { Prisma, OrderStatus } from '@prisma/client';
+import { recordOrderEvent } from '../lib/order-status.js';
+import { reserveStock, reservationExpiry } from '../lib/inventory.js';
+import { assertProductsAvailable } from '../lib/cart.js';
 
 /**
  * Order Processing Worker
@@ -30,6 +33,8 @@ export const orderWorker = redisClient
             paymentMethod,
           } = orderData;
 
+          const methodUpper = (paymentMethod || 'COD').toUpperCase();
+
           // Create order in transaction
           const orderWithPayment = await prisma.$transaction(async (tx) => {
             // Create order
@@ -38,6 +43,7 @@ export const orderWorker = redisClient
                 orderNumber,
                 userId,
                 status: OrderStatus.PENDING,
+                reservationExpiresAt: reservationExpiry(methodUpper),
                 totalAmount,
                 totalCurrency: currency,
                 shippingAddressId: shippingAddrId,
@@ -72,30 +78,24 @@ export const orderWorker = redisClient
               },
             });
 
-            // Decrement inventory
-            for (const item of cartLinesSource) {
-              if (item.customProductId) continue;
-
-              if (item.variantId) {
-                await tx.productVariant.update({
-                  where: { id: item.variantId },
-                  data: { inventoryQuantity: { decrement: item.quantity } },
-                });
-              } else if (item.productId) {
-                const variant = await tx.productVariant.findFirst({
-                  where: { productId: item.productId },
-                });
-                if (variant) {
-                  await tx.productVariant.update({
-                    where: { id: variant.id },
-                    data: { inventoryQuantity: { decrement: item.quantity } },
-                  });
-                }
-              }
-            }
+            await recordOrderEvent(tx, {
+              orderId: newOrder.id,
+              type: 'CREATED',
+              actor: newOrder.user,
+              toStatus: OrderStatus.PENDING,
+              note: `Order ${orderNumber} placed`,
+            });
+
+            // Throws 409 and rolls everything back (order included) if any variant is short
+            // or a product was trashed since the order was queued
+            await assertProductsAvailable(cartLinesSource, tx);
+            await reserveStock(tx, cartLinesSource, {
+              orderId: newOrder.id,
+              actor: newOrder.user,
+              note: `Order ${orderNumber}`,
+            });
 
-            // Create payment record
-            const methodUpper = (paymentMethod || 'COD').toUpperCase();
+            // Create payment record (PAID only once the provider confirms it)
             const isExternalProvider = methodUpper === 'PHONEPE';
 
             const newPayment = await tx.payment.create({
@@ -105,7 +105,7 @@ export const orderWorker = redisClient
                 provider: isExternalProvider ? 'PHONEPE' : null,
                 amount: new Prisma.Decimal(totalAmount),
                 currency,
-                status: methodUpper === 'COD' || isExternalProvider ? 'INITIATED' : 'PAID',
+                status: 'INITIATED',
               },
             });
 
@@ -134,6 +134,8 @@ export const orderWorker = redisClient
           return { success: true, orderId: orderWithPayment.id };
         } catch (error) {
           console.error(`❌ Order processing failed:`, error);
+          // Out of stock will not fix itself on retry
+          if (error.status === 409) throw new UnrecoverableError(error.message);
           throw error; // BullMQ will retry
         }
       },